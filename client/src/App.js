@@ -5,10 +5,107 @@ import './App.css';
 // Lazy load TagManager to avoid blocking the app
 const TagManager = React.lazy(() => import('./TagManager'));
 
+// Read a Server-Sent Events response body, calling onEvent(event, data, id) per frame
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+
+    for (const frame of frames) {
+      let event = 'message';
+      let data = '';
+      let id;
+      frame.split('\n').forEach(line => {
+        if (line.startsWith('id:')) {
+          id = line.slice(3).trim();
+        } else if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data += line.slice(5).trim();
+        }
+      });
+      if (data) {
+        onEvent(event, JSON.parse(data), id);
+      }
+    }
+  }
+}
+
+const PIPELINE_STAGES = ['normalize', 'extract', 'validate', 'write', 'index'];
+const MAX_RECONNECTS = 5;
+
+// Fold one ingestion progress event into the per-stage and per-file progress state
+function applyPipelineEvent(pipeline, event, data) {
+  const stages = { ...pipeline.stages };
+  const files = { ...pipeline.files };
+  const stage = stages[data.stage] || { done: 0, total: 0 };
+
+  switch (event) {
+  case 'stage-start':
+    stages[data.stage] = { ...stage, label: data.label, status: 'running' };
+    return { ...pipeline, stages, files: {}, currentStage: data.stage };
+  case 'file-progress': {
+    // The index stage works on several files at once, so count finished files rather than trusting order
+    const finished = data.status !== 'started' && files[data.file]?.status === 'started';
+    files[data.file] = { ...files[data.file], status: data.status };
+    stages[data.stage] = {
+      ...stage,
+      total: data.total,
+      done: (stage.done || 0) + (finished ? 1 : 0)
+    };
+    return { ...pipeline, stages, files };
+  }
+  case 'chunk-embedded':
+    files[data.file] = { ...files[data.file], embedded: data.chunk, totalChunks: data.totalChunks };
+    return { ...pipeline, files };
+  case 'warning':
+    return { ...pipeline, warnings: [...pipeline.warnings, data.message].slice(-20) };
+  case 'stage-complete':
+    stages[data.stage] = { ...stage, label: data.label, status: data.status, durationMs: data.durationMs, error: data.error };
+    return { ...pipeline, stages };
+  case 'done':
+    return { ...pipeline, status: data.status, error: data.error };
+  default:
+    return pipeline;
+  }
+}
+
+// One log line per progress event
+function describePipelineEvent(event, data) {
+  switch (event) {
+  case 'stage-start':
+    return `📄 ${data.label}...`;
+  case 'file-progress':
+    return data.status === 'started' ? null : `   ${data.status === 'failed' ? '❌' : data.status === 'skipped' ? '⏭️' : '✅'} ${data.file}${data.error ? ` - ${data.error}` : ''}`;
+  case 'chunk-embedded':
+    return null;
+  case 'warning':
+    return `   ⚠️ ${data.message}`;
+  case 'stage-complete':
+    return `${data.status === 'completed' || data.status === 'skipped' ? '✅' : '❌'} ${data.label} ${data.status}${data.durationMs ? ` (${(data.durationMs / 1000).toFixed(1)}s)` : ''}${data.error ? `: ${data.error}` : ''}`;
+  case 'done':
+    return data.status === 'completed' ? '🎉 PROCESSING COMPLETED SUCCESSFULLY!' : `❌ PROCESSING ${data.status.toUpperCase()}: ${data.error}`;
+  default:
+    return null;
+  }
+}
+
 function App() {
   const [message, setMessage] = useState('');
   const [response, setResponse] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [session, setSession] = useState(null);
+  const [previousTurns, setPreviousTurns] = useState([]);
+  const [personas, setPersonas] = useState([]);
+  const [persona, setPersona] = useState('default');
   
   // Upload state
   const [selectedFiles, setSelectedFiles] = useState([]);
@@ -18,24 +115,73 @@ function App() {
   const [stats, setStats] = useState(null);
   const [processStatus, setProcessStatus] = useState('');
   const [isProcessActive, setIsProcessActive] = useState(false);
+  const [pipeline, setPipeline] = useState(null);
+  // Ingestion endpoints require ADMIN_TOKEN; kept for this browser tab only
+  const [adminToken, setAdminToken] = useState(() => sessionStorage.getItem('adminToken') || '');
   const [activeTab, setActiveTab] = useState('chat');
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!message.trim()) return;
-
+  const askQuestion = async (question) => {
     setLoading(true);
+    if (response && !response.metadata?.error) {
+      setPreviousTurns(prev => [...prev, { question: response.question, answer: response.response }]);
+    }
+    setResponse(null);
     try {
-      const result = await axios.post('/api/chat', { 
-        message,
-        options: {
-          includeContext: false // Set to true for debugging
+      // History lives on the server: start a session on the first question
+      let activeSession = session;
+      if (!activeSession) {
+        const created = await axios.post('/api/chat/sessions');
+        activeSession = { id: created.data.session.id, token: created.data.session.token };
+        setSession(activeSession);
+      }
+
+      const result = await fetch(`/api/chat/sessions/${activeSession.id}/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
+          'X-Session-Token': activeSession.token
+        },
+        body: JSON.stringify({
+          message: question,
+          options: {
+            stream: true,
+            persona,
+            includeContext: false // Set to true for debugging
+          }
+        })
+      });
+
+      if (!result.ok) {
+        const body = await result.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${result.status}: ${result.statusText}`);
+      }
+
+      await readEventStream(result, (event, data) => {
+        if (event === 'metadata') {
+          // Retrieval is done - show sources while the answer streams in
+          setResponse({
+            question,
+            response: '',
+            sources: data.sources,
+            streaming: true,
+            metadata: {
+              totalChunksFound: data.totalChunksFound,
+              avgSimilarity: data.avgSimilarity
+            }
+          });
+        } else if (event === 'token') {
+          setResponse(prev => ({ ...prev, response: (prev?.response || '') + data.text }));
+        } else if (event === 'done') {
+          setResponse({ ...data, question, streaming: false });
+          setMessage('');
+        } else if (event === 'error') {
+          throw new Error(data.error);
         }
       });
-      setResponse(result.data);
     } catch (error) {
       setResponse({
-        response: error.response?.data?.error || 'Error: Failed to get response from ScottGPT',
+        response: error.message || 'Error: Failed to get response from ScottGPT',
         confidence: 'error',
         sources: [],
         metadata: { error: true }
@@ -46,6 +192,24 @@ function App() {
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!message.trim()) return;
+    askQuestion(message.trim());
+  };
+
+  const handleSuggestionClick = (suggestion) => {
+    setMessage(suggestion);
+    askQuestion(suggestion);
+  };
+
+  const handleNewConversation = () => {
+    setSession(null);
+    setPreviousTurns([]);
+    setResponse(null);
+    setMessage('');
+  };
+
   const handleFileSelect = (e) => {
     setSelectedFiles(Array.from(e.target.files));
   };
@@ -75,115 +239,83 @@ function App() {
     }
   };
 
+  const adminHeaders = () => (adminToken ? { 'Authorization': `Bearer ${adminToken}` } : {});
+
+  const handleAdminTokenChange = (e) => {
+    setAdminToken(e.target.value);
+    sessionStorage.setItem('adminToken', e.target.value);
+  };
+
   const handleProcess = async () => {
     setProcessing(true);
     setIsProcessActive(true);
     setProcessLog('🚀 Starting pipeline processing...\n');
-    setProcessStatus('🚀 Initializing processing pipeline...');
-    
-    let hasReceivedData = false;
-    let lastUpdateTime = Date.now();
-    
-    let activityTimeout;
-    let overallTimeout;
-    
+    setProcessStatus('🚀 Queuing ingestion job...');
+    setPipeline({ jobId: null, stages: {}, files: {}, warnings: [], currentStage: null, status: 'running' });
+
+    let jobId = null;
+    let lastEventId = 0;
+    let result = null;
+
+    const onEvent = (event, data, id) => {
+      lastEventId = Number(id) || lastEventId;
+      setPipeline(prev => applyPipelineEvent(prev, event, data));
+      const line = describePipelineEvent(event, data);
+      if (line) {
+        setProcessLog(prev => `${prev}${line}\n`);
+      }
+      if (event === 'stage-start') {
+        setProcessStatus(`Step ${data.step}/${data.totalSteps}: ${data.label}...`);
+      } else if (event === 'done') {
+        result = data;
+      }
+    };
+
     try {
       const response = await fetch('/api/upload/process', {
         method: 'POST',
-        headers: {
-          'Accept': 'text/plain',
-          'Cache-Control': 'no-cache'
-        }
+        headers: { 'Accept': 'text/event-stream', ...adminHeaders() }
       });
-
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${response.status}: ${response.statusText}`);
       }
+      jobId = response.headers.get('X-Job-Id');
+      setPipeline(prev => ({ ...prev, jobId }));
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      
-      // Set up activity timeout and connection monitoring
-      activityTimeout = setInterval(() => {
-        const elapsed = Date.now() - lastUpdateTime;
-        if (!hasReceivedData && elapsed > 10000) {
-          setProcessStatus('⚠️ No response from server - check connection');
-        } else if (elapsed > 8000) {
-          setProcessStatus(`⏳ Processing... (${Math.floor(elapsed / 1000)}s since last update)`);
-        }
-      }, 1000);
-      
-      // Set up overall timeout
-      overallTimeout = setTimeout(() => {
-        if (processing) {
-          setProcessLog(prev => prev + '\n❌ Processing timed out after 3 minutes\n');
-          setProcessStatus('❌ Processing timed out - operation may still be running in background');
+      // The job keeps running on the server if the connection drops; pick the stream up where it left off
+      let stream = response;
+      for (let attempt = 1; !result; attempt++) {
+        try {
+          if (!stream.ok) {
+            throw new Error(`HTTP ${stream.status}: ${stream.statusText}`);
+          }
+          await readEventStream(stream, onEvent);
+        } catch (error) {
+          console.warn('Progress stream interrupted:', error.message);
         }
-      }, 180000); // 3 minutes
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) {
-          clearInterval(activityTimeout);
+        if (result) {
           break;
         }
-
-        const chunk = decoder.decode(value, { stream: true });
-        if (chunk) {
-          hasReceivedData = true;
-          lastUpdateTime = Date.now();
-          setProcessLog(prev => prev + chunk);
-          
-          // Update status based on log content
-          const lines = chunk.split('\n').filter(line => line.trim());
-          if (lines.length > 0) {
-            const lastLine = lines[lines.length - 1];
-            
-            // Extract meaningful status updates
-            if (lastLine.includes('Step 1:')) {
-              setProcessStatus('📄 Step 1: Converting documents to markdown...');
-            } else if (lastLine.includes('Step 2:')) {
-              setProcessStatus('🤖 Step 2: Extracting job data with AI...');
-            } else if (lastLine.includes('Step 3:')) {
-              setProcessStatus('✅ Step 3: Validating extracted content...');
-            } else if (lastLine.includes('Step 4:')) {
-              setProcessStatus('💾 Step 4: Writing structured job files...');
-            } else if (lastLine.includes('Step 5:')) {
-              setProcessStatus('🔗 Step 5: Creating embeddings and indexing...');
-            } else if (lastLine.includes('Calling OpenAI API')) {
-              const blockMatch = lastLine.match(/block (\d+)\/(\d+)/);
-              if (blockMatch) {
-                setProcessStatus(`🤖 Processing job ${blockMatch[1]} of ${blockMatch[2]} with AI...`);
-              }
-            } else if (lastLine.includes('Processing batch')) {
-              setProcessStatus('⚡ Creating embeddings for search...');
-            } else {
-              // Clean status line for display
-              const cleanStatus = lastLine.replace(/^[\s]*[📁🔧📖💾⏭️✅❌🚀⚡📋🤖][\s]*/, '').trim();
-              if (cleanStatus && !cleanStatus.includes('   ')) {
-                setProcessStatus(cleanStatus);
-              }
-            }
-          }
+        if (attempt > MAX_RECONNECTS) {
+          throw new Error(`Lost connection to job ${jobId}; it may still be running`);
         }
+        setProcessStatus(`🔌 Connection lost, reconnecting (attempt ${attempt}/${MAX_RECONNECTS})...`);
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        stream = await fetch(`/api/jobs/${jobId}/events`, {
+          headers: { 'Accept': 'text/event-stream', 'Last-Event-ID': String(lastEventId), ...adminHeaders() }
+        }).catch(error => ({ ok: false, status: 0, statusText: error.message }));
+      }
+
+      if (result.status === 'completed') {
+        setProcessStatus('🎉 Processing completed successfully!');
+        await loadStats();
+        setTimeout(() => {
+          setProcessStatus('✅ Ready for next operation');
+        }, 3000);
+      } else {
+        setProcessStatus(`❌ Processing ${result.status}: ${result.error}`);
       }
-      
-      // Clear timeouts
-      clearInterval(activityTimeout);
-      clearTimeout(overallTimeout);
-      
-      // Show completion with summary
-      setProcessLog(prev => prev + '\n🎉 PROCESSING COMPLETED SUCCESSFULLY!\n');
-      setProcessStatus('🎉 Processing completed successfully!');
-      
-      // Load updated stats and show results
-      await loadStats();
-      
-      // Show success message with delay
-      setTimeout(() => {
-        setProcessStatus('✅ Ready for next operation');
-      }, 3000);
-      
     } catch (error) {
       setProcessLog(prev => prev + `\n❌ PROCESSING FAILED: ${error.message}\n`);
       setProcessStatus(`❌ Processing failed: ${error.message}`);
@@ -191,9 +323,16 @@ function App() {
     } finally {
       setProcessing(false);
       setIsProcessActive(false);
-      // Clean up any remaining timeouts
-      if (activityTimeout) clearInterval(activityTimeout);
-      if (overallTimeout) clearTimeout(overallTimeout);
+    }
+  };
+
+  const cancelProcess = async () => {
+    if (!pipeline?.jobId) return;
+    try {
+      await axios.post(`/api/jobs/${pipeline.jobId}/cancel`, null, { headers: adminHeaders() });
+      setProcessStatus('🛑 Cancelling after the current file...');
+    } catch (error) {
+      alert('❌ Cancel failed: ' + (error.response?.data?.error || error.message));
     }
   };
 
@@ -206,9 +345,19 @@ function App() {
     }
   };
 
-  // Load stats on component mount
+  const loadPersonas = async () => {
+    try {
+      const result = await axios.get('/api/chat/personas');
+      setPersonas(result.data.personas);
+    } catch (error) {
+      console.error('Failed to load personas:', error);
+    }
+  };
+
+  // Load stats and personas on component mount
   React.useEffect(() => {
     loadStats();
+    loadPersonas();
   }, []);
 
   return (
@@ -260,8 +409,50 @@ function App() {
                   {loading ? 'Asking...' : 'Ask'}
                 </button>
               </div>
+              {personas.length > 1 && (
+                <div className="persona-selector">
+                  <label htmlFor="persona-select">Answer for:</label>
+                  <select
+                    id="persona-select"
+                    value={persona}
+                    onChange={(e) => setPersona(e.target.value)}
+                    disabled={loading}
+                    className="persona-select"
+                  >
+                    {personas.map(option => (
+                      <option key={option.id} value={option.id} title={option.description}>
+                        {option.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
             </form>
 
+            {(session || previousTurns.length > 0) && (
+              <div className="conversation-controls">
+                <button
+                  type="button"
+                  onClick={handleNewConversation}
+                  disabled={loading}
+                  className="new-conversation-button"
+                >
+                  ✨ New conversation
+                </button>
+              </div>
+            )}
+
+            {previousTurns.length > 0 && (
+              <div className="previous-turns">
+                {previousTurns.map((turn, index) => (
+                  <div key={index} className="previous-turn">
+                    <div className="previous-question">{turn.question}</div>
+                    <div className="previous-answer">{turn.answer}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {response && (
               <div className="response-area">
                 <div className="response-header">
@@ -273,10 +464,69 @@ function App() {
                   )}
                 </div>
                 
-                <div className="response-text">
+                <div className={`response-text ${response.streaming ? 'streaming' : ''}`}>
                   {response.response}
                 </div>
 
+                {response.citations && response.citations.length > 0 && (
+                  <div className="citations-section">
+                    <h4>Citations:</h4>
+                    <ol className="citations-list">
+                      {response.citations.map(citation => (
+                        <li key={citation.marker} className="citation-item">
+                          <span className="citation-marker">[{citation.marker}]</span>
+                          <span className="citation-source">
+                            {citation.source.title}
+                            {citation.source.organization && ` at ${citation.source.organization}`}
+                          </span>
+                          {citation.dateRange.display && (
+                            <span className="citation-dates">{citation.dateRange.display}</span>
+                          )}
+                          <blockquote className="citation-excerpt">{citation.excerpt}</blockquote>
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+
+                {response.grounding && response.grounding.unsupportedCount > 0 && (
+                  <div className="grounding-warning">
+                    <h4>
+                      {response.grounding.removedCount > 0
+                        ? `⚠️ Removed ${response.grounding.removedCount} unsupported statement(s)`
+                        : '⚠️ Not supported by my sources:'}
+                    </h4>
+                    {response.grounding.removedCount === 0 && (
+                      <ul className="unsupported-claims">
+                        {response.grounding.claims
+                          .filter(claim => claim.verdict === 'unsupported')
+                          .map(claim => (
+                            <li key={claim.claim}>{claim.claim}</li>
+                          ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
+                {!response.streaming && response.suggestions && response.suggestions.length > 0 && (
+                  <div className="suggestions-section">
+                    <h4>Ask next:</h4>
+                    <div className="suggestion-chips">
+                      {response.suggestions.map(suggestion => (
+                        <button
+                          key={suggestion}
+                          type="button"
+                          onClick={() => handleSuggestionClick(suggestion)}
+                          disabled={loading}
+                          className="suggestion-chip"
+                        >
+                          {suggestion}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {response.sources && response.sources.length > 0 && (
                   <div className="sources-section">
                     <h4>Sources:</h4>
@@ -313,6 +563,18 @@ function App() {
                           <span className="label">Similarity:</span>
                           <span className="value">{Math.round((response.metadata.avgSimilarity || 0) * 100)}%</span>
                         </div>
+                        {response.grounding && (
+                          <div className="metadata-item">
+                            <span className="label">Grounding:</span>
+                            <span className="value">{Math.round(response.grounding.score * 100)}%</span>
+                          </div>
+                        )}
+                        {response.metadata.rewrittenQuery && (
+                          <div className="metadata-item full-width">
+                            <span className="label">Searched For:</span>
+                            <span className="value">{response.metadata.rewrittenQuery}</span>
+                          </div>
+                        )}
                         {response.metadata.reasoning && (
                           <div className="metadata-item full-width">
                             <span className="label">Reasoning:</span>
@@ -399,6 +661,14 @@ function App() {
             <div className="process-section">
               <h3>🔄 Process Documents</h3>
               <p>Run the AI ingestion pipeline to update the knowledge base</p>
+
+              <input
+                type="password"
+                value={adminToken}
+                onChange={handleAdminTokenChange}
+                placeholder="Admin token"
+                className="admin-token-input"
+              />
               
               <button
                 onClick={handleProcess}
@@ -408,12 +678,67 @@ function App() {
                 {processing ? '⏳ Processing...' : '🚀 Process Documents'}
               </button>
               
-              {/* Progress indicator */}
               {isProcessActive && (
+                <button
+                  onClick={cancelProcess}
+                  disabled={!pipeline?.jobId}
+                  className="process-button"
+                  style={{marginLeft: '10px', backgroundColor: '#c62828'}}
+                >
+                  🛑 Cancel
+                </button>
+              )}
+
+              {/* Progress per stage, and per file within the current stage */}
+              {pipeline && (
                 <div className="progress-section">
-                  <div className="progress-bar">
-                    <div className="progress-bar-fill"></div>
-                  </div>
+                  {PIPELINE_STAGES.map(name => {
+                    const stage = pipeline.stages[name] || {};
+                    const finished = ['completed', 'skipped'].includes(stage.status);
+                    const percent = finished ? 100 : stage.total ? Math.round((stage.done / stage.total) * 100) : 0;
+                    return (
+                      <div key={name} className={`progress-stage progress-stage-${stage.status || 'pending'}`}>
+                        <div className="progress-label">
+                          <span>{stage.label || name}</span>
+                          <span>{stage.status === 'running' && stage.total ? `${stage.done}/${stage.total} files` : stage.status || 'pending'}</span>
+                        </div>
+                        <div className="progress-bar">
+                          <div className="progress-bar-value" style={{ width: `${percent}%` }}></div>
+                        </div>
+                      </div>
+                    );
+                  })}
+
+                  {isProcessActive && Object.keys(pipeline.files).length > 0 && (
+                    <div className="progress-files">
+                      {Object.entries(pipeline.files).map(([file, progress]) => {
+                        const percent = progress.totalChunks
+                          ? Math.round((progress.embedded / progress.totalChunks) * 100)
+                          : progress.status === 'started' ? 0 : 100;
+                        return (
+                          <div key={file} className={`progress-file progress-file-${progress.status}`}>
+                            <div className="progress-label">
+                              <span>{file.split('/').pop()}</span>
+                              <span>{progress.totalChunks ? `${progress.embedded}/${progress.totalChunks} chunks` : progress.status}</span>
+                            </div>
+                            <div className="progress-bar">
+                              <div className="progress-bar-value" style={{ width: `${percent}%` }}></div>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+
+                  {pipeline.warnings.length > 0 && (
+                    <details className="progress-warnings">
+                      <summary>⚠️ {pipeline.warnings.length} warnings</summary>
+                      <ul>
+                        {pipeline.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+                      </ul>
+                    </details>
+                  )}
+
                   <div className="progress-status">
                     {processStatus || 'Processing...'}
                   </div>
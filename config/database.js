@@ -10,10 +10,92 @@ export const supabase = createClient(
   process.env.SUPABASE_ANON_KEY
 );
 
+// Service-role client for writes the anon key may not make (replace_source_chunks)
+export const supabaseAdmin = process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { autoRefreshToken: false, persistSession: false }
+  })
+  : null;
+
 // Database helper functions
+// PostgREST / Postgres codes for "function does not exist" (migration not applied yet)
+const MISSING_FUNCTION_CODES = ['PGRST202', '42883'];
+
+// Words too common to help lexical ranking in the in-memory fallback
+const STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'has', 'have', 'he', 'his', 'how', 'i', 'in', 'is', 'it', 'of', 'on', 'or', 'scott', 'that', 'the', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'with']);
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Lowercase terms, keeping hyphenated and dotted tokens such as "az-900" or "node.js" whole
+function lexicalTerms(text) {
+  return (text.toLowerCase().match(/[a-z0-9](?:[a-z0-9+#.-]*[a-z0-9+#])?/g) || [])
+    .filter(term => !STOP_WORDS.has(term));
+}
+
+// Keep chunks whose [date_start, date_end] span overlaps the range; an open date_end means ongoing
+function applyDateOverlap(query, dateRange) {
+  if (dateRange?.start) {
+    query = query.not('date_start', 'is', null).or(`date_end.gte.${dateRange.start},date_end.is.null`);
+  }
+  if (dateRange?.end) {
+    query = query.lte('date_start', dateRange.end);
+  }
+  return query;
+}
+
+function embeddingModelMismatch(embeddingModel, storedModels) {
+  return new Error(`No chunks have embeddings from ${embeddingModel} (stored embedding models: ${storedModels.join(', ')}). Re-index with this embedding provider or switch EMBEDDING_PROVIDER back.`);
+}
+
+// content_chunks columns written by the indexer and the data ingest route
+function chunkRow(chunkData) {
+  return {
+    source_id: chunkData.source_id,
+    title: chunkData.title,
+    content: chunkData.content,
+    content_summary: chunkData.content_summary,
+    section: chunkData.section || null,
+    skills: chunkData.skills,
+    tags: chunkData.tags,
+    date_start: chunkData.date_start,
+    date_end: chunkData.date_end,
+    token_count: chunkData.token_count,
+    embedding: chunkData.embedding,
+    embedding_model: chunkData.embedding_model,
+    file_hash: chunkData.file_hash,
+    created_at: new Date().toISOString()
+  };
+}
+
+// sources columns replace_source_chunks sets from a file's frontmatter; it keeps the hash, version and timestamps itself
+function sourceRow(sourceData) {
+  return {
+    id: sourceData.id,
+    type: sourceData.type,
+    title: sourceData.title,
+    org: sourceData.org,
+    location: sourceData.location,
+    date_start: sourceData.date_start,
+    date_end: sourceData.date_end,
+    industry_tags: sourceData.industry_tags,
+    summary: sourceData.summary,
+    file_path: sourceData.file_path
+  };
+}
+
+// The search functions return each chunk's columns as one jsonb `chunk` next to its scores
+function flattenSearchRows(rows) {
+  return rows.map(({ chunk, ...scores }) => ({ ...chunk, ...scores }));
+}
+
 class Database {
-  constructor(supabaseClient) {
+  constructor(supabaseClient, adminClient = null) {
     this.supabase = supabaseClient;
+    this.admin = adminClient;
+    // 'rpc' runs pgvector search in Postgres (migrations/add-vector-search.sql); 'js' scores chunks in Node
+    this.vectorSearch = process.env.VECTOR_SEARCH === 'js' ? 'js' : 'rpc';
+    this.textSearch = this.vectorSearch;
   }
 
   async insertSource(sourceData) {
@@ -30,6 +112,7 @@ class Database {
         industry_tags: sourceData.industry_tags,
         summary: sourceData.summary,
         url: sourceData.url,
+        file_path: sourceData.file_path,
         created_at: new Date().toISOString()
       })
       .select('id')
@@ -42,20 +125,7 @@ class Database {
   async insertChunk(chunkData) {
     const { data, error } = await this.supabase
       .from('content_chunks')
-      .insert({
-        source_id: chunkData.source_id,
-        title: chunkData.title,
-        content: chunkData.content,
-        content_summary: chunkData.content_summary,
-        skills: chunkData.skills,
-        tags: chunkData.tags,
-        date_start: chunkData.date_start,
-        date_end: chunkData.date_end,
-        token_count: chunkData.token_count,
-        embedding: chunkData.embedding,
-        file_hash: chunkData.file_hash,
-        created_at: new Date().toISOString()
-      })
+      .insert(chunkRow(chunkData))
       .select('id')
       .single();
 
@@ -63,8 +133,213 @@ class Database {
     return data;
   }
 
+  /**
+   * Insert several chunks in one statement, so either all of them are stored or none are
+   * @param {Array} chunks - Chunk data as for insertChunk
+   * @returns {Promise<Array>} - [{ id }] in input order
+   */
+  async insertChunks(chunks) {
+    const { data, error } = await this.supabase
+      .from('content_chunks')
+      .insert(chunks.map(chunkRow))
+      .select('id');
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Insert or update a source and replace every one of its chunks with a new version in one
+   * transaction, bumping the source's version (replace_source_chunks,
+   * migrations/add-source-versioning.sql). Only the service role may call the function, and there
+   * is no fallback: a replace that is not atomic could leave both versions searchable.
+   * @param {Object} source - Source data as for insertSource
+   * @param {string} fileHash - SHA-1 of the source file the chunks were cut from
+   * @param {Array} chunks - Chunk data as for insertChunk
+   * @returns {Promise<Object>} - { removed, version }
+   */
+  async replaceSourceChunks(source, fileHash, chunks) {
+    const rows = chunks.map(chunk => chunkRow({ ...chunk, source_id: source.id, file_hash: fileHash }));
+    return this.adminRpc('replace_source_chunks', {
+      p_source: sourceRow(source),
+      p_file_hash: fileHash,
+      p_chunks: rows
+    }, 'replace source chunks');
+  }
+
+  /**
+   * Call one of the functions in migrations/add-source-versioning.sql, which only the service role may execute
+   * @param {string} name - Function name
+   * @param {Object} params - Named arguments
+   * @param {string} action - What the call does, for the missing-key error
+   * @returns {Promise<*>} - The function's result
+   */
+  async adminRpc(name, params, action) {
+    if (!this.admin) {
+      throw new Error(`SUPABASE_SERVICE_ROLE_KEY is required to ${action}`);
+    }
+
+    const { data, error } = await this.admin.rpc(name, params);
+    if (error) {
+      if (MISSING_FUNCTION_CODES.includes(error.code)) {
+        throw new Error(`${name} function not found - run migrations/add-source-versioning.sql`);
+      }
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Count a source's chunks per file version, with the embedding models they were stored with
+   * @param {string} sourceId - Source id
+   * @returns {Promise<Object>} - { [fileHash]: { chunks, models } }; chunks without a hash count under 'none'
+   */
+  async getChunkVersions(sourceId) {
+    const { data, error } = await this.supabase
+      .from('content_chunks')
+      .select('file_hash, embedding_model')
+      .eq('source_id', sourceId);
+
+    if (error) throw error;
+    return data.reduce((versions, chunk) => {
+      const hash = chunk.file_hash || 'none';
+      versions[hash] = versions[hash] || { chunks: 0, models: [] };
+      const version = versions[hash];
+      version.chunks++;
+      if (!version.models.includes(chunk.embedding_model)) {
+        version.models.push(chunk.embedding_model);
+      }
+      return versions;
+    }, {});
+  }
+
+  /**
+   * Sources the indexer created from a file under sources/ (those with a recorded file_path)
+   * @returns {Promise<Array>} - [{ id, title, file_path, file_hash, version }]
+   */
+  async getFileSources() {
+    const { data, error } = await this.supabase
+      .from('sources')
+      .select('id, title, file_path, file_hash, version')
+      .not('file_path', 'is', null);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Record the file a source is indexed from (sources indexed before file tracking have none)
+   * @param {string} sourceId - Source id
+   * @param {string} filePath - Path relative to sources/
+   */
+  async setSourceFile(sourceId, filePath) {
+    const { error } = await this.supabase
+      .from('sources')
+      .update({ file_path: filePath })
+      .eq('id', sourceId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Delete a source and all of its chunks in one transaction (delete_source,
+   * migrations/add-source-versioning.sql), so a failure cannot leave a source without chunks
+   * @param {string} sourceId - Source id
+   * @returns {Promise<number>} - Chunks removed
+   */
+  async deleteSource(sourceId) {
+    return this.adminRpc('delete_source', { p_source_id: sourceId }, 'delete sources');
+  }
+
+  /**
+   * Find the chunks most similar to a query embedding.
+   * Uses the search_chunks SQL function when available, otherwise scores chunks in Node.
+   * @param {number[]} queryEmbedding - Query vector (omit to list chunks matching the filters)
+   * @param {Object} options - { limit, threshold, skills, tags, dateRange: { start, end } (overlap), embeddingModel }
+   * @returns {Promise<Array>} - Chunks with similarity, recency_score, filter_boost and combined_score
+   */
   async searchChunks(queryEmbedding, options = {}) {
-    const { limit = 10, threshold = 0.7, skills = [], tags = [], dateRange = null } = options;
+    // Vectors from different models live in unrelated spaces; never score them against each other
+    if (queryEmbedding && !options.embeddingModel) {
+      throw new Error('searchChunks needs options.embeddingModel to compare a query embedding');
+    }
+
+    if (queryEmbedding && this.vectorSearch === 'rpc') {
+      try {
+        return await this.searchChunksRpc(queryEmbedding, options);
+      } catch (error) {
+        if (!MISSING_FUNCTION_CODES.includes(error.code)) {
+          throw error;
+        }
+        console.warn('⚠️ search_chunks function not found - apply migrations/add-vector-search.sql. Falling back to in-memory search.');
+        this.vectorSearch = 'js';
+      }
+    }
+
+    return this.searchChunksInMemory(queryEmbedding, options);
+  }
+
+  /**
+   * Approximate nearest-neighbour search in Postgres via the search_chunks function
+   * @param {number[]} queryEmbedding - Query vector
+   * @param {Object} options - Same as searchChunks
+   * @returns {Promise<Array>} - Ranked chunks
+   */
+  async searchChunksRpc(queryEmbedding, options = {}) {
+    const { limit = 10, threshold = 0.7, skills = [], tags = [], dateRange = null, embeddingModel } = options;
+
+    const { data, error } = await this.supabase.rpc('search_chunks', {
+      query_embedding: queryEmbedding,
+      query_embedding_model: embeddingModel,
+      similarity_threshold: threshold,
+      max_results: limit,
+      filter_skills: skills,
+      filter_tags: tags,
+      date_after: dateRange?.start || null,
+      date_before: dateRange?.end || null
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    if (data.length === 0) {
+      await this.assertEmbeddingModelIndexed(embeddingModel);
+    }
+
+    console.log(`✅ Vector search returned ${data.length} chunks (threshold: ${threshold}, best similarity: ${data[0]?.similarity.toFixed(3) || 'N/A'})`);
+    return flattenSearchRows(data);
+  }
+
+  /**
+   * Throw if no stored chunk was embedded with the given model, so a provider switch
+   * without re-indexing surfaces as an error instead of empty results
+   * @param {string} embeddingModel - Model id, e.g. 'cohere/embed-english-v3.0'
+   */
+  async assertEmbeddingModelIndexed(embeddingModel) {
+    const { data, error } = await this.supabase
+      .from('content_chunks')
+      .select('embedding_model')
+      .not('embedding', 'is', null)
+      .limit(1000);
+
+    if (error) throw error;
+
+    const storedModels = [...new Set(data.map(chunk => chunk.embedding_model || 'unknown'))];
+    if (storedModels.length > 0 && !storedModels.includes(embeddingModel)) {
+      throw embeddingModelMismatch(embeddingModel, storedModels);
+    }
+  }
+
+  /**
+   * Score chunks in Node; used when the search_chunks function is unavailable or VECTOR_SEARCH=js.
+   * Only the first 1000 chunks are considered.
+   * @param {number[]} queryEmbedding - Query vector
+   * @param {Object} options - Same as searchChunks
+   * @returns {Promise<Array>} - Ranked chunks
+   */
+  async searchChunksInMemory(queryEmbedding, options = {}) {
+    const { limit = 10, threshold = 0.7, skills = [], tags = [], dateRange = null, embeddingModel = null } = options;
 
     console.log(`🔍 Searching chunks with threshold: ${threshold}`);
     console.log(`📊 Query embedding dimensions: ${queryEmbedding?.length || 'none'}`);
@@ -74,14 +349,13 @@ class Database {
     let query = this.supabase
       .from('content_chunks')
       .select(`
-        id, source_id, title, content, content_summary, skills, tags,
-        date_start, date_end, token_count, embedding,
+        id, source_id, title, content, content_summary, section, skills, tags,
+        date_start, date_end, token_count, embedding, embedding_model,
         sources (id, type, title, org, location)
       `);
 
     // Only apply date filters at query level (they're not the issue)
-    if (dateRange?.start) query = query.gte('date_start', dateRange.start);
-    if (dateRange?.end) query = query.lte('date_end', dateRange.end);
+    query = applyDateOverlap(query, dateRange);
 
     // Get a MUCH larger sample or ALL chunks to ensure we find the best matches
     // This is the key fix - we need to evaluate similarity on a complete dataset
@@ -121,8 +395,20 @@ class Database {
       }));
     }
 
+    const comparableChunks = data.filter(chunk => chunk.embedding_model === embeddingModel);
+    const otherModels = [...new Set(
+      data.filter(chunk => chunk.embedding_model !== embeddingModel).map(chunk => chunk.embedding_model || 'unknown')
+    )];
+
+    if (comparableChunks.length === 0) {
+      throw embeddingModelMismatch(embeddingModel, otherModels);
+    }
+    if (otherModels.length > 0) {
+      console.warn(`⚠️ Skipping ${data.length - comparableChunks.length} chunks embedded with ${otherModels.join(', ')}; query uses ${embeddingModel}. Re-index to include them.`);
+    }
+
     // Calculate similarity for ALL chunks FIRST
-    const resultsWithSimilarity = data
+    const resultsWithSimilarity = comparableChunks
       .map(chunk => {
         let similarity = 0;
         
@@ -135,9 +421,10 @@ class Database {
               chunkEmbedding = JSON.parse(chunkEmbedding);
             }
             
-            if (Array.isArray(chunkEmbedding) && chunkEmbedding.length === queryEmbedding.length) {
-              similarity = this.cosineSimilarity(queryEmbedding, chunkEmbedding);
+            if (!Array.isArray(chunkEmbedding) || chunkEmbedding.length !== queryEmbedding.length) {
+              throw new Error(`Chunk ${chunk.id} has ${chunkEmbedding?.length} dimensions, query has ${queryEmbedding.length}`);
             }
+            similarity = this.cosineSimilarity(queryEmbedding, chunkEmbedding);
           } catch (error) {
             console.warn(`⚠️ Failed to parse embedding for chunk ${chunk.id}:`, error.message);
           }
@@ -171,8 +458,8 @@ class Database {
       });
 
     // Debug similarity scores
-    console.log(`📊 Similarity scores from ${data.length} chunks:`);
-    if (data.length > 0) {
+    console.log(`📊 Similarity scores from ${comparableChunks.length} chunks:`);
+    if (comparableChunks.length > 0) {
       const similarities = resultsWithSimilarity.map(r => r.similarity).sort((a, b) => b - a);
       console.log(`   - Highest: ${similarities[0]?.toFixed(3) || 'none'}`);
       console.log(`   - Top 5: ${similarities.slice(0, 5).map(s => s.toFixed(3)).join(', ')}`);
@@ -228,6 +515,108 @@ class Database {
     return finalResults;
   }
 
+  /**
+   * Full-text search over chunk titles and content via the search_chunks_text function.
+   * Falls back to BM25 scoring in Node when the function is unavailable.
+   * @param {string} queryText - Raw query text
+   * @param {Object} options - { limit, queryEmbedding, embeddingModel, dateRange }
+   * @returns {Promise<Array>} - Chunks with text_rank, best first (similarity filled in when an embedding is given)
+   */
+  async searchChunksText(queryText, options = {}) {
+    const { limit = 20, queryEmbedding = null, embeddingModel = null, dateRange = null } = options;
+
+    if (this.textSearch !== 'js') {
+      const { data, error } = await this.supabase.rpc('search_chunks_text', {
+        query_text: queryText,
+        max_results: limit,
+        query_embedding: queryEmbedding,
+        query_embedding_model: embeddingModel,
+        date_after: dateRange?.start || null,
+        date_before: dateRange?.end || null
+      });
+
+      if (!error) {
+        console.log(`📝 Text search returned ${data.length} chunks`);
+        return flattenSearchRows(data);
+      }
+      if (!MISSING_FUNCTION_CODES.includes(error.code)) {
+        throw error;
+      }
+      console.warn('⚠️ search_chunks_text function not found - apply migrations/add-hybrid-search.sql. Falling back to in-memory text search.');
+      this.textSearch = 'js';
+    }
+
+    return this.searchChunksTextInMemory(queryText, options);
+  }
+
+  /**
+   * BM25 over the first 1000 chunks; titles count double
+   * @param {string} queryText - Raw query text
+   * @param {Object} options - Same as searchChunksText
+   * @returns {Promise<Array>} - Ranked chunks
+   */
+  async searchChunksTextInMemory(queryText, options = {}) {
+    const { limit = 20, queryEmbedding = null, embeddingModel = null, dateRange = null } = options;
+    const queryTerms = [...new Set(lexicalTerms(queryText))];
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    let query = this.supabase
+      .from('content_chunks')
+      .select(`
+        id, source_id, title, content, content_summary, section, skills, tags,
+        date_start, date_end, token_count, embedding_model${queryEmbedding ? ', embedding' : ''},
+        sources (id, type, title, org, location)
+      `);
+    query = applyDateOverlap(query, dateRange);
+
+    const { data, error } = await query.limit(1000);
+    if (error) throw error;
+
+    const documents = data.map(chunk => {
+      const terms = [...lexicalTerms(chunk.title || ''), ...lexicalTerms(chunk.title || ''), ...lexicalTerms(chunk.content || '')];
+      const counts = new Map();
+      terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+      return { chunk, counts, length: terms.length };
+    });
+
+    const avgLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+    const idf = new Map(queryTerms.map(term => {
+      const docFrequency = documents.filter(doc => doc.counts.has(term)).length;
+      return [term, Math.log(1 + (documents.length - docFrequency + 0.5) / (docFrequency + 0.5))];
+    }));
+
+    const results = documents
+      .map(doc => {
+        const textRank = queryTerms.reduce((score, term) => {
+          const frequency = doc.counts.get(term) || 0;
+          return score + idf.get(term) * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+        }, 0);
+        return { doc, textRank };
+      })
+      .filter(result => result.textRank > 0)
+      .sort((a, b) => b.textRank - a.textRank)
+      .slice(0, limit)
+      .map(({ doc, textRank }) => {
+        const { embedding, ...chunk } = doc.chunk;
+        let similarity = 0;
+        if (queryEmbedding && embedding && chunk.embedding_model === embeddingModel) {
+          similarity = this.cosineSimilarity(queryEmbedding, typeof embedding === 'string' ? JSON.parse(embedding) : embedding);
+        }
+        return {
+          ...chunk,
+          text_rank: textRank,
+          similarity,
+          recency_score: chunk.date_end ?
+            Math.max(0, 1.0 - (Date.now() - new Date(chunk.date_end).getTime()) / (365 * 24 * 60 * 60 * 1000 * 2)) : 0.5
+        };
+      });
+
+    console.log(`📝 In-memory text search returned ${results.length} chunks`);
+    return results;
+  }
+
   // Calculate cosine similarity between two vectors
   cosineSimilarity(vecA, vecB) {
     if (!vecA || !vecB || vecA.length !== vecB.length) {
@@ -309,6 +698,16 @@ class Database {
     };
   }
 
+  async getResumeSources() {
+    const { data, error } = await this.supabase
+      .from('sources')
+      .select('id, type, title, org, location, date_start, date_end, industry_tags, skills, outcomes, summary')
+      .order('date_start', { ascending: false, nullsFirst: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
   async getUniqueSkills() {
     const { data, error } = await this.supabase.from('content_chunks').select('skills');
     if (error) throw error;
@@ -335,9 +734,126 @@ class Database {
     return Array.from(allTags).sort();
   }
 
+  async getUniqueIndustryTags() {
+    const { data, error } = await this.supabase.from('sources').select('industry_tags');
+    if (error) throw error;
+
+    const allIndustries = new Set();
+    data.forEach(source => {
+      if (Array.isArray(source.industry_tags)) {
+        source.industry_tags.forEach(industry => allIndustries.add(industry));
+      }
+    });
+    return Array.from(allIndustries).sort();
+  }
+
+  async getUniqueOrgs() {
+    const { data, error } = await this.supabase.from('sources').select('org').not('org', 'is', null);
+    if (error) throw error;
+
+    return Array.from(new Set(data.map(source => source.org.trim()).filter(Boolean))).sort();
+  }
+
+  async getAllSynonyms() {
+    const { data, error } = await this.supabase.from('synonyms').select('term, aliases');
+    if (error) throw error;
+    return data;
+  }
+
   async getSynonyms(word) {
     return [];
   }
+
+  async createChatSession(sessionData = {}) {
+    const { data, error } = await this.supabase
+      .from('chat_sessions')
+      .insert({
+        title: sessionData.title || null,
+        token_hash: sessionData.token_hash,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .select('*')
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getChatSession(sessionId) {
+    const { data, error } = await this.supabase
+      .from('chat_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listChatSessions(limit = 50) {
+    const { data, error } = await this.supabase
+      .from('chat_sessions')
+      .select('id, title, created_at, updated_at')
+      .order('updated_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async updateChatSession(sessionId, fields) {
+    const { error } = await this.supabase
+      .from('chat_sessions')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', sessionId);
+
+    if (error) throw error;
+  }
+
+  async deleteChatSession(sessionId) {
+    const { data, error } = await this.supabase
+      .from('chat_sessions')
+      .delete()
+      .eq('id', sessionId)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  async insertChatMessage(messageData) {
+    const { data, error } = await this.supabase
+      .from('chat_messages')
+      .insert({
+        session_id: messageData.session_id,
+        role: messageData.role,
+        content: messageData.content,
+        chunk_ids: messageData.chunk_ids || [],
+        token_count: messageData.token_count,
+        metadata: messageData.metadata || {},
+        created_at: new Date().toISOString()
+      })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getChatMessages(sessionId, options = {}) {
+    const { afterId = 0 } = options;
+
+    const { data, error } = await this.supabase
+      .from('chat_messages')
+      .select('id, role, content, chunk_ids, token_count, metadata, created_at')
+      .eq('session_id', sessionId)
+      .gt('id', afterId)
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
 }
 
-export const db = new Database(supabase);
\ No newline at end of file
+export const db = new Database(supabase, supabaseAdmin);
\ No newline at end of file
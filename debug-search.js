@@ -50,6 +50,7 @@ async function debugSearch() {
     console.log('\n=== Test 5: Database search with embedding ===');
     if (testEmbedding) {
       const embeddingSearchResults = await db.searchChunks(testEmbedding, {
+        embeddingModel: embeddingService.modelId,
         similarityThreshold: 0.5,
         maxResults: 5
       });
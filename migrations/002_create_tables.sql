@@ -13,6 +13,10 @@ CREATE TABLE scottgpt.sources (
     industry_tags TEXT[] DEFAULT '{}', -- e.g., {'AI/ML','Cybersecurity','Gov'}
     summary TEXT, -- 1-3 sentence human summary for display
     url TEXT, -- link on your site if applicable
+    file_path TEXT, -- relative to sources/, e.g. 'jobs/acme-director.md'
+    file_hash TEXT, -- SHA-1 of the indexed version of that file
+    version INTEGER NOT NULL DEFAULT 0,
+    indexed_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -24,13 +28,15 @@ CREATE TABLE scottgpt.content_chunks (
     title TEXT NOT NULL, -- short label: "Value-stream PMO results"
     content TEXT NOT NULL, -- the actual text with header prefix
     content_summary TEXT, -- 1-2 sentence summary of this chunk
+    section TEXT, -- markdown heading the chunk came from, e.g. 'Highlights'
     skills TEXT[] DEFAULT '{}', -- e.g., {'RAG','pgvector','Prompt Eng','Agile'}
     tags TEXT[] DEFAULT '{}', -- e.g., {'Program Mgmt','OT Security','Healthcare'}
     date_start DATE,
     date_end DATE,
     token_count INTEGER,
-    embedding vector(1536), -- OpenAI ada-002 dimensions
-    summary_embedding vector(1536), -- optional for summary
+    embedding vector(1024), -- storage dimension from config/embeddings.json
+    summary_embedding vector(1024), -- optional for summary
+    embedding_model TEXT, -- e.g., 'cohere/embed-english-v3.0'; only same-model vectors are compared
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -21,7 +21,7 @@ CREATE TRIGGER update_content_chunks_updated_at
 
 -- Advanced search function with filters and ranking
 CREATE OR REPLACE FUNCTION scottgpt.search_chunks(
-    query_embedding vector(1536),
+    query_embedding vector(1024),
     filter_skills TEXT[] DEFAULT '{}',
     filter_tags TEXT[] DEFAULT '{}',
     filter_industries TEXT[] DEFAULT '{}',
@@ -0,0 +1,26 @@
+-- Server-side chat sessions with persistent history
+-- Run this in Supabase SQL Editor after public-schema.sql
+
+CREATE TABLE IF NOT EXISTS chat_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT,
+    token_hash TEXT NOT NULL, -- SHA-256 of the secret token the client sends as X-Session-Token
+    summary TEXT, -- rolling summary of turns that no longer fit the history budget
+    summarized_through INTEGER NOT NULL DEFAULT 0, -- id of the last chat_messages row folded into summary
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id SERIAL PRIMARY KEY,
+    session_id UUID NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    chunk_ids INTEGER[] DEFAULT '{}', -- content_chunks retrieved to produce an assistant answer
+    token_count INTEGER,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_updated_at ON chat_sessions(updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_session_id ON chat_messages(session_id, id);
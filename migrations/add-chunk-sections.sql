@@ -0,0 +1,6 @@
+-- Section of the source document each chunk came from ('Context', 'Highlights',
+-- 'Technical Details', 'Key Accomplishments', ...), set by the heading-aware chunker
+-- in services/chunker.js. Retrieval favors achievement sections for questions about
+-- accomplishments. Run after add-hybrid-search.sql, then reindex to fill it in.
+-- search_chunks and search_chunks_text return every chunk column, so they pick it up as is.
+ALTER TABLE content_chunks ADD COLUMN IF NOT EXISTS section TEXT;
@@ -0,0 +1,11 @@
+-- Record which embedding model produced each chunk vector.
+-- Searches only compare a query against chunks embedded by the same model
+-- (see config/embeddings.json for the model ids).
+ALTER TABLE content_chunks ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+
+-- Everything indexed before this column existed came from Cohere embed-english-v3.0
+UPDATE content_chunks
+SET embedding_model = 'cohere/embed-english-v3.0'
+WHERE embedding IS NOT NULL AND embedding_model IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_content_chunks_embedding_model ON content_chunks (embedding_model);
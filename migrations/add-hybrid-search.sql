@@ -0,0 +1,84 @@
+-- Full-text search over content_chunks, run alongside vector search and merged
+-- with reciprocal rank fusion in services/retrieval.js.
+-- Run after add-vector-search.sql.
+
+-- Titles weigh more than body text; the 'simple' part keeps exact tokens such as
+-- product names, acronyms and cert codes (e.g. "az-900") that English stemming would alter
+ALTER TABLE content_chunks ADD COLUMN IF NOT EXISTS search_vector tsvector
+GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(content, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(content, '')), 'C')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_content_chunks_search_vector ON content_chunks USING gin (search_vector);
+
+-- Chunks ranked by ts_rank_cd against any term of the query (OR semantics, so a
+-- natural-language question still matches chunks that contain only its key terms).
+-- When a query embedding is given, similarity is filled in for chunks from the same model.
+-- Dates filter by overlap and chunks come back as jsonb, both as in search_chunks.
+DROP FUNCTION IF EXISTS search_chunks_text(text, int, vector, text, date, date);
+
+CREATE OR REPLACE FUNCTION search_chunks_text(
+    query_text text,
+    max_results int DEFAULT 20,
+    query_embedding vector(1024) DEFAULT NULL,
+    query_embedding_model text DEFAULT NULL,
+    date_after date DEFAULT NULL,
+    date_before date DEFAULT NULL
+)
+RETURNS TABLE (
+    chunk jsonb,
+    sources jsonb,
+    text_rank float,
+    similarity float,
+    recency_score float
+)
+LANGUAGE sql STABLE
+AS $$
+    WITH terms AS (
+        SELECT lexeme FROM unnest(to_tsvector('english', query_text))
+        UNION
+        SELECT lexeme FROM unnest(to_tsvector('simple', query_text))
+    ),
+    q AS (
+        SELECT to_tsquery('simple', string_agg(quote_literal(lexeme), ' | ')) AS query
+        FROM terms
+    ),
+    ranked AS (
+        SELECT
+            cc.*,
+            ts_rank_cd(cc.search_vector, q.query)::float AS text_rank
+        FROM content_chunks cc, q
+        WHERE q.query IS NOT NULL
+          AND cc.search_vector @@ q.query
+          AND chunk_overlaps_dates(cc.date_start, cc.date_end, date_after, date_before)
+        ORDER BY text_rank DESC
+        LIMIT max_results
+    )
+    SELECT
+        to_jsonb(r) - 'embedding' - 'search_vector' - 'text_rank' AS chunk,
+        jsonb_build_object(
+            'id', src.id,
+            'type', src.type,
+            'title', src.title,
+            'org', src.org,
+            'location', src.location
+        ) AS sources,
+        r.text_rank,
+        CASE
+            WHEN query_embedding IS NOT NULL AND r.embedding IS NOT NULL AND r.embedding_model = query_embedding_model
+                THEN (1 - (r.embedding <=> query_embedding))::float
+            ELSE 0
+        END AS similarity,
+        CASE
+            WHEN r.date_end IS NOT NULL THEN
+                GREATEST(0, 1.0 - EXTRACT(epoch FROM (NOW() - r.date_end::timestamptz)) / (365 * 24 * 3600 * 2))::float
+            ELSE 0.5
+        END AS recency_score
+    FROM ranked r
+    LEFT JOIN sources src ON src.id = r.source_id
+    ORDER BY r.text_rank DESC;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_chunks_text TO anon, authenticated;
@@ -0,0 +1,112 @@
+-- Source-level versioning for the indexer. Each source records the file it was indexed
+-- from and the SHA-1 of that file's current version. Re-indexing an edited file swaps
+-- all of its chunks in one transaction, and a source whose file has been deleted is
+-- removed along with its chunks. Run after add-chunk-sections.sql.
+
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS file_path TEXT; -- relative to sources/, e.g. 'jobs/acme-director.md'
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS file_hash TEXT;
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS indexed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_content_chunks_source_hash ON content_chunks (source_id, file_hash);
+
+-- Edits made before this migration left every earlier version's chunks in place.
+-- Keep only the most recently indexed version of each source.
+WITH latest AS (
+    SELECT DISTINCT ON (source_id) source_id, file_hash
+    FROM content_chunks
+    WHERE file_hash IS NOT NULL
+    ORDER BY source_id, created_at DESC
+)
+DELETE FROM content_chunks cc
+USING latest
+WHERE cc.source_id = latest.source_id
+  AND cc.file_hash IS NOT NULL
+  AND cc.file_hash <> latest.file_hash;
+
+UPDATE sources s
+SET file_hash = latest.file_hash
+FROM (
+    SELECT DISTINCT ON (source_id) source_id, file_hash
+    FROM content_chunks
+    WHERE file_hash IS NOT NULL
+    ORDER BY source_id, created_at DESC
+) latest
+WHERE s.id = latest.source_id AND s.file_hash IS NULL;
+
+-- Swap a source's chunks for a new version: the source record is inserted or updated, the
+-- old chunks deleted and the new ones inserted in the same transaction, so searches see one
+-- version or the other, never both, and a failure leaves the stored source untouched.
+-- p_source is a sources row and p_chunks a JSON array of content_chunks rows (see
+-- sourceRow and chunkRow in config/database.js).
+DROP FUNCTION IF EXISTS replace_source_chunks(text, text, jsonb);
+
+CREATE OR REPLACE FUNCTION replace_source_chunks(p_source jsonb, p_file_hash text, p_chunks jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    target_id text := p_source->>'id';
+    removed int;
+    new_version int;
+BEGIN
+    INSERT INTO sources (id, type, title, org, location, date_start, date_end, industry_tags, summary, file_path)
+    SELECT s.id, s.type, s.title, s.org, s.location, s.date_start, s.date_end, s.industry_tags, s.summary, s.file_path
+    FROM jsonb_populate_record(NULL::sources, p_source) s
+    ON CONFLICT (id) DO UPDATE SET
+        type = EXCLUDED.type,
+        title = EXCLUDED.title,
+        org = EXCLUDED.org,
+        location = EXCLUDED.location,
+        date_start = EXCLUDED.date_start,
+        date_end = EXCLUDED.date_end,
+        industry_tags = EXCLUDED.industry_tags,
+        summary = EXCLUDED.summary,
+        file_path = EXCLUDED.file_path;
+
+    DELETE FROM content_chunks WHERE source_id = target_id;
+    GET DIAGNOSTICS removed = ROW_COUNT;
+
+    INSERT INTO content_chunks (
+        source_id, title, content, content_summary, section, skills, tags, date_start, date_end,
+        token_count, embedding, embedding_model, file_hash
+    )
+    SELECT
+        target_id, c.title, c.content, c.content_summary, c.section, c.skills, c.tags, c.date_start, c.date_end,
+        c.token_count, c.embedding, c.embedding_model, p_file_hash
+    FROM jsonb_populate_recordset(NULL::content_chunks, p_chunks) c;
+
+    UPDATE sources
+    SET file_hash = p_file_hash, version = version + 1, indexed_at = NOW(), updated_at = NOW()
+    WHERE id = target_id
+    RETURNING version INTO new_version;
+
+    RETURN jsonb_build_object('removed', removed, 'version', new_version);
+END;
+$$;
+
+-- Deletes and rewrites any source's chunks, so only the server's service-role key may call it.
+-- Functions are executable by PUBLIC by default, and Supabase also grants new ones to anon and authenticated.
+REVOKE ALL ON FUNCTION replace_source_chunks(jsonb, text, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION replace_source_chunks(jsonb, text, jsonb) TO service_role;
+
+-- Delete a source and its chunks in one transaction, returning how many chunks were removed.
+-- The foreign key would cascade, but deleting the chunks first gives the count.
+CREATE OR REPLACE FUNCTION delete_source(p_source_id text)
+RETURNS int
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    removed int;
+BEGIN
+    DELETE FROM content_chunks WHERE source_id = p_source_id;
+    GET DIAGNOSTICS removed = ROW_COUNT;
+
+    DELETE FROM sources WHERE id = p_source_id;
+
+    RETURN removed;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION delete_source(text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION delete_source(text) TO service_role;
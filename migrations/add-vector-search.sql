@@ -0,0 +1,109 @@
+-- Server-side vector search for content_chunks.
+-- Replaces the client-side scan that pulled 1000 rows into Node and scored them in JavaScript.
+-- Requires pgvector >= 0.5.0 for HNSW; run after add-embedding-model.sql.
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- HNSW keeps recall high without the periodic rebuilds IVFFlat needs as chunks are added
+DROP INDEX IF EXISTS idx_content_chunks_embedding;
+CREATE INDEX IF NOT EXISTS idx_content_chunks_embedding_hnsw ON content_chunks
+USING hnsw (embedding vector_cosine_ops) WITH (m = 16, ef_construction = 64);
+
+-- True when [chunk_start, chunk_end] overlaps [range_start, range_end]; NULL range bounds are open.
+-- A chunk spanning 2014-2019 matches "between 2015 and 2018", and an ongoing role (no date_end)
+-- matches "recent". Undated chunks never match an active date filter.
+CREATE OR REPLACE FUNCTION chunk_overlaps_dates(chunk_start date, chunk_end date, range_start date, range_end date)
+RETURNS boolean
+LANGUAGE sql IMMUTABLE
+AS $$
+    SELECT (range_start IS NULL OR (chunk_start IS NOT NULL AND COALESCE(chunk_end, 'infinity'::date) >= range_start))
+       AND (range_end IS NULL OR (chunk_start IS NOT NULL AND chunk_start <= range_end));
+$$;
+
+-- Nearest chunks for one embedding model, with the same scoring db.searchChunks used in JS:
+--   combined_score = similarity * 0.8 + recency * 0.1 + filter_boost * 0.1
+-- Skill/tag filters are a soft preference: matching chunks are returned first, then the rest.
+-- Each chunk's columns come back as one jsonb `chunk` (without the embedding and the full-text
+-- search_vector), so columns added to content_chunks later are returned without redefining the function.
+DROP FUNCTION IF EXISTS search_chunks(vector, text, float, int, text[], text[], date, date);
+
+CREATE OR REPLACE FUNCTION search_chunks(
+    query_embedding vector(1024),
+    query_embedding_model text,
+    similarity_threshold float DEFAULT 0.25,
+    max_results int DEFAULT 10,
+    filter_skills text[] DEFAULT '{}',
+    filter_tags text[] DEFAULT '{}',
+    date_after date DEFAULT NULL,
+    date_before date DEFAULT NULL
+)
+RETURNS TABLE (
+    chunk jsonb,
+    sources jsonb,
+    similarity float,
+    recency_score float,
+    filter_boost float,
+    combined_score float,
+    matches_filters boolean
+)
+LANGUAGE sql VOLATILE
+SET hnsw.ef_search = 100
+AS $$
+    -- An HNSW scan returns at most ef_search candidates, and the model, date and threshold
+    -- filters run after it; size the scan for the rows asked for (settings revert on return)
+    SELECT set_config('hnsw.ef_search', LEAST(1000, GREATEST(100, max_results * 2))::text, true);
+    -- pgvector 0.8+ keeps scanning until enough rows pass the filters
+    SELECT set_config('hnsw.iterative_scan', 'strict_order', true)
+    FROM pg_extension
+    WHERE extname = 'vector' AND string_to_array(extversion, '.')::int[] >= ARRAY[0, 8];
+
+    WITH nearest AS (
+        SELECT
+            cc.*,
+            to_jsonb(cc) - 'embedding' - 'search_vector' AS chunk,
+            (1 - (cc.embedding <=> query_embedding))::float AS similarity
+        FROM content_chunks cc
+        WHERE cc.embedding IS NOT NULL
+          AND cc.embedding_model = query_embedding_model
+          AND chunk_overlaps_dates(cc.date_start, cc.date_end, date_after, date_before)
+          AND 1 - (cc.embedding <=> query_embedding) >= similarity_threshold
+        ORDER BY cc.embedding <=> query_embedding
+        LIMIT max_results * 2
+    ),
+    scored AS (
+        SELECT
+            n.*,
+            CASE
+                WHEN n.date_end IS NOT NULL THEN
+                    GREATEST(0, 1.0 - EXTRACT(epoch FROM (NOW() - n.date_end::timestamptz)) / (365 * 24 * 3600 * 2))::float
+                ELSE 0.5
+            END AS recency_score,
+            (0.02 * (
+                (SELECT count(*) FROM unnest(filter_skills) f WHERE f = ANY(COALESCE(n.skills, '{}'))) +
+                (SELECT count(*) FROM unnest(filter_tags) f WHERE f = ANY(COALESCE(n.tags, '{}')))
+            ))::float AS filter_boost,
+            (cardinality(filter_skills) = 0 OR COALESCE(n.skills, '{}') && filter_skills)
+                OR (cardinality(filter_tags) = 0 OR COALESCE(n.tags, '{}') && filter_tags) AS matches_filters
+        FROM nearest n
+    )
+    SELECT
+        s.chunk,
+        jsonb_build_object(
+            'id', src.id,
+            'type', src.type,
+            'title', src.title,
+            'org', src.org,
+            'location', src.location
+        ) AS sources,
+        s.similarity,
+        s.recency_score,
+        s.filter_boost,
+        s.similarity * 0.8 + s.recency_score * 0.1 + s.filter_boost * 0.1 AS combined_score,
+        s.matches_filters
+    FROM scored s
+    LEFT JOIN sources src ON src.id = s.source_id
+    ORDER BY s.matches_filters DESC, s.similarity DESC
+    LIMIT max_results;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_chunks TO anon, authenticated;
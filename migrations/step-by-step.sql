@@ -18,6 +18,10 @@ CREATE TABLE scottgpt.sources (
     outcomes TEXT[] DEFAULT '{}',
     summary TEXT,
     pii_allow BOOLEAN DEFAULT false,
+    file_path TEXT,
+    file_hash TEXT,
+    version INTEGER NOT NULL DEFAULT 0,
+    indexed_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -29,6 +33,7 @@ CREATE TABLE scottgpt.content_chunks (
     title TEXT,
     content TEXT NOT NULL,
     content_summary TEXT,
+    section TEXT,
     chunk_index INTEGER NOT NULL DEFAULT 0,
     skills TEXT[] DEFAULT '{}',
     tags TEXT[] DEFAULT '{}',
@@ -36,6 +41,7 @@ CREATE TABLE scottgpt.content_chunks (
     date_end DATE,
     embedding vector(1024),
     summary_embedding vector(1024),
+    embedding_model TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -1,96 +1,387 @@
 import express from 'express';
 import RAGService from '../services/rag.js';
+import SessionService from '../services/sessions.js';
+import PersonaService from '../services/personas.js';
+import { requireAdmin } from '../utils/admin-auth.js';
 
 const router = express.Router();
 
 const rag = new RAGService();
+const sessions = new SessionService();
+const personas = new PersonaService();
 
-// POST /api/chat - Main chat endpoint
+// chat_sessions.id is a UUID column; anything else can't name a session
+const SESSION_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Map RAG errors to user-friendly messages
+function toUserErrorMessage(error) {
+  if (error.message.includes('rate limit')) {
+    return 'I\'m currently experiencing high demand. Please try again in a moment.';
+  } else if (error.message.includes('API key')) {
+    return 'There\'s a configuration issue on my end. Please contact support.';
+  } else if (error.message.includes('embedding')) {
+    return 'I had trouble understanding your question. Please try rephrasing it.';
+  } else if (error.message.includes('database') || error.message.includes('supabase')) {
+    return 'I\'m having trouble accessing my knowledge base right now. Please try again shortly.';
+  }
+  return 'I apologize, but I encountered an error processing your question.';
+}
+
+// Shape RAG sources for the client
+function formatSources(sources = []) {
+  return sources.map(source => ({
+    title: source.title,
+    organization: source.org,
+    type: source.type
+  }));
+}
+
+// Shape a RAG result into the /api/chat response payload
+function formatChatResponse(result, options = {}) {
+  const response = {
+    response: result.answer,
+    confidence: result.confidence,
+    sources: formatSources(result.sources),
+    citations: result.citations || [],
+    grounding: result.grounding || null,
+    suggestions: result.suggestions || [],
+    metadata: {
+      processingTime: result.processingTime,
+      tokensUsed: result.tokensUsed,
+      totalChunksFound: result.totalChunksFound,
+      avgSimilarity: result.avgSimilarity,
+      duplicatesSuppressed: result.duplicatesSuppressed || 0,
+      reasoning: result.reasoning,
+      persona: result.persona,
+      rewrittenQuery: result.rewrittenQuery || null
+    }
+  };
+
+  // Include detailed context if requested (for debugging)
+  if (options.includeContext && result.contextUsed) {
+    response.contextUsed = result.contextUsed;
+  }
+
+  return response;
+}
+
+// Validate an incoming chat message, returning the trimmed query or an error
+function validateMessage(message) {
+  if (!message || typeof message !== 'string') {
+    return { error: 'Message is required and must be a string' };
+  }
+
+  const query = message.trim();
+
+  if (query.length === 0) {
+    return { error: 'Message cannot be empty' };
+  }
+
+  if (query.length > 1000) {
+    return { error: 'Message is too long. Please keep it under 1000 characters.' };
+  }
+
+  return { query };
+}
+
+// Reject unknown personas and malformed retrieval options before any retrieval work is done
+async function validateOptions(options) {
+  if (options?.persona && !await personas.getPersona(options.persona)) {
+    const available = (await personas.listPersonas()).map(persona => persona.id);
+    return `Unknown persona "${options.persona}". Available personas: ${available.join(', ')}`;
+  }
+
+  const weights = options?.searchWeights;
+  if (weights !== undefined) {
+    const valid = weights && typeof weights === 'object' &&
+      Object.entries(weights).every(([key, value]) => ['vector', 'text'].includes(key) && typeof value === 'number' && value >= 0);
+    if (!valid) {
+      return 'searchWeights must be an object with non-negative numeric "vector" and/or "text" weights';
+    }
+  }
+
+  if (options?.mmrLambda !== undefined && !(typeof options.mmrLambda === 'number' && options.mmrLambda >= 0 && options.mmrLambda <= 1)) {
+    return 'mmrLambda must be a number between 0 and 1';
+  }
+
+  if (options?.maxChunksPerSource !== undefined && !(Number.isInteger(options.maxChunksPerSource) && options.maxChunksPerSource >= 1)) {
+    return 'maxChunksPerSource must be a positive integer';
+  }
+
+  return null;
+}
+
+// Keep only plain user/assistant turns from client-supplied history
+function sanitizeHistory(history) {
+  if (!Array.isArray(history)) {
+    return [];
+  }
+
+  return history.filter(entry =>
+    entry && ['user', 'assistant'].includes(entry.role) && typeof entry.content === 'string'
+  ).map(entry => ({ role: entry.role, content: entry.content }));
+}
+
+// Translate request options into RAG generation options
+function buildRagOptions(options, conversation = {}) {
+  return {
+    maxContextChunks: options?.maxContext || 12,
+    includeContext: options?.includeContext || false,
+    conversationHistory: conversation.history || [],
+    conversationSummary: conversation.summary || null,
+    askedQuestions: conversation.askedQuestions || [],
+    llmSuggestions: options?.llmSuggestions || false,
+    temperature: options?.temperature || 0.4,
+    maxTokens: options?.maxTokens, // unset: the persona's length budget applies
+    persona: options?.persona || 'default',
+    rewriteQuery: options?.rewriteQuery !== false,
+    searchWeights: options?.searchWeights,
+    mmrLambda: options?.mmrLambda,
+    maxChunksPerSource: options?.maxChunksPerSource,
+    groundingMode: options?.removeUnsupportedClaims ? 'remove' : 'flag'
+  };
+}
+
+// Whether the client asked for a token stream instead of a single JSON body
+function wantsEventStream(req) {
+  return req.body.options?.stream === true || (req.get('Accept') || '').includes('text/event-stream');
+}
+
+// Stream an answer as Server-Sent Events: metadata, token..., done (or error)
+async function streamChatResponse(req, res, query, ragOptions, onComplete) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  // Stop generating if the visitor closes the tab mid-answer
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  try {
+    const result = await rag.streamAnswer(query, { ...ragOptions, signal: abortController.signal }, (event, data) => {
+      if (event === 'metadata') {
+        sendEvent('metadata', { ...data, sources: formatSources(data.sources) });
+      } else {
+        sendEvent(event, data);
+      }
+    });
+
+    const extra = await onComplete(result);
+    sendEvent('done', { ...formatChatResponse(result, ragOptions), ...extra });
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('🔌 Chat stream closed by client');
+      return;
+    }
+    console.error('Chat stream error:', error);
+    sendEvent('error', {
+      error: toUserErrorMessage(error),
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    res.end();
+  }
+}
+
+// Answer a query as JSON or as an event stream; onComplete(result) may return extra response fields
+async function sendChatResponse(req, res, query, ragOptions, onComplete = async () => ({})) {
+  console.log(`💬 Chat request: "${query}"`);
+  console.log(`🔧 Environment check - COHERE_API_KEY: ${process.env.COHERE_API_KEY ? 'Set' : 'Missing'}`);
+  const startTime = Date.now();
+
+  if (wantsEventStream(req)) {
+    await streamChatResponse(req, res, query, ragOptions, onComplete);
+    console.log(`✅ Chat stream finished in ${Date.now() - startTime}ms`);
+    return;
+  }
+
+  // Generate answer using RAG pipeline
+  const result = await rag.answerQuestion(query, ragOptions);
+
+  console.log('📊 RAG result summary:', { 
+    hasAnswer: !!result.answer, 
+    sourcesCount: result.sources?.length || 0,
+    confidence: result.confidence,
+    tokensUsed: result.tokensUsed || 0
+  });
+
+  const extra = await onComplete(result);
+
+  console.log(`✅ Chat response generated in ${Date.now() - startTime}ms`);
+
+  res.json({ ...formatChatResponse(result, ragOptions), ...extra });
+}
+
+// Report chat failures as JSON, unless an event stream has already started
+function handleChatError(res, error) {
+  console.error('Chat error:', error);
+
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+
+  res.status(500).json({ 
+    error: toUserErrorMessage(error),
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+// POST /api/chat - Main chat endpoint (stateless; history is supplied by the client)
 router.post('/', async (req, res) => {
   try {
     const { message, conversationHistory, options } = req.body;
-    
-    if (!message || typeof message !== 'string') {
-      return res.status(400).json({ error: 'Message is required and must be a string' });
-    }
 
-    const query = message.trim();
-    
-    if (query.length === 0) {
-      return res.status(400).json({ error: 'Message cannot be empty' });
+    const { query, error } = validateMessage(message);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    if (query.length > 1000) {
-      return res.status(400).json({ error: 'Message is too long. Please keep it under 1000 characters.' });
+    const optionsError = await validateOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
     }
 
-    console.log(`💬 Chat request: "${query}"`);
-    console.log(`🔧 Environment check - COHERE_API_KEY: ${process.env.COHERE_API_KEY ? 'Set' : 'Missing'}`);
-    const startTime = Date.now();
-
-    // Generate answer using RAG pipeline
-    const result = await rag.answerQuestion(query, {
-      maxContextChunks: options?.maxContext || 12,
-      includeContext: options?.includeContext || false,
-      conversationHistory: conversationHistory || [],
-      temperature: options?.temperature || 0.4,
-      maxTokens: options?.maxTokens || 1200
+    const history = sanitizeHistory(conversationHistory);
+    const ragOptions = buildRagOptions(options, {
+      history,
+      askedQuestions: history.filter(entry => entry.role === 'user').map(entry => entry.content)
     });
+    await sendChatResponse(req, res, query, ragOptions);
     
-    console.log(`📊 RAG result summary:`, { 
-      hasAnswer: !!result.answer, 
-      sourcesCount: result.sources?.length || 0,
-      confidence: result.confidence,
-      tokensUsed: result.tokensUsed || 0
-    });
+  } catch (error) {
+    handleChatError(res, error);
+  }
+});
 
-    console.log(`✅ Chat response generated in ${Date.now() - startTime}ms`);
-
-    // Format response
-    const response = {
-      response: result.answer,
-      confidence: result.confidence,
-      sources: result.sources.map(source => ({
-        title: source.title,
-        organization: source.org,
-        type: source.type
-      })),
-      metadata: {
-        processingTime: result.processingTime,
-        tokensUsed: result.tokensUsed,
-        totalChunksFound: result.totalChunksFound,
-        avgSimilarity: result.avgSimilarity,
-        reasoning: result.reasoning
-      }
-    };
+// POST /api/chat/sessions - Start a server-side conversation
+router.post('/sessions', async (req, res) => {
+  try {
+    const session = await sessions.createSession({ title: req.body?.title });
+    res.status(201).json({ success: true, session });
+  } catch (error) {
+    console.error('Session create error:', error);
+    res.status(500).json({ error: 'Failed to create chat session' });
+  }
+});
+
+// GET /api/chat/personas - List the audience personas a client can choose from
+router.get('/personas', async (req, res) => {
+  try {
+    res.json({ success: true, personas: await personas.listPersonas() });
+  } catch (error) {
+    console.error('Persona list error:', error);
+    res.status(500).json({ error: 'Failed to load personas' });
+  }
+});
 
-    // Include detailed context if requested (for debugging)
-    if (options?.includeContext && result.contextUsed) {
-      response.contextUsed = result.contextUsed;
+// Every /sessions/:id route needs the token issued with the session. Ids that aren't UUIDs
+// get a 404 instead of a Postgres type error, and a wrong token can't tell a session exists.
+router.param('id', async (req, res, next, id) => {
+  try {
+    const token = req.get('x-session-token');
+    if (!token) {
+      return res.status(401).json({ error: 'Session token required' });
     }
 
-    res.json(response);
-    
+    const session = SESSION_ID.test(id) ? await sessions.authorize(id, token) : null;
+    if (!session) {
+      return res.status(404).json({ error: 'Chat session not found' });
+    }
+    req.chatSession = session;
+    next();
   } catch (error) {
-    console.error('Chat error:', error);
-    
-    // Provide user-friendly error messages
-    let errorMessage = 'I apologize, but I encountered an error processing your question.';
-    
-    if (error.message.includes('rate limit')) {
-      errorMessage = 'I\'m currently experiencing high demand. Please try again in a moment.';
-    } else if (error.message.includes('API key')) {
-      errorMessage = 'There\'s a configuration issue on my end. Please contact support.';
-    } else if (error.message.includes('embedding')) {
-      errorMessage = 'I had trouble understanding your question. Please try rephrasing it.';
-    } else if (error.message.includes('database') || error.message.includes('supabase')) {
-      errorMessage = 'I\'m having trouble accessing my knowledge base right now. Please try again shortly.';
+    next(error);
+  }
+});
+
+// GET /api/chat/sessions - List recent conversations (admin only)
+router.get('/sessions', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const list = await sessions.listSessions(limit);
+    res.json({ success: true, sessions: list, count: list.length });
+  } catch (error) {
+    console.error('Session list error:', error);
+    res.status(500).json({ error: 'Failed to list chat sessions' });
+  }
+});
+
+// GET /api/chat/sessions/:id - Fetch a conversation with its stored history
+router.get('/sessions/:id', async (req, res) => {
+  try {
+    const session = await sessions.getSession(req.chatSession);
+    res.json({ success: true, session });
+  } catch (error) {
+    console.error('Session fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch chat session' });
+  }
+});
+
+// DELETE /api/chat/sessions/:id - Delete a conversation and its history
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const deleted = await sessions.deleteSession(req.chatSession.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Chat session not found' });
     }
-    
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    res.json({ success: true, message: 'Chat session deleted' });
+  } catch (error) {
+    console.error('Session delete error:', error);
+    res.status(500).json({ error: 'Failed to delete chat session' });
+  }
+});
+
+// POST /api/chat/sessions/:id/messages - Ask a question within a stored conversation
+router.post('/sessions/:id/messages', async (req, res) => {
+  try {
+    const { message, options } = req.body;
+
+    const { query, error } = validateMessage(message);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const optionsError = await validateOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const conversation = await sessions.getConversationContext(req.chatSession);
+
+    const ragOptions = buildRagOptions(options, conversation);
+    await sendChatResponse(req, res, query, ragOptions, async (result) => {
+      await sessions.recordExchange(conversation.session, {
+        question: query,
+        answer: result.answer,
+        chunkIds: result.chunkIds,
+        metadata: {
+          confidence: result.confidence,
+          groundingScore: result.grounding?.score ?? null,
+          sources: formatSources(result.sources),
+          citations: result.citations,
+          tokensUsed: result.tokensUsed,
+          persona: result.persona
+        }
+      });
+      return { sessionId: conversation.session.id };
     });
+
+  } catch (error) {
+    handleChatError(res, error);
   }
 });
 
@@ -100,14 +391,17 @@ router.get('/health', async (req, res) => {
     // Test basic connectivity
     const { db } = await import('../config/database.js');
     const stats = await db.getStats();
+    const generation = rag.llm.describe('answering');
     
     const health = {
       status: 'healthy',
       timestamp: new Date().toISOString(),
       services: {
         database: stats.total_chunks > 0 ? 'healthy' : 'no-data',
-        embeddings: process.env.COHERE_API_KEY ? 'configured' : 'missing-key',
-        generation: process.env.OPENAI_API_KEY ? 'configured' : 'missing-key'
+        embeddings: rag.retrieval.embeddings.modelId,
+        generation: generation.provider === 'openai' && !process.env.OPENAI_API_KEY
+          ? 'missing-key'
+          : `${generation.provider}/${generation.model}`
       },
       knowledgeBase: {
         totalSources: stats.total_sources,
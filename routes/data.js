@@ -1,9 +1,11 @@
 import express from 'express';
 import EmbeddingService from '../services/embeddings.js';
+import QueryFilterService from '../services/query-filters.js';
 import { db } from '../config/database.js';
 import { api as logger } from '../utils/logger.js';
 
 const router = express.Router();
+const queryFilters = new QueryFilterService();
 
 // POST /api/data/ingest - Ingest resume data into vector database
 router.post('/ingest', async (req, res) => {
@@ -30,6 +32,7 @@ router.post('/ingest', async (req, res) => {
       const chunkData = {
         ...chunks[i],
         embedding: embeddings[i],
+        embedding_model: embeddingService.modelId,
         metadata: {
           ...metadata,
           ingested_at: new Date().toISOString(),
@@ -165,64 +168,43 @@ function extractTags(text) {
   return [...new Set(foundTags)];
 }
 
-// GET /api/data/debug-search - Debug search results for a query
-router.get('/debug-search', async (req, res) => {
+// GET /api/data/debug-filters - Show which query filters fire for a query and why
+router.get('/debug-filters', async (req, res) => {
   try {
-    const { q: query = 'AI experience' } = req.query;
-    
-    // Import services
-    const RetrievalService = (await import('../services/retrieval.js')).default;
-    const retrieval = new RetrievalService();
-    
-    console.log(`🔍 DEBUG: Searching for "${query}"`);
-    
-    // Get raw search results
-    const contextResult = await retrieval.retrieveContext(query, {
-      maxResults: 10,
-      includeMetadata: true,
-      rerankResults: true
+    const { q: query } = req.query;
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const filters = await queryFilters.extractFilters(query);
+    const vocabulary = await queryFilters.loadVocabulary();
+    const vocabularySize = vocabulary.reduce((counts, entry) => {
+      counts[entry.kind] = (counts[entry.kind] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      query,
+      filters: {
+        skills: filters.skills,
+        tags: filters.tags,
+        industries: filters.industries,
+        orgs: filters.orgs,
+        sections: filters.sections,
+        dateRange: filters.dateRange
+      },
+      // One entry per fired filter: the query text it matched, the alias it matched against and where that alias came from
+      matches: filters.matches,
+      // Time expressions and the dates each resolved to
+      temporal: filters.temporal,
+      similarityThreshold: queryFilters.calculateSimilarityThreshold(query, filters),
+      vocabularySize
     });
-    
-    // Format results for inspection
-    const debugResults = {
-      query: query,
-      total_found: contextResult.totalFound,
-      chunks_returned: contextResult.chunks.length,
-      avg_similarity: contextResult.avgSimilarity,
-      threshold_used: contextResult.similarityThreshold,
-      
-      chunks: contextResult.chunks.map(chunk => ({
-        id: chunk.id,
-        source_id: chunk.source_id,
-        title: chunk.title,
-        similarity: chunk.similarity,
-        combined_score: chunk.combined_score,
-        content_preview: chunk.content.substring(0, 200) + '...',
-        full_content: chunk.content,
-        skills: chunk.skills,
-        tags: chunk.tags,
-        source_info: {
-          title: chunk.sources?.title,
-          type: chunk.sources?.type,
-          org: chunk.sources?.org,
-          location: chunk.sources?.location
-        },
-        date_range: {
-          start: chunk.date_start,
-          end: chunk.date_end
-        }
-      })),
-      
-      sources: contextResult.sources
-    };
-    
-    res.json(debugResults);
-    
   } catch (error) {
-    console.error('Debug search error:', error);
-    res.status(500).json({ 
-      error: 'Debug search failed',
-      message: error.message 
+    console.error('Debug filters error:', error);
+    res.status(500).json({
+      error: 'Debug filters failed',
+      message: error.message
     });
   }
 });
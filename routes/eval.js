@@ -0,0 +1,142 @@
+import express from 'express';
+import RetrievalEvalService from '../services/retrieval-eval.js';
+import AnswerEvalService from '../services/answer-eval.js';
+
+const router = express.Router();
+
+const retrievalEval = new RetrievalEvalService();
+const answerEval = new AnswerEvalService();
+
+const MAX_K = 50;
+const JUDGES = ['llm', 'mock'];
+const SAFE_NAME = /^[a-z0-9][a-z0-9._-]*$/i;
+
+// GET /api/eval/golden - List the available golden question sets
+router.get('/golden', async (req, res) => {
+  try {
+    const sets = await Promise.all((await retrievalEval.listGoldenSets()).map(async name => {
+      const goldenSet = await retrievalEval.loadGoldenSet(name);
+      const baseline = await retrievalEval.loadBaseline(name);
+      return {
+        name,
+        version: goldenSet.version,
+        description: goldenSet.description,
+        questions: goldenSet.questions.length,
+        baseline: baseline ? { ranAt: baseline.ranAt, version: baseline.version, metrics: baseline.metrics } : null
+      };
+    }));
+
+    res.json({ success: true, sets });
+  } catch (error) {
+    console.error('List golden sets error:', error);
+    res.status(500).json({
+      error: 'Failed to list golden sets',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/eval/retrieval - Run a golden set through retrieval and diff it against the saved baseline
+router.post('/retrieval', async (req, res) => {
+  try {
+    const { goldenSet, k, rerank = true, saveBaseline = false } = req.body || {};
+
+    if (goldenSet !== undefined && (typeof goldenSet !== 'string' || !SAFE_NAME.test(goldenSet))) {
+      return res.status(400).json({ error: 'goldenSet must be the name of a file in eval/golden' });
+    }
+    if (k !== undefined && (!Array.isArray(k) || k.length === 0 || !k.every(cutoff => Number.isInteger(cutoff) && cutoff > 0 && cutoff <= MAX_K))) {
+      return res.status(400).json({ error: `k must be a non-empty array of integers between 1 and ${MAX_K}` });
+    }
+    if (typeof rerank !== 'boolean' || typeof saveBaseline !== 'boolean') {
+      return res.status(400).json({ error: 'rerank and saveBaseline must be booleans' });
+    }
+
+    const report = await retrievalEval.run({
+      goldenSet,
+      k,
+      retrievalOptions: rerank ? {} : { rerankResults: false }
+    });
+    const baseline = await retrievalEval.loadBaseline(report.goldenSet);
+    const comparison = baseline ? retrievalEval.compare(report, baseline) : null;
+
+    if (saveBaseline) {
+      await retrievalEval.saveBaseline(report);
+    }
+
+    res.json({ success: true, report, comparison, baselineSaved: saveBaseline });
+  } catch (error) {
+    console.error('Retrieval eval error:', error);
+    res.status(error.message.startsWith('Golden set not found') ? 404 : 500).json({
+      error: error.message.startsWith('Golden set not found') ? error.message : 'Retrieval evaluation failed',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/eval/answers - Answer a question set, score each answer with the judge and store the run
+router.post('/answers', async (req, res) => {
+  try {
+    const { questionSet, judge, label } = req.body || {};
+
+    if (questionSet !== undefined && (typeof questionSet !== 'string' || !SAFE_NAME.test(questionSet))) {
+      return res.status(400).json({ error: 'questionSet must be the name of a file in eval/questions' });
+    }
+    if (judge !== undefined && !JUDGES.includes(judge)) {
+      return res.status(400).json({ error: `judge must be one of: ${JUDGES.join(', ')}` });
+    }
+    if (label !== undefined && (typeof label !== 'string' || label.length > 60)) {
+      return res.status(400).json({ error: 'label must be a string of at most 60 characters' });
+    }
+
+    const run = await answerEval.run({ questionSet, judge, label });
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('Answer eval error:', error);
+    const notFound = error.message.startsWith('Question set not found');
+    res.status(notFound ? 404 : 500).json({
+      error: notFound ? error.message : 'Answer evaluation failed',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/eval/runs - List stored answer eval runs, newest first
+router.get('/runs', async (req, res) => {
+  try {
+    res.json({ success: true, runs: await answerEval.listRuns() });
+  } catch (error) {
+    console.error('List eval runs error:', error);
+    res.status(500).json({
+      error: 'Failed to list eval runs',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/eval/runs/compare?base=...&candidate=... - Side-by-side comparison of two runs (?format=markdown for the report)
+router.get('/runs/compare', async (req, res) => {
+  try {
+    const { base, candidate, format } = req.query;
+
+    if (typeof base !== 'string' || typeof candidate !== 'string' || !SAFE_NAME.test(base) || !SAFE_NAME.test(candidate)) {
+      return res.status(400).json({ error: 'base and candidate run ids are required' });
+    }
+
+    const comparison = answerEval.compareRuns(await answerEval.loadRun(base), await answerEval.loadRun(candidate));
+
+    if (format === 'markdown') {
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      return res.send(answerEval.renderComparison(comparison));
+    }
+    res.json({ success: true, comparison });
+  } catch (error) {
+    console.error('Compare eval runs error:', error);
+    const notFound = error.message.startsWith('Run not found');
+    res.status(notFound ? 404 : 500).json({
+      error: notFound ? error.message : 'Failed to compare runs',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
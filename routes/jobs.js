@@ -0,0 +1,140 @@
+import express from 'express';
+import { ingestionJobs } from '../services/ingestion-jobs.js';
+import { streamJobEvents } from '../utils/sse.js';
+
+const router = express.Router();
+
+const SAFE_ID = /^[a-z0-9][a-z0-9-]*$/i;
+// State errors from the job service: the job exists but can't be cancelled or retried right now
+const CONFLICT = /^(Only failed or cancelled|Job \S+ has)/;
+
+// Unknown ids and ids that can't be job file names both get a 404
+router.param('id', async (req, res, next, id) => {
+  try {
+    const job = SAFE_ID.test(id) ? await ingestionJobs.getJob(id) : null;
+    if (!job) {
+      return res.status(404).json({ error: `Job not found: ${id}` });
+    }
+    req.job = job;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/jobs - Recent ingestion jobs, newest first
+router.get('/', async (req, res) => {
+  try {
+    await ingestionJobs.init();
+    const jobs = await ingestionJobs.listJobs();
+    res.json({
+      success: true,
+      jobs: jobs.slice(0, 20).map(job => ({
+        id: job.id,
+        status: job.status,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        retryOf: job.retryOf,
+        files: job.files.length,
+        stages: job.stages.map(stage => ({ name: stage.name, status: stage.status }))
+      }))
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({
+      error: 'Failed to list jobs',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/jobs - Queue an ingestion of the files in incoming/
+router.post('/', async (req, res) => {
+  try {
+    const job = await ingestionJobs.createJob();
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    if (error.message.startsWith('No valid files')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create job error:', error);
+    res.status(500).json({
+      error: 'Failed to start ingestion',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/jobs/:id - Job status with per-stage status and the end of its log
+router.get('/:id', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      job: req.job,
+      log: await ingestionJobs.getLog(req.job.id)
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      error: 'Failed to get job',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/jobs/:id/events - Progress events as text/event-stream; send Last-Event-ID (or ?lastEventId=) to resume after a disconnect
+router.get('/:id/events', async (req, res) => {
+  const lastEventId = Number(req.get('Last-Event-ID') ?? req.query.lastEventId ?? 0);
+  if (!Number.isInteger(lastEventId) || lastEventId < 0) {
+    return res.status(400).json({ error: 'Last-Event-ID must be a non-negative integer' });
+  }
+
+  try {
+    await streamJobEvents(req, res, req.job, lastEventId);
+  } catch (error) {
+    console.error('Job events error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Failed to stream job events',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/jobs/:id/cancel - Cancel a queued job or stop a running one after the file in progress
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const job = await ingestionJobs.cancelJob(req.job.id);
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    if (CONFLICT.test(error.message)) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Cancel job error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel job',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/jobs/:id/retry - Queue a new job that resumes a failed or cancelled one from the stage that didn't complete
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const job = await ingestionJobs.retryJob(req.job.id);
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    if (CONFLICT.test(error.message)) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Retry job error:', error);
+    res.status(500).json({
+      error: 'Failed to retry job',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
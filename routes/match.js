@@ -0,0 +1,71 @@
+import express from 'express';
+import JobMatchService from '../services/job-match.js';
+
+const router = express.Router();
+
+const jobMatch = new JobMatchService();
+
+const MIN_JOB_DESCRIPTION_LENGTH = 50;
+const MAX_JOB_DESCRIPTION_LENGTH = 20000;
+
+// Build a download file name from the role, e.g. fit-report-senior-program-manager-acme.md
+function reportFileName(report) {
+  const slug = [report.role.title, report.role.company]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60);
+
+  return `fit-report${slug ? `-${slug}` : ''}.md`;
+}
+
+// POST /api/match - Score Scott's experience against a full job description
+router.post('/', async (req, res) => {
+  try {
+    const { jobDescription, options } = req.body;
+
+    if (!jobDescription || typeof jobDescription !== 'string') {
+      return res.status(400).json({ error: 'jobDescription is required and must be a string' });
+    }
+
+    const text = jobDescription.trim();
+
+    if (text.length < MIN_JOB_DESCRIPTION_LENGTH) {
+      return res.status(400).json({ error: `Job description is too short. Please paste at least ${MIN_JOB_DESCRIPTION_LENGTH} characters.` });
+    }
+
+    if (text.length > MAX_JOB_DESCRIPTION_LENGTH) {
+      return res.status(400).json({ error: `Job description is too long. Please keep it under ${MAX_JOB_DESCRIPTION_LENGTH} characters.` });
+    }
+
+    const report = await jobMatch.analyzeJobDescription(text, {
+      evidencePerRequirement: Math.max(1, Math.min(parseInt(options?.evidencePerRequirement, 10) || 3, 5))
+    });
+
+    const format = req.query.format || options?.format;
+    if (format === 'markdown') {
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${reportFileName(report)}"`);
+      return res.send(jobMatch.renderMarkdown(report));
+    }
+
+    res.json({
+      success: true,
+      report,
+      markdown: jobMatch.renderMarkdown(report)
+    });
+
+  } catch (error) {
+    console.error('Job match error:', error);
+    res.status(500).json({
+      error: error.message.includes('No requirements')
+        ? 'I couldn\'t find any qualifications in that job description. Please paste the full posting.'
+        : 'Failed to analyze the job description',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
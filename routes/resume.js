@@ -0,0 +1,78 @@
+import express from 'express';
+import ResumeService from '../services/resume.js';
+
+const router = express.Router();
+
+const resumes = new ResumeService();
+
+const MAX_ROLE_LENGTH = 200;
+const MAX_JOB_DESCRIPTION_LENGTH = 20000;
+
+// Clamp a numeric option to a sensible range
+function clampOption(value, fallback, max) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : Math.max(0, Math.min(parsed, max));
+}
+
+// POST /api/resume/generate - Build a resume tailored to a role or job description
+router.post('/generate', async (req, res) => {
+  try {
+    const { role, jobDescription, options } = req.body;
+
+    if (!role && !jobDescription) {
+      return res.status(400).json({ error: 'Provide a target role, a job description, or both' });
+    }
+
+    if ((role && typeof role !== 'string') || (jobDescription && typeof jobDescription !== 'string')) {
+      return res.status(400).json({ error: 'role and jobDescription must be strings' });
+    }
+
+    if (role && role.length > MAX_ROLE_LENGTH) {
+      return res.status(400).json({ error: `Role is too long. Please keep it under ${MAX_ROLE_LENGTH} characters.` });
+    }
+
+    if (jobDescription && jobDescription.length > MAX_JOB_DESCRIPTION_LENGTH) {
+      return res.status(400).json({ error: `Job description is too long. Please keep it under ${MAX_JOB_DESCRIPTION_LENGTH} characters.` });
+    }
+
+    const resume = await resumes.generateResume(
+      { role: role?.trim(), jobDescription: jobDescription?.trim() },
+      {
+        maxJobs: clampOption(options?.maxJobs, 5, 10),
+        maxProjects: clampOption(options?.maxProjects, 3, 10),
+        bulletsPerEntry: clampOption(options?.bulletsPerEntry, 4, 8),
+        rewriteHighlights: options?.rewriteHighlights !== false
+      }
+    );
+
+    const format = req.query.format || options?.format;
+    if (format === 'markdown') {
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="scott-lovett-resume.md"');
+      return res.send(resumes.renderMarkdown(resume));
+    }
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="scott-lovett-resume.html"');
+      return res.send(resumes.renderHtml(resume));
+    }
+
+    res.json({
+      success: true,
+      resume,
+      markdown: resumes.renderMarkdown(resume),
+      html: resumes.renderHtml(resume),
+      docx: resumes.toDocxStructure(resume)
+    });
+
+  } catch (error) {
+    console.error('Resume generation error:', error);
+    res.status(500).json({
+      error: 'Failed to generate resume',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
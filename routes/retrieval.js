@@ -0,0 +1,48 @@
+import express from 'express';
+import RetrievalService from '../services/retrieval.js';
+import QueryProcessor from '../services/query-processor.js';
+
+const router = express.Router();
+
+const retrieval = new RetrievalService();
+const queryProcessor = new QueryProcessor();
+
+const MAX_RESULTS = 50;
+
+// GET /api/retrieval/explain - Run the chat retrieval pipeline for a query and trace every scoring step
+router.get('/explain', async (req, res) => {
+  try {
+    const { q: query, maxResults = 12, rerank = 'true' } = req.query;
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const limit = Number(maxResults);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULTS) {
+      return res.status(400).json({ error: `maxResults must be an integer between 1 and ${MAX_RESULTS}` });
+    }
+
+    // Same preprocessing as chat: acronyms are expanded before retrieval sees the query
+    const acronyms = await queryProcessor.explainAcronyms(query.trim());
+    const result = await retrieval.retrieveContext(acronyms.query, {
+      maxResults: limit,
+      rerankResults: rerank !== 'false',
+      explain: true
+    });
+
+    res.json({
+      success: true,
+      query,
+      acronyms,
+      trace: result.trace
+    });
+  } catch (error) {
+    console.error('Retrieval explain error:', error);
+    res.status(500).json({
+      error: 'Failed to explain retrieval',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
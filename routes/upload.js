@@ -5,6 +5,9 @@ import path from 'path';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { api as logger } from '../utils/logger.js';
+import { ingestionJobs } from '../services/ingestion-jobs.js';
+import { streamJobEvents } from '../utils/sse.js';
+import { requireAdmin } from '../utils/admin-auth.js';
 import dotenv from 'dotenv';
 
 // Ensure environment variables are loaded
@@ -124,127 +127,27 @@ router.post('/clear', async (req, res) => {
   }
 });
 
-// POST /api/upload/process - Run the ingestion pipeline
-router.post('/process', async (req, res) => {
+// POST /api/upload/process - Queue an ingestion job and stream its progress events (text/event-stream).
+// The job runs in the server; a client that disconnects can resume with GET /api/jobs/:id/events and Last-Event-ID.
+// Starting a job needs the admin token, as POST /api/jobs does.
+router.post('/process', requireAdmin, async (req, res) => {
   try {
-    // Set up Server-Sent Events for real-time progress
-    res.writeHead(200, {
-      'Content-Type': 'text/plain',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*'
-    });
-
-    const sendProgress = (message) => {
-      res.write(`${message}\n`);
-      // Note: Express doesn't have res.flush() - write() automatically flushes
-    };
-
-    sendProgress('🚀 PIPELINE STARTING - Initializing ingestion process...');
-
-    // Check if there are files to process
-    const incomingFiles = await fs.readdir('incoming/');
-    const validFiles = incomingFiles.filter(f => /\.(pdf|docx|doc|txt|md)$/i.test(f));
-    
-    if (validFiles.length === 0) {
-      sendProgress('❌ PIPELINE STOPPED - No valid files found in incoming directory');
-      sendProgress('   Please upload files first, then try processing again');
-      res.end();
-      return;
-    }
-
-    sendProgress(`📁 FOUND ${validFiles.length} files to process: ${validFiles.map(f => f).join(', ')}`);
-    
-    // Add a small delay to ensure the UI receives the initial status
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    // Use spawn instead of exec for better streaming
-    const { spawn } = await import('child_process');
-    
-    sendProgress('🔧 EXECUTING PIPELINE - Running ingestion script...');
-    
-    // Create a unique log file for this run
-    const logFile = `./logs/progress-${Date.now()}.log`;
-    await fs.writeFile(logFile, ''); // Create empty log file
-    
-    // Start tailing the log file for real-time updates
-    const tailChild = spawn('tail', ['-f', logFile]);
-    tailChild.stdout.on('data', (data) => {
-      const output = data.toString();
-      output.split('\n').forEach(line => {
-        if (line.trim()) {
-          sendProgress(`   ${line}`);
-        }
-      });
-    });
-    
-    // Run the main script with log output
-    const child = spawn('/bin/bash', ['./scripts/ingest.sh'], {
-      env: {
-        ...process.env,
-        OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-        COHERE_API_KEY: process.env.COHERE_API_KEY,
-        SUPABASE_URL: process.env.SUPABASE_URL,
-        SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY,
-        PYTHONUNBUFFERED: '1',
-        PROGRESS_LOG: logFile
-      },
-      cwd: process.cwd(),
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    
-    child.stdout.on('data', (data) => {
-      const output = data.toString();
-      // Send each line immediately as it arrives
-      output.split('\n').forEach(line => {
-        if (line.trim()) {
-          const cleanLine = line.replace(/^\s*[\[✓✗❌✅🔄📝⚡🎯]\s*/, '').trim();
-          sendProgress(`   ${cleanLine}`);
-        }
-      });
-    });
-    
-    child.stderr.on('data', (data) => {
-      const output = data.toString();
-      output.split('\n').forEach(line => {
-        if (line.trim()) {
-          sendProgress(`   ⚠️ ${line}`);
-        }
-      });
-    });
-    
-    child.on('close', async (code) => {
-      // Clean up the tail process
-      tailChild.kill();
-      
-      // Clean up the log file
-      try {
-        await fs.unlink(logFile);
-      } catch (error) {
-        // Ignore cleanup errors
-      }
-      
-      if (code === 0) {
-        sendProgress('🎉 PIPELINE SUCCESS - All processing completed!');
-        sendProgress('   ✅ Files processed, extracted, and indexed successfully');
-        sendProgress('   📊 Knowledge base has been updated');
-      } else {
-        sendProgress(`❌ PIPELINE FAILED - Process exited with code ${code}`);
-        sendProgress('   Check logs above for error details');
-      }
-      res.end();
-    });
-    
-    child.on('error', (error) => {
-      sendProgress(`❌ PIPELINE ERROR - ${error.message}`);
-      sendProgress('   Check server logs and environment configuration');
-      res.end();
-    });
-
+    const job = await ingestionJobs.createJob();
+    logger.info('Ingestion job queued', { jobId: job.id, files: job.files.length, ip: req.ip });
+    await streamJobEvents(req, res, job);
   } catch (error) {
+    if (res.headersSent) {
+      console.error('Process stream error:', error);
+      return res.end();
+    }
+    if (error.message.startsWith('No valid files')) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Process error:', error);
-    res.write(`❌ Pipeline failed: ${error.message}\n`);
-    res.end();
+    res.status(500).json({
+      error: 'Failed to start ingestion',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
 });
 
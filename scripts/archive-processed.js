@@ -2,9 +2,9 @@ import fs from 'fs/promises';
 import path from 'path';
 import { db } from '../config/database.js';
 
-async function archiveProcessedFiles() {
+async function archiveProcessedFiles({ logger = console } = {}) {
   try {
-    console.log('📁 Starting archive process...');
+    logger.log('📁 Starting archive process...');
     
     const archiveBase = 'archives';
     const sourceBase = 'sources';
@@ -25,43 +25,43 @@ async function archiveProcessedFiles() {
       
       try {
         const files = await fs.readdir(sourceDir);
-        console.log(`📂 Processing ${type}: ${files.length} files`);
+        logger.log(`📂 Processing ${type}: ${files.length} files`);
         
         for (const file of files) {
           if (file.endsWith('.md')) {
             const sourcePath = path.join(sourceDir, file);
             const archivePath = path.join(archiveDir, file);
             
-            const isIndexed = await checkIfFileIndexed(sourcePath);
+            const isIndexed = await checkIfFileIndexed(sourcePath, logger);
             
             if (isIndexed) {
               await fs.rename(sourcePath, archivePath);
-              console.log(`  📦 Archived: ${file}`);
+              logger.log(`  📦 Archived: ${file}`);
               totalMoved++;
             } else {
-              console.log(`  ⏳ Keeping: ${file} (not yet indexed)`);
+              logger.log(`  ⏳ Keeping: ${file} (not yet indexed)`);
             }
           }
         }
       } catch (error) {
         if (error.code !== 'ENOENT') {
-          console.error(`Error processing ${type}:`, error.message);
+          logger.error(`Error processing ${type}:`, error.message);
         }
       }
     }
     
-    console.log(`✅ Archive complete! Moved ${totalMoved} files to archives/`);
-    console.log('💡 Next indexing run will be much faster!');
+    logger.log(`✅ Archive complete! Moved ${totalMoved} files to archives/`);
+    logger.log('💡 Next indexing run will be much faster!');
     
     const remainingFiles = await countRemainingFiles();
-    console.log(`📊 Remaining in sources/: ${remainingFiles} files`);
+    logger.log(`📊 Remaining in sources/: ${remainingFiles} files`);
     
   } catch (error) {
-    console.error('Archive error:', error);
+    logger.error('Archive error:', error);
   }
 }
 
-async function checkIfFileIndexed(filePath) {
+async function checkIfFileIndexed(filePath, logger = console) {
   try {
     const content = await fs.readFile(filePath, 'utf8');
     const frontmatterMatch = content.match(/^---\s*\n([\s\S]*?)\n---/);
@@ -84,7 +84,7 @@ async function checkIfFileIndexed(filePath) {
     return !error && data && data.length > 0;
     
   } catch (error) {
-    console.error(`Error checking file ${filePath}:`, error.message);
+    logger.error(`Error checking file ${filePath}:`, error.message);
     return false;
   }
 }
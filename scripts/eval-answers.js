@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import AnswerEvalService from '../services/answer-eval.js';
+
+function parseOptions(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+    case '--set':
+      options.questionSet = argv[++i];
+      break;
+    case '--judge':
+      options.judge = argv[++i];
+      break;
+    case '--label':
+      options.label = argv[++i];
+      break;
+    case '--out':
+      options.out = argv[++i];
+      break;
+    default:
+      options.positional = [...(options.positional || []), argv[i]];
+      break;
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const evaluator = new AnswerEvalService();
+  const command = process.argv[2];
+  const options = parseOptions(process.argv.slice(3));
+
+  switch (command) {
+  case 'run': {
+    const run = await evaluator.run(options);
+    console.log(`\n📊 ${run.id}`);
+    console.log(`   Prompt ${run.promptVersion}, answering ${run.answering.provider}/${run.answering.model}, judge ${run.judge.provider}/${run.judge.model}`);
+    Object.entries(run.scores).forEach(([criterion, score]) => console.log(`   ${criterion.padEnd(17)} ${score}`));
+    if (run.errors > 0) {
+      console.log(`   ⚠️  ${run.errors} questions failed`);
+    }
+    break;
+  }
+
+  case 'list': {
+    const runs = await evaluator.listRuns();
+    if (runs.length === 0) {
+      console.log('No runs yet — start one with: npm run eval:answers -- run');
+    }
+    runs.forEach(run => {
+      const scores = Object.entries(run.scores).map(([criterion, score]) => `${criterion} ${score}`).join(', ');
+      console.log(`${run.id}  prompt ${run.promptVersion}  ${run.answering.model}  ${scores}`);
+    });
+    break;
+  }
+
+  case 'compare': {
+    const [baseId, candidateId] = options.positional || [];
+    if (!baseId || !candidateId) {
+      console.error('❌ Please specify two run ids: compare <base> <candidate>');
+      process.exit(1);
+    }
+    const comparison = evaluator.compareRuns(await evaluator.loadRun(baseId), await evaluator.loadRun(candidateId));
+    const markdown = evaluator.renderComparison(comparison);
+    if (options.out) {
+      await fs.writeFile(options.out, markdown);
+      console.log(`📝 Wrote comparison to ${options.out}`);
+    } else {
+      console.log(markdown);
+    }
+    break;
+  }
+
+  default:
+    console.log('📋 Answer Eval Commands:');
+    console.log('  run [--set answers-v1] [--judge llm|mock] [--label name]  - Answer and judge a question set');
+    console.log('  list                                                      - List stored runs');
+    console.log('  compare <base> <candidate> [--out report.md]              - Side-by-side report of two runs');
+    break;
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Answer evaluation failed:', error.message);
+    process.exit(1);
+  });
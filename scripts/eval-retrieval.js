@@ -0,0 +1,105 @@
+import RetrievalEvalService from '../services/retrieval-eval.js';
+
+function parseArgs(argv) {
+  const args = { saveBaseline: false, failOnRegression: false, json: false, retrievalOptions: {} };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+    case '--set':
+      args.goldenSet = argv[++i];
+      break;
+    case '--k':
+      args.k = argv[++i].split(',').map(Number);
+      break;
+    case '--no-rerank':
+      args.retrievalOptions.rerankResults = false;
+      break;
+    case '--save-baseline':
+      args.saveBaseline = true;
+      break;
+    case '--fail-on-regression':
+      args.failOnRegression = true;
+      break;
+    case '--json':
+      args.json = true;
+      break;
+    default:
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function formatDelta(delta) {
+  if (delta === 0) {
+    return '   =';
+  }
+  return `${delta > 0 ? '+' : ''}${delta.toFixed(3)}`;
+}
+
+function printReport(report, comparison) {
+  console.log(`\n📊 ${report.goldenSet} v${report.version} — ${report.questions.length} questions, ${report.errors} errors, ${report.durationMs}ms`);
+  console.log(`   Embedding model: ${report.config.embeddingModel}, reranker: ${report.config.reranker ? `${report.config.reranker.provider}/${report.config.reranker.model}` : 'off'}\n`);
+
+  Object.entries(report.metrics).forEach(([name, value]) => {
+    const diff = comparison?.metrics[name];
+    console.log(`   ${name.padEnd(10)} ${value.toFixed(3)}${diff ? `  (${formatDelta(diff.delta)} vs baseline)` : ''}`);
+  });
+
+  console.log('\n   Per question:');
+  report.questions.forEach(question => {
+    if (question.error) {
+      console.log(`   ❌ ${question.id}: ${question.error}`);
+      return;
+    }
+    const hit = question.metrics.mrr > 0 ? '✅' : '⚠️ ';
+    console.log(`   ${hit} ${question.id.padEnd(24)} mrr ${question.metrics.mrr.toFixed(3)}  top: ${question.rankedSources.slice(0, 3).join(', ') || 'none'}`);
+  });
+
+  if (!comparison) {
+    console.log('\n   No baseline saved yet — run with --save-baseline to record one');
+    return;
+  }
+
+  if (comparison.versionChanged) {
+    console.log('\n   ⚠️  The golden set version changed since the baseline; deltas may not be comparable');
+  }
+  comparison.questions.forEach(question => {
+    const changes = Object.entries(question.metrics)
+      .filter(([, metric]) => metric.delta !== 0)
+      .map(([name, metric]) => `${name} ${formatDelta(metric.delta)}`)
+      .join(', ');
+    console.log(`   ${question.regressed ? '📉' : '📈'} ${question.id}: ${changes}`);
+  });
+  console.log(comparison.regressions.length > 0
+    ? `\n❌ Regressed vs baseline (${comparison.baselineRanAt}): ${comparison.regressions.join(', ')}`
+    : `\n✅ No regressions vs baseline (${comparison.baselineRanAt})`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const evaluator = new RetrievalEvalService();
+
+  const report = await evaluator.run(args);
+  const baseline = await evaluator.loadBaseline(report.goldenSet);
+  const comparison = baseline ? evaluator.compare(report, baseline) : null;
+
+  if (args.json) {
+    console.log(JSON.stringify({ report, comparison }, null, 2));
+  } else {
+    printReport(report, comparison);
+  }
+
+  if (args.saveBaseline) {
+    await evaluator.saveBaseline(report);
+  }
+  if (args.failOnRegression && comparison?.regressions.length > 0) {
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Retrieval evaluation failed:', error.message);
+    process.exit(1);
+  });
@@ -1,9 +1,9 @@
 import fs from 'fs/promises';
 import path from 'path';
-import OpenAI from 'openai';
 import 'dotenv/config';
+import LLMService from '../services/llm.js';
 
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const llm = new LLMService();
 const IN = '.work/normalized';
 const OUT = '.work/extracted';
 
@@ -83,69 +83,72 @@ REQUIREMENTS:
 
 Output ALL experiences found, separated by "---NEXT_EXTRACTION---".`;
 
-async function extract() {
-  console.log('🔍 Extracting structured data...');
+async function extract({ signal, onEvent, logger = console } = {}) {
+  logger.log('🔍 Extracting structured data...');
   
-  // Check environment variables
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY not found in environment');
-    console.error('Available env vars:', Object.keys(process.env).filter(k => k.includes('API')));
-    process.exit(1);
+  // Fail fast if the configured provider is missing credentials
+  const { provider, model } = llm.describe('extraction');
+  try {
+    llm.getProvider(provider);
+  } catch (error) {
+    logger.error('Available env vars:', Object.keys(process.env).filter(k => k.includes('API')));
+    throw error;
   }
   
-  console.log('✅ OpenAI API key found');
+  logger.log(`✅ Using ${provider}/${model} for extraction`);
   await fs.mkdir(OUT, { recursive: true });
 
   const files = (await fs.readdir(IN)).filter(f => f.endsWith('.md'));
   
   if (files.length === 0) {
-    console.log('📄 No normalized files found to extract');
-    return;
+    logger.log('📄 No normalized files found to extract');
+    return { blocks: 0 };
   }
 
   let totalBlocks = 0;
   
   for (let i = 0; i < files.length; i++) {
+    signal?.throwIfAborted();
     const f = files[i];
-    console.log(`📖 Processing: ${f} (${i + 1}/${files.length})`);
-    console.log(`   🔍 Reading file content...`);
+    const progress = { file: f, index: i + 1, total: files.length };
+    const blocksBefore = totalBlocks;
+    let blockError = null;
+    onEvent?.('file-progress', { ...progress, status: 'started' });
+    logger.log(`📖 Processing: ${f} (${i + 1}/${files.length})`);
+    logger.log(`   🔍 Reading file content...`);
     const raw = await fs.readFile(path.join(IN, f), 'utf8');
 
     // Instead of trying to parse individual sections, send the ENTIRE document
     // to OpenAI and let it intelligently extract ALL experiences at once
-    console.log(`   📄 Document length: ${raw.length} characters`);
+    logger.log(`   📄 Document length: ${raw.length} characters`);
     
     // For very large documents, we might need to chunk them, but for now
     // let's process the entire document and let OpenAI extract everything
     const blocks = [raw]; // Single block containing the entire document
 
-    console.log(`📋 Found ${blocks.length} content blocks in ${f}`);
+    logger.log(`📋 Found ${blocks.length} content blocks in ${f}`);
 
     let blockIndex = 0;
     for (const block of blocks) {
       try {
-        console.log(`   🤖 Calling OpenAI API for block ${blockIndex + 1}/${blocks.length}...`);
-        console.log(`   📝 Sending ${block.length} characters to OpenAI...`);
+        logger.log(`   🤖 Calling ${provider}/${model} for block ${blockIndex + 1}/${blocks.length}...`);
+        logger.log(`   📝 Sending ${block.length} characters...`);
         process.stdout.write(''); // Force flush
-        const response = await client.chat.completions.create({
-          model: 'gpt-4o-mini',
-          messages: [
-            { role: 'system', content: SYSTEM_PROMPT },
-            { role: 'user', content: `This is a COMPLETE resume document. Please extract ALL jobs, roles, projects, and experiences found anywhere in this document. I expect multiple extractions separated by "---NEXT_EXTRACTION---". Look for:\n\n- ThinkOn (Cloud Provider)\n- Intercontinental Hotels Group (IHG)\n- LeaseQuery\n- Equifax\n- McKesson\n- American Cybersystems\n- IoT Subject Matter Expert role\n- Mayo Clinic consulting\n- Coca-Cola consulting\n- Lockheed Martin\n\nDocument:\n\n${block}` }
-          ],
-          temperature: 0.2
-        });
-
-        const extractedContent = response.choices[0].message.content;
+        const response = await llm.complete('extraction', [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: `This is a COMPLETE resume document. Please extract ALL jobs, roles, projects, and experiences found anywhere in this document. I expect multiple extractions separated by "---NEXT_EXTRACTION---". Look for:\n\n- ThinkOn (Cloud Provider)\n- Intercontinental Hotels Group (IHG)\n- LeaseQuery\n- Equifax\n- McKesson\n- American Cybersystems\n- IoT Subject Matter Expert role\n- Mayo Clinic consulting\n- Coca-Cola consulting\n- Lockheed Martin\n\nDocument:\n\n${block}` }
+        ]);
+
+        const extractedContent = response.content;
         
         // Debug logging
-        console.log(`   📊 Response length: ${extractedContent.length} characters`);
+        logger.log(`   📊 Response length: ${extractedContent.length} characters`);
         const separatorCount = (extractedContent.match(/---NEXT_EXTRACTION---/g) || []).length;
-        console.log(`   🔍 Found ${separatorCount} extraction separators`);
+        logger.log(`   🔍 Found ${separatorCount} extraction separators`);
         
         // Save response for debugging
         await fs.writeFile(path.join(OUT, `debug-response-${f}-block-${blockIndex}.txt`), extractedContent);
-        console.log(`   💾 Saved debug response`);
+        logger.log(`   💾 Saved debug response`);
         
         if (extractedContent && extractedContent.includes('---')) {
           // Split multiple extractions
@@ -156,36 +159,48 @@ async function extract() {
             if (extraction && extraction.includes('---')) {
               const fileName = f.replace('.md', `.block-${blockIndex}-${i}.md`);
               await fs.writeFile(path.join(OUT, fileName), extraction);
-              console.log(`💾 Extracted: ${fileName}`);
+              logger.log(`💾 Extracted: ${fileName}`);
               totalBlocks++;
             }
           }
           
           process.stdout.write(''); // Force flush
         } else {
-          console.log(`⚠️  Skipping block ${blockIndex} - no valid YAML front-matter`);
+          logger.log(`⚠️  Skipping block ${blockIndex} - no valid YAML front-matter`);
         }
         
         blockIndex++;
         
-        // No artificial delay needed - OpenAI handles rate limiting well
+        // No artificial delay needed - providers handle rate limiting well
         
       } catch (error) {
-        console.error(`❌ Error processing block ${blockIndex} in ${f}:`, error.message);
+        blockError = error.message;
+        logger.error(`❌ Error processing block ${blockIndex} in ${f}:`, error.message);
         if (error.status === 429) {
-          console.log('⏳ Rate limited - waiting 30 seconds...');
+          logger.log('⏳ Rate limited - waiting 30 seconds...');
           await new Promise(resolve => setTimeout(resolve, 30000));
         }
       }
     }
+
+    onEvent?.('file-progress', {
+      ...progress,
+      status: blockError ? 'failed' : 'completed',
+      blocks: totalBlocks - blocksBefore,
+      ...(blockError ? { error: blockError } : {})
+    });
   }
 
-  console.log(`✅ Extracted ${totalBlocks} structured blocks`);
+  logger.log(`✅ Extracted ${totalBlocks} structured blocks`);
+  return { blocks: totalBlocks };
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  extract().catch(console.error);
+  extract().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
 }
 
 export default extract;
\ No newline at end of file
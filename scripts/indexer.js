@@ -3,179 +3,107 @@ import path from 'path';
 import matter from 'gray-matter';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
-import { CohereClient } from 'cohere-ai';
+import EmbeddingService, { activeModelId } from '../services/embeddings.js';
+import Chunker from '../services/chunker.js';
 import { db, supabase } from '../config/database.js';
+import { mapWithConcurrency } from '../utils/rate-limit.js';
 
-// IMMEDIATE DEBUG - Show script startup
-console.log("🚀 INDEXER SCRIPT STARTING - File loaded");
-console.log("📍 Script location:", import.meta.url);
-console.log("📍 Working directory:", process.cwd());
-console.log("📍 Node version:", process.version);
-
-// Load environment variables
 dotenv.config();
-console.log("📋 Environment variables loaded");
-
-// REDUCED timeout for debugging - prevent infinite hanging
-const PROCESS_TIMEOUT = 2 * 60 * 1000; // 2 minutes for debugging
-setTimeout(() => {
-  console.error('❌ FORCED TIMEOUT - indexer taking too long (2+ minutes)');
-  console.error('   This was forced to prevent hanging during debugging');
-  console.error('   Check your network connection and API keys');
-  process.exit(1);
-}, PROCESS_TIMEOUT);
-console.log('⏰ DEBUG: Process timeout set to 2 minutes (reduced for debugging)');
-console.log('🔄 About to check environment variables...');
-
-// Debug environment variables
-console.log('🔍 Environment check in indexer:');
-console.log('- COHERE_API_KEY exists:', !!process.env.COHERE_API_KEY);
-console.log('- COHERE_API_KEY length:', process.env.COHERE_API_KEY?.length || 0);
-console.log('- Working directory:', process.cwd());
-
-if (!process.env.COHERE_API_KEY) {
-  console.error('❌ COHERE_API_KEY not found in indexer environment');
-  console.error('Available env vars:', Object.keys(process.env).filter(k => k.includes('API')));
-  process.exit(1);
-}
-
-console.log('🔄 About to initialize Cohere client...');
-
-// Initialize Cohere client with error handling
-let cohere;
-try {
-  console.log('🔄 Creating new CohereClient instance...');
-  cohere = new CohereClient({ token: process.env.COHERE_API_KEY });
-  console.log('✅ Cohere client initialized successfully');
-} catch (error) {
-  console.error('❌ Failed to initialize Cohere client:', error.message);
-  console.error('   Check if your COHERE_API_KEY is valid and your internet connection is working');
-  process.exit(1);
-}
-
-console.log('🔄 Cohere client ready, proceeding to function definitions...');
-console.log('🔄 Script fully loaded, ready to execute indexer() if called directly...');
 
-// Chunking configuration - optimized for fewer, better chunks
-const CHUNK_TOKENS = 400;  // Larger chunks (Cohere handles up to 512 tokens well)
-const OVERLAP_TOKENS = 100; // Overlap between chunks
-const MIN_CHUNK_LENGTH = 100; // Minimum characters for a valid chunk
+// Chunking configuration, in tokenizer tokens (header included; embedding models handle up to 512)
+const CHUNK_TOKENS = 400;
+const OVERLAP_TOKENS = 60; // Trailing bullets repeated when a section spans several chunks
+const chunker = new Chunker({ maxTokens: CHUNK_TOKENS, overlapTokens: OVERLAP_TOKENS });
 
-// Simple word-based tokenization (rough approximation)
-function estimateTokens(text) {
-  // Rough estimate: 1 token ≈ 0.75 words for English text
-  return Math.ceil(text.split(/\s+/).length / 0.75);
-}
+// Source files indexed at once; the embedding service paces provider calls across all of them
+const FILE_CONCURRENCY = 4;
+// Files whose chunks are fully stored, so an interrupted run picks up with the files it hadn't finished
+const CHECKPOINT_PATH = "logs/index-checkpoint.json";
 
-// Rate limiting helper with exponential backoff
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+const SOURCES_ROOT = "sources";
+// Where archive-processed.js moves indexed files; a file there still counts as present
+const ARCHIVE_ROOT = "archives";
+const SOURCE_DIRECTORIES = ["jobs", "projects", "education", "certs", "bio"];
 
-// Test Cohere connection at startup
-async function testCohereConnection() {
+// Test embedding provider at startup
+async function testEmbeddingConnection(embeddings, logger = console) {
   try {
-    console.log("🦧 Testing Cohere API connection...");
+    logger.log(`🦧 Testing embedding provider (${embeddings.modelId})...`);
     const startTime = Date.now();
-    const testResponse = await cohere.embed({
-      texts: ["connection test"],
-      model: "embed-english-v3.0",
-      inputType: "search_document"
-    });
+    const testEmbedding = await embeddings.embedText("connection test", "search_document");
     const duration = Date.now() - startTime;
     
-    if (!testResponse || !testResponse.embeddings || testResponse.embeddings.length === 0) {
-      throw new Error("Invalid response from Cohere API");
-    }
-    
-    console.log(`✅ Cohere connection successful (${duration}ms response time)`);
-    console.log(`📊 Embedding dimension: ${testResponse.embeddings[0].length}`);
+    logger.log(`✅ Embedding provider working (${duration}ms response time)`);
+    logger.log(`📊 Embedding dimension: ${testEmbedding.length}`);
     return true;
   } catch (error) {
-    console.error("❌ Cohere connection test failed:", error.message);
+    logger.error("❌ Embedding provider test failed:", error.message);
     
     // Provide specific error guidance
-    if (error.status === 401) {
-      console.error('   ➡️ Invalid API key. Check your COHERE_API_KEY in .env file');
+    if (error.message.includes('API key')) {
+      logger.error('   ➡️ Invalid API key. Check the embedding provider key in your .env file');
     } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      console.error('   ➡️ Network connectivity issue. Check your internet connection');
+      logger.error('   ➡️ Network connectivity issue. Check your internet connection');
     } else if (error.message.includes('rate') || error.status === 429) {
-      console.error('   ➡️ Rate limit exceeded. Wait a moment and try again');
+      logger.error('   ➡️ Rate limit exceeded. Wait a moment and try again');
     } else if (error.message.includes('timeout')) {
-      console.error('   ➡️ Connection timeout. Check your network or try again');
+      logger.error('   ➡️ Connection timeout. Check your network or try again');
     }
     
     return false;
   }
 }
 
-// Retry with exponential backoff
-async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000) {
-  let lastError;
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      const isRateLimit = error.status === 429 || error.statusCode === 429 || 
-                         error.message?.includes('rate') || error.message?.includes('429');
-      const isNetworkError = error.code === 'ECONNRESET' || error.code === 'ENOTFOUND' || 
-                            error.code === 'ETIMEDOUT' || error.code === 'ECONNREFUSED';
-      
-      if (isRateLimit || isNetworkError) {
-        const delay = isRateLimit ? 60000 : initialDelay * Math.pow(2, i);
-        console.log(`⏳ Retry ${i + 1}/${maxRetries} after ${delay}ms delay...`);
-        await sleep(delay);
-      } else {
-        throw error; // Non-retryable error
-      }
+/**
+ * Load the per-file checkpoint; writes are queued so concurrent files never interleave them
+ * @param {string} modelId - Active embedding model; entries from another model are not done
+ * @returns {Promise<Object>} - { isDone(filePath, hash), record(filePath, entry), prune(filePaths) }
+ */
+async function loadCheckpoint(modelId, logger = console) {
+  let state = { files: {} };
+  try {
+    state = JSON.parse(await fs.readFile(CHECKPOINT_PATH, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.warn(`⚠️  Ignoring unreadable checkpoint ${CHECKPOINT_PATH}: ${error.message}`);
     }
   }
-  throw lastError;
-}
 
-function chunkText(text, header) {
-  const words = text.split(/\s+/);
-  const chunks = [];
-  
-  for (let i = 0; i < words.length; i += (CHUNK_TOKENS - OVERLAP_TOKENS)) {
-    const chunkWords = words.slice(i, i + CHUNK_TOKENS);
-    const chunkText = chunkWords.join(" ");
-    
-    if (chunkText.trim().length > MIN_CHUNK_LENGTH) {
-      // Prepend header for standalone context
-      const fullChunk = `${header}\n\n${chunkText}`;
-      chunks.push(fullChunk);
+  let writing = Promise.resolve();
+  const save = () => {
+    writing = writing.then(async () => {
+      await fs.mkdir(path.dirname(CHECKPOINT_PATH), { recursive: true });
+      await fs.writeFile(`${CHECKPOINT_PATH}.tmp`, JSON.stringify(state, null, 2));
+      await fs.rename(`${CHECKPOINT_PATH}.tmp`, CHECKPOINT_PATH);
+    });
+    return writing;
+  };
+
+  return {
+    // Done only for the same content embedded by the same model
+    isDone(filePath, hash) {
+      const entry = state.files[filePath];
+      return Boolean(entry && entry.hash === hash && entry.embeddingModel === modelId);
+    },
+    record(filePath, entry) {
+      state.files[filePath] = { ...entry, embeddingModel: modelId, indexedAt: new Date().toISOString() };
+      return save();
+    },
+    // Forget files that are no longer in sources/ (archived or deleted)
+    prune(filePaths) {
+      const keep = new Set(filePaths);
+      state.files = Object.fromEntries(Object.entries(state.files).filter(([filePath]) => keep.has(filePath)));
+      return save();
     }
-  }
-  
-  return chunks;
+  };
 }
 
-// Simple rate limiting for embeddings
-// Rate limiting: 2000 requests/minute = ~33 requests/second
-// Using 1 second delay to be conservative and avoid hitting limits
-
-async function embedText(text) {
-  console.log(`🔄 [DEBUG] Starting embedding for text (${text.length} chars)`);
-  
-  try {
-    const response = await cohere.embed({
-      texts: [text],
-      model: "embed-english-v3.0",
-      inputType: "search_document"
-    });
-    
-    console.log(`✅ [DEBUG] Embedding successful, dimension: ${response.embeddings[0].length}`);
-    
-    // Add a small delay to respect rate limits
-    await sleep(1000); // 1 second between calls
-    
-    return response.embeddings[0];
-  } catch (error) {
-    console.error(`❌ [DEBUG] Embedding failed:`, error.message);
-    throw error;
+// "Director - Highlights", "Director - Technical Details (2/3)"; unsectioned text keeps "Part N"
+function chunkTitle(title, chunk, index) {
+  if (!chunk.section) {
+    return `${title} - Part ${index + 1}`;
   }
+  return chunk.parts > 1 ? `${title} - ${chunk.section} (${chunk.part}/${chunk.parts})` : `${title} - ${chunk.section}`;
 }
 
 async function generateSummary(content, title) {
@@ -186,248 +114,280 @@ async function generateSummary(content, title) {
   return summary ? `${summary}.` : `Summary of ${title}`;
 }
 
-async function upsertSource(data) {
+/**
+ * Decide what indexing a file will do, without embedding or writing anything
+ * @param {Object} file - { dir, filePath, relPath }
+ * @param {Object} options - { checkpoint (from loadCheckpoint), modelId (active embedding model) }
+ * @returns {Promise<Object>} - The file plus { action: 'add' | 'replace' | 'unchanged', sourceId, fileHash, chunks, storedChunks }
+ */
+async function planFile(file, { checkpoint, modelId }) {
+  const raw = await fs.readFile(file.filePath, "utf8");
+  const fileHash = crypto.createHash("sha1").update(raw).digest("hex");
+  const { data, content } = matter(raw);
+
+  if (!data.id) {
+    throw new Error("No id in frontmatter");
+  }
+
+  const plan = { ...file, sourceId: data.id, fileHash, data, content, chunks: [], storedChunks: 0 };
+  if (checkpoint.isDone(file.filePath, fileHash)) {
+    return { ...plan, action: "unchanged", reason: "checkpoint" };
+  }
+
+  // Create header for chunks
+  const header = `${data.org || ""} • ${data.title} • ${data.date_start || ""}–${data.date_end || "present"}`;
+
+  // Chunk the content along its sections and bullets
+  const chunks = chunker.chunk(content, header);
+
+  // Unchanged only when exactly this version's chunks are stored, embedded by the active model:
+  // fewer means an earlier run stopped partway, other hashes are an earlier version of the file,
+  // and another model means the provider changed since
+  const versions = await db.getChunkVersions(data.id);
+  const storedChunks = Object.values(versions).reduce((sum, version) => sum + version.chunks, 0);
+  const current = versions[fileHash];
+
+  let action = "replace";
+  if (storedChunks === 0) {
+    action = chunks.length > 0 ? "add" : "unchanged";
+  } else if (storedChunks === chunks.length && current?.chunks === chunks.length &&
+    current.models.every(model => model === modelId)) {
+    action = "unchanged";
+  }
+
+  return { ...plan, action, chunks, storedChunks };
+}
+
+// Two files declaring the same id would replace each other's chunks on every run; the first one wins
+function rejectDuplicateIds(plans) {
+  const owners = new Map();
+  return plans.map(plan => {
+    if (plan.error) {
+      return plan;
+    }
+    const owner = owners.get(plan.sourceId);
+    if (owner) {
+      return { ...plan, action: "error", error: `Duplicate source id "${plan.sourceId}" (also in ${owner})` };
+    }
+    owners.set(plan.sourceId, plan.relPath);
+    return plan;
+  });
+}
+
+async function fileExists(filePath) {
   try {
-    // Check if source already exists by ID (the actual unique constraint)
-    const existing = await supabase
-      .from("sources")
-      .select("id")
-      .eq("id", data.id)
-      .single();
-    
-    if (existing.data) {
-      // Update existing source
-      const { data: updated, error } = await supabase
-        .from("sources")
-        .update({
-          type: data.type,
-          location: data.location,
-          date_start: data.date_start,
-          date_end: data.date_end,
-          industry_tags: data.industry_tags,
-          summary: data.summary,
-          url: data.url,
-          updated_at: new Date().toISOString()
-        })
-        .eq("id", existing.data.id)
-        .select("id")
-        .single();
-      
-      if (error) throw error;
-      return updated.id;
-    } else {
-      // Insert new source
-      const newSource = await db.insertSource({
-        id: data.id,
-        type: data.type,
-        title: data.title,
-        org: data.org,
-        location: data.location,
-        date_start: data.date_start,
-        date_end: data.date_end,
-        industry_tags: data.industry_tags,
-        summary: data.summary,
-        url: data.url
-      });
-      return newSource.id;
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Sources whose file is gone: it is in neither sources/ nor archives/ (indexed files are
+ * archived, not deleted), or it now declares a different id. A source whose id another file
+ * still declares has only moved and is kept.
+ * @param {Array} plans - From planFile
+ * @param {Array} fileSources - From db.getFileSources
+ * @returns {Promise<Array>} - [{ sourceId, title, relPath, chunks }]
+ */
+async function planRemovals(plans, fileSources) {
+  const plannedIds = new Set(plans.filter(plan => !plan.error).map(plan => plan.sourceId));
+  const idByPath = new Map(plans.filter(plan => !plan.error).map(plan => [plan.relPath, plan.sourceId]));
+  const removals = [];
+
+  for (const source of fileSources) {
+    if (plannedIds.has(source.id)) {
+      continue;
+    }
+    const gone = idByPath.has(source.file_path)
+      ? idByPath.get(source.file_path) !== source.id
+      : !(await fileExists(path.join(SOURCES_ROOT, source.file_path))) &&
+        !(await fileExists(path.join(ARCHIVE_ROOT, source.file_path)));
+    if (gone) {
+      const versions = await db.getChunkVersions(source.id);
+      const chunks = Object.values(versions).reduce((sum, version) => sum + version.chunks, 0);
+      removals.push({ sourceId: source.id, title: source.title, relPath: source.file_path, chunks });
     }
-  } catch (error) {
-    console.error("Error upserting source:", error);
-    throw error;
   }
+
+  return removals;
 }
 
-async function processFile(filePath, sourceDir) {
+function printPlan(plans, removals, logger = console) {
+  const byAction = action => plans.filter(plan => plan.action === action);
+
+  logger.log("\n🔎 Dry run - nothing will be embedded, written or removed");
+  logger.log(`\n➕ Add (${byAction("add").length}):`);
+  byAction("add").forEach(plan => logger.log(`   ${plan.relPath} → ${plan.sourceId} (${plan.chunks.length} chunks)`));
+  logger.log(`\n🔁 Replace (${byAction("replace").length}):`);
+  byAction("replace").forEach(plan => {
+    logger.log(`   ${plan.relPath} → ${plan.sourceId} (${plan.storedChunks} stored chunks → ${plan.chunks.length})`);
+  });
+  logger.log(`\n🗑️  Remove (${removals.length}):`);
+  removals.forEach(removal => logger.log(`   ${removal.relPath} → ${removal.sourceId} (${removal.chunks} chunks)`));
+  logger.log(`\n⏭️  Unchanged: ${byAction("unchanged").length}`);
+
+  const errors = plans.filter(plan => plan.error);
+  if (errors.length > 0) {
+    logger.log(`\n❌ Errors (${errors.length}):`);
+    errors.forEach(plan => logger.log(`   ${plan.relPath}: ${plan.error}`));
+  }
+}
+
+async function processFile(plan, { signal, onEvent, embeddings, checkpoint, fileSources, logger = console } = {}) {
+  const { filePath, fileHash, sourceId, data, content, chunks } = plan;
   const fileName = path.basename(filePath);
-  console.log(`🔗 Processing: ${fileName}`);
-  
-  // Debug statement 1
-  console.log(`🔄 [DEBUG] Starting processFile for: ${fileName}`);
-  console.log(`🔄 [DEBUG] Current time: ${new Date().toISOString()}`);
-  
+  logger.log(`🔗 Processing: ${fileName}`);
+
   try {
-    const raw = await fs.readFile(filePath, "utf8");
-    
-    // Debug statement 2
-    console.log(`🔄 [DEBUG] File read successfully, size: ${raw.length} characters`);
-    const fileHash = crypto.createHash("sha1").update(raw).digest("hex");
-    const { data, content } = matter(raw);
-    
-    // Debug statement 3
-    console.log(`🔄 [DEBUG] YAML parsed, data keys: ${Object.keys(data).join(', ')}`);
-    
-    // Check if we've already processed this exact content
-    const existingChunks = await supabase
-      .from("content_chunks")
-      .select("id")
-      .eq("file_hash", fileHash)
-      .limit(1);
-    
-    if (existingChunks.data && existingChunks.data.length > 0) {
-      console.log(`⏭️  Skipping ${fileName} - content unchanged (hash: ${fileHash.slice(0, 8)})`);
-      return { chunks: 0, skipped: true };
+    if (plan.error) {
+      throw new Error(plan.error);
     }
-    
-    // Upsert source record
-    const sourceId = await upsertSource(data);
-    console.log(`📋 Source ID: ${sourceId}`);
-    
-    // Debug statement 4
-    console.log(`🔄 [DEBUG] Source upserted with ID: ${sourceId}`);
-    
+
+    if (plan.action === "unchanged") {
+      logger.log(`⏭️  Skipping ${fileName} - content unchanged (${plan.reason || "stored"}, hash: ${fileHash.slice(0, 8)})`);
+      if (fileSources.get(sourceId) !== plan.relPath) {
+        await db.setSourceFile(sourceId, plan.relPath);
+      }
+      if (plan.reason !== "checkpoint" && chunks.length > 0) {
+        await checkpoint?.record(filePath, { hash: fileHash, sourceId, chunks: chunks.length });
+      }
+      return { chunks: 0, skipped: true, action: plan.action };
+    }
+
+    logger.log(`📦 Created ${chunks.length} chunks for ${fileName}`);
+
     // Generate content summary
     const contentSummary = await generateSummary(content, data.title);
-    
-    // Create header for chunks
-    const header = `${data.org || ""} • ${data.title} • ${data.date_start || ""}–${data.date_end || "present"}`;
-    
-    // Chunk the content
-    const chunks = chunkText(content, header);
-    console.log(`📦 Created ${chunks.length} chunks`);
-    
-    // Debug statement 5
-    console.log(`🔄 [DEBUG] Starting chunk processing, ${chunks.length} chunks to process`);
-    
-    if (chunks.length === 0) {
-      console.log(`⚠️  No chunks created for ${fileName} - content too short`);
-      return { chunks: 0, skipped: false };
-    }
-    
-    // Delete existing chunks for this source (in case of updates)
-    await supabase
-      .from("content_chunks")
-      .delete()
-      .eq("source_id", sourceId)
-      .eq("file_hash", fileHash);
-    
-    // Process each chunk
-    let processedChunks = 0;
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      
-      // Debug statement 6
-      console.log(`🔄 [DEBUG] Processing chunk ${i + 1}/${chunks.length} at ${new Date().toISOString()}`);
-      
-      try {
-        // Debug statement 7
-        console.log(`🔄 [DEBUG] About to call embedText for chunk ${i + 1}`);
-        
-        // Generate embedding
-        const embedding = await embedText(chunk);
-        
-        // Debug statement 8
-        console.log(`🔄 [DEBUG] embedText completed for chunk ${i + 1}, embedding length: ${embedding?.length}`);
-        const tokenCount = estimateTokens(chunk);
-        
-        // Insert chunk
-        await db.insertChunk({
-          source_id: sourceId,
-          title: `${data.title} - Part ${i + 1}`,
-          content: chunk,
-          content_summary: contentSummary,
-          skills: data.skills || [],
-          tags: data.industry_tags || [],
-          date_start: data.date_start,
-          date_end: data.date_end,
-          token_count: tokenCount,
-          embedding: embedding,
-          file_hash: fileHash
-        });
-        
-        // Debug statement 9
-        console.log(`🔄 [DEBUG] Chunk ${i + 1} inserted to database successfully`);
-        
-        console.log(`✅ Chunk ${i + 1}/${chunks.length} - ${tokenCount} tokens`);
-        processedChunks++;
-        
-        // No delay needed here - batching handles rate limiting
-        
-      } catch (error) {
-        console.error(`❌ Error processing chunk ${i + 1} of ${fileName}:`);
-        console.error('   Message:', error.message);
-        if (error.code) console.error('   Code:', error.code);
-        // Log but continue - errors are handled by retryWithBackoff
+
+    // Embed every chunk before storing anything, so a failure leaves the stored source and chunks untouched
+    const vectors = await embeddings.embedTexts(chunks.map(chunk => chunk.content), "search_document", {
+      signal,
+      onBatch: (start, count) => {
+        for (let i = start; i < start + count; i++) {
+          onEvent?.('chunk-embedded', { file: filePath, chunk: i + 1, totalChunks: chunks.length, tokens: chunks[i].tokenCount });
+        }
       }
-    }
-    
-    return { chunks: processedChunks, skipped: false };
-    
+    });
+    signal?.throwIfAborted();
+
+    // The source record and its new chunks replace the stored version in one transaction
+    const source = { ...data, id: sourceId, file_path: plan.relPath };
+    const { removed, version } = await db.replaceSourceChunks(source, fileHash, chunks.map((chunk, i) => ({
+      title: chunkTitle(data.title, chunk, i),
+      content: chunk.content,
+      section: chunk.section,
+      content_summary: contentSummary,
+      skills: data.skills || [],
+      tags: data.industry_tags || [],
+      date_start: data.date_start,
+      date_end: data.date_end,
+      token_count: chunk.tokenCount,
+      embedding: vectors[i],
+      embedding_model: embeddings.modelId
+    })));
+
+    const totalTokens = chunks.reduce((sum, chunk) => sum + chunk.tokenCount, 0);
+    logger.log(`✅ Stored ${chunks.length} chunks for ${fileName} (${totalTokens} tokens, version ${version}, ${removed} old chunks replaced)`);
+    await checkpoint?.record(filePath, { hash: fileHash, sourceId, chunks: chunks.length });
+
+    return { chunks: chunks.length, skipped: false, action: plan.action };
+
   } catch (error) {
-    console.error(`❌ Error processing ${fileName}:`, error.message);
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    logger.error(`❌ Error processing ${fileName}:`, error.message);
     return { chunks: 0, skipped: false, error: error.message };
   }
 }
 
-async function processDirectory(dirPath) {
-  try {
-    const files = await fs.readdir(dirPath);
-    const mdFiles = files.filter(f => f.endsWith(".md"));
-    
-    console.log(`📁 Processing directory: ${dirPath} (${mdFiles.length} files)`);
-    
-    let totalChunks = 0;
-    let processedFiles = 0;
-    let skippedFiles = 0;
-    let errorCount = 0;
-    
-    for (const file of mdFiles) {
-      const filePath = path.join(dirPath, file);
-      const result = await processFile(filePath, dirPath);
-      
-      if (result.skipped) {
-        skippedFiles++;
-      } else if (result.error) {
-        errorCount++;
-      } else {
-        processedFiles++;
-        totalChunks += result.chunks;
-      }
-    }
-    
-    return { totalChunks, processedFiles, skippedFiles, errorCount };
-  } catch (error) {
-    if (error.code === "ENOENT") {
-      console.log(`📂 Directory not found: ${dirPath}`);
-      return { totalChunks: 0, processedFiles: 0, skippedFiles: 0, errorCount: 0 };
+// run: { signal, onEvent, embeddings, checkpoint, fileSources, logger }; files from every directory are processed FILE_CONCURRENCY at a time
+async function processFiles(plans, run = {}) {
+  let started = 0;
+
+  return mapWithConcurrency(plans, FILE_CONCURRENCY, async plan => {
+    run.signal?.throwIfAborted();
+    const progress = { file: plan.filePath, index: ++started, total: plans.length };
+    run.onEvent?.('file-progress', { ...progress, status: 'started' });
+    const result = await processFile(plan, run);
+    run.onEvent?.('file-progress', {
+      ...progress,
+      status: result.skipped ? 'skipped' : result.error ? 'failed' : 'completed',
+      chunks: result.chunks,
+      ...(result.error ? { error: result.error } : {})
+    });
+    return { dir: plan.dir, ...result };
+  });
+}
+
+async function removeSources(removals, { signal, logger = console } = {}) {
+  let removed = 0;
+  for (const removal of removals) {
+    signal?.throwIfAborted();
+    try {
+      const chunks = await db.deleteSource(removal.sourceId);
+      logger.log(`🗑️  Removed ${removal.sourceId} (${chunks} chunks) - ${removal.relPath} is gone`);
+      removed++;
+    } catch (error) {
+      logger.error(`❌ Error removing ${removal.sourceId}:`, error.message);
     }
-    throw error;
   }
+  return removed;
 }
 
-async function indexer() {
-  console.log("🔗 Starting indexing and embedding...");
-  console.log(`📊 Debug: Cohere API key length: ${process.env.COHERE_API_KEY?.length}`);
-  console.log(`📊 Debug: Database connection test...`);
-  
-  // Test Cohere connection first - this is critical
-  const cohereWorking = await testCohereConnection();
-  if (!cohereWorking) {
-    throw new Error("Cannot proceed without working Cohere connection. Check your API key and network.");
-  }
-  
-  // Ensure required directories exist
+/**
+ * Index every file under sources/: new files are added, edited files replace their source's
+ * chunks, and sources whose file was deleted are removed
+ * @param {Object} options - { signal, onEvent, dryRun, logger }; a dry run only reports the plan
+ * @returns {Promise<Object>} - Totals, or the plan for a dry run
+ */
+async function indexer({ signal, onEvent, dryRun = false, logger = console } = {}) {
+  logger.log(dryRun ? "🔎 Planning reindex (dry run)..." : "🔗 Starting indexing and embedding...");
+
+  // A dry run never embeds, so it needs neither the provider's credentials nor the source directories
+  let embeddings;
+  let modelId;
   try {
-    const ROOT = "sources";
-    const directories = ["jobs", "projects", "education", "certs", "bio"];
-    
-    await fs.mkdir(ROOT, { recursive: true });
-    for (const dir of directories) {
-      await fs.mkdir(path.join(ROOT, dir), { recursive: true });
+    if (dryRun) {
+      modelId = activeModelId();
+    } else {
+      embeddings = new EmbeddingService();
+      modelId = embeddings.modelId;
+      logger.log(`✅ Embedding provider initialized: ${modelId}`);
     }
-    console.log("✅ Required directories ensured");
   } catch (error) {
-    console.error("❌ Failed to create source directories:", error.message);
-    throw new Error(`Directory creation failed: ${error.message}`);
+    logger.error('❌ Failed to initialize embedding provider:', error.message);
+    logger.error('   Check config/embeddings.json, EMBEDDING_PROVIDER and the provider API key in .env');
+    throw error;
   }
-  
-  // Check if Cohere API key is available
-  if (!process.env.COHERE_API_KEY) {
-    throw new Error("COHERE_API_KEY not found in environment variables");
+  logger.log(`📊 Debug: Embedding model: ${modelId}`);
+  logger.log(`📊 Debug: Database connection test...`);
+
+  if (!dryRun) {
+    // Test embedding provider first - this is critical
+    const embeddingsWorking = await testEmbeddingConnection(embeddings, logger);
+    if (!embeddingsWorking) {
+      throw new Error("Cannot proceed without a working embedding provider. Check your API key and network.");
+    }
+
+    // Ensure required directories exist
+    try {
+      await fs.mkdir(SOURCES_ROOT, { recursive: true });
+      for (const dir of SOURCE_DIRECTORIES) {
+        await fs.mkdir(path.join(SOURCES_ROOT, dir), { recursive: true });
+      }
+      logger.log("✅ Required directories ensured");
+    } catch (error) {
+      logger.error("❌ Failed to create source directories:", error.message);
+      throw new Error(`Directory creation failed: ${error.message}`);
+    }
   }
-  
+
   // Validate database connection
   try {
-    console.log('🔍 Testing database connections...');
+    logger.log('🔍 Testing database connections...');
     if (!db || !supabase) {
       throw new Error("Database connections not available");
     }
@@ -442,61 +402,133 @@ async function indexer() {
       throw new Error(`Supabase connection failed: ${testError.message}`);
     }
     
-    console.log("✅ Database connections validated");
+    logger.log("✅ Database connections validated");
   } catch (error) {
-    console.error("❌ Database validation failed:", error.message);
+    logger.error("❌ Database validation failed:", error.message);
     if (error.message.includes('Invalid API key')) {
-      console.error('   -> Check your SUPABASE_URL and SUPABASE_ANON_KEY in .env file');
+      logger.error('   -> Check your SUPABASE_URL and SUPABASE_ANON_KEY in .env file');
     } else if (error.message.includes('network') || error.message.includes('timeout')) {
-      console.error('   -> Network connectivity issue to Supabase');
+      logger.error('   -> Network connectivity issue to Supabase');
     }
     throw new Error(`Database connection failed: ${error.message}`);
   }
   
-  const ROOT = "sources";
-  const directories = ["jobs", "projects", "education", "certs", "bio"];
-  
+  const files = [];
+  let archivedFiles = 0;
+  for (const dir of SOURCE_DIRECTORIES) {
+    // Missing only in a dry run, which does not create the directories
+    const names = (await fs.readdir(path.join(SOURCES_ROOT, dir)).catch(() => [])).filter(f => f.endsWith(".md"));
+    files.push(...names.map(name => ({
+      dir,
+      filePath: path.join(SOURCES_ROOT, dir, name),
+      relPath: path.posix.join(dir, name)
+    })));
+    const archived = await fs.readdir(path.join(ARCHIVE_ROOT, dir)).catch(() => []);
+    archivedFiles += archived.filter(f => f.endsWith(".md")).length;
+  }
+
+  const checkpoint = await loadCheckpoint(modelId, logger);
+  const planned = await mapWithConcurrency(files, FILE_CONCURRENCY, file => {
+    signal?.throwIfAborted();
+    return planFile(file, { checkpoint, modelId }).catch(error => ({ ...file, action: "error", error: error.message }));
+  });
+  const plans = rejectDuplicateIds(planned);
+
+  const fileSources = await db.getFileSources();
+  let removals = await planRemovals(plans, fileSources);
+  // With no source files on disk at all this is most likely a fresh checkout, not a mass deletion
+  if (removals.length > 0 && files.length === 0 && archivedFiles === 0) {
+    logger.warn(`⚠️  No files in ${SOURCES_ROOT}/ or ${ARCHIVE_ROOT}/ - not removing ${removals.length} indexed sources`);
+    removals = [];
+  }
+
+  if (dryRun) {
+    printPlan(plans, removals, logger);
+    const pathsFor = action => plans.filter(plan => plan.action === action).map(plan => plan.relPath);
+    return {
+      dryRun: true,
+      add: pathsFor("add"),
+      replace: pathsFor("replace"),
+      remove: removals.map(removal => removal.relPath),
+      unchanged: pathsFor("unchanged").length,
+      errors: plans.filter(plan => plan.error).map(plan => ({ file: plan.relPath, error: plan.error }))
+    };
+  }
+
+  const results = await processFiles(plans, {
+    signal,
+    onEvent,
+    embeddings,
+    checkpoint,
+    logger,
+    fileSources: new Map(fileSources.map(source => [source.id, source.file_path]))
+  });
+  const removed = await removeSources(removals, { signal, logger });
+
   let grandTotalChunks = 0;
   let grandTotalFiles = 0;
   let grandTotalSkipped = 0;
   let grandTotalErrors = 0;
-  
-  for (const dir of directories) {
-    const dirPath = path.join(ROOT, dir);
-    const stats = await processDirectory(dirPath);
-    
-    console.log(`📊 ${dir}: ${stats.processedFiles} processed, ${stats.skippedFiles} skipped, ${stats.totalChunks} chunks, ${stats.errorCount} errors`);
-    
-    grandTotalChunks += stats.totalChunks;
-    grandTotalFiles += stats.processedFiles;
-    grandTotalSkipped += stats.skippedFiles;
-    grandTotalErrors += stats.errorCount;
+
+  for (const dir of SOURCE_DIRECTORIES) {
+    const dirResults = results.filter(result => result.dir === dir);
+    const processed = dirResults.filter(result => !result.skipped && !result.error);
+    const skipped = dirResults.filter(result => result.skipped).length;
+    const errors = dirResults.filter(result => result.error).length;
+    const chunks = processed.reduce((sum, result) => sum + result.chunks, 0);
+
+    logger.log(`📊 ${dir}: ${processed.length} processed, ${skipped} skipped, ${chunks} chunks, ${errors} errors`);
+
+    grandTotalChunks += chunks;
+    grandTotalFiles += processed.length;
+    grandTotalSkipped += skipped;
+    grandTotalErrors += errors;
   }
-  
-  console.log('✅ [DEBUG] All chunks processed, indexing complete');
-  
-  console.log("📈 Final Statistics:");
-  console.log(`   Files processed: ${grandTotalFiles}`);
-  console.log(`   Files skipped: ${grandTotalSkipped}`);
-  console.log(`   Total chunks created: ${grandTotalChunks}`);
-  console.log(`   Errors: ${grandTotalErrors}`);
+
+  const added = results.filter(result => result.action === "add" && !result.error).length;
+  const replaced = results.filter(result => result.action === "replace" && !result.error).length;
+
+  logger.log("📈 Final Statistics:");
+  logger.log(`   Files processed: ${grandTotalFiles} (${added} added, ${replaced} replaced)`);
+  logger.log(`   Files skipped: ${grandTotalSkipped}`);
+  logger.log(`   Sources removed: ${removed}`);
+  logger.log(`   Total chunks created: ${grandTotalChunks}`);
+  logger.log(`   Errors: ${grandTotalErrors}`);
   
   if (grandTotalChunks > 0) {
-    console.log("✅ Indexing complete! Your ScottGPT knowledge base is ready.");
+    logger.log("✅ Indexing complete! Your ScottGPT knowledge base is ready.");
     const avgChunksPerFile = grandTotalFiles > 0 ? (grandTotalChunks / grandTotalFiles).toFixed(1) : 0;
-    console.log(`📊 Average: ${avgChunksPerFile} chunks per file`);
+    logger.log(`📊 Average: ${avgChunksPerFile} chunks per file`);
     
     // Archive processed files to keep sources/ directory lean
-    console.log('\n📁 Archiving processed files...');
+    logger.log('\n📁 Archiving processed files...');
     try {
       const { default: archiveProcessedFiles } = await import('./archive-processed.js');
-      await archiveProcessedFiles();
+      await archiveProcessedFiles({ logger });
     } catch (error) {
-      console.error('⚠️ Archive failed (non-critical):', error.message);
+      logger.error('⚠️ Archive failed (non-critical):', error.message);
     }
-  } else {
-    console.log("⚠️  No chunks were created. Check your source files and try again.");
+  } else if (removed === 0) {
+    logger.log("⚠️  No chunks were created. Check your source files and try again.");
+  }
+
+  // Archived files leave sources/; their checkpoint entries are no longer needed
+  const remaining = [];
+  for (const dir of SOURCE_DIRECTORIES) {
+    const names = await fs.readdir(path.join(SOURCES_ROOT, dir)).catch(() => []);
+    remaining.push(...names.map(name => path.join(SOURCES_ROOT, dir, name)));
   }
+  await checkpoint.prune(remaining);
+
+  return {
+    files: grandTotalFiles,
+    skipped: grandTotalSkipped,
+    chunks: grandTotalChunks,
+    errors: grandTotalErrors,
+    added,
+    replaced,
+    removed
+  };
 }
 
 // Run if called directly
@@ -510,4 +542,5 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   });
 }
 
+export { planFile, planRemovals };
 export default indexer;
\ No newline at end of file
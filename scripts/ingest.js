@@ -0,0 +1,57 @@
+import 'dotenv/config';
+import { ingestionJobs } from '../services/ingestion-jobs.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+    case '--retry':
+      args.retry = argv[++i];
+      break;
+    default:
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function printSummary(job) {
+  console.log(`\n📊 Job ${job.id}: ${job.status}`);
+  job.stages.forEach(stage => {
+    const icon = { completed: '✅', skipped: '⏭️ ', failed: '❌', cancelled: '🛑' }[stage.status] || '⏸️ ';
+    const duration = stage.durationMs !== null ? ` (${(stage.durationMs / 1000).toFixed(1)}s)` : '';
+    console.log(`   ${icon} ${stage.label}${duration}${stage.error ? ` - ${stage.error}` : ''}`);
+  });
+  if (job.status === 'failed' || job.status === 'cancelled') {
+    console.log(`\n💡 Resume from the failed stage with: npm run ingest -- --retry ${job.id}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const job = args.retry ? await ingestionJobs.retryJob(args.retry) : await ingestionJobs.createJob();
+  process.on('SIGINT', () => {
+    ingestionJobs.cancelJob(job.id).catch(() => {});
+  });
+
+  const finished = await new Promise(resolve => {
+    ingestionJobs.on('job', update => {
+      if (update.id === job.id && !['queued', 'running'].includes(update.status)) {
+        resolve(update);
+      }
+    });
+  });
+
+  printSummary(finished);
+  if (finished.status !== 'completed') {
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Ingestion failed:', error.message);
+    process.exit(1);
+  });
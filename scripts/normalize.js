@@ -5,8 +5,8 @@ import path from 'path';
 const IN = 'incoming';
 const OUT = '.work/normalized';
 
-async function normalize() {
-  console.log('🔄 Normalizing documents...');
+async function normalize({ signal, onEvent, logger = console } = {}) {
+  logger.log('🔄 Normalizing documents...');
   
   // Ensure output directory exists
   await fs.mkdir(OUT, { recursive: true });
@@ -17,7 +17,7 @@ async function normalize() {
     files = await fs.readdir(IN);
   } catch (error) {
     if (error.code === 'ENOENT') {
-      console.log('📁 No incoming directory found - creating it');
+      logger.log('📁 No incoming directory found - creating it');
       await fs.mkdir(IN, { recursive: true });
       files = [];
     } else {
@@ -26,12 +26,14 @@ async function normalize() {
   }
 
   if (files.length === 0) {
-    console.log('📄 No files found in incoming/ directory');
-    return;
+    logger.log('📄 No files found in incoming/ directory');
+    return { processed: 0 };
   }
 
   let processed = 0;
-  for (const f of files) {
+  for (const [index, f] of files.entries()) {
+    signal?.throwIfAborted();
+    const progress = { file: f, index: index + 1, total: files.length };
     const src = path.join(IN, f);
     const stats = await fs.stat(src);
     
@@ -41,7 +43,8 @@ async function normalize() {
     
     // Skip files that aren't documents
     if (!['pdf', 'docx', 'doc', 'txt', 'md'].includes(ext)) {
-      console.log(`⏭️  Skipping ${f} (unsupported format)`);
+      logger.log(`⏭️  Skipping ${f} (unsupported format)`);
+      onEvent?.('file-progress', { ...progress, status: 'skipped' });
       continue;
     }
 
@@ -52,12 +55,12 @@ async function normalize() {
       if (ext === 'md') {
         // Just copy markdown files
         await fs.copyFile(src, outPath);
-        console.log(`📋 Copied: ${f} → ${baseName}.md`);
+        logger.log(`📋 Copied: ${f} → ${baseName}.md`);
       } else if (ext === 'txt') {
         // Convert txt to markdown with basic formatting
         const content = await fs.readFile(src, 'utf8');
         await fs.writeFile(outPath, content);
-        console.log(`📄 Converted: ${f} → ${baseName}.md`);
+        logger.log(`📄 Converted: ${f} → ${baseName}.md`);
       } else {
         // Use pandoc for PDF and DOCX files
         try {
@@ -67,16 +70,16 @@ async function normalize() {
           } else {
             await execa('pandoc', [src, '-t', 'gfm', '-o', outPath]);
           }
-          console.log(`🔄 Converted: ${f} → ${baseName}.md`);
+          logger.log(`🔄 Converted: ${f} → ${baseName}.md`);
         } catch (pandocError) {
           // If pandoc fails on PDF, try alternative method
           if (ext === 'pdf') {
-            console.log(`⚠️  Pandoc failed on PDF ${f}, trying alternative extraction...`);
+            logger.log(`⚠️  Pandoc failed on PDF ${f}, trying alternative extraction...`);
             try {
               // Alternative: Use pdftotext if available, or create a placeholder
               const fallbackContent = `# Document: ${f}\n\n*PDF content could not be extracted automatically. Please convert this document manually or ensure pandoc has PDF support.*\n\nOriginal file: ${f}\nSize: ${stats.size} bytes\n`;
               await fs.writeFile(outPath, fallbackContent);
-              console.log(`📄 Created placeholder for: ${f} → ${baseName}.md`);
+              logger.log(`📄 Created placeholder for: ${f} → ${baseName}.md`);
             } catch (fallbackError) {
               throw pandocError; // Throw original error
             }
@@ -91,16 +94,19 @@ async function normalize() {
       await fs.mkdir(processedDir, { recursive: true });
       const processedPath = path.join(processedDir, f);
       await fs.rename(src, processedPath);
-      console.log(`📦 Moved to processed: ${f}`);
+      logger.log(`📦 Moved to processed: ${f}`);
       
       processed++;
+      onEvent?.('file-progress', { ...progress, status: 'completed', output: `${baseName}.md` });
     } catch (error) {
-      console.error(`❌ Error processing ${f}:`, error.message);
-      console.error('💡 Make sure pandoc is installed: brew install pandoc');
+      logger.error(`❌ Error processing ${f}:`, error.message);
+      logger.error('💡 Make sure pandoc is installed: brew install pandoc');
+      onEvent?.('file-progress', { ...progress, status: 'failed', error: error.message });
     }
   }
 
-  console.log(`✅ Normalized ${processed} files to markdown`);
+  logger.log(`✅ Normalized ${processed} files to markdown`);
+  return { processed };
 }
 
 // Run if called directly
@@ -0,0 +1,38 @@
+import 'dotenv/config';
+import indexer from './indexer.js';
+
+function parseArgs(argv) {
+  const args = { dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+    case '--dry-run':
+      args.dryRun = true;
+      break;
+    default:
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const controller = new AbortController();
+  process.on('SIGINT', () => controller.abort());
+
+  const result = await indexer({ signal: controller.signal, dryRun: args.dryRun });
+  if (args.dryRun) {
+    console.log('\n💡 Apply these changes with: npm run reindex');
+  }
+  if (result.errors > 0 || result.errors?.length > 0) {
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error.name === 'AbortError' ? '🛑 Reindex cancelled' : `❌ Reindex failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -30,7 +30,7 @@ function stripPII(text) {
   return cleaned;
 }
 
-async function normalizeSkills(skills, context = {}) {
+async function normalizeSkills(skills, context = {}, logger = console) {
   if (!Array.isArray(skills)) {return [];}
   
   const normalized = new Set();
@@ -60,9 +60,9 @@ async function normalizeSkills(skills, context = {}) {
       const discovery = await skillService.discoverSkill(skill, context);
       
       if (discovery.status === 'new_discovery') {
-        console.log(`🔍 New skill discovered: "${skill}" (${discovery.category}) - logged for approval`);
+        logger.log(`🔍 New skill discovered: "${skill}" (${discovery.category}) - logged for approval`);
       } else if (discovery.status === 'existing_discovery') {
-        console.log(`📈 Skill "${skill}" seen again (${discovery.occurrences}x total)`);
+        logger.log(`📈 Skill "${skill}" seen again (${discovery.occurrences}x total)`);
       }
       
       // Still include the skill in output for now
@@ -73,7 +73,7 @@ async function normalizeSkills(skills, context = {}) {
   return Array.from(normalized);
 }
 
-async function normalizeTags(tags, context = {}) {
+async function normalizeTags(tags, context = {}, logger = console) {
   if (!Array.isArray(tags)) {return [];}
   
   const normalized = new Set();
@@ -94,9 +94,9 @@ async function normalizeTags(tags, context = {}) {
       const status = await tagManager.processTag(tag, context);
       
       if (status === 'new-pending') {
-        console.log(`🆕 New tag discovered: "${tag}" - added to pending approval`);
+        logger.log(`🆕 New tag discovered: "${tag}" - added to pending approval`);
       } else if (status === 'pending') {
-        console.log(`⏸️  Tag "${tag}" already pending approval (occurrence incremented)`);
+        logger.log(`⏸️  Tag "${tag}" already pending approval (occurrence incremented)`);
       }
       
       // Still include the tag in normalized output for now
@@ -135,8 +135,8 @@ function validateDates(dateStart, dateEnd) {
   return errors;
 }
 
-async function validate() {
-  console.log('✅ Validating content...');
+async function validate({ signal, onEvent, logger = console } = {}) {
+  logger.log('✅ Validating content...');
   
   // Ensure required directories exist
   try {
@@ -144,43 +144,43 @@ async function validate() {
     await fs.mkdir('config', { recursive: true });
     await fs.mkdir(OUT, { recursive: true });
     await fs.mkdir(IN, { recursive: true });
-    console.log('✅ Required directories ensured');
+    logger.log('✅ Required directories ensured');
   } catch (error) {
-    console.error('❌ Failed to create required directories:', error.message);
+    logger.error('❌ Failed to create required directories:', error.message);
     throw new Error(`Directory creation failed: ${error.message}`);
   }
   
   // Initialize services with error handling
   try {
-    console.log('🔧 Initializing TagManager...');
+    logger.log('🔧 Initializing TagManager...');
     tagManager = new TagManager();
     await tagManager.loadConfiguration();
-    console.log('✅ TagManager initialized successfully');
+    logger.log('✅ TagManager initialized successfully');
   } catch (error) {
-    console.error('❌ Failed to initialize TagManager:', error.message);
+    logger.error('❌ Failed to initialize TagManager:', error.message);
     throw new Error(`TagManager initialization failed: ${error.message}`);
   }
   
   try {
-    console.log('🔧 Initializing SkillDiscoveryService...');
+    logger.log('🔧 Initializing SkillDiscoveryService...');
     skillService = new SkillDiscoveryService();
     await skillService.initialize();
-    console.log('✅ SkillDiscoveryService initialized successfully');
+    logger.log('✅ SkillDiscoveryService initialized successfully');
   } catch (error) {
-    console.error('❌ Failed to initialize SkillDiscoveryService:', error.message);
+    logger.error('❌ Failed to initialize SkillDiscoveryService:', error.message);
     throw new Error(`SkillDiscoveryService initialization failed: ${error.message}`);
   }
   
   // Load controlled vocabularies with error handling
   try {
-    console.log('📋 Loading configuration files...');
+    logger.log('📋 Loading configuration files...');
     
     // Load skills config with fallback
     try {
       skillsConfig = JSON.parse(await fs.readFile('config/skills.json', 'utf8'));
-      console.log('📊 Skills config structure:', Object.keys(skillsConfig.controlled_vocabulary || {}));
+      logger.log('📊 Skills config structure:', Object.keys(skillsConfig.controlled_vocabulary || {}));
     } catch (skillsError) {
-      console.warn('⚠️ skills.json not found, creating default configuration');
+      logger.warn('⚠️ skills.json not found, creating default configuration');
       skillsConfig = {
         controlled_vocabulary: {
           technical: [],
@@ -196,7 +196,7 @@ async function validate() {
     try {
       tagsConfig = JSON.parse(await fs.readFile('config/tags.json', 'utf8'));
     } catch (tagsError) {
-      console.warn('⚠️ tags.json not found, creating default configuration');
+      logger.warn('⚠️ tags.json not found, creating default configuration');
       tagsConfig = {
         controlled_vocabulary: [],
         synonyms: {},
@@ -205,24 +205,26 @@ async function validate() {
       await fs.writeFile('config/tags.json', JSON.stringify(tagsConfig, null, 2));
     }
     
-    console.log('✅ Configuration files loaded successfully');
+    logger.log('✅ Configuration files loaded successfully');
   } catch (error) {
-    console.error('❌ Failed to load configuration files:', error.message);
+    logger.error('❌ Failed to load configuration files:', error.message);
     throw new Error(`Configuration loading failed: ${error.message}`);
   }
   
   const files = (await fs.readdir(IN)).filter(f => f.endsWith('.md'));
   
   if (files.length === 0) {
-    console.log('📄 No extracted files found to validate');
-    return;
+    logger.log('📄 No extracted files found to validate');
+    return { valid: 0, errors: 0 };
   }
   
   let validFiles = 0;
   let totalErrors = 0;
   
-  for (const f of files) {
-    console.log(`🔍 Validating: ${f}`);
+  for (const [index, f] of files.entries()) {
+    signal?.throwIfAborted();
+    const progress = { file: f, index: index + 1, total: files.length };
+    logger.log(`🔍 Validating: ${f}`);
     
     try {
       const raw = await fs.readFile(path.join(IN, f), 'utf8');
@@ -254,14 +256,14 @@ async function validate() {
       data.skills = await normalizeSkills(data.skills, {
         file: f,
         content: content.substring(0, 500)
-      });
+      }, logger);
       data.industry_tags = await normalizeTags(data.industry_tags, {
         file: f,
         content: content.substring(0, 500),
         type: data.type,
         title: data.title,
         org: data.org
-      });
+      }, logger);
       
       // Strip PII from content
       const cleanContent = stripPII(content);
@@ -270,27 +272,31 @@ async function validate() {
       data.pii_allow = false;
       
       if (errors.length > 0) {
-        console.error(`❌ Validation errors in ${f}:`);
-        errors.forEach(error => console.error(`   - ${error}`));
+        logger.error(`❌ Validation errors in ${f}:`);
+        errors.forEach(error => logger.error(`   - ${error}`));
         totalErrors += errors.length;
+        onEvent?.('file-progress', { ...progress, status: 'failed', errors });
       } else {
         // Write validated file
         const validatedContent = matter.stringify(cleanContent, data);
         await fs.writeFile(path.join(OUT, f), validatedContent);
-        console.log(`✅ Validated: ${f}`);
+        logger.log(`✅ Validated: ${f}`);
         validFiles++;
+        onEvent?.('file-progress', { ...progress, status: 'completed' });
       }
       
     } catch (error) {
-      console.error(`❌ Error validating ${f}:`, error.message);
+      logger.error(`❌ Error validating ${f}:`, error.message);
       totalErrors++;
+      onEvent?.('file-progress', { ...progress, status: 'failed', errors: [error.message] });
     }
   }
   
-  console.log(`✅ Validated ${validFiles} files`);
+  logger.log(`✅ Validated ${validFiles} files`);
   if (totalErrors > 0) {
-    console.log(`⚠️  Found ${totalErrors} validation errors`);
+    logger.log(`⚠️  Found ${totalErrors} validation errors`);
   }
+  return { valid: validFiles, errors: totalErrors };
 }
 
 // Run if called directly
@@ -6,20 +6,22 @@ import slugify from '@sindresorhus/slugify';
 const IN = '.work/validated';
 const ROOT = 'sources';
 
-async function write() {
-  console.log('💾 Writing to source files...');
+async function write({ signal, onEvent, logger = console } = {}) {
+  logger.log('💾 Writing to source files...');
   
   const files = (await fs.readdir(IN)).filter(f => f.endsWith('.md'));
   
   if (files.length === 0) {
-    console.log('📄 No validated files found to write');
-    return;
+    logger.log('📄 No validated files found to write');
+    return { written: 0, byType: {} };
   }
   
   let writtenFiles = 0;
   const typeStats = {};
   
-  for (const f of files) {
+  for (const [index, f] of files.entries()) {
+    signal?.throwIfAborted();
+    const progress = { file: f, index: index + 1, total: files.length };
     try {
       const raw = await fs.readFile(path.join(IN, f), 'utf8');
       const { data, content } = matter(raw);
@@ -43,7 +45,8 @@ async function write() {
         dirName = 'bio';
         break;
       default:
-        console.error(`❌ Unknown type: ${data.type} in ${f}`);
+        logger.error(`❌ Unknown type: ${data.type} in ${f}`);
+        onEvent?.('file-progress', { ...progress, status: 'failed', error: `Unknown type: ${data.type}` });
         continue;
       }
       
@@ -76,26 +79,29 @@ async function write() {
       const finalContent = matter.stringify(content, data);
       await fs.writeFile(finalPath, finalContent);
       
-      console.log(`📁 Written: ${path.relative(process.cwd(), finalPath)}`);
+      logger.log(`📁 Written: ${path.relative(process.cwd(), finalPath)}`);
       
       // Track statistics
       typeStats[data.type] = (typeStats[data.type] || 0) + 1;
       writtenFiles++;
+      onEvent?.('file-progress', { ...progress, status: 'completed', output: path.relative(process.cwd(), finalPath) });
       
     } catch (error) {
-      console.error(`❌ Error writing ${f}:`, error.message);
+      logger.error(`❌ Error writing ${f}:`, error.message);
+      onEvent?.('file-progress', { ...progress, status: 'failed', error: error.message });
     }
   }
   
-  console.log(`✅ Written ${writtenFiles} source files`);
+  logger.log(`✅ Written ${writtenFiles} source files`);
   
   // Print statistics
   if (Object.keys(typeStats).length > 0) {
-    console.log('📊 File breakdown by type:');
+    logger.log('📊 File breakdown by type:');
     Object.entries(typeStats).forEach(([type, count]) => {
-      console.log(`   ${type}: ${count} files`);
+      logger.log(`   ${type}: ${count} files`);
     });
   }
+  return { written: writtenFiles, byType: typeStats };
 }
 
 // Run if called directly
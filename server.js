@@ -5,6 +5,7 @@ import rateLimit from 'express-rate-limit';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from './utils/logger.js';
+import { requireAdmin } from './utils/admin-auth.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -15,12 +16,20 @@ const __dirname = path.dirname(__filename);
 
 // Validate required environment variables
 const requiredEnvVars = [
-  'OPENAI_API_KEY',
   'SUPABASE_URL',
-  'SUPABASE_SERVICE_ROLE_KEY',
-  'COHERE_API_KEY'
+  'SUPABASE_SERVICE_ROLE_KEY'
 ];
 
+// Cohere is only required when it is the embedding provider (see config/embeddings.json)
+if (!process.env.EMBEDDING_PROVIDER || process.env.EMBEDDING_PROVIDER === 'cohere') {
+  requiredEnvVars.push('COHERE_API_KEY');
+}
+
+// OpenAI is only required when it is the chat provider (see config/llm.json)
+if (!process.env.LLM_PROVIDER || process.env.LLM_PROVIDER === 'openai') {
+  requiredEnvVars.unshift('OPENAI_API_KEY');
+}
+
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
@@ -69,6 +78,9 @@ const generalLimit = createRateLimit(15 * 60 * 1000, 100, 'Too many requests, pl
 const chatLimit = createRateLimit(1 * 60 * 1000, 30, 'Too many chat requests, please try again in a minute'); // 30 requests per minute
 const uploadLimit = createRateLimit(1 * 60 * 1000, 10, 'Too many upload requests, please try again later'); // 10 requests per minute
 const dataLimit = createRateLimit(1 * 60 * 1000, 20, 'Too many data requests, please try again later'); // 20 requests per minute
+const matchLimit = createRateLimit(1 * 60 * 1000, 5, 'Too many job match requests, please try again in a minute'); // 5 requests per minute (one retrieval per requirement)
+const resumeLimit = createRateLimit(1 * 60 * 1000, 5, 'Too many resume requests, please try again in a minute'); // 5 requests per minute (one generation per entry)
+const evalLimit = createRateLimit(10 * 60 * 1000, 5, 'Too many evaluation runs, please try again later'); // 5 requests per 10 minutes (one retrieval per golden question)
 
 // Middleware
 app.use(helmet());
@@ -89,12 +101,22 @@ async function startServer() {
   const dataRoutes = await import('./routes/data.js');
   const uploadRoutes = await import('./routes/upload.js');
   const tagsRoutes = await import('./routes/tags.js');
+  const matchRoutes = await import('./routes/match.js');
+  const resumeRoutes = await import('./routes/resume.js');
+  const evalRoutes = await import('./routes/eval.js');
+  const retrievalRoutes = await import('./routes/retrieval.js');
+  const jobsRoutes = await import('./routes/jobs.js');
 
   // API Routes with specific rate limiting
   app.use('/api/chat', chatLimit, chatRoutes.default);
   app.use('/api/data', dataLimit, dataRoutes.default);
   app.use('/api/upload', uploadLimit, uploadRoutes.default);
   app.use('/api/tags', generalLimit, tagsRoutes.default);
+  app.use('/api/match', matchLimit, matchRoutes.default);
+  app.use('/api/resume', resumeLimit, resumeRoutes.default);
+  app.use('/api/eval', evalLimit, requireAdmin, evalRoutes.default);
+  app.use('/api/retrieval', dataLimit, requireAdmin, retrievalRoutes.default);
+  app.use('/api/jobs', generalLimit, requireAdmin, jobsRoutes.default);
 
   // Health check endpoint
   app.get('/api/health', (req, res) => {
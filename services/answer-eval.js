@@ -0,0 +1,403 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import RAGService from './rag.js';
+import LLMService from './llm.js';
+
+const QUESTIONS_DIR = 'eval/questions';
+const RUNS_DIR = 'eval/runs';
+const DEFAULT_QUESTION_SET = 'answers-v1';
+const CRITERIA = ['faithfulness', 'completeness', 'personaAdherence'];
+// Context sent to the LLM judge is capped so long retrievals still fit its window
+const MAX_JUDGE_CONTEXT_CHARS = 12000;
+// Share of a point's content words the answer must contain for the point to count as covered
+const POINT_COVERAGE_THRESHOLD = 0.6;
+// Expected answer length in words for each persona length setting
+const LENGTH_LIMITS = { brief: [0, 100], standard: [20, 250], detailed: [40, Infinity] };
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'for', 'from', 'has', 'have', 'he', 'his', 'how', 'i', 'in', 'is', 'it', 'my', 'of', 'on', 'or', 'scott', 'that', 'the', 'to', 'was', 'were', 'what', 'with']);
+
+function contentTerms(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(term => !STOP_WORDS.has(term));
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Set and run names become file names, so keep them to a safe character set
+function safePath(dir, name) {
+  if (!/^[a-z0-9][a-z0-9._-]*$/i.test(name)) {
+    throw new Error(`Invalid name: ${name}`);
+  }
+  return path.join(dir, `${name}.json`);
+}
+
+/**
+ * Scores answers with the 'judge' LLM use case against a 1-5 rubric
+ */
+class LLMJudge {
+  constructor(llm) {
+    this.llm = llm;
+  }
+
+  describe() {
+    return { type: 'llm', ...this.llm.describe('judge') };
+  }
+
+  async judge({ question, answer, persona, expectedPoints, chunks }) {
+    let context = chunks.map((chunk, index) => `[${index + 1}] ${chunk.title || ''}\n${chunk.content}`).join('\n\n');
+    if (context.length > MAX_JUDGE_CONTEXT_CHARS) {
+      context = `${context.slice(0, MAX_JUDGE_CONTEXT_CHARS)}\n[context truncated]`;
+    }
+
+    const completion = await this.llm.complete('judge', [
+      {
+        role: 'system',
+        content: `You grade answers from ScottGPT, an assistant that answers questions about Scott Lovett's career from retrieved context.
+Score each criterion from 1 (poor) to 5 (excellent):
+- faithfulness: every claim in the answer is supported by the context; invented facts, numbers or employers score low
+- completeness: the answer covers the expected points that the context supports
+- personaAdherence: the answer follows the persona's voice, tone, length and depth
+Respond with JSON only: {"faithfulness": {"score": n, "reason": "..."}, "completeness": {"score": n, "reason": "..."}, "personaAdherence": {"score": n, "reason": "..."}}`
+      },
+      {
+        role: 'user',
+        content: `QUESTION: ${question}
+
+PERSONA: ${persona.name} — voice: ${persona.voice} person, tone: ${persona.tone}, length: ${persona.length}, depth: ${persona.depth}
+
+EXPECTED POINTS:
+${expectedPoints.map(point => `- ${point}`).join('\n') || '- (none given)'}
+
+CONTEXT:
+${context || '(no context retrieved)'}
+
+ANSWER:
+${answer}`
+      }
+    ], { responseFormat: 'json' });
+
+    const verdict = JSON.parse(completion.content);
+    return Object.fromEntries(CRITERIA.map(criterion => {
+      const score = Number(verdict[criterion]?.score);
+      if (!Number.isFinite(score) || score < 1 || score > 5) {
+        throw new Error(`Judge returned no valid ${criterion} score`);
+      }
+      return [criterion, { score, reason: verdict[criterion].reason || '' }];
+    }));
+  }
+}
+
+/**
+ * Deterministic offline judge: grounding score for faithfulness, term coverage of the
+ * expected points for completeness, and voice/length checks for persona adherence
+ */
+class HeuristicJudge {
+  describe() {
+    return { type: 'mock', provider: 'heuristic', model: 'heuristic-v1' };
+  }
+
+  async judge({ answer, persona, expectedPoints, grounding }) {
+    const claims = grounding?.claims?.length || 0;
+    const faithfulness = {
+      score: round(1 + 4 * (grounding?.score ?? 1)),
+      reason: `${grounding?.unsupportedCount || 0} of ${claims} claims unsupported by the context`
+    };
+
+    const answerTerms = new Set(contentTerms(answer));
+    const missing = expectedPoints.filter(point => {
+      const terms = contentTerms(point);
+      return terms.length > 0 && terms.filter(term => answerTerms.has(term)).length / terms.length < POINT_COVERAGE_THRESHOLD;
+    });
+    const completeness = {
+      score: expectedPoints.length > 0 ? round(1 + 4 * (expectedPoints.length - missing.length) / expectedPoints.length) : 3,
+      reason: missing.length > 0 ? `Missing: ${missing.join('; ')}` : 'All expected points covered'
+    };
+
+    const firstPerson = (answer.match(/\b(i|i'm|i've|my|me)\b/gi) || []).length;
+    const thirdPerson = (answer.match(/\b(scott|he|his|him)\b/gi) || []).length;
+    const voiceOk = persona.voice === 'third' ? thirdPerson >= firstPerson : firstPerson >= thirdPerson;
+    const words = answer.split(/\s+/).filter(Boolean).length;
+    const [minWords, maxWords] = LENGTH_LIMITS[persona.length] || LENGTH_LIMITS.detailed;
+    const lengthOk = words >= minWords && words <= maxWords;
+    const personaAdherence = {
+      score: 1 + (voiceOk ? 2 : 0) + (lengthOk ? 2 : 0),
+      reason: [
+        voiceOk ? `${persona.voice}-person voice` : `expected ${persona.voice}-person voice`,
+        lengthOk ? `${words} words fits "${persona.length}"` : `${words} words is outside "${persona.length}" (${minWords}-${maxWords})`
+      ].join(', ')
+    };
+
+    return { faithfulness, completeness, personaAdherence };
+  }
+}
+
+const JUDGE_TYPES = {
+  llm: LLMJudge,
+  mock: HeuristicJudge
+};
+
+class AnswerEvalService {
+  constructor(rag = new RAGService(), llm = new LLMService()) {
+    this.rag = rag;
+    this.llm = llm;
+  }
+
+  /**
+   * Load and validate an answer question set
+   * @param {string} name - Set name (file name in eval/questions without .json)
+   * @returns {Promise<Object>} - { name, version, description, questions: [{ id, question, persona, expectedPoints }] }
+   */
+  async loadQuestionSet(name = DEFAULT_QUESTION_SET) {
+    let questionSet;
+    try {
+      questionSet = JSON.parse(await fs.readFile(safePath(QUESTIONS_DIR, name), 'utf8'));
+    } catch (error) {
+      throw new Error(error.code === 'ENOENT' ? `Question set not found: ${name}` : `Could not read question set ${name}: ${error.message}`);
+    }
+
+    if (!Array.isArray(questionSet.questions) || questionSet.questions.length === 0) {
+      throw new Error(`Question set ${name} has no questions`);
+    }
+    questionSet.questions.forEach((question, index) => {
+      if (!question.id || !question.question) {
+        throw new Error(`Question set ${name}, question ${index + 1}: id and question are required`);
+      }
+    });
+
+    return { ...questionSet, name };
+  }
+
+  /**
+   * Fingerprint of the prompt-building code and persona profiles, so runs made with
+   * different prompts are never mistaken for each other
+   * @returns {Promise<string>} - Short hash
+   */
+  async getPromptVersion() {
+    const personas = await this.rag.personas.loadPersonas();
+    const source = [
+      this.rag.buildSystemPrompt.toString(),
+      this.rag.buildMessages.toString(),
+      this.rag.buildContextText.toString(),
+      JSON.stringify([...personas.values()])
+    ].join('\n');
+    return crypto.createHash('sha256').update(source).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * Replay a question set through answerQuestion, judge every answer and store the run
+   * @param {Object} options - { questionSet, judge ('llm' | 'mock'), label }
+   * @returns {Promise<Object>} - Stored run with per-question answers, scores and mean scores
+   */
+  async run(options = {}) {
+    const { questionSet: setName = DEFAULT_QUESTION_SET, judge: judgeName = process.env.EVAL_JUDGE || 'llm', label } = options;
+    if (!JUDGE_TYPES[judgeName]) {
+      throw new Error(`Unknown judge: ${judgeName} (use ${Object.keys(JUDGE_TYPES).join(' or ')})`);
+    }
+
+    const questionSet = await this.loadQuestionSet(setName);
+    const judge = new JUDGE_TYPES[judgeName](this.llm);
+    const startTime = Date.now();
+    const ranAt = new Date().toISOString();
+    const id = `${ranAt.replace(/[:.]/g, '-')}-${(label || questionSet.name).replace(/[^a-z0-9._-]+/gi, '-')}`;
+
+    console.log(`🧪 Evaluating answers on ${questionSet.name} v${questionSet.version} (${questionSet.questions.length} questions, ${judgeName} judge)`);
+
+    const questions = [];
+    for (const item of questionSet.questions) {
+      try {
+        const persona = await this.rag.personas.getPersona(item.persona);
+        if (!persona) {
+          throw new Error(`Unknown persona: ${item.persona}`);
+        }
+
+        const result = await this.rag.answerQuestion(item.question, { persona: persona.id, includeContext: true });
+        const scores = await judge.judge({
+          question: item.question,
+          answer: result.answer,
+          persona,
+          expectedPoints: item.expectedPoints || [],
+          chunks: result.contextUsed?.chunks || [],
+          grounding: result.grounding
+        });
+
+        console.log(`   ${item.id}: ${CRITERIA.map(criterion => `${criterion} ${scores[criterion].score}`).join(', ')}`);
+        questions.push({
+          id: item.id,
+          question: item.question,
+          persona: persona.id,
+          answer: result.answer,
+          sources: (result.sources || []).map(source => source.id || source.title),
+          tokensUsed: result.tokensUsed || 0,
+          scores
+        });
+      } catch (error) {
+        console.error(`❌ ${item.id}: ${error.message}`);
+        questions.push({ id: item.id, question: item.question, persona: item.persona || 'default', error: error.message });
+      }
+    }
+
+    const scored = questions.filter(question => question.scores);
+    const run = {
+      id,
+      label: label || null,
+      questionSet: questionSet.name,
+      questionSetVersion: questionSet.version,
+      ranAt,
+      durationMs: Date.now() - startTime,
+      promptVersion: await this.getPromptVersion(),
+      answering: this.llm.describe('answering'),
+      judge: judge.describe(),
+      scores: Object.fromEntries(CRITERIA.map(criterion => [criterion, round(mean(scored.map(question => question.scores[criterion].score)))])),
+      errors: questions.length - scored.length,
+      questions
+    };
+
+    await fs.mkdir(RUNS_DIR, { recursive: true });
+    await fs.writeFile(safePath(RUNS_DIR, id), `${JSON.stringify(run, null, 2)}\n`);
+    console.log(`💾 Saved run: ${safePath(RUNS_DIR, id)}`);
+    return run;
+  }
+
+  /**
+   * Stored runs, newest first
+   * @returns {Promise<Array>} - { id, label, questionSet, ranAt, promptVersion, answering, judge, scores }
+   */
+  async listRuns() {
+    let files;
+    try {
+      files = (await fs.readdir(RUNS_DIR)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const runs = await Promise.all(files.map(file => this.loadRun(file.replace(/\.json$/, ''))));
+    return runs
+      .map(({ id, label, questionSet, ranAt, promptVersion, answering, judge, scores, errors }) => ({ id, label, questionSet, ranAt, promptVersion, answering, judge, scores, errors }))
+      .sort((a, b) => b.ranAt.localeCompare(a.ranAt));
+  }
+
+  /**
+   * Load a stored run
+   * @param {string} id - Run id
+   * @returns {Promise<Object>} - Run
+   */
+  async loadRun(id) {
+    try {
+      return JSON.parse(await fs.readFile(safePath(RUNS_DIR, id), 'utf8'));
+    } catch (error) {
+      throw new Error(error.code === 'ENOENT' ? `Run not found: ${id}` : `Could not read run ${id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Side-by-side comparison of two runs: what changed in the setup, mean score deltas and per-question answers
+   * @param {Object} baseRun - Earlier run
+   * @param {Object} candidateRun - Run to compare against it
+   * @returns {Object} - { base, candidate, setupChanges, warnings, scores, questions }
+   */
+  compareRuns(baseRun, candidateRun) {
+    const summary = run => ({
+      id: run.id,
+      label: run.label,
+      ranAt: run.ranAt,
+      promptVersion: run.promptVersion,
+      answering: `${run.answering.provider}/${run.answering.model}`,
+      judge: `${run.judge.provider}/${run.judge.model}`
+    });
+    const base = summary(baseRun);
+    const candidate = summary(candidateRun);
+
+    const setupChanges = ['promptVersion', 'answering', 'judge'].filter(field => base[field] !== candidate[field]);
+    const warnings = [];
+    if (setupChanges.includes('judge')) {
+      warnings.push('Runs were scored by different judges; score deltas mix answer and judge changes');
+    }
+    if (baseRun.questionSet !== candidateRun.questionSet || baseRun.questionSetVersion !== candidateRun.questionSetVersion) {
+      warnings.push(`Question sets differ (${baseRun.questionSet} v${baseRun.questionSetVersion} vs ${candidateRun.questionSet} v${candidateRun.questionSetVersion}); only shared questions are compared`);
+    }
+
+    const scoreDelta = (baseScores, candidateScores) => Object.fromEntries(CRITERIA.map(criterion => {
+      const before = baseScores[criterion]?.score ?? baseScores[criterion];
+      const after = candidateScores[criterion]?.score ?? candidateScores[criterion];
+      return [criterion, { base: before, candidate: after, delta: round(after - before) }];
+    }));
+
+    const baseQuestions = new Map(baseRun.questions.map(question => [question.id, question]));
+    const questions = candidateRun.questions
+      .filter(question => baseQuestions.has(question.id))
+      .map(question => {
+        const before = baseQuestions.get(question.id);
+        return {
+          id: question.id,
+          question: question.question,
+          persona: question.persona,
+          base: { answer: before.answer ?? null, scores: before.scores ?? null, error: before.error },
+          candidate: { answer: question.answer ?? null, scores: question.scores ?? null, error: question.error },
+          delta: before.scores && question.scores ? scoreDelta(before.scores, question.scores) : null
+        };
+      });
+
+    return {
+      base,
+      candidate,
+      setupChanges,
+      warnings,
+      scores: scoreDelta(baseRun.scores, candidateRun.scores),
+      questions
+    };
+  }
+
+  /**
+   * Render a comparison as a Markdown report
+   * @param {Object} comparison - Result of compareRuns
+   * @returns {string} - Markdown
+   */
+  renderComparison(comparison) {
+    const { base, candidate } = comparison;
+    const signed = delta => (delta > 0 ? `+${delta}` : `${delta}`);
+    const lines = [
+      `# Answer eval: ${base.label || base.id} vs ${candidate.label || candidate.id}`,
+      '',
+      '| | Base | Candidate |',
+      '|---|---|---|',
+      `| Run | ${base.id} | ${candidate.id} |`,
+      `| Prompt version | ${base.promptVersion} | ${candidate.promptVersion} |`,
+      `| Answering model | ${base.answering} | ${candidate.answering} |`,
+      `| Judge | ${base.judge} | ${candidate.judge} |`,
+      '',
+      ...comparison.warnings.flatMap(warning => [`> ⚠️ ${warning}`, '']),
+      '## Mean scores',
+      '',
+      '| Criterion | Base | Candidate | Δ |',
+      '|---|---|---|---|',
+      ...CRITERIA.map(criterion => {
+        const score = comparison.scores[criterion];
+        return `| ${criterion} | ${score.base} | ${score.candidate} | ${signed(score.delta)} |`;
+      }),
+      ''
+    ];
+
+    comparison.questions.forEach(question => {
+      lines.push(`## ${question.id} (${question.persona})`, '', `**Q:** ${question.question}`, '');
+      if (question.delta) {
+        lines.push(CRITERIA.map(criterion => `${criterion} ${question.delta[criterion].base} → ${question.delta[criterion].candidate} (${signed(question.delta[criterion].delta)})`).join(' · '), '');
+      }
+      lines.push('| Base | Candidate |', '|---|---|');
+      const cell = side => (side.error ? `❌ ${side.error}` : (side.answer || '').replace(/\|/g, '\\|').replace(/\n+/g, '<br>'));
+      lines.push(`| ${cell(question.base)} | ${cell(question.candidate)} |`, '');
+    });
+
+    return lines.join('\n');
+  }
+}
+
+export default AnswerEvalService;
@@ -0,0 +1,213 @@
+import { getEncoding } from 'js-tiktoken';
+
+// Token budget per chunk, header included; embedding models truncate past 512 tokens
+const DEFAULT_MAX_TOKENS = 400;
+// Trailing bullets/paragraphs repeated at the start of the next chunk of the same section
+const DEFAULT_OVERLAP_TOKENS = 60;
+// '#' and '##' start a section; deeper headings stay inside it as sub-headings
+const MAX_SECTION_DEPTH = 2;
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+/;
+
+// cl100k_base is the tokenizer of the OpenAI embedding models; other providers' counts run close to it
+let encoding = null;
+
+function getTokenizer() {
+  if (!encoding) {
+    encoding = getEncoding('cl100k_base');
+  }
+  return encoding;
+}
+
+/**
+ * Count tokens the way the chunker budgets them
+ * @param {string} text - Any text
+ * @returns {number} - Token count
+ */
+function countTokens(text) {
+  return text ? getTokenizer().encode(text).length : 0;
+}
+
+/**
+ * Split Markdown into chunks along its structure: sections first, then bullets and
+ * paragraphs, and only then sentences or raw tokens for blocks too big for one chunk.
+ * Every chunk carries the document header and its section heading so it stands alone.
+ */
+class Chunker {
+  constructor(options = {}) {
+    this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+    this.overlapTokens = options.overlapTokens ?? DEFAULT_OVERLAP_TOKENS;
+  }
+
+  /**
+   * Chunk a document body (frontmatter already removed)
+   * @param {string} content - Markdown body
+   * @param {string} header - Context line prepended to every chunk (org • title • dates)
+   * @returns {Array} - [{ content, section, part, parts, tokenCount }], in document order
+   */
+  chunk(content, header = '') {
+    const chunks = [];
+
+    this.splitSections(content).forEach(section => {
+      const prefix = [header, section.heading].filter(Boolean).join('\n\n');
+      const budget = this.maxTokens - countTokens(`${prefix}\n\n`);
+      if (budget <= 0) {
+        throw new Error(`Chunk header alone exceeds the ${this.maxTokens}-token budget`);
+      }
+
+      const bodies = this.packBlocks(this.splitBlocks(section.lines), budget);
+      bodies.forEach((body, index) => {
+        const text = [prefix, body].filter(Boolean).join('\n\n');
+        chunks.push({
+          content: text,
+          section: section.name,
+          part: index + 1,
+          parts: bodies.length,
+          tokenCount: countTokens(text)
+        });
+      });
+    });
+
+    return chunks;
+  }
+
+  /**
+   * Group lines under their '#'/'##' heading; text before the first heading has no section
+   * @param {string} content - Markdown body
+   * @returns {Array} - [{ name, heading, lines }] for sections with any text
+   */
+  splitSections(content) {
+    const sections = [{ name: null, heading: null, lines: [] }];
+
+    content.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+      const match = HEADING.exec(line);
+      if (match && match[1].length <= MAX_SECTION_DEPTH) {
+        sections.push({ name: match[2].trim(), heading: line.trim(), lines: [] });
+      } else {
+        sections[sections.length - 1].lines.push(line);
+      }
+    });
+
+    return sections.filter(section => section.lines.some(line => line.trim()));
+  }
+
+  /**
+   * Split section lines into blocks that should not be cut: one per list item
+   * (with its wrapped or nested lines), paragraph or sub-heading
+   * @param {Array} lines - Section lines
+   * @returns {Array} - Block texts
+   */
+  splitBlocks(lines) {
+    const blocks = [];
+    let current = [];
+    const flush = () => {
+      if (current.length > 0) {
+        blocks.push(current.join('\n').trim());
+        current = [];
+      }
+    };
+
+    lines.forEach(line => {
+      if (!line.trim()) {
+        flush();
+      } else if (HEADING.test(line)) {
+        flush();
+        blocks.push(line.trim());
+      } else if (LIST_ITEM.test(line) && !/^\s{2,}/.test(line)) {
+        // A new top-level item; nested items and wrapped lines stay with their parent
+        flush();
+        current.push(line);
+      } else {
+        current.push(line);
+      }
+    });
+    flush();
+
+    return blocks.filter(Boolean);
+  }
+
+  /**
+   * Fill chunks with whole blocks up to the budget, repeating trailing blocks as overlap
+   * @param {Array} blocks - Block texts in order
+   * @param {number} budget - Tokens available for the body of one chunk
+   * @returns {Array} - Chunk bodies
+   */
+  packBlocks(blocks, budget) {
+    const pieces = blocks.flatMap(block => this.splitOversized(block, budget))
+      .map(text => ({ text, tokens: countTokens(text) }));
+    const bodies = [];
+    let current = [];
+    let size = 0;
+    // Separator tokens between blocks are counted as one per join
+    const sizeOf = items => items.reduce((sum, item) => sum + item.tokens + 1, 0);
+
+    pieces.forEach(piece => {
+      if (current.length > 0 && size + piece.tokens + 1 > budget) {
+        bodies.push(current.map(item => item.text).join('\n'));
+
+        // Carry whole trailing blocks forward, never the entire chunk, so every chunk adds new text
+        const overlap = [];
+        for (let i = current.length - 1; i > 0; i--) {
+          if (sizeOf([current[i], ...overlap]) > this.overlapTokens) {
+            break;
+          }
+          overlap.unshift(current[i]);
+        }
+        current = sizeOf(overlap) + piece.tokens + 1 <= budget ? overlap : [];
+        size = sizeOf(current);
+      }
+      current.push(piece);
+      size += piece.tokens + 1;
+    });
+
+    if (current.length > 0) {
+      bodies.push(current.map(item => item.text).join('\n'));
+    }
+    return bodies;
+  }
+
+  /**
+   * Break a block that can't fit one chunk at sentence boundaries, falling back to token windows
+   * @param {string} block - Block text
+   * @param {number} budget - Tokens available for the body of one chunk
+   * @returns {Array} - Pieces that each fit the budget
+   */
+  splitOversized(block, budget) {
+    if (countTokens(block) <= budget) {
+      return [block];
+    }
+
+    const sentences = block.match(/[^.!?\n]+[.!?]*\s*|[.!?\n]+\s*/g);
+    const pieces = [];
+    let current = '';
+
+    sentences.forEach(sentence => {
+      if (current && countTokens(current + sentence) > budget) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      current += sentence;
+    });
+    if (current.trim()) {
+      pieces.push(current.trim());
+    }
+
+    // A single sentence longer than the budget is cut into token windows
+    const tokenizer = getTokenizer();
+    return pieces.flatMap(piece => {
+      const tokens = tokenizer.encode(piece);
+      if (tokens.length <= budget) {
+        return [piece];
+      }
+      const windows = [];
+      for (let i = 0; i < tokens.length; i += budget) {
+        windows.push(tokenizer.decode(tokens.slice(i, i + budget)).trim());
+      }
+      return windows.filter(Boolean);
+    });
+  }
+}
+
+export default Chunker;
+export { countTokens };
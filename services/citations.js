@@ -0,0 +1,148 @@
+const MARKER_PATTERN = /\s*\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'was', 'were', 'are', 'has', 'have',
+  'had', 'into', 'over', 'our', 'their', 'which', 'while', 'also', 'where', 'when', 'then'
+]);
+const MAX_EXCERPT_LENGTH = 300;
+
+class CitationService {
+  /**
+   * Resolve [n] markers in a generated answer against the context chunks that were supplied
+   * @param {string} answer - Generated answer with [n] markers
+   * @param {Array} chunks - Context chunks, in the order they were numbered in the prompt
+   * @returns {Object} - { answer, citations } with unknown markers stripped
+   */
+  resolveCitations(answer, chunks = []) {
+    const cited = new Map();
+    let strippedCount = 0;
+
+    const cleaned = answer.replace(MARKER_PATTERN, (match, group) => {
+      const markers = group.split(',')
+        .map(n => parseInt(n.trim(), 10))
+        .filter(n => {
+          const valid = n >= 1 && n <= chunks.length;
+          if (!valid) {
+            strippedCount++;
+          }
+          return valid;
+        });
+
+      if (markers.length === 0) {
+        return '';
+      }
+
+      markers.forEach(marker => {
+        if (!cited.has(marker)) {
+          cited.set(marker, []);
+        }
+      });
+
+      const leading = match.match(/^\s*/)[0];
+      return `${leading}${markers.map(marker => `[${marker}]`).join('')}`;
+    })
+      // Tidy whitespace left behind by stripped markers
+      .replace(/ +([.,;:!?])/g, '$1')
+      .replace(/ {2,}/g, ' ');
+
+    if (strippedCount > 0) {
+      console.log(`✂️  Stripped ${strippedCount} citation marker(s) pointing at unknown context`);
+    }
+
+    // Collect the answer sentences that cite each marker to pick a supporting excerpt
+    this.splitSentences(cleaned).forEach(sentence => {
+      for (const [, group] of sentence.matchAll(/\[(\d+)\]/g)) {
+        const marker = parseInt(group, 10);
+        if (cited.has(marker)) {
+          cited.get(marker).push(sentence);
+        }
+      }
+    });
+
+    const citations = Array.from(cited.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([marker, sentences]) => this.buildCitation(marker, chunks[marker - 1], sentences));
+
+    return { answer: cleaned.trim(), citations };
+  }
+
+  /**
+   * Build the citation table entry for one marker
+   * @param {number} marker - Marker number used in the answer
+   * @param {Object} chunk - Context chunk the marker points at
+   * @param {Array} sentences - Answer sentences carrying this marker
+   * @returns {Object} - Citation entry
+   */
+  buildCitation(marker, chunk, sentences) {
+    const source = chunk.sources || {};
+
+    return {
+      marker,
+      chunkId: chunk.id,
+      source: {
+        id: source.id || chunk.source_id,
+        title: source.title || chunk.source_title || chunk.title,
+        organization: source.org || chunk.source_org,
+        type: source.type || chunk.source_type
+      },
+      dateRange: {
+        start: chunk.date_start || null,
+        end: chunk.date_end || null,
+        display: chunk.displayDateRange || null
+      },
+      excerpt: this.findSupportingExcerpt(chunk.content, sentences)
+    };
+  }
+
+  /**
+   * Pick the chunk sentence with the most vocabulary overlap with the citing sentences
+   * @param {string} content - Chunk content
+   * @param {Array} sentences - Answer sentences that cite the chunk
+   * @returns {string} - Supporting excerpt
+   */
+  findSupportingExcerpt(content = '', sentences = []) {
+    // Skip the "Org • Title • dates" header the indexer prepends to every chunk
+    const body = content.split('\n').slice(1).join('\n').trim() || content;
+    const candidates = this.splitSentences(body.replace(/^[-*#\s]+/gm, ''));
+    const claimWords = new Set(sentences.flatMap(sentence => this.tokenize(sentence)));
+
+    let best = candidates[0] || body;
+    let bestScore = -1;
+    candidates.forEach(candidate => {
+      const score = this.tokenize(candidate).filter(word => claimWords.has(word)).length;
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+
+    return best.length > MAX_EXCERPT_LENGTH ? `${best.slice(0, MAX_EXCERPT_LENGTH).trim()}...` : best;
+  }
+
+  /**
+   * Split text into sentences
+   * @param {string} text - Text to split
+   * @returns {Array} - Non-empty sentences
+   */
+  splitSentences(text) {
+    return text
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length > 0);
+  }
+
+  /**
+   * Lowercase content words used for overlap scoring
+   * @param {string} text - Text to tokenize
+   * @returns {Array} - Tokens
+   */
+  tokenize(text) {
+    return text
+      .toLowerCase()
+      .replace(/\[\d+\]/g, ' ')
+      .split(/[^a-z0-9$%.]+/)
+      .map(word => word.replace(/\.$/, ''))
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+  }
+}
+
+export default CitationService;
@@ -1,13 +1,225 @@
+import fs from 'fs';
+import crypto from 'crypto';
 import { CohereClient } from 'cohere-ai';
+import OpenAI from 'openai';
+import { setTimeout as delay } from 'timers/promises';
+import { RateLimiter } from '../utils/rate-limit.js';
+
+const EMBEDDINGS_CONFIG_PATH = 'config/embeddings.json';
+// Attempts per provider call; rate limits, server errors and dropped connections are retried
+const MAX_ATTEMPTS = 4;
+const RETRY_DELAY_MS = 1000;
+const RATE_LIMIT_RETRY_DELAY_MS = 10000;
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN']);
+
+// One limiter per provider for the whole process, so chat queries and indexing share a provider's rate limit
+const limiters = new Map();
+
+function getLimiter(providerName, settings) {
+  if (!limiters.has(providerName)) {
+    limiters.set(providerName, new RateLimiter({
+      requestsPerMinute: settings.requestsPerMinute,
+      concurrency: settings.concurrency || 1
+    }));
+  }
+  return limiters.get(providerName);
+}
+
+function isRetryable(error) {
+  const status = error.statusCode || error.status;
+  return status === 429 || status >= 500 || RETRYABLE_CODES.has(error.code) || RETRYABLE_CODES.has(error.cause?.code);
+}
+
+function requireApiKey(settings) {
+  const apiKey = process.env[settings.apiKeyEnv];
+  if (!apiKey) {
+    throw new Error(`${settings.apiKeyEnv} not found in environment variables`);
+  }
+  return apiKey;
+}
+
+class CohereEmbeddingProvider {
+  constructor(settings) {
+    this.client = new CohereClient({ token: requireApiKey(settings) });
+    this.model = settings.model;
+  }
+
+  async embed(texts, inputType) {
+    const response = await this.client.embed({ texts, model: this.model, inputType });
+    return response.embeddings;
+  }
+}
+
+class OpenAIEmbeddingProvider {
+  constructor(settings, dimensions) {
+    this.client = new OpenAI({ apiKey: requireApiKey(settings) });
+    this.model = settings.model;
+    this.dimensions = dimensions;
+  }
+
+  async embed(texts) {
+    // text-embedding-3 models can shorten their output to the storage dimension
+    const response = await this.client.embeddings.create({ model: this.model, input: texts, dimensions: this.dimensions });
+    return response.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+}
+
+/**
+ * In-process ONNX model via transformers.js; downloads the model once, then runs offline
+ */
+class TransformersEmbeddingProvider {
+  constructor(settings) {
+    this.model = settings.model;
+    this.pooling = settings.pooling || 'cls';
+    this.queryPrefix = settings.queryPrefix || '';
+    this.extractor = null;
+  }
+
+  async getExtractor() {
+    if (!this.extractor) {
+      let transformers;
+      try {
+        transformers = await import('@huggingface/transformers');
+      } catch (error) {
+        throw new Error('The local embedding provider needs the optional @huggingface/transformers package (npm install @huggingface/transformers)');
+      }
+      console.log(`📥 Loading local embedding model ${this.model}...`);
+      this.extractor = transformers.pipeline('feature-extraction', this.model);
+    }
+    return this.extractor;
+  }
+
+  async embed(texts, inputType) {
+    const extractor = await this.getExtractor();
+    const inputs = inputType === 'search_query' ? texts.map(text => `${this.queryPrefix}${text}`) : texts;
+    const output = await extractor(inputs, { pooling: this.pooling, normalize: true });
+    return output.tolist();
+  }
+}
+
+/**
+ * Deterministic feature-hashing embeddings for tests and offline development.
+ * Texts that share words (and word pairs) land close together, which is enough
+ * to exercise retrieval without any model.
+ */
+class HashEmbeddingProvider {
+  constructor(settings, dimensions) {
+    this.dimensions = dimensions;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.hashText(text));
+  }
+
+  hashText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+    const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+    features.forEach(feature => {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      vector[hash.readUInt32BE(0) % this.dimensions] += (hash[4] & 1) ? 1 : -1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+}
+
+const PROVIDER_TYPES = {
+  cohere: CohereEmbeddingProvider,
+  openai: OpenAIEmbeddingProvider,
+  transformers: TransformersEmbeddingProvider,
+  hash: HashEmbeddingProvider
+};
+
+/**
+ * Read the active provider's settings from config/embeddings.json (EMBEDDING_PROVIDER picks a non-default one)
+ * @param {string} configPath - Embeddings config file
+ * @returns {Object} - { providerName, settings, dimensions }
+ */
+function loadProviderSettings(configPath = EMBEDDINGS_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const providerName = process.env.EMBEDDING_PROVIDER || config.defaultProvider;
+
+  const settings = config.providers[providerName];
+  if (!settings || !PROVIDER_TYPES[settings.type]) {
+    throw new Error(`Unknown embedding provider: ${providerName}`);
+  }
+  return { providerName, settings, dimensions: config.dimensions };
+}
+
+/**
+ * The model id the active provider stores with its chunks, without creating the provider
+ * (so no API key is needed, e.g. for an indexer dry run)
+ * @param {string} configPath - Embeddings config file
+ * @returns {string} - e.g. 'cohere/embed-english-v3.0'
+ */
+function activeModelId(configPath = EMBEDDINGS_CONFIG_PATH) {
+  const { settings } = loadProviderSettings(configPath);
+  return `${settings.type}/${settings.model}`;
+}
 
 class EmbeddingService {
-  constructor() {
-    if (!process.env.COHERE_API_KEY) {
-      throw new Error('COHERE_API_KEY not found in environment variables');
+  constructor(configPath = EMBEDDINGS_CONFIG_PATH) {
+    const { providerName, settings, dimensions } = loadProviderSettings(configPath);
+    this.providerName = providerName;
+    this.dimensions = dimensions;
+    this.provider = new PROVIDER_TYPES[settings.type](settings, this.dimensions);
+    this.model = settings.model;
+    // Stored with every chunk; searches only compare vectors from the same model
+    this.modelId = `${settings.type}/${settings.model}`;
+    this.batchSize = settings.batchSize || 96;
+    this.limiter = getLimiter(this.providerName, settings);
+  }
+
+  /**
+   * Call the provider through the rate limiter, retrying transient failures with backoff
+   * @param {string[]} texts - Texts for one provider call
+   * @param {string} inputType - 'search_query' or 'search_document'
+   * @param {AbortSignal} signal - Stops waiting for a slot, token or retry when aborted
+   * @returns {Promise<number[][]>} - Raw provider vectors
+   */
+  async callProvider(texts, inputType, signal) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.limiter.run(() => this.provider.embed(texts, inputType), signal);
+      } catch (error) {
+        if (error.name === 'AbortError' || attempt >= MAX_ATTEMPTS || !isRetryable(error)) {
+          throw error;
+        }
+        const rateLimited = (error.statusCode || error.status) === 429;
+        const wait = (rateLimited ? RATE_LIMIT_RETRY_DELAY_MS : RETRY_DELAY_MS) * 2 ** (attempt - 1);
+        console.log(`⏳ ${this.providerName} ${rateLimited ? 'rate limited' : `failed (${error.message})`}, retry ${attempt}/${MAX_ATTEMPTS - 1} in ${wait}ms`);
+        await delay(wait, undefined, { signal });
+      }
     }
-    
-    this.cohere = new CohereClient({ token: process.env.COHERE_API_KEY });
-    this.model = 'embed-english-v3.0';
+  }
+
+  /**
+   * Describe the active embedding model (for health checks and logs)
+   * @returns {Object} - { provider, model, dimensions }
+   */
+  describe() {
+    return { provider: this.providerName, model: this.modelId, dimensions: this.dimensions };
+  }
+
+  /**
+   * Bring a vector to the storage dimension; smaller models are zero-padded,
+   * which leaves cosine similarity between their vectors unchanged
+   * @param {number[]} vector - Provider output
+   * @returns {number[]} - Vector of this.dimensions values
+   */
+  fitDimensions(vector) {
+    if (!Array.isArray(vector) || vector.length === 0) {
+      throw new Error(`No embeddings returned from ${this.providerName}`);
+    }
+    if (vector.length > this.dimensions) {
+      throw new Error(`${this.modelId} returned ${vector.length} dimensions but the database stores ${this.dimensions}`);
+    }
+    return vector.length === this.dimensions
+      ? vector
+      : [...vector, ...new Array(this.dimensions - vector.length).fill(0)];
   }
 
   /**
@@ -22,27 +234,19 @@ class EmbeddingService {
         throw new Error('Text input is required and must be a non-empty string');
       }
 
-      const response = await this.cohere.embed({
-        texts: [text.trim()],
-        model: this.model,
-        inputType: inputType
-      });
-
-      if (!response.embeddings || response.embeddings.length === 0) {
-        throw new Error('No embeddings returned from Cohere API');
-      }
-
-      return response.embeddings[0];
+      const embeddings = await this.callProvider([text.trim()], inputType);
+      return this.fitDimensions(embeddings?.[0]);
     } catch (error) {
       console.error('Embedding generation error:', error);
       
-      // Handle specific Cohere API errors
-      if (error.statusCode === 429) {
+      // Handle specific provider API errors
+      const status = error.statusCode || error.status;
+      if (status === 429) {
         throw new Error('Rate limit exceeded. Please try again later.');
-      } else if (error.statusCode === 401) {
-        throw new Error('Invalid Cohere API key');
-      } else if (error.statusCode >= 500) {
-        throw new Error('Cohere API service unavailable');
+      } else if (status === 401) {
+        throw new Error(`Invalid ${this.providerName} API key`);
+      } else if (status >= 500) {
+        throw new Error(`${this.providerName} embedding service unavailable`);
       }
       
       throw new Error(`Embedding failed: ${error.message}`);
@@ -50,53 +254,51 @@ class EmbeddingService {
   }
 
   /**
-   * Generate embeddings for multiple texts (batch processing)
+   * Generate embeddings for multiple texts (batch processing).
+   * Texts are sent batchSize at a time; batches run in parallel up to the provider's
+   * concurrency and requestsPerMinute (config/embeddings.json).
    * @param {string[]} texts - Array of texts to embed
    * @param {string} inputType - 'search_query' or 'search_document'
-   * @returns {Promise<number[][]>} - Array of embedding vectors
+   * @param {Object} options - { signal, onBatch(start, count) called as each batch completes }
+   * @returns {Promise<number[][]>} - One embedding vector per text, in input order
    */
-  async embedTexts(texts, inputType = 'search_document') {
+  async embedTexts(texts, inputType = 'search_document', options = {}) {
+    const { signal, onBatch } = options;
     try {
       if (!Array.isArray(texts) || texts.length === 0) {
         throw new Error('Texts input must be a non-empty array');
       }
 
-      // Filter out empty texts
-      const validTexts = texts.filter(text => 
-        text && typeof text === 'string' && text.trim().length > 0
-      ).map(text => text.trim());
-
-      if (validTexts.length === 0) {
-        throw new Error('No valid texts provided for embedding');
+      // Callers match vectors to their texts by index, so an empty text cannot just be dropped
+      const emptyIndex = texts.findIndex(text => typeof text !== 'string' || text.trim().length === 0);
+      if (emptyIndex !== -1) {
+        throw new Error(`Text at index ${emptyIndex} is empty; every text must be a non-empty string`);
       }
+      const validTexts = texts.map(text => text.trim());
 
-      // Cohere API has limits on batch size, so we'll process in chunks if needed
-      const batchSize = 96; // Cohere's typical batch limit
-      const allEmbeddings = [];
-
-      for (let i = 0; i < validTexts.length; i += batchSize) {
-        const batch = validTexts.slice(i, i + batchSize);
-        
-        const response = await this.cohere.embed({
-          texts: batch,
-          model: this.model,
-          inputType: inputType
-        });
-
-        if (!response.embeddings) {
-          throw new Error(`No embeddings returned for batch starting at index ${i}`);
-        }
+      // Providers limit batch size, so split into batches; the limiter paces them
+      const starts = [];
+      for (let i = 0; i < validTexts.length; i += this.batchSize) {
+        starts.push(i);
+      }
 
-        allEmbeddings.push(...response.embeddings);
+      const batches = await Promise.all(starts.map(async start => {
+        const batch = validTexts.slice(start, start + this.batchSize);
+        const embeddings = await this.callProvider(batch, inputType, signal);
 
-        // Rate limiting between batches
-        if (i + batchSize < validTexts.length) {
-          await new Promise(resolve => setTimeout(resolve, 200));
+        if (!embeddings || embeddings.length !== batch.length) {
+          throw new Error(`No embeddings returned for batch starting at index ${start}`);
         }
-      }
 
-      return allEmbeddings;
+        onBatch?.(start, batch.length);
+        return embeddings.map(embedding => this.fitDimensions(embedding));
+      }));
+
+      return batches.flat();
     } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
       console.error('Batch embedding generation error:', error);
       throw new Error(`Batch embedding failed: ${error.message}`);
     }
@@ -108,206 +310,40 @@ class EmbeddingService {
    * @returns {Promise<string>} - Expanded query
    */
   async expandQuery(query) {
+    return (await this.explainQueryExpansion(query)).expandedQuery;
+  }
+
+  /**
+   * Expand query with synonyms, recording which word contributed which terms
+   * @param {string} query - Original query
+   * @returns {Promise<Object>} - { expandedQuery, synonyms: [{ term, synonyms }] }
+   */
+  async explainQueryExpansion(query) {
     try {
       // Load synonyms from database
       const { db } = await import('../config/database.js');
       const words = query.toLowerCase().split(/\s+/);
       const expandedTerms = new Set([query]);
+      const expansions = [];
       
       for (const word of words) {
-        const synonyms = await db.getSynonyms(word);
-        synonyms.forEach(synonym => {
-          if (synonym.toLowerCase() !== word) {
-            expandedTerms.add(synonym);
-          }
-        });
+        const synonyms = (await db.getSynonyms(word)).filter(synonym => synonym.toLowerCase() !== word);
+        synonyms.forEach(synonym => expandedTerms.add(synonym));
+        if (synonyms.length > 0) {
+          expansions.push({ term: word, synonyms });
+        }
       }
 
       // Create expanded query by combining original with key synonyms
       const expanded = Array.from(expandedTerms).join(' ');
-      return expanded;
+      return { expandedQuery: expanded, synonyms: expansions };
     } catch (error) {
       console.error('Query expansion error:', error);
       // If expansion fails, return original query
-      return query;
-    }
-  }
-
-  /**
-   * Extract filters from query using simple keyword matching
-   * @param {string} query - User query
-   * @returns {Object} - Extracted filters
-   */
-  extractFilters(query) {
-    const filters = {
-      skills: [],
-      tags: [],
-      industries: [],
-      dateAfter: null
-    };
-
-    const queryLower = query.toLowerCase();
-
-    // IoT-specific filtering
-    if (queryLower.includes('iot') || queryLower.includes('internet of things') || queryLower.includes('connected devices')) {
-      filters.tags.push('IoT');
-      filters.skills.push('IoT', 'Internet of Things');
-    }
-
-    // OLDP and leadership program specific filtering
-    if (queryLower.includes('oldp') || queryLower.includes('operations leadership development') || queryLower.includes('leadership development program')) {
-      filters.skills.push('Team Leadership', 'Strategic Planning', 'Program Management');
-      filters.tags.push('Government', 'Regulated Industries');
-    }
-
-    // Company-specific filtering
-    if (queryLower.includes('coca-cola') || queryLower.includes('coca cola') || queryLower.includes('coke')) {
-      filters.tags.push('IoT', 'Digital Transformation'); // Coca-Cola had IoT projects
-    }
-
-    // Industry/domain keywords
-    const industryMap = {
-      'healthcare': ['Healthcare'],
-      'health': ['Healthcare'], 
-      'medical': ['Healthcare'],
-      'government': ['Government'],
-      'gov': ['Government'],
-      'federal': ['Government'],
-      'public sector': ['Government'],
-      'cybersecurity': ['Cybersecurity'],
-      'security': ['Cybersecurity'],
-      'ai': ['AI/ML'],
-      'artificial intelligence': ['AI/ML'],
-      'machine learning': ['AI/ML'],
-      'ml': ['AI/ML']
-    };
-
-    // Tag keywords
-    const tagMap = {
-      'leadership': ['Technical Leadership'],
-      'management': ['Technical Leadership'],
-      'project': ['Technical Leadership'],
-      'platform': ['Platform Development'],
-      'product': ['AI Product'],
-      'startup': ['AI Product']
-    };
-
-    // Skill keywords
-    const skillMap = {
-      'rag': ['RAG'],
-      'retrieval': ['RAG'],
-      'vector': ['Vector Database'],
-      'embedding': ['Vector Database'],
-      'program management': ['Program Management'],
-      'pm': ['Program Management'],
-      'pmo': ['Program Management']
-    };
-
-    // Extract industries
-    Object.entries(industryMap).forEach(([keyword, industries]) => {
-      if (queryLower.includes(keyword)) {
-        filters.industries.push(...industries);
-      }
-    });
-
-    // Extract tags
-    Object.entries(tagMap).forEach(([keyword, tags]) => {
-      if (queryLower.includes(keyword)) {
-        filters.tags.push(...tags);
-      }
-    });
-
-    // Extract skills
-    Object.entries(skillMap).forEach(([keyword, skills]) => {
-      if (queryLower.includes(keyword)) {
-        filters.skills.push(...skills);
-      }
-    });
-
-    // Extract time filters
-    const timePatterns = [
-      { pattern: /recent|current|latest|now/i, months: 24 },
-      { pattern: /past year|last year/i, months: 12 },
-      { pattern: /past.{0,5}years?/i, months: 36 }
-    ];
-
-    for (const { pattern, months } of timePatterns) {
-      if (pattern.test(query)) {
-        const date = new Date();
-        date.setMonth(date.getMonth() - months);
-        filters.dateAfter = date.toISOString().split('T')[0];
-        break;
-      }
-    }
-
-    return filters;
-  }
-
-  /**
-   * Calculate similarity threshold based on query type
-   * @param {string} query - User query
-   * @returns {number} - Similarity threshold
-   */
-  calculateSimilarityThreshold(query) {
-    const queryLength = query.split(/\s+/).length;
-    const queryLower = query.toLowerCase();
-    let threshold;
-    let queryType;
-    
-    // Special handling for IoT queries - lowered threshold for better recall
-    if (queryLower.includes('iot') || queryLower.includes('internet of things') || queryLower.includes('connected devices')) {
-      threshold = 0.25;
-      queryType = 'IoT';
-    }
-    // Special handling for OLDP and leadership queries
-    else if (queryLower.includes('oldp') || queryLower.includes('operations leadership') || queryLower.includes('leadership development')) {
-      threshold = 0.25;
-      queryType = 'OLDP/Leadership';
-    }
-    // Special handling for common resume queries
-    else {
-      const resumeQueries = [
-        'job', 'work', 'position', 'role', 'employment', 'career',
-        'experience', 'background', 'history', 'resume', 'cv'
-      ];
-      
-      const isResumeQuery = resumeQueries.some(term => queryLower.includes(term));
-      
-      if (isResumeQuery) {
-        if (queryLength >= 8) {
-          threshold = 0.35;
-          queryType = 'Resume (very specific)';
-        } else if (queryLength >= 5) {
-          threshold = 0.30;
-          queryType = 'Resume (moderately specific)';
-        } else if (queryLength >= 3) {
-          threshold = 0.25;
-          queryType = 'Resume (somewhat specific)';
-        } else {
-          threshold = 0.25;
-          queryType = 'Resume (general)';
-        }
-      } else {
-        // Standard thresholds for other queries - lowered for better recall
-        if (queryLength >= 8) {
-          threshold = 0.35;
-          queryType = 'General (very specific)';
-        } else if (queryLength >= 5) {
-          threshold = 0.30;
-          queryType = 'General (moderately specific)';
-        } else if (queryLength >= 3) {
-          threshold = 0.25;
-          queryType = 'General (somewhat specific)';
-        } else {
-          threshold = 0.20;
-          queryType = 'General (basic)';
-        }
-      }
+      return { expandedQuery: query, synonyms: [] };
     }
-    
-    console.log(`🎯 Using similarity threshold: ${threshold} for query: "${query.substring(0, 50)}..."`);
-    return threshold;
   }
 }
 
+export { activeModelId };
 export default EmbeddingService;
\ No newline at end of file
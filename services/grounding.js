@@ -0,0 +1,271 @@
+import CitationService from './citations.js';
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const YEAR_PATTERN = /\b(19[5-9]\d|20\d{2})\b/g;
+const NUMBER_PATTERN = /\$?\d[\d,]*(?:\.\d+)?\s*(?:%|percent\b|k\b|m\b|b\b|thousand\b|million\b|billion\b|x\b|\+)?/gi;
+// Capitalized names following "at", "for", "with", "joined" or "from" — candidate organizations
+const ORG_PATTERN = /\b(?:at|for|with|joined|from)\s+((?:[A-Z][\w&.'-]*)(?:\s+(?:of\s+|&\s+)?[A-Z][\w&.'-]*){0,4})/g;
+// Capitalized role names following "as" — candidate job titles
+const TITLE_PATTERN = /\bas\s+(?:an?\s+|the\s+)?((?:[A-Z][\w&/-]*)(?:\s+(?:of\s+|and\s+|&\s+)?[A-Z][\w&/-]*){0,5})/g;
+const MARKER_PATTERN = /\[(\d+)\]/g;
+// Sentences that describe the limits of the context rather than make claims about Scott
+const HEDGE_PATTERN = /\b(don't have|do not have|doesn't (?:mention|include|specify)|does not (?:mention|include|specify)|not (?:mentioned|specified|included|available) in|no (?:information|details) (?:about|on)|context)\b/i;
+
+const NUMBER_UNITS = {
+  percent: '%',
+  thousand: 'k',
+  million: 'm',
+  billion: 'b'
+};
+
+// Minimum share of a claim's content words found in one chunk for it to count as supported
+const SUPPORTED_OVERLAP = 0.5;
+const PARTIAL_OVERLAP = 0.25;
+
+class GroundingService {
+  constructor() {
+    this.citations = new CitationService();
+  }
+
+  /**
+   * Check every claim in an answer against the context chunks it was generated from
+   * @param {string} answer - Generated answer with [n] markers already resolved
+   * @param {Array} chunks - Context chunks, in the order they were numbered in the prompt
+   * @param {Object} options - { mode: 'flag' | 'remove' }
+   * @returns {Object} - { answer, claims, score, confidence, unsupportedCount, removedCount }
+   */
+  verifyAnswer(answer, chunks = [], options = {}) {
+    const { mode = 'flag' } = options;
+    const context = chunks.map(chunk => this.buildChunkEvidence(chunk));
+
+    const sentences = this.citations.splitSentences(answer);
+    const claims = sentences
+      .filter(sentence => this.isClaim(sentence))
+      .map(sentence => this.verifyClaim(sentence, context));
+
+    const supported = claims.filter(claim => claim.verdict === 'supported').length;
+    const partial = claims.filter(claim => claim.verdict === 'partial').length;
+    const unsupported = claims.filter(claim => claim.verdict === 'unsupported');
+    const score = claims.length > 0 ? (supported + partial * 0.5) / claims.length : 1;
+
+    let verifiedAnswer = answer;
+    if (mode === 'remove' && unsupported.length > 0) {
+      const removed = new Set(unsupported.map(claim => claim.claim));
+      verifiedAnswer = answer
+        .split('\n')
+        .map(line => this.citations.splitSentences(line).filter(sentence => !removed.has(sentence)).join(' '))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+      unsupported.forEach(claim => {
+        claim.removed = true;
+      });
+    }
+
+    if (unsupported.length > 0) {
+      console.log(`🚩 ${unsupported.length}/${claims.length} claims unsupported by context${mode === 'remove' ? ' (removed)' : ''}`);
+    }
+
+    return {
+      answer: verifiedAnswer,
+      claims,
+      score: Math.round(score * 100) / 100,
+      confidence: this.scoreToConfidence(score, claims.length),
+      unsupportedCount: unsupported.length,
+      removedCount: mode === 'remove' ? unsupported.length : 0
+    };
+  }
+
+  /**
+   * Collect the searchable text and facts of one chunk
+   * @param {Object} chunk - Context chunk
+   * @returns {Object} - { chunkId, text, numbers, years }
+   */
+  buildChunkEvidence(chunk) {
+    const source = chunk.sources || {};
+    const text = [
+      chunk.content,
+      chunk.title,
+      source.title || chunk.source_title,
+      source.org || chunk.source_org,
+      chunk.displayDateRange
+    ].filter(Boolean).join('\n');
+
+    const years = new Set(text.match(YEAR_PATTERN) || []);
+    // Years covered by the chunk's date range count too ("in 2016" for a 2015-2017 role)
+    const startYear = chunk.date_start ? new Date(chunk.date_start).getUTCFullYear() : null;
+    const endYear = chunk.date_end ? new Date(chunk.date_end).getUTCFullYear() : (startYear ? new Date().getUTCFullYear() : null);
+    if (startYear && endYear) {
+      for (let year = startYear; year <= endYear; year++) {
+        years.add(String(year));
+      }
+    }
+
+    return {
+      chunkId: chunk.id,
+      text: text.toLowerCase(),
+      words: new Set(this.citations.tokenize(text)),
+      numbers: new Set(this.extractNumbers(text).map(number => number.value)),
+      years
+    };
+  }
+
+  /**
+   * Whether a sentence states something about Scott that can be checked
+   * @param {string} sentence - Answer sentence
+   * @returns {boolean}
+   */
+  isClaim(sentence) {
+    const text = sentence.replace(MARKER_PATTERN, '').trim();
+    if (text.endsWith('?') || text.endsWith(':') || HEDGE_PATTERN.test(text)) {
+      return false;
+    }
+    return this.citations.tokenize(text).length >= 3;
+  }
+
+  /**
+   * Check one claim's numbers, dates, organizations and titles against the context
+   * @param {string} sentence - Claim sentence (may carry [n] markers)
+   * @param {Array} context - Chunk evidence from buildChunkEvidence
+   * @returns {Object} - { claim, verdict, checks, supportingChunkIds, markers }
+   */
+  verifyClaim(sentence, context) {
+    const markers = [...sentence.matchAll(MARKER_PATTERN)].map(match => parseInt(match[1], 10));
+    const text = sentence.replace(MARKER_PATTERN, '');
+
+    // Check cited chunks first; fall back to the whole context for uncited claims
+    const cited = markers.map(marker => context[marker - 1]).filter(Boolean);
+    const candidates = cited.length > 0 ? [...cited, ...context.filter(item => !cited.includes(item))] : context;
+
+    const checks = [];
+    const years = new Set(text.match(YEAR_PATTERN) || []);
+
+    this.extractNumbers(text)
+      .filter(number => !years.has(number.value))
+      .forEach(number => {
+        checks.push(this.check('number', number.raw, candidates, item => item.numbers.has(number.value)));
+      });
+
+    years.forEach(year => {
+      checks.push(this.check('date', year, candidates, item => item.years.has(year)));
+    });
+
+    this.extractNames(text, ORG_PATTERN).forEach(name => {
+      checks.push(this.check('organization', name, candidates, item => item.text.includes(name.toLowerCase())));
+    });
+
+    this.extractNames(text, TITLE_PATTERN).forEach(name => {
+      checks.push(this.check('title', name, candidates, item => item.text.includes(name.toLowerCase())));
+    });
+
+    // Lexical support: best share of the claim's content words found in a single chunk
+    const claimWords = this.citations.tokenize(text);
+    let bestOverlap = 0;
+    let bestChunkId = null;
+    candidates.forEach(item => {
+      const overlap = claimWords.length > 0
+        ? claimWords.filter(word => item.words.has(word)).length / claimWords.length
+        : 0;
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        bestChunkId = item.chunkId;
+      }
+    });
+
+    let verdict;
+    if (checks.some(check => !check.supported)) {
+      verdict = 'unsupported';
+    } else if (bestOverlap >= SUPPORTED_OVERLAP || (checks.length > 0 && bestOverlap >= PARTIAL_OVERLAP)) {
+      verdict = 'supported';
+    } else if (bestOverlap >= PARTIAL_OVERLAP || checks.length > 0) {
+      verdict = 'partial';
+    } else {
+      verdict = 'unsupported';
+    }
+
+    const supportingChunkIds = [...new Set([
+      ...checks.filter(check => check.chunkId).map(check => check.chunkId),
+      ...(bestChunkId && bestOverlap >= PARTIAL_OVERLAP ? [bestChunkId] : [])
+    ])];
+
+    return {
+      claim: sentence,
+      verdict,
+      checks,
+      overlap: Math.round(bestOverlap * 100) / 100,
+      supportingChunkIds,
+      markers
+    };
+  }
+
+  /**
+   * Look a fact up in the candidate chunks
+   * @param {string} type - number, date, organization or title
+   * @param {string} value - Fact as written in the answer
+   * @param {Array} candidates - Chunk evidence, cited chunks first
+   * @param {Function} matches - Predicate over chunk evidence
+   * @returns {Object} - { type, value, supported, chunkId }
+   */
+  check(type, value, candidates, matches) {
+    const found = candidates.find(matches);
+    return {
+      type,
+      value,
+      supported: Boolean(found),
+      chunkId: found ? found.chunkId : null
+    };
+  }
+
+  /**
+   * Extract numbers with their units, normalized so "3,000" matches "3000" and "$2 million" matches "$2M"
+   * @param {string} text - Text to scan
+   * @returns {Array} - [{ raw, value }]
+   */
+  extractNumbers(text) {
+    return (text.match(NUMBER_PATTERN) || [])
+      .map(raw => raw.trim())
+      .map(raw => {
+        const digits = raw.replace(/[$,+\s]/g, '').toLowerCase().match(/^(\d+(?:\.\d+)?)(.*)$/);
+        if (!digits) {
+          return null;
+        }
+        const unit = NUMBER_UNITS[digits[2]] || digits[2];
+        return { raw, value: `${parseFloat(digits[1])}${unit}` };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Extract capitalized names introduced by a pattern, ignoring month names
+   * @param {string} text - Claim text
+   * @param {RegExp} pattern - ORG_PATTERN or TITLE_PATTERN
+   * @returns {Array} - Unique names
+   */
+  extractNames(text, pattern) {
+    const names = new Set();
+    for (const match of text.matchAll(pattern)) {
+      const name = match[1].trim().replace(/[.,;:'-]+$/, '');
+      if (name.length > 1 && !new RegExp(`^(${MONTHS})\\b`, 'i').test(name) && !/^(I|The|This|These|That|My|Our)$/.test(name)) {
+        names.add(name);
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * Label a grounding score for the confidence badge
+   * @param {number} score - Grounding score from 0 to 1
+   * @param {number} claimCount - Number of checked claims
+   * @returns {string} - Confidence level
+   */
+  scoreToConfidence(score, claimCount) {
+    if (claimCount === 0) {return 'low';}
+    if (score >= 0.9) {return 'very-high';}
+    if (score >= 0.75) {return 'high';}
+    if (score >= 0.6) {return 'medium';}
+    if (score >= 0.4) {return 'low';}
+    return 'very-low';
+  }
+}
+
+export default GroundingService;
@@ -0,0 +1,613 @@
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { format } from 'util';
+
+const JOBS_DIR = 'logs/jobs';
+const LOCK_PATH = path.join(JOBS_DIR, 'ingest.lock');
+const WORK_DIR = '.work';
+const INCOMING_DIR = 'incoming';
+const INCOMING_PATTERN = /\.(pdf|docx|doc|txt|md)$/i;
+const SOURCE_DIRS = ['jobs', 'projects', 'education', 'certs', 'bio'].map(dir => path.join('sources', dir));
+const RECENT_LOG_LINES = 50;
+
+/**
+ * Pipeline stages in order. Each loads its script lazily, runs it in-process with the job's logger and
+ * checks that it left at least minFiles markdown files in its output directories.
+ */
+const STAGES = [
+  { name: 'normalize', label: 'Normalizing documents', load: () => import('../scripts/normalize.js'), outputDirs: [`${WORK_DIR}/normalized`], minFiles: 1 },
+  { name: 'extract', label: 'Extracting structured data', load: () => import('../scripts/extract.js'), outputDirs: [`${WORK_DIR}/extracted`], minFiles: 1 },
+  { name: 'validate', label: 'Validating content', load: () => import('../scripts/validate.js'), outputDirs: [`${WORK_DIR}/validated`], minFiles: 1 },
+  { name: 'write', label: 'Writing to source files', load: () => import('../scripts/write.js'), outputDirs: SOURCE_DIRS, minFiles: 1 },
+  { name: 'index', label: 'Indexing and embedding', load: () => import('../scripts/indexer.js'), outputDirs: [], minFiles: 0 }
+];
+
+const JOB_STATUS = { queued: 'queued', running: 'running', completed: 'completed', failed: 'failed', cancelled: 'cancelled' };
+const ACTIVE_STATUSES = [JOB_STATUS.queued, JOB_STATUS.running];
+// Progress events the stage scripts may report through their onEvent option
+const STAGE_EVENTS = ['file-progress', 'chunk-embedded'];
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+async function countMarkdownFiles(dir) {
+  try {
+    return (await fs.readdir(dir)).filter(file => file.endsWith('.md')).length;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+}
+
+class IngestionJobService extends EventEmitter {
+  constructor() {
+    super();
+    this.queue = [];
+    this.current = null;
+    this.controllers = new Map();
+    this.logStreams = new Map();
+    // Events of jobs queued or running in this process; finished jobs' events are read from disk
+    this.events = new Map();
+    this.ready = null;
+  }
+
+  /**
+   * Load persisted jobs once; any that were queued or running when the server stopped are marked failed so they can be retried.
+   * While another live process holds the ingestion lock its jobs are left alone (e.g. `npm run ingest` next to the server).
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await fs.mkdir(JOBS_DIR, { recursive: true });
+        const holder = await this.readLock();
+        if (holder && holder.pid !== process.pid && isProcessAlive(holder.pid)) {
+          return;
+        }
+        for (const job of await this.listJobs()) {
+          if (ACTIVE_STATUSES.includes(job.status)) {
+            job.stages.filter(stage => stage.status === 'running').forEach(stage => {
+              stage.status = 'failed';
+              stage.error = 'Interrupted by a server restart';
+            });
+            job.status = JOB_STATUS.failed;
+            job.error = 'Interrupted by a server restart';
+            job.finishedAt = job.finishedAt || new Date().toISOString();
+            await this.saveJob(job);
+          }
+        }
+      })();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Files waiting in incoming/ that the normalize stage will pick up
+   * @returns {Promise<Array>} - File names
+   */
+  async listIncomingFiles() {
+    try {
+      return (await fs.readdir(INCOMING_DIR)).filter(file => INCOMING_PATTERN.test(file));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a full ingestion of the files in incoming/
+   * @returns {Promise<Object>} - Job record
+   */
+  async createJob() {
+    await this.init();
+    const files = await this.listIncomingFiles();
+    if (files.length === 0) {
+      throw new Error('No valid files found in incoming directory');
+    }
+    return this.enqueue(this.newJob({ files }));
+  }
+
+  /**
+   * Queue a new job that resumes a failed or cancelled one from the stage that did not complete.
+   * Earlier stages are not rerun; their output in .work/ is reused, so only the latest job can be retried.
+   * @param {string} id - Failed or cancelled job id
+   * @returns {Promise<Object>} - New job record
+   */
+  async retryJob(id) {
+    await this.init();
+    const job = await this.getJob(id);
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+    if (![JOB_STATUS.failed, JOB_STATUS.cancelled].includes(job.status)) {
+      throw new Error(`Only failed or cancelled jobs can be retried (job ${id} is ${job.status})`);
+    }
+    const [latest] = await this.listJobs();
+    if (latest.id !== job.id) {
+      throw new Error(`Job ${latest.id} has run since ${id} and replaced its working files; start a new job instead`);
+    }
+
+    const startIndex = job.stages.findIndex(stage => stage.status !== 'completed');
+    const retry = this.newJob({ files: job.files, retryOf: job.id, startStage: STAGES[startIndex].name });
+    retry.stages.slice(0, startIndex).forEach(stage => {
+      stage.status = 'skipped';
+      stage.reusedFrom = job.id;
+    });
+    return this.enqueue(retry);
+  }
+
+  /**
+   * Cancel a queued job, or stop a running one at its next file boundary
+   * @param {string} id - Job id
+   * @returns {Promise<Object>} - Job record
+   */
+  async cancelJob(id) {
+    await this.init();
+    const queuedIndex = this.queue.findIndex(job => job.id === id);
+    if (queuedIndex !== -1) {
+      const [job] = this.queue.splice(queuedIndex, 1);
+      job.stages.filter(stage => stage.status === 'pending').forEach(stage => {
+        stage.status = 'cancelled';
+      });
+      job.status = JOB_STATUS.cancelled;
+      job.error = 'Cancelled';
+      job.finishedAt = new Date().toISOString();
+      this.recordEvent(job, 'done', this.doneEvent(job));
+      await this.saveJob(job);
+      await this.saveEvents(job.id);
+      this.emit('job', job);
+      return job;
+    }
+
+    if (this.current?.id === id) {
+      this.controllers.get(id).abort();
+      console.log(`🛑 Cancelling ingestion job ${id}`);
+      return this.current;
+    }
+
+    const job = await this.getJob(id);
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+    throw new Error(`Job ${id} has already finished (${job.status})`);
+  }
+
+  /**
+   * Job record; queued and running jobs come from memory, finished ones from disk
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} - Job record, or null if unknown
+   */
+  async getJob(id) {
+    if (this.current?.id === id) {
+      return this.current;
+    }
+    const queued = this.queue.find(job => job.id === id);
+    if (queued) {
+      return queued;
+    }
+    try {
+      return JSON.parse(await fs.readFile(path.join(JOBS_DIR, `${id}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Last lines of a job's log
+   * @param {string} id - Job id
+   * @param {number} lines - Number of lines
+   * @returns {Promise<Array>} - Log lines, oldest first
+   */
+  async getLog(id, lines = RECENT_LOG_LINES) {
+    try {
+      const log = await fs.readFile(path.join(JOBS_DIR, `${id}.log`), 'utf8');
+      return log.split('\n').filter(Boolean).slice(-lines);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Progress events of a job after a given event id, for replaying to a reconnecting client
+   * @param {string} id - Job id
+   * @param {number} afterId - Last event id the client saw (0 for all)
+   * @returns {Promise<Array>} - Events { id, type, data }, oldest first
+   */
+  async getEvents(id, afterId = 0) {
+    let events = this.events.get(id);
+    if (!events) {
+      try {
+        const lines = (await fs.readFile(path.join(JOBS_DIR, `${id}.events.jsonl`), 'utf8')).split('\n').filter(Boolean);
+        events = lines.map(line => JSON.parse(line));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        events = [];
+      }
+    }
+    return events.filter(event => event.id > afterId);
+  }
+
+  /**
+   * Replay a job's events after lastEventId, then pass on new ones as they happen
+   * @param {string} id - Job id
+   * @param {number} lastEventId - Last event id the client saw (0 for all)
+   * @param {Function} onEvent - Called with each event { id, type, data }, in id order
+   * @returns {Promise<Function>} - Unsubscribe
+   */
+  async subscribe(id, lastEventId, onEvent) {
+    let lastDelivered = lastEventId;
+    const deliver = event => {
+      if (event.id > lastDelivered) {
+        lastDelivered = event.id;
+        onEvent(event);
+      }
+    };
+
+    // Hold live events until the backlog has been replayed so none is skipped or reordered
+    let pending = [];
+    const listener = (jobId, event) => {
+      if (jobId === id) {
+        if (pending) {
+          pending.push(event);
+        } else {
+          deliver(event);
+        }
+      }
+    };
+    this.on('event', listener);
+
+    const backlog = await this.getEvents(id, lastEventId);
+    [...backlog, ...pending].sort((a, b) => a.id - b.id).forEach(deliver);
+    pending = null;
+    return () => this.off('event', listener);
+  }
+
+  /**
+   * All persisted jobs, newest first
+   * @returns {Promise<Array>} - Job records
+   */
+  async listJobs() {
+    let files;
+    try {
+      files = (await fs.readdir(JOBS_DIR)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    const jobs = await Promise.all(files.map(async file => JSON.parse(await fs.readFile(path.join(JOBS_DIR, file), 'utf8'))));
+    return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  newJob({ files, retryOf = null, startStage = STAGES[0].name }) {
+    const createdAt = new Date().toISOString();
+    return {
+      id: `${createdAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`,
+      type: 'ingest',
+      status: JOB_STATUS.queued,
+      createdAt,
+      startedAt: null,
+      finishedAt: null,
+      retryOf,
+      startStage,
+      files,
+      lastEventId: 0,
+      stages: STAGES.map(stage => ({
+        name: stage.name,
+        label: stage.label,
+        status: 'pending',
+        startedAt: null,
+        finishedAt: null,
+        durationMs: null,
+        result: null,
+        outputFiles: null,
+        error: null
+      })),
+      error: null
+    };
+  }
+
+  async enqueue(job) {
+    this.events.set(job.id, []);
+    this.queue.push(job);
+    await this.saveJob(job);
+    this.emit('job', job);
+    console.log(`📥 Queued ingestion job ${job.id}${job.retryOf ? ` (retry of ${job.retryOf} from ${job.startStage})` : ''}`);
+    this.runNext();
+    return job;
+  }
+
+  /**
+   * Start the next queued job unless one is already running (the in-process half of the single-writer lock)
+   */
+  runNext() {
+    if (this.current || this.queue.length === 0) {
+      return;
+    }
+    this.current = this.queue.shift();
+    this.runJob(this.current)
+      .catch(error => console.error(`❌ Ingestion job ${this.current?.id} crashed:`, error))
+      .finally(() => {
+        this.current = null;
+        this.runNext();
+      });
+  }
+
+  async runJob(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    const logger = this.openLog(job);
+
+    try {
+      await this.acquireLock(job);
+      job.status = JOB_STATUS.running;
+      job.startedAt = new Date().toISOString();
+      await this.saveJob(job);
+      this.emit('job', job);
+
+      // A run from the first stage starts from clean working directories; a retry from a later stage reuses them
+      if (job.startStage === STAGES[0].name) {
+        await fs.rm(WORK_DIR, { recursive: true, force: true });
+      }
+      await Promise.all(STAGES.flatMap(stage => stage.outputDirs).map(dir => fs.mkdir(dir, { recursive: true })));
+
+      for (const [index, stage] of STAGES.entries()) {
+        const record = job.stages[index];
+        if (record.status === 'skipped') {
+          this.recordEvent(job, 'stage-complete', { stage: stage.name, label: stage.label, status: 'skipped', reusedFrom: record.reusedFrom });
+          continue;
+        }
+        await this.runStage(job, stage, record, { signal: controller.signal, logger });
+      }
+      job.status = JOB_STATUS.completed;
+    } catch (error) {
+      const cancelled = controller.signal.aborted;
+      job.status = cancelled ? JOB_STATUS.cancelled : JOB_STATUS.failed;
+      job.error = cancelled ? 'Cancelled' : error.message;
+      if (cancelled) {
+        job.stages.filter(stage => stage.status === 'pending').forEach(stage => {
+          stage.status = 'cancelled';
+        });
+      }
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this.recordEvent(job, 'done', this.doneEvent(job));
+      await this.saveJob(job);
+      await this.saveEvents(job.id);
+      await this.releaseLock(job);
+      await this.closeLog(job.id);
+      this.controllers.delete(job.id);
+      console.log(`${job.status === JOB_STATUS.completed ? '✅' : '❌'} Ingestion job ${job.id} ${job.status}`);
+      this.emit('job', job);
+    }
+  }
+
+  async runStage(job, stage, record, { signal, logger }) {
+    signal.throwIfAborted();
+    const startTime = Date.now();
+    record.status = 'running';
+    record.startedAt = new Date().toISOString();
+    await this.saveJob(job);
+    this.emit('job', job);
+    this.recordEvent(job, 'stage-start', { stage: stage.name, label: stage.label, step: STAGES.indexOf(stage) + 1, totalSteps: STAGES.length });
+    logger.log(`📄 Step ${STAGES.indexOf(stage) + 1}: ${stage.label}...`);
+
+    const onEvent = (type, data) => {
+      if (STAGE_EVENTS.includes(type)) {
+        this.recordEvent(job, type, { stage: stage.name, ...data });
+      }
+    };
+
+    try {
+      const { default: run } = await stage.load();
+      record.result = (await run({ signal, onEvent, logger })) || null;
+      signal.throwIfAborted();
+
+      if (stage.minFiles > 0) {
+        const counts = await Promise.all(stage.outputDirs.map(countMarkdownFiles));
+        record.outputFiles = counts.reduce((sum, count) => sum + count, 0);
+        if (record.outputFiles < stage.minFiles) {
+          throw new Error(`${stage.label} produced ${record.outputFiles} files (expected at least ${stage.minFiles})`);
+        }
+      }
+      record.status = 'completed';
+      logger.log(`✅ Step ${STAGES.indexOf(stage) + 1} (${stage.label}) completed`);
+    } catch (error) {
+      record.status = signal.aborted ? 'cancelled' : 'failed';
+      record.error = signal.aborted ? 'Cancelled' : error.message;
+      logger.error(`❌ Step ${STAGES.indexOf(stage) + 1} (${stage.label}) ${record.status}: ${record.error}`);
+      throw error;
+    } finally {
+      record.finishedAt = new Date().toISOString();
+      record.durationMs = Date.now() - startTime;
+      this.recordEvent(job, 'stage-complete', {
+        stage: stage.name,
+        label: stage.label,
+        status: record.status,
+        durationMs: record.durationMs,
+        result: record.result,
+        outputFiles: record.outputFiles,
+        error: record.error
+      });
+      await this.saveJob(job);
+      this.emit('job', job);
+    }
+  }
+
+  /**
+   * Append a progress event to a job and publish it to listeners as ('event', jobId, event)
+   * @param {Object} job - Job record
+   * @param {string} type - stage-start, file-progress, chunk-embedded, warning, stage-complete or done
+   * @param {Object} data - Event payload
+   */
+  recordEvent(job, type, data) {
+    job.lastEventId += 1;
+    const event = { id: job.lastEventId, type, data: { ...data, at: new Date().toISOString() } };
+    this.events.get(job.id)?.push(event);
+    this.emit('event', job.id, event);
+  }
+
+  doneEvent(job) {
+    return {
+      status: job.status,
+      error: job.error,
+      durationMs: job.startedAt ? Date.parse(job.finishedAt) - Date.parse(job.startedAt) : 0,
+      stages: job.stages.map(stage => ({ name: stage.name, status: stage.status, durationMs: stage.durationMs }))
+    };
+  }
+
+  async saveEvents(id) {
+    const events = this.events.get(id) || [];
+    await fs.writeFile(path.join(JOBS_DIR, `${id}.events.jsonl`), events.map(event => `${JSON.stringify(event)}\n`).join(''));
+    this.events.delete(id);
+  }
+
+  /**
+   * Take the on-disk lock that keeps two processes (the server and a CLI run) from sharing .work/ and sources/
+   * @param {Object} job - Job taking the lock
+   */
+  async acquireLock(job) {
+    const lock = JSON.stringify({ pid: process.pid, jobId: job.id, acquiredAt: new Date().toISOString() });
+    if (await this.createLock(lock)) {
+      return;
+    }
+
+    const holder = await this.readLock();
+    if (holder && holder.pid !== process.pid && isProcessAlive(holder.pid)) {
+      throw new Error(`Another ingestion is running (job ${holder.jobId}, pid ${holder.pid})`);
+    }
+    // Never overwrite: two processes can find the same stale lock, and only one may replace it
+    if (holder) {
+      await this.removeStaleLock(holder);
+    }
+    if (!(await this.createLock(lock))) {
+      throw new Error('Another ingestion took the ingestion lock first');
+    }
+  }
+
+  // Create the lock file only if there is none; false when it already exists
+  async createLock(lock) {
+    try {
+      await fs.writeFile(LOCK_PATH, lock, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move a dead holder's lock aside. The rename is atomic, so only one process moves it; if
+   * what was moved is a newer lock another process created meanwhile, it is put back.
+   * @param {Object} stale - The lock as read, { pid, jobId, acquiredAt }
+   */
+  async removeStaleLock(stale) {
+    const aside = `${LOCK_PATH}.${process.pid}.stale`;
+    try {
+      await fs.rename(LOCK_PATH, aside);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('Another ingestion took the ingestion lock first');
+      }
+      throw error;
+    }
+
+    const moved = JSON.parse(await fs.readFile(aside, 'utf8'));
+    if (moved.pid !== stale.pid || moved.jobId !== stale.jobId || moved.acquiredAt !== stale.acquiredAt) {
+      await fs.link(aside, LOCK_PATH).catch(() => {});
+      await fs.unlink(aside);
+      throw new Error(`Another ingestion took the ingestion lock first (job ${moved.jobId}, pid ${moved.pid})`);
+    }
+    await fs.unlink(aside);
+    console.warn(`⚠️ Removed stale ingestion lock left by job ${stale.jobId}`);
+  }
+
+  // The lock file's { pid, jobId, acquiredAt }, or null when no ingestion holds it
+  async readLock() {
+    try {
+      return JSON.parse(await fs.readFile(LOCK_PATH, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async releaseLock(job) {
+    try {
+      const holder = JSON.parse(await fs.readFile(LOCK_PATH, 'utf8'));
+      if (holder.jobId === job.id) {
+        await fs.unlink(LOCK_PATH);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not release ingestion lock: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Logger handed to the stages: lines go to the console and the job log, and warnings
+   * and errors are also reported as warning events
+   * @param {Object} job - Job record
+   * @returns {Object} - { log, info, warn, error }, called like their console counterparts
+   */
+  openLog(job) {
+    const stream = createWriteStream(path.join(JOBS_DIR, `${job.id}.log`), { flags: 'a' });
+    this.logStreams.set(job.id, stream);
+    const write = level => (...args) => {
+      console[level](...args);
+      const message = format(...args);
+      stream.write(`${new Date().toISOString()} ${level.toUpperCase()} ${message}\n`);
+      if (level === 'warn' || level === 'error') {
+        const stage = job.stages.find(record => record.status === 'running');
+        this.recordEvent(job, 'warning', { stage: stage?.name || null, level, message });
+      }
+    };
+    return { log: write('log'), info: write('info'), warn: write('warn'), error: write('error') };
+  }
+
+  // Resolves once every line is on disk, so the log is complete when the job is reported finished
+  async closeLog(id) {
+    const stream = this.logStreams.get(id);
+    this.logStreams.delete(id);
+    if (stream) {
+      await new Promise(resolve => stream.end(resolve));
+    }
+  }
+
+  async saveJob(job) {
+    await fs.mkdir(JOBS_DIR, { recursive: true });
+    await fs.writeFile(path.join(JOBS_DIR, `${job.id}.json`), `${JSON.stringify(job, null, 2)}\n`);
+  }
+}
+
+export default IngestionJobService;
+
+// One runner per process: the queue and lock only work if every caller shares them
+export const ingestionJobs = new IngestionJobService();
@@ -0,0 +1,303 @@
+import RetrievalService from './retrieval.js';
+import CitationService from './citations.js';
+import LLMService from './llm.js';
+
+const MAX_REQUIREMENTS = 20;
+const EVIDENCE_PER_REQUIREMENT = 3;
+
+// Cosine similarity range that maps onto a 0-100 requirement score
+const SCORE_FLOOR = 0.25;
+const SCORE_CEILING = 0.65;
+const STRONG_MATCH_SCORE = 70;
+const PARTIAL_MATCH_SCORE = 40;
+
+// Required qualifications count twice as much as preferred ones in the overall score
+const REQUIREMENT_WEIGHTS = { required: 2, preferred: 1 };
+
+class JobMatchService {
+  constructor() {
+    this.retrieval = new RetrievalService();
+    this.citations = new CitationService();
+    this.llm = new LLMService();
+  }
+
+  /**
+   * Score Scott's experience against a job description, requirement by requirement
+   * @param {string} jobDescription - Full job description text
+   * @param {Object} options - { evidencePerRequirement }
+   * @returns {Promise<Object>} - Fit report
+   */
+  async analyzeJobDescription(jobDescription, options = {}) {
+    const { evidencePerRequirement = EVIDENCE_PER_REQUIREMENT } = options;
+    const startTime = Date.now();
+
+    console.log(`📋 Analyzing job description (${jobDescription.length} characters)`);
+    const extracted = await this.extractRequirements(jobDescription);
+    console.log(`🧾 Extracted ${extracted.requirements.length} requirements`);
+
+    // Sequential on purpose: each lookup embeds a query and scans content_chunks
+    const requirements = [];
+    for (const requirement of extracted.requirements) {
+      requirements.push(await this.matchRequirement(requirement, evidencePerRequirement));
+    }
+
+    const overallScore = this.calculateOverallScore(requirements);
+    const gaps = requirements.filter(requirement => requirement.match === 'gap');
+
+    const report = {
+      role: {
+        title: extracted.title,
+        company: extracted.company
+      },
+      overallScore,
+      fit: this.scoreToFit(overallScore),
+      requirements,
+      gaps: gaps.map(({ requirement, type, skills }) => ({ requirement, type, skills })),
+      counts: {
+        strong: requirements.filter(requirement => requirement.match === 'strong').length,
+        partial: requirements.filter(requirement => requirement.match === 'partial').length,
+        gap: gaps.length
+      }
+    };
+
+    report.summary = await this.summarizeFit(report);
+    report.processingTime = Date.now() - startTime;
+
+    console.log(`✅ Fit analysis complete: ${overallScore}/100 (${report.fit}) in ${report.processingTime}ms`);
+    return report;
+  }
+
+  /**
+   * Extract required and preferred qualifications from a job description
+   * @param {string} jobDescription - Full job description text
+   * @returns {Promise<Object>} - { title, company, requirements: [{ requirement, type, skills }] }
+   */
+  async extractRequirements(jobDescription) {
+    const completion = await this.llm.complete('requirement-extraction', [
+      {
+        role: 'system',
+        content: `Extract the qualifications from a job description. Reply with JSON only:
+{"title": string|null, "company": string|null, "requirements": [{"requirement": string, "type": "required"|"preferred", "skills": [string]}]}
+• One entry per distinct qualification, phrased as a short standalone statement (e.g. "5+ years leading cloud migration programs")
+• "required" for must-haves, "preferred" for nice-to-haves, bonus or "plus" items
+• "skills" lists the specific skills, tools or domains the qualification names
+• Ignore benefits, company boilerplate and application instructions
+• At most ${MAX_REQUIREMENTS} requirements, most important first`
+      },
+      { role: 'user', content: jobDescription }
+    ], { responseFormat: 'json' });
+
+    const parsed = JSON.parse(completion.content);
+    const requirements = (Array.isArray(parsed.requirements) ? parsed.requirements : [])
+      .filter(item => item && typeof item.requirement === 'string' && item.requirement.trim())
+      .slice(0, MAX_REQUIREMENTS)
+      .map(item => ({
+        requirement: item.requirement.trim(),
+        type: item.type === 'preferred' ? 'preferred' : 'required',
+        skills: Array.isArray(item.skills) ? item.skills.filter(skill => typeof skill === 'string') : []
+      }));
+
+    if (requirements.length === 0) {
+      throw new Error('No requirements could be extracted from the job description');
+    }
+
+    return {
+      title: parsed.title || null,
+      company: parsed.company || null,
+      requirements
+    };
+  }
+
+  /**
+   * Retrieve supporting chunks for one requirement and score how well they cover it
+   * @param {Object} requirement - { requirement, type, skills }
+   * @param {number} evidenceCount - Maximum evidence chunks to keep
+   * @returns {Promise<Object>} - Requirement with score, match level and evidence
+   */
+  async matchRequirement(requirement, evidenceCount) {
+    const query = requirement.skills.length > 0
+      ? `${requirement.requirement} (${requirement.skills.join(', ')})`
+      : requirement.requirement;
+
+    const contextResult = await this.retrieval.retrieveContext(query, {
+      maxResults: evidenceCount,
+      includeMetadata: true,
+      rerankResults: true
+    });
+
+    const evidence = contextResult.chunks.map(chunk => {
+      const citation = this.citations.buildCitation(null, chunk, [requirement.requirement]);
+      return {
+        chunkId: citation.chunkId,
+        source: citation.source,
+        dateRange: citation.dateRange,
+        excerpt: citation.excerpt,
+        similarity: chunk.similarity
+      };
+    });
+
+    const matchedSkills = this.findMatchedSkills(requirement.skills, contextResult.chunks);
+    const score = this.scoreRequirement(evidence, requirement.skills, matchedSkills);
+
+    return {
+      ...requirement,
+      score,
+      match: score >= STRONG_MATCH_SCORE ? 'strong' : score >= PARTIAL_MATCH_SCORE ? 'partial' : 'gap',
+      matchedSkills,
+      evidence
+    };
+  }
+
+  /**
+   * Requirement skills that appear in the evidence chunks' skill lists or text
+   * @param {Array} skills - Skills named by the requirement
+   * @param {Array} chunks - Evidence chunks
+   * @returns {Array} - Skills with supporting evidence
+   */
+  findMatchedSkills(skills, chunks) {
+    return skills.filter(skill => {
+      const skillLower = skill.toLowerCase();
+      return chunks.some(chunk =>
+        (chunk.skills || []).some(chunkSkill => chunkSkill.toLowerCase() === skillLower) ||
+        (chunk.content || '').toLowerCase().includes(skillLower)
+      );
+    });
+  }
+
+  /**
+   * Score a requirement from its best evidence similarity, nudged by explicit skill matches
+   * @param {Array} evidence - Evidence entries with similarity
+   * @param {Array} skills - Skills named by the requirement
+   * @param {Array} matchedSkills - Skills found in the evidence
+   * @returns {number} - Score from 0 to 100
+   */
+  scoreRequirement(evidence, skills, matchedSkills) {
+    if (evidence.length === 0) {
+      return 0;
+    }
+
+    const bestSimilarity = Math.max(...evidence.map(item => item.similarity || 0));
+    const similarityScore = (bestSimilarity - SCORE_FLOOR) / (SCORE_CEILING - SCORE_FLOOR);
+    const skillCoverage = skills.length > 0 ? matchedSkills.length / skills.length : 0;
+
+    const score = Math.max(0, Math.min(1, similarityScore)) * 85 + skillCoverage * 15;
+    return Math.round(Math.min(100, score));
+  }
+
+  /**
+   * Weighted average of requirement scores
+   * @param {Array} requirements - Scored requirements
+   * @returns {number} - Overall score from 0 to 100
+   */
+  calculateOverallScore(requirements) {
+    const totalWeight = requirements.reduce((sum, requirement) => sum + REQUIREMENT_WEIGHTS[requirement.type], 0);
+    if (totalWeight === 0) {
+      return 0;
+    }
+
+    const weighted = requirements.reduce((sum, requirement) =>
+      sum + requirement.score * REQUIREMENT_WEIGHTS[requirement.type], 0);
+    return Math.round(weighted / totalWeight);
+  }
+
+  /**
+   * Label an overall score
+   * @param {number} score - Overall score
+   * @returns {string} - Fit label
+   */
+  scoreToFit(score) {
+    if (score >= 75) {return 'strong';}
+    if (score >= 55) {return 'good';}
+    if (score >= 35) {return 'partial';}
+    return 'weak';
+  }
+
+  /**
+   * Write a short recruiter-facing summary of the fit report
+   * @param {Object} report - Scored report (without summary)
+   * @returns {Promise<string>} - Summary paragraph
+   */
+  async summarizeFit(report) {
+    const lines = report.requirements.map(requirement => {
+      const evidence = requirement.evidence
+        .slice(0, 2)
+        .map(item => `${item.source.title}${item.source.organization ? ` at ${item.source.organization}` : ''}: ${item.excerpt}`)
+        .join(' | ');
+      return `- [${requirement.type}, ${requirement.match}, ${requirement.score}/100] ${requirement.requirement}${evidence ? ` — ${evidence}` : ''}`;
+    }).join('\n');
+
+    try {
+      const completion = await this.llm.complete('fit-summary', [
+        {
+          role: 'system',
+          content: 'You summarize how well Scott Lovett fits a job, for a recruiter. Using only the scored requirements and evidence provided, write one paragraph of 3-5 sentences: overall fit, strongest matches with the companies where they were demonstrated, and the main gaps. Refer to Scott in the third person. Do not invent experience.'
+        },
+        {
+          role: 'user',
+          content: `Role: ${report.role.title || 'Unknown role'}${report.role.company ? ` at ${report.role.company}` : ''}\nOverall score: ${report.overallScore}/100 (${report.fit} fit)\n\nRequirements:\n${lines}`
+        }
+      ]);
+
+      return completion.content.trim();
+    } catch (error) {
+      console.log(`⚠️  Fit summary generation failed: ${error.message}`);
+      const { strong, partial, gap } = report.counts;
+      return `${report.fit.charAt(0).toUpperCase()}${report.fit.slice(1)} fit (${report.overallScore}/100): ${strong} requirements strongly matched, ${partial} partially matched and ${gap} without supporting experience.`;
+    }
+  }
+
+  /**
+   * Render a fit report as a Markdown document
+   * @param {Object} report - Fit report from analyzeJobDescription
+   * @returns {string} - Markdown
+   */
+  renderMarkdown(report) {
+    const roleName = [report.role.title, report.role.company].filter(Boolean).join(' at ') || 'Job Description';
+    const lines = [
+      `# Fit Report: ${roleName}`,
+      '',
+      `**Overall fit:** ${report.fit} (${report.overallScore}/100)  `,
+      `**Requirements:** ${report.counts.strong} strong, ${report.counts.partial} partial, ${report.counts.gap} gaps`,
+      '',
+      '## Summary',
+      '',
+      report.summary,
+      '',
+      '## Requirements',
+      ''
+    ];
+
+    report.requirements.forEach(requirement => {
+      lines.push(`### ${requirement.requirement}`);
+      lines.push('');
+      lines.push(`*${requirement.type}* · **${requirement.match}** · ${requirement.score}/100`);
+      if (requirement.skills.length > 0) {
+        lines.push('');
+        lines.push(`Skills: ${requirement.skills.map(skill => (requirement.matchedSkills.includes(skill) ? `**${skill}** ✓` : skill)).join(', ')}`);
+      }
+      lines.push('');
+
+      if (requirement.evidence.length === 0) {
+        lines.push('_No supporting experience found._');
+      } else {
+        requirement.evidence.forEach(item => {
+          const where = [item.source.title, item.source.organization].filter(Boolean).join(', ');
+          const when = item.dateRange.display ? ` (${item.dateRange.display})` : '';
+          lines.push(`- ${where}${when}: "${item.excerpt}" — chunk ${item.chunkId}`);
+        });
+      }
+      lines.push('');
+    });
+
+    if (report.gaps.length > 0) {
+      lines.push('## Gaps');
+      lines.push('');
+      report.gaps.forEach(gap => lines.push(`- ${gap.requirement} (${gap.type})`));
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+}
+
+export default JobMatchService;
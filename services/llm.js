@@ -0,0 +1,345 @@
+import fs from 'fs';
+import OpenAI from 'openai';
+
+const LLM_CONFIG_PATH = 'config/llm.json';
+
+// Rough estimate: 1 token ≈ 0.75 words for English text
+function estimateTokens(text) {
+  return Math.ceil(text.split(/\s+/).filter(Boolean).length / 0.75);
+}
+
+/**
+ * Chat completions against OpenAI or any server that speaks its API (llama.cpp, vLLM, Ollama...)
+ */
+class OpenAIProvider {
+  constructor(name, settings) {
+    const apiKey = settings.apiKeyEnv ? process.env[settings.apiKeyEnv] : undefined;
+    const baseURL = (settings.baseURLEnv && process.env[settings.baseURLEnv]) || settings.baseURL;
+
+    if (settings.type === 'openai' && !apiKey) {
+      throw new Error(`${settings.apiKeyEnv || 'OPENAI_API_KEY'} not found in environment variables`);
+    }
+
+    this.name = name;
+    // Local servers usually ignore the key, but the SDK requires one
+    this.client = new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL ? { baseURL } : {}) });
+  }
+
+  buildParams(request) {
+    return {
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      ...(request.maxTokens ? { max_tokens: request.maxTokens } : {}),
+      ...(request.presencePenalty !== undefined ? { presence_penalty: request.presencePenalty } : {}),
+      ...(request.frequencyPenalty !== undefined ? { frequency_penalty: request.frequencyPenalty } : {}),
+      ...(request.responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+
+  async complete(request) {
+    const completion = await this.client.chat.completions.create(this.buildParams(request), { signal: request.signal });
+
+    return {
+      content: completion.choices[0].message.content || '',
+      totalTokens: completion.usage?.total_tokens || 0
+    };
+  }
+
+  async stream(request, onToken) {
+    const stream = await this.client.chat.completions.create({
+      ...this.buildParams(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal: request.signal });
+
+    let content = '';
+    let totalTokens = 0;
+    for await (const part of stream) {
+      const delta = part.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+      if (part.usage) {
+        totalTokens = part.usage.total_tokens || 0;
+      }
+    }
+
+    return { content, totalTokens };
+  }
+}
+
+const MOCK_LIST_ITEM = /^\s*(?:[-*•]|\d+[.)])\s+/;
+
+/**
+ * Deterministic offline backend for tests and local development without API keys.
+ * Answers are extracted from the numbered context blocks in the prompt, so the
+ * citation and grounding passes see realistic input. JSON use cases get replies in
+ * the shape their prompts ask for, built from the prompt content the same way.
+ */
+class MockProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  respond(request) {
+    const userMessage = [...request.messages].reverse().find(message => message.role === 'user')?.content || '';
+
+    if (request.responseFormat === 'json') {
+      return JSON.stringify(this.respondJson(request, userMessage));
+    }
+
+    // Answering: one sentence from each of the first two context blocks, cited
+    const contextStart = userMessage.indexOf('CONTEXT:');
+    if (contextStart !== -1) {
+      const blocks = [...userMessage.slice(contextStart).matchAll(/^\[(\d+)\][^\n]*\n([^\n]+(?:\n[^\n]+)?)/gm)].slice(0, 2);
+      if (blocks.length === 0) {
+        return 'I don\'t have enough information in the provided context to answer that.';
+      }
+      return blocks.map(([, marker, body]) => {
+        const sentence = body.split('\n').pop().split(/(?<=[.!?])\s/)[0].trim();
+        return `${sentence.replace(/[.!?]$/, '')} [${marker}].`;
+      }).join(' ');
+    }
+
+    // Query rewriting: return the latest question unchanged
+    const latestQuestion = userMessage.match(/Latest question: (.+)$/);
+    if (latestQuestion) {
+      return latestQuestion[1].trim();
+    }
+
+    return userMessage.replace(/\s+/g, ' ').trim().slice(0, 200);
+  }
+
+  /**
+   * JSON replies in the shape each use case's prompt asks for, built from the prompt content
+   * @param {Object} request - Chat request (with useCase)
+   * @param {string} userMessage - Latest user message
+   * @returns {Object} - Parsed reply
+   */
+  respondJson(request, userMessage) {
+    const systemMessage = request.messages.find(message => message.role === 'system')?.content || '';
+
+    switch (request.useCase) {
+    case 'requirement-extraction':
+      return this.extractRequirements(userMessage);
+    case 'resume-writing':
+      return this.writeBullets(userMessage, Number(systemMessage.match(/At most (\d+) bullets/)?.[1]) || 3);
+    case 'judge':
+      return this.judge(userMessage);
+    default:
+      return {};
+    }
+  }
+
+  // Bullet lines (or sentences) of a job description become requirements; capitalized terms become skills
+  extractRequirements(jobDescription) {
+    const lines = jobDescription.split('\n').map(line => line.trim()).filter(Boolean);
+    const bullets = lines.filter(line => MOCK_LIST_ITEM.test(line)).map(line => line.replace(MOCK_LIST_ITEM, ''));
+    const statements = bullets.length > 0
+      ? bullets
+      : jobDescription.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+
+    return {
+      title: lines.length > 1 && !MOCK_LIST_ITEM.test(lines[0]) && lines[0].length <= 80 ? lines[0] : null,
+      company: jobDescription.match(/\bat ([A-Z][\w&.-]*(?: [A-Z][\w&.-]*)*)/)?.[1].replace(/\.$/, '') || null,
+      requirements: statements.map(statement => ({
+        requirement: statement.replace(/[.;]$/, ''),
+        type: /\b(preferred|plus|bonus|nice to have)\b/i.test(statement) ? 'preferred' : 'required',
+        // Capitalized words after the first, plus acronyms anywhere
+        skills: [...new Set(statement.split(/\s+/).map(word => word.replace(/[^\w+#.]|\.$/g, ''))
+          .filter((word, index) => (index > 0 && /^[A-Z]/.test(word)) || /^[A-Z]{2,}/.test(word)))]
+      }))
+    };
+  }
+
+  // The first bullet or sentence of each '(chunk N)' block, cited to that chunk
+  writeBullets(userMessage, limit) {
+    const blocks = [...userMessage.matchAll(/^\(chunk (\d+)\)\n([\s\S]*?)(?=\n\n---\n\n|$(?![\s\S]))/gm)];
+
+    return {
+      bullets: blocks.slice(0, limit).map(([, chunkId, body]) => {
+        // Skip the "Org • Title • dates" header and section headings
+        const line = body.split('\n').map(text => text.trim())
+          .find(text => text && !text.includes(' • ') && !text.startsWith('#')) || '';
+        const sentence = line.replace(MOCK_LIST_ITEM, '').split(/(?<=[.!?])\s/)[0].replace(/[.!?]$/, '');
+        return { text: `${sentence}.`, chunkId: Number(chunkId) };
+      }).filter(bullet => bullet.text.length > 1)
+    };
+  }
+
+  // Faithfulness from answer terms found in the context, completeness from expected-point terms in the answer
+  judge(userMessage) {
+    const section = name => userMessage.match(new RegExp(`${name}:\\n([\\s\\S]*?)(?=\\n\\n[A-Z ]+:|$)`))?.[1] || '';
+    const terms = text => (text.toLowerCase().match(/[a-z0-9]{4,}/g) || []);
+    const coverage = (needles, haystack) => {
+      const found = new Set(terms(haystack));
+      return needles.length > 0 ? needles.filter(term => found.has(term)).length / needles.length : 1;
+    };
+    const toScore = ratio => 1 + Math.round(4 * ratio);
+
+    const answer = section('ANSWER');
+    const faithfulness = coverage(terms(answer), section('CONTEXT'));
+    const points = section('EXPECTED POINTS').split('\n').map(point => point.replace(/^- /, ''))
+      .filter(point => point && point !== '(none given)');
+    const completeness = points.length > 0
+      ? points.reduce((sum, point) => sum + coverage(terms(point), answer), 0) / points.length
+      : 0.5;
+
+    return {
+      faithfulness: { score: toScore(faithfulness), reason: `${Math.round(faithfulness * 100)}% of answer terms appear in the context` },
+      completeness: { score: toScore(completeness), reason: `${Math.round(completeness * 100)}% of expected point terms appear in the answer` },
+      personaAdherence: { score: 3, reason: 'Not assessed by the mock provider' }
+    };
+  }
+
+  async complete(request) {
+    const content = this.respond(request);
+    return { content, totalTokens: estimateTokens(content) };
+  }
+
+  async stream(request, onToken) {
+    const content = this.respond(request);
+    content.split(/(?<= )/).forEach(token => onToken(token));
+    return { content, totalTokens: estimateTokens(content) };
+  }
+}
+
+const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAIProvider,
+  mock: MockProvider
+};
+
+class LLMService {
+  constructor(configPath = LLM_CONFIG_PATH) {
+    this.config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    this.providers = new Map();
+  }
+
+  /**
+   * Resolve the settings for a use case, applying LLM_PROVIDER / LLM_MODEL overrides
+   * @param {string} useCase - Use case name from config/llm.json
+   * @returns {Object} - { provider, model, temperature, maxTokens, fallbacks }
+   */
+  getUseCase(useCase) {
+    const settings = this.config.useCases[useCase];
+    if (!settings) {
+      throw new Error(`Unknown LLM use case: ${useCase}`);
+    }
+
+    return {
+      ...settings,
+      provider: process.env.LLM_PROVIDER || settings.provider || this.config.defaultProvider,
+      model: process.env.LLM_MODEL || settings.model,
+      fallbacks: settings.fallbacks || []
+    };
+  }
+
+  /**
+   * Get (and cache) a provider instance; created on first use so unused providers need no credentials
+   * @param {string} name - Provider name from config/llm.json
+   * @returns {Object} - Provider
+   */
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      const settings = this.config.providers[name];
+      if (!settings || !PROVIDER_TYPES[settings.type]) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+      }
+      this.providers.set(name, new PROVIDER_TYPES[settings.type](name, settings));
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Describe the primary provider and model for a use case (for health checks and logs)
+   * @param {string} useCase - Use case name
+   * @returns {Object} - { provider, model }
+   */
+  describe(useCase) {
+    const { provider, model } = this.getUseCase(useCase);
+    return { provider, model };
+  }
+
+  /**
+   * Run a chat completion for a use case
+   * @param {string} useCase - Use case name from config/llm.json
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - temperature, maxTokens, responseFormat ('json'), presencePenalty, frequencyPenalty, signal
+   * @returns {Promise<Object>} - { content, totalTokens, provider, model }
+   */
+  async complete(useCase, messages, options = {}) {
+    return this.runWithFallbacks(useCase, messages, options, (provider, request) => provider.complete(request));
+  }
+
+  /**
+   * Run a streaming chat completion for a use case
+   * @param {string} useCase - Use case name from config/llm.json
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Same as complete()
+   * @param {Function} onToken - Called with each text fragment as it arrives
+   * @returns {Promise<Object>} - { content, totalTokens, provider, model }
+   */
+  async stream(useCase, messages, options = {}, onToken = () => {}) {
+    return this.runWithFallbacks(useCase, messages, options, (provider, request) => {
+      let started = false;
+      return provider.stream(request, token => {
+        started = true;
+        onToken(token);
+      }).catch(error => {
+        // Tokens already reached the caller; retrying elsewhere would duplicate them
+        error.streamStarted = started;
+        throw error;
+      });
+    });
+  }
+
+  /**
+   * Try the primary provider, then each configured fallback in order
+   * @param {string} useCase - Use case name
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Request overrides
+   * @param {Function} call - (provider, request) => Promise of { content, totalTokens }
+   * @returns {Promise<Object>} - Result from the first provider that succeeds
+   */
+  async runWithFallbacks(useCase, messages, options, call) {
+    const settings = this.getUseCase(useCase);
+    const attempts = [
+      { provider: settings.provider, model: settings.model },
+      ...settings.fallbacks.map(fallback => ({ provider: fallback.provider || settings.provider, model: fallback.model || settings.model }))
+    ];
+
+    let lastError;
+    for (const [index, attempt] of attempts.entries()) {
+      const request = {
+        model: attempt.model,
+        messages,
+        temperature: options.temperature ?? settings.temperature,
+        maxTokens: options.maxTokens ?? settings.maxTokens,
+        responseFormat: options.responseFormat,
+        useCase,
+        presencePenalty: options.presencePenalty,
+        frequencyPenalty: options.frequencyPenalty,
+        signal: options.signal
+      };
+
+      try {
+        const result = await call(this.getProvider(attempt.provider), request);
+        return { ...result, provider: attempt.provider, model: attempt.model };
+      } catch (error) {
+        lastError = error;
+        if (options.signal?.aborted || error.streamStarted || index === attempts.length - 1) {
+          break;
+        }
+        const next = attempts[index + 1];
+        console.log(`⚠️  ${useCase} via ${attempt.provider}/${attempt.model} failed (${error.message}), falling back to ${next.provider}/${next.model}`);
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+export default LLMService;
@@ -0,0 +1,102 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const PERSONAS_DIR = 'config/personas';
+const DEFAULT_PERSONA = 'default';
+
+const VOICES = ['first', 'third'];
+const LENGTHS = ['brief', 'standard', 'detailed'];
+const DEPTHS = ['overview', 'balanced', 'technical'];
+
+class PersonaService {
+  constructor() {
+    this.personas = null;
+  }
+
+  /**
+   * Load every persona profile from config/personas (cached after the first call)
+   * @returns {Promise<Map>} - Persona profiles keyed by id
+   */
+  async loadPersonas() {
+    if (this.personas) {
+      return this.personas;
+    }
+
+    const personas = new Map();
+    const files = (await fs.readdir(PERSONAS_DIR)).filter(file => file.endsWith('.json')).sort();
+
+    for (const file of files) {
+      try {
+        const profile = JSON.parse(await fs.readFile(path.join(PERSONAS_DIR, file), 'utf8'));
+        const persona = this.normalizePersona(profile, path.basename(file, '.json'));
+        personas.set(persona.id, persona);
+      } catch (error) {
+        console.warn(`⚠️ Skipping persona ${file}: ${error.message}`);
+      }
+    }
+
+    if (!personas.has(DEFAULT_PERSONA)) {
+      throw new Error(`Persona configuration is missing ${PERSONAS_DIR}/${DEFAULT_PERSONA}.json`);
+    }
+
+    console.log(`🎭 Loaded ${personas.size} personas: ${[...personas.keys()].join(', ')}`);
+    this.personas = personas;
+    return personas;
+  }
+
+  /**
+   * Fill in defaults and validate the enumerated fields of a persona profile
+   * @param {Object} profile - Raw profile from JSON
+   * @param {string} fallbackId - Id to use when the profile has none (the file name)
+   * @returns {Object} - Normalized persona
+   */
+  normalizePersona(profile, fallbackId) {
+    const persona = {
+      id: profile.id || fallbackId,
+      name: profile.name || fallbackId,
+      description: profile.description || '',
+      tone: profile.tone || 'conversational and engaging',
+      depth: profile.depth || 'balanced',
+      length: profile.length || 'detailed',
+      maxTokens: profile.maxTokens || 1200,
+      emphasizeMetrics: profile.emphasizeMetrics !== false,
+      voice: profile.voice || 'first',
+      guidance: Array.isArray(profile.guidance) ? profile.guidance : []
+    };
+
+    if (!VOICES.includes(persona.voice)) {
+      throw new Error(`voice must be one of ${VOICES.join(', ')}`);
+    }
+    if (!LENGTHS.includes(persona.length)) {
+      throw new Error(`length must be one of ${LENGTHS.join(', ')}`);
+    }
+    if (!DEPTHS.includes(persona.depth)) {
+      throw new Error(`depth must be one of ${DEPTHS.join(', ')}`);
+    }
+
+    return persona;
+  }
+
+  /**
+   * List the available personas for the client selector
+   * @returns {Promise<Array>} - { id, name, description } for each persona, default first
+   */
+  async listPersonas() {
+    const personas = await this.loadPersonas();
+    return [...personas.values()]
+      .sort((a, b) => (b.id === DEFAULT_PERSONA) - (a.id === DEFAULT_PERSONA))
+      .map(({ id, name, description }) => ({ id, name, description }));
+  }
+
+  /**
+   * Look up a persona by id
+   * @param {string} id - Persona id (defaults to the default persona)
+   * @returns {Promise<Object|null>} - Persona profile, or null if the id is unknown
+   */
+  async getPersona(id = DEFAULT_PERSONA) {
+    const personas = await this.loadPersonas();
+    return personas.get(id || DEFAULT_PERSONA) || null;
+  }
+}
+
+export default PersonaService;
@@ -0,0 +1,248 @@
+import fs from 'fs/promises';
+import { db } from '../config/database.js';
+import TemporalParser from './temporal-parser.js';
+
+const SKILLS_CONFIG_PATH = 'config/skills.json';
+const TAGS_CONFIG_PATH = 'config/tags.json';
+// Rebuild the vocabulary this often so newly indexed skills, tags and orgs are picked up
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+// Minimum normalized edit similarity for a fuzzy match
+const FUZZY_MATCH_THRESHOLD = 0.85;
+// Shorter aliases (acronyms like "ai", "pmo", "iot") must match exactly
+const MIN_FUZZY_LENGTH = 5;
+// Corporate suffixes dropped to derive short org aliases ("The Coca-Cola Company" → "coca cola")
+const ORG_SUFFIXES = new Set(['the', 'inc', 'incorporated', 'company', 'co', 'corp', 'corporation', 'llc', 'ltd', 'plc', 'group', 'holdings']);
+// Questions about results ("what did you accomplish at Acme?") and the chunk sections the extractor writes results into
+const ACHIEVEMENT_QUERY = /\b(accomplish\w*|achiev\w*|proud\w*|impact\w*|results?|outcomes?|wins|success\w*|highlights?|track record)\b/i;
+const ACHIEVEMENT_SECTIONS = ['Highlights', 'Key Accomplishments'];
+
+// Lowercase, turn hyphens and slashes into spaces, keep characters that matter in tech names (c++, c#, node.js)
+function normalize(text) {
+  return text.toLowerCase().replace(/[-_/]+/g, ' ').replace(/[^a-z0-9+#.\s]/g, '').replace(/\.(?=\s|$)/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+class QueryFilterService {
+  constructor() {
+    this.vocabulary = null;
+    this.loadedAt = 0;
+    this.temporalParser = new TemporalParser();
+  }
+
+  /**
+   * Build (and cache) the matchable vocabulary from config files and the database
+   * @returns {Promise<Array>} - Entries { kind, value, origin, aliases: [{ text, via, origin }] }
+   */
+  async loadVocabulary() {
+    if (this.vocabulary && Date.now() - this.loadedAt < VOCABULARY_TTL_MS) {
+      return this.vocabulary;
+    }
+
+    const [skillsConfig, tagsConfig, liveSkills, liveTags, industries, orgs, synonymRows] = await Promise.all([
+      this.readConfig(SKILLS_CONFIG_PATH),
+      this.readConfig(TAGS_CONFIG_PATH),
+      this.safeLoad('chunk skills', () => db.getUniqueSkills()),
+      this.safeLoad('chunk tags', () => db.getUniqueTags()),
+      this.safeLoad('source industries', () => db.getUniqueIndustryTags()),
+      this.safeLoad('source orgs', () => db.getUniqueOrgs()),
+      this.safeLoad('synonyms table', () => db.getAllSynonyms())
+    ]);
+
+    const configSkills = Array.isArray(skillsConfig.controlled_vocabulary)
+      ? skillsConfig.controlled_vocabulary
+      : Object.values(skillsConfig.controlled_vocabulary || {}).flat();
+
+    const entries = new Map();
+    const addEntry = (kind, value, origin) => {
+      const key = `${kind}:${value.toLowerCase()}`;
+      if (!entries.has(key)) {
+        entries.set(key, { kind, value, origin, aliases: [{ text: normalize(value), via: 'name', origin }] });
+      }
+      return entries.get(key);
+    };
+    const addAliases = (kind, synonyms, origin) => {
+      Object.entries(synonyms || {}).forEach(([value, aliases]) => {
+        const entry = entries.get(`${kind}:${value.toLowerCase()}`);
+        (aliases || []).forEach(alias => entry?.aliases.push({ text: normalize(alias), via: 'synonym', origin }));
+      });
+    };
+
+    configSkills.forEach(skill => addEntry('skill', skill, SKILLS_CONFIG_PATH));
+    liveSkills.forEach(skill => addEntry('skill', skill, 'content_chunks.skills'));
+    (tagsConfig.controlled_vocabulary || []).forEach(tag => addEntry('tag', tag, TAGS_CONFIG_PATH));
+    liveTags.forEach(tag => addEntry('tag', tag, 'content_chunks.tags'));
+    industries.forEach(industry => addEntry('industry', industry, 'sources.industry_tags'));
+    orgs.forEach(org => {
+      const entry = addEntry('org', org, 'sources.org');
+      const short = normalize(org).split(' ').filter(word => !ORG_SUFFIXES.has(word)).join(' ');
+      if (short && short !== entry.aliases[0].text) {
+        entry.aliases.push({ text: short, via: 'short name', origin: 'sources.org' });
+      }
+    });
+
+    addAliases('skill', skillsConfig.synonyms, SKILLS_CONFIG_PATH);
+    addAliases('tag', tagsConfig.synonyms, TAGS_CONFIG_PATH);
+    addAliases('industry', tagsConfig.synonyms, TAGS_CONFIG_PATH);
+
+    // Synonyms table rows apply to whichever entries share the term's name
+    synonymRows.forEach(row => {
+      ['skill', 'tag', 'industry', 'org'].forEach(kind => {
+        const entry = entries.get(`${kind}:${row.term.toLowerCase()}`);
+        (row.aliases || []).forEach(alias => entry?.aliases.push({ text: normalize(alias), via: 'synonym', origin: 'synonyms table' }));
+      });
+    });
+
+    this.vocabulary = [...entries.values()].map(entry => ({
+      ...entry,
+      aliases: entry.aliases.filter((alias, index, all) =>
+        alias.text && all.findIndex(other => other.text === alias.text) === index
+      )
+    }));
+    this.loadedAt = Date.now();
+    console.log(`📚 Loaded query filter vocabulary: ${this.vocabulary.length} entries`);
+    return this.vocabulary;
+  }
+
+  async readConfig(configPath) {
+    try {
+      return JSON.parse(await fs.readFile(configPath, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️ Could not read ${configPath}: ${error.message}`);
+      return {};
+    }
+  }
+
+  // One unavailable vocabulary source (e.g. a missing synonyms table) shouldn't disable filtering
+  async safeLoad(label, load) {
+    try {
+      return await load();
+    } catch (error) {
+      console.warn(`⚠️ Could not load ${label} for query filters: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Extract skill, tag, industry, organization and date filters from a query
+   * @param {string} query - User query
+   * @returns {Promise<Object>} - { skills, tags, industries, orgs, dateRange, temporal, matches }
+   */
+  async extractFilters(query) {
+    const [vocabulary, temporal] = await Promise.all([this.loadVocabulary(), this.temporalParser.parse(query)]);
+    const words = normalize(query).split(' ').filter(Boolean);
+    const matches = [];
+
+    vocabulary.forEach(entry => {
+      let best = null;
+      entry.aliases.forEach(alias => {
+        const match = this.matchAlias(words, alias.text);
+        if (match && (!best || match.score > best.score)) {
+          best = { ...match, alias: alias.text, via: alias.via, origin: alias.origin };
+        }
+      });
+      if (best) {
+        matches.push({ kind: entry.kind, value: entry.value, ...best });
+      }
+    });
+
+    matches.sort((a, b) => b.score - a.score);
+    const valuesOf = kind => [...new Set(matches.filter(match => match.kind === kind).map(match => match.value))];
+
+    return {
+      skills: valuesOf('skill'),
+      tags: valuesOf('tag'),
+      industries: valuesOf('industry'),
+      orgs: valuesOf('org'),
+      sections: ACHIEVEMENT_QUERY.test(query) ? ACHIEVEMENT_SECTIONS : [],
+      dateRange: temporal.dateRange,
+      temporal: temporal.expressions,
+      matches
+    };
+  }
+
+  /**
+   * Find an alias in the query, exactly or within a small edit distance
+   * @param {Array} words - Normalized query words
+   * @param {string} alias - Normalized alias
+   * @returns {Object|null} - { matched, score, fuzzy }
+   */
+  matchAlias(words, alias) {
+    const size = alias.split(' ').length;
+    let best = null;
+
+    for (let i = 0; i + size <= words.length; i++) {
+      const window = words.slice(i, i + size).join(' ');
+      if (window === alias) {
+        return { matched: window, score: 1, fuzzy: false };
+      }
+      if (alias.length >= MIN_FUZZY_LENGTH && Math.abs(window.length - alias.length) <= 2) {
+        const score = 1 - editDistance(window, alias) / Math.max(window.length, alias.length);
+        if (score >= FUZZY_MATCH_THRESHOLD && (!best || score > best.score)) {
+          best = { matched: window, score: Math.round(score * 100) / 100, fuzzy: true };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Similarity threshold from query specificity: longer queries embed more precisely, while
+   * queries naming known skills, tags or orgs get a lower bar because the filters already focus them
+   * @param {string} query - User query
+   * @param {Object} filters - Result of extractFilters
+   * @returns {number} - Similarity threshold
+   */
+  calculateSimilarityThreshold(query, filters = {}) {
+    const { threshold } = this.chooseSimilarityThreshold(query, filters);
+    console.log(`🎯 Using similarity threshold: ${threshold} for query: "${query.substring(0, 50)}..."`);
+    return threshold;
+  }
+
+  /**
+   * Pick the similarity threshold and say why
+   * @param {string} query - User query
+   * @param {Object} filters - Result of extractFilters
+   * @returns {Object} - { threshold, reason }
+   */
+  chooseSimilarityThreshold(query, filters = {}) {
+    const queryLength = query.split(/\s+/).length;
+    let threshold;
+
+    if (queryLength >= 8) {
+      threshold = 0.35;
+    } else if (queryLength >= 5) {
+      threshold = 0.30;
+    } else if (queryLength >= 3) {
+      threshold = 0.25;
+    } else {
+      threshold = 0.20;
+    }
+    const reasons = [`${queryLength}-word query → ${threshold.toFixed(2)}`];
+
+    if (filters.matches?.length > 0) {
+      const lowered = Math.max(0.20, threshold - 0.05);
+      reasons.push(lowered < threshold
+        ? `lowered to ${lowered.toFixed(2)} because ${filters.matches.length} known term${filters.matches.length > 1 ? 's' : ''} matched`
+        : `kept at the ${lowered.toFixed(2)} floor despite matched terms`);
+      threshold = lowered;
+    }
+
+    return { threshold, reason: reasons.join('; ') };
+  }
+}
+
+export default QueryFilterService;
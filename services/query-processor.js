@@ -6,6 +6,15 @@ class QueryProcessor {
   }
 
   async expandAcronyms(query) {
+    return (await this.explainAcronyms(query)).query;
+  }
+
+  /**
+   * Expand all-caps acronyms using definitions found in the knowledge base
+   * @param {string} query - User query
+   * @returns {Promise<Object>} - { query: expanded query, expansions: [{ acronym, expansion, cached }] }
+   */
+  async explainAcronyms(query) {
     const words = query.split(/\s+/);
     const acronyms = words.filter(word => 
       word.length >= 2 && 
@@ -14,14 +23,16 @@ class QueryProcessor {
       /^[A-Z]+$/.test(word)
     );
 
-    if (acronyms.length === 0) return query;
+    if (acronyms.length === 0) return { query, expansions: [] };
 
     let expandedQuery = query;
+    const expansions = [];
     
     for (const acronym of acronyms) {
       if (this.acronymCache.has(acronym)) {
         const expansion = this.acronymCache.get(acronym);
         expandedQuery = expandedQuery.replace(new RegExp(`\\b${acronym}\\b`, 'g'), expansion);
+        expansions.push({ acronym, expansion, cached: true });
         continue;
       }
 
@@ -37,6 +48,7 @@ class QueryProcessor {
         if (expansion) {
           this.acronymCache.set(acronym, expansion);
           expandedQuery = expandedQuery.replace(new RegExp(`\\b${acronym}\\b`, 'g'), expansion);
+          expansions.push({ acronym, expansion, cached: false });
         }
       }
     }
@@ -45,7 +57,7 @@ class QueryProcessor {
       console.log(`🔄 Query expanded: "${query}" → "${expandedQuery}"`);
     }
 
-    return expandedQuery;
+    return { query: expandedQuery, expansions };
   }
 
   extractAcronymDefinition(acronym, chunks) {
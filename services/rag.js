@@ -1,17 +1,18 @@
 import RetrievalService from './retrieval.js';
 import QueryProcessor from './query-processor.js';
-import OpenAI from 'openai';
+import CitationService from './citations.js';
+import PersonaService from './personas.js';
+import GroundingService from './grounding.js';
+import LLMService from './llm.js';
 
 class RAGService {
   constructor() {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY not found in environment variables');
-    }
-    
     this.retrieval = new RetrievalService();
     this.queryProcessor = new QueryProcessor();
-    this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    this.model = 'gpt-4o-mini'; // Cost-effective model for production
+    this.citations = new CitationService();
+    this.personas = new PersonaService();
+    this.grounding = new GroundingService();
+    this.llm = new LLMService();
   }
 
   /**
@@ -22,130 +23,317 @@ class RAGService {
    */
   async answerQuestion(query, options = {}) {
     try {
-      const {
-        maxContextChunks = 8,
-        includeContext = false,
-        conversationHistory = [],
-        temperature = 0.1,
-        maxTokens = 500
-      } = options;
-
-      console.log(`🤖 Answering question: "${query}"`);
-      const startTime = Date.now();
-
-      // Step 1: Process and expand query
-      const processedQuery = await this.queryProcessor.expandAcronyms(query);
-
-      // Step 2: Retrieve relevant context
-      const contextResult = await this.retrieval.retrieveContext(processedQuery, {
-        maxResults: maxContextChunks,
-        includeMetadata: true,
-        rerankResults: true
-      });
-
-      console.log(`⏱️  Context retrieved in ${Date.now() - startTime}ms`);
-
-      // Step 2: Build context for the LLM (moved up for debug logging)
-      const contextText = this.buildContextText(contextResult.chunks);
-
-      // Debug logging for context quality
-      console.log(`📊 Context quality check:`);
-      console.log(`   - Chunks found: ${contextResult.chunks.length}`);
-      console.log(`   - Avg similarity: ${contextResult.avgSimilarity}`);
-      console.log(`   - Sources: ${contextResult.sources?.map(s => s.title).join(', ') || 'none'}`);
-      console.log(`   - Context preview: ${contextText.substring(0, 200)}...`);
-
-      if (contextResult.chunks.length > 0) {
-        console.log(`   - Best chunk similarity: ${contextResult.chunks[0].similarity}`);
-        console.log(`   - Worst chunk similarity: ${contextResult.chunks[contextResult.chunks.length - 1].similarity}`);
+      const prepared = await this.prepareAnswer(query, options);
+      if (prepared.noContextResult) {
+        return prepared.noContextResult;
+      }
+
+      // Step 5: Generate answer
+      console.log('🔮 Generating answer...');
+      const completion = await this.llm.complete('answering', prepared.messages, this.buildGenerationOptions(prepared, options));
+
+      return this.buildAnswerResult(prepared, completion.content, completion.totalTokens, options);
+
+    } catch (error) {
+      throw this.toServiceError(error);
+    }
+  }
+
+  /**
+   * Answer a question, emitting retrieval metadata and answer tokens as they arrive
+   * @param {string} query - User question
+   * @param {Object} options - Generation options (same as answerQuestion, plus an AbortSignal in `signal`)
+   * @param {Function} onEvent - Called as onEvent(type, data) for 'metadata' and 'token' events
+   * @returns {Promise<Object>} - Final answer result, identical in shape to answerQuestion
+   */
+  async streamAnswer(query, options = {}, onEvent = () => {}) {
+    try {
+      const prepared = await this.prepareAnswer(query, options);
+      onEvent('metadata', this.buildRetrievalMetadata(prepared));
+
+      if (prepared.noContextResult) {
+        onEvent('token', { text: prepared.noContextResult.answer });
+        return prepared.noContextResult;
       }
 
-      if (contextResult.chunks.length === 0) {
-        return {
+      console.log('🔮 Streaming answer...');
+      const completion = await this.llm.stream(
+        'answering',
+        prepared.messages,
+        { ...this.buildGenerationOptions(prepared, options), signal: options.signal },
+        text => onEvent('token', { text })
+      );
+
+      return this.buildAnswerResult(prepared, completion.content, completion.totalTokens, options);
+
+    } catch (error) {
+      throw this.toServiceError(error);
+    }
+  }
+
+  /**
+   * Per-request overrides for the 'answering' use case; unset values fall back to config/llm.json
+   * @param {Object} prepared - Result of prepareAnswer
+   * @param {Object} options - Generation options
+   * @returns {Object} - LLM request options
+   */
+  buildGenerationOptions(prepared, options) {
+    return {
+      temperature: options.temperature,
+      maxTokens: options.maxTokens || prepared.persona.maxTokens,
+      presencePenalty: 0.1,  // Encourage diverse vocabulary
+      frequencyPenalty: 0.1  // Reduce repetition
+    };
+  }
+
+  /**
+   * Run retrieval and build the prompt shared by the blocking and streaming paths
+   * @param {string} query - User question
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - Context, messages and timing, or a ready-made noContextResult
+   */
+  async prepareAnswer(query, options = {}) {
+    const {
+      maxContextChunks = 8,
+      conversationHistory = [],
+      conversationSummary = null,
+      rewriteQuery = true
+    } = options;
+
+    console.log(`🤖 Answering question: "${query}"`);
+    const startTime = Date.now();
+
+    const persona = await this.personas.getPersona(options.persona);
+    if (!persona) {
+      throw new Error(`Unknown persona: ${options.persona}`);
+    }
+
+    // Step 1: Rewrite follow-ups into a standalone question, then expand acronyms
+    const standaloneQuery = rewriteQuery
+      ? await this.condenseQuery(query, conversationHistory, conversationSummary)
+      : query;
+    const processedQuery = await this.queryProcessor.expandAcronyms(standaloneQuery);
+
+    // Step 2: Retrieve relevant context
+    const contextResult = await this.retrieval.retrieveContext(processedQuery, {
+      maxResults: maxContextChunks,
+      includeMetadata: true,
+      rerankResults: true,
+      searchWeights: options.searchWeights,
+      mmrLambda: options.mmrLambda,
+      maxChunksPerSource: options.maxChunksPerSource
+    });
+
+    console.log(`⏱️  Context retrieved in ${Date.now() - startTime}ms`);
+
+    // Step 2: Build context for the LLM (moved up for debug logging)
+    const contextText = this.buildContextText(contextResult.chunks);
+
+    // Debug logging for context quality
+    console.log('📊 Context quality check:');
+    console.log(`   - Chunks found: ${contextResult.chunks.length}`);
+    console.log(`   - Avg similarity: ${contextResult.avgSimilarity}`);
+    console.log(`   - Sources: ${contextResult.sources?.map(s => s.title).join(', ') || 'none'}`);
+    console.log(`   - Context preview: ${contextText.substring(0, 200)}...`);
+
+    if (contextResult.chunks.length > 0) {
+      console.log(`   - Best chunk similarity: ${contextResult.chunks[0].similarity}`);
+      console.log(`   - Worst chunk similarity: ${contextResult.chunks[contextResult.chunks.length - 1].similarity}`);
+    }
+
+    const rewrittenQuery = standaloneQuery !== query ? standaloneQuery : null;
+
+    if (contextResult.chunks.length === 0) {
+      return {
+        startTime,
+        contextResult,
+        persona,
+        rewrittenQuery,
+        noContextResult: {
           answer: 'I don\'t have any information about that topic in my knowledge base. This could mean:\n\n• The information hasn\'t been uploaded yet\n• Try rephrasing your question\n• The topic might be outside of Scott\'s documented experience\n\nFeel free to ask about Scott\'s work in cybersecurity, AI/ML, program management, or specific companies and projects!',
           confidence: 'low',
+          grounding: null,
           sources: [],
+          citations: [],
+          suggestions: [],
+          chunkIds: [],
           contextUsed: contextResult,
           processingTime: Date.now() - startTime,
-          reasoning: 'No relevant context found in knowledge base'
-        };
-      }
+          reasoning: 'No relevant context found in knowledge base',
+          persona: persona.id,
+          rewrittenQuery
+        }
+      };
+    }
 
-      console.log(`📄 Built context: ${contextText.length} characters`);
+    console.log(`📄 Built context: ${contextText.length} characters`);
 
-      // Step 3: Generate system prompt
-      const systemPrompt = this.buildSystemPrompt(query, contextResult);
+    // Step 3: Generate system prompt
+    const systemPrompt = this.buildSystemPrompt(standaloneQuery, contextResult, persona);
 
-      // Step 4: Build conversation with context
-      const messages = this.buildMessages(systemPrompt, query, contextText, conversationHistory);
+    // Step 4: Build conversation with context
+    const messages = this.buildMessages(systemPrompt, query, contextText, conversationHistory, conversationSummary);
 
-      // Step 5: Generate answer
-      console.log('🔮 Generating answer...');
-      const completion = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: messages,
-        temperature: temperature,
-        max_tokens: maxTokens,
-        presence_penalty: 0.1,  // Encourage diverse vocabulary
-        frequency_penalty: 0.1  // Reduce repetition
-      });
-
-      const answer = completion.choices[0].message.content;
-      const tokensUsed = completion.usage?.total_tokens || 0;
-
-      // Step 6: Post-process and analyze answer
-      const confidence = this.calculateAnswerConfidence(contextResult, answer);
-      const reasoning = this.generateReasoning(contextResult, answer);
-      
-      console.log(`✅ Answer generated in ${Date.now() - startTime}ms (${tokensUsed} tokens)`);
+    return { startTime, contextResult, contextText, messages, persona, standaloneQuery, rewrittenQuery };
+  }
 
-      return {
-        answer: answer.trim(),
-        confidence,
-        sources: contextResult.sources,
-        contextUsed: includeContext ? contextResult : undefined,
-        processingTime: Date.now() - startTime,
-        tokensUsed,
-        reasoning,
-        avgSimilarity: contextResult.avgSimilarity,
-        totalChunksFound: contextResult.totalFound
-      };
+  /**
+   * Rewrite a follow-up question into a standalone question using the conversation so far
+   * e.g. "what tools did you use there?" → "What tools did Scott use at Coca-Cola?"
+   * @param {string} query - User question
+   * @param {Array} conversationHistory - Previous messages
+   * @param {string|null} conversationSummary - Summary of older turns
+   * @returns {Promise<string>} - Standalone question (the original query when no rewrite is needed)
+   */
+  async condenseQuery(query, conversationHistory = [], conversationSummary = null) {
+    if (conversationHistory.length === 0 && !conversationSummary) {
+      return query;
+    }
 
-    } catch (error) {
-      console.error('RAG answer generation error:', error);
-      
-      // Provide helpful error messages
-      if (error.message.includes('rate limit')) {
-        throw new Error('Service temporarily unavailable due to high demand. Please try again in a moment.');
-      } else if (error.message.includes('API key')) {
-        throw new Error('Service configuration error. Please contact support.');
-      } else {
-        throw new Error(`Failed to generate answer: ${error.message}`);
+    try {
+      const transcript = conversationHistory
+        .slice(-6)
+        .map(message => `${message.role === 'user' ? 'Visitor' : 'ScottGPT'}: ${message.content.slice(0, 500)}`)
+        .join('\n');
+
+      const completion = await this.llm.complete('query-rewriting', [
+        {
+          role: 'system',
+          content: 'Rewrite the visitor\'s latest question about Scott Lovett\'s career so it can be understood without the conversation. Replace pronouns and references like "there", "that role" or "it" with the companies, roles, projects or skills they refer to. If the question is already standalone, return it unchanged. Reply with the question only.'
+        },
+        {
+          role: 'user',
+          content: `${conversationSummary ? `Earlier conversation summary:\n${conversationSummary}\n\n` : ''}Recent conversation:\n${transcript}\n\nLatest question: ${query}`
+        }
+      ]);
+
+      const rewritten = completion.content.trim().replace(/^["']|["']$/g, '');
+      if (!rewritten) {
+        return query;
       }
+
+      if (rewritten !== query) {
+        console.log(`🔁 Follow-up rewritten: "${query}" → "${rewritten}"`);
+      }
+      return rewritten;
+    } catch (error) {
+      console.log(`⚠️  Query rewriting failed, using original query: ${error.message}`);
+      return query;
+    }
+  }
+
+  /**
+   * Summarize retrieval results before any answer text is available
+   * @param {Object} prepared - Result of prepareAnswer
+   * @returns {Object} - Retrieval metadata
+   */
+  buildRetrievalMetadata(prepared) {
+    const { contextResult, startTime } = prepared;
+
+    return {
+      sources: contextResult.sources || [],
+      totalChunksFound: contextResult.totalFound || 0,
+      avgSimilarity: contextResult.avgSimilarity || 0,
+      duplicatesSuppressed: contextResult.diversity?.duplicatesSuppressed || 0,
+      rewrittenQuery: prepared.rewrittenQuery || null,
+      retrievalTime: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Post-process a generated answer into the result returned to callers
+   * @param {Object} prepared - Result of prepareAnswer
+   * @param {string} answer - Generated answer text
+   * @param {number} tokensUsed - Total tokens reported by the model
+   * @param {Object} options - Generation options (includeContext, groundingMode, askedQuestions, llmSuggestions)
+   * @returns {Promise<Object>} - Answer with context and metadata
+   */
+  async buildAnswerResult(prepared, answer, tokensUsed, options = {}) {
+    const { includeContext = false, groundingMode = 'flag' } = options;
+    const { contextResult, startTime } = prepared;
+
+    // Step 6: Resolve citations, then verify each claim against the context
+    const resolved = this.citations.resolveCitations(answer, contextResult.chunks);
+    const grounding = this.grounding.verifyAnswer(resolved.answer, contextResult.chunks, { mode: groundingMode });
+
+    // Removing claims can leave citations that no longer appear in the answer
+    const { answer: verifiedAnswer, citations } = grounding.removedCount > 0
+      ? this.citations.resolveCitations(grounding.answer, contextResult.chunks)
+      : resolved;
+
+    const reasoning = this.generateReasoning(contextResult, verifiedAnswer, grounding);
+    const suggestions = await this.buildSuggestions(prepared.standaloneQuery, verifiedAnswer, contextResult, options);
+
+    console.log(`✅ Answer generated in ${Date.now() - startTime}ms (${tokensUsed} tokens, ${citations.length} citations, grounding ${grounding.score})`);
+
+    return {
+      answer: verifiedAnswer,
+      confidence: grounding.confidence,
+      grounding: {
+        score: grounding.score,
+        mode: groundingMode,
+        unsupportedCount: grounding.unsupportedCount,
+        removedCount: grounding.removedCount,
+        claims: grounding.claims
+      },
+      sources: contextResult.sources,
+      citations,
+      suggestions,
+      chunkIds: contextResult.chunks.map(chunk => chunk.id),
+      contextUsed: includeContext ? contextResult : undefined,
+      processingTime: Date.now() - startTime,
+      tokensUsed,
+      reasoning,
+      avgSimilarity: contextResult.avgSimilarity,
+      totalChunksFound: contextResult.totalFound,
+      duplicatesSuppressed: contextResult.diversity?.duplicatesSuppressed || 0,
+      persona: prepared.persona.id,
+      rewrittenQuery: prepared.rewrittenQuery || null
+    };
+  }
+
+  /**
+   * Map provider errors to the messages surfaced by the chat routes
+   * @param {Error} error - Original error
+   * @returns {Error} - Error with a user-facing message
+   */
+  toServiceError(error) {
+    console.error('RAG answer generation error:', error);
+
+    // Provide helpful error messages
+    if (error.message.includes('rate limit')) {
+      return new Error('Service temporarily unavailable due to high demand. Please try again in a moment.');
+    } else if (error.message.includes('API key')) {
+      return new Error('Service configuration error. Please contact support.');
     }
+    return new Error(`Failed to generate answer: ${error.message}`);
   }
 
   /**
    * Build context text from chunks
+   * Each block is numbered [n] (the marker the answer cites) and tagged with its chunk id
    * @param {Array} chunks - Retrieved chunks
    * @returns {string} - Formatted context
    */
   buildContextText(chunks) {
     return chunks.map((chunk, index) => {
-      const sourceInfo = `[Source: ${chunk.source_title}${chunk.source_org ? ` at ${chunk.source_org}` : ''}]`;
+      const sourceTitle = chunk.sources?.title || chunk.source_title;
+      const sourceOrg = chunk.sources?.org || chunk.source_org;
+      const sourceInfo = `[Source: ${sourceTitle}${sourceOrg ? ` at ${sourceOrg}` : ''}]`;
       const dateInfo = chunk.displayDateRange ? `[${chunk.displayDateRange}]` : '';
       
-      return `Context ${index + 1}: ${sourceInfo} ${dateInfo}\n${chunk.content}\n`;
+      return `[${index + 1}] (chunk ${chunk.id}) ${sourceInfo} ${dateInfo}\n${chunk.content}\n`;
     }).join('\n---\n\n');
   }
 
   /**
-   * Build system prompt based on query and context
+   * Build system prompt based on query, context and audience persona
    * @param {string} query - User query
    * @param {Object} contextResult - Context retrieval result
+   * @param {Object} persona - Persona profile from config/personas
    * @returns {string} - System prompt
    */
-  buildSystemPrompt(query, contextResult) {
+  buildSystemPrompt(query, contextResult, persona) {
     const hasRecentWork = contextResult.chunks.some(chunk => 
       chunk.recency_score && chunk.recency_score > 0.7
     );
@@ -154,21 +342,44 @@ class RAGService {
       chunk.content && /\d+[%$]/.test(chunk.content)
     );
 
+    const voiceInstructions = persona.voice === 'third'
+      ? `• Write about Scott in the third person ("Scott led..." not "I led...")
+• Cite sources naturally like "During his time at [Company]" or "In the [Project] project"`
+      : `• Speak as Scott talking about his own experience
+• Use first person ("I worked on..." not "Scott worked on...")
+• Cite sources naturally like "During my time at [Company]" or "In the [Project] project"`;
+
+    const lengthInstructions = {
+      brief: '• Keep answers short: two to four sentences or a few bullet points, covering only the most relevant facts',
+      standard: '• Keep answers focused: one or two short paragraphs that fully answer the question',
+      detailed: '• Provide comprehensive, detailed responses that fully address the question when the context supports it'
+    };
+
+    const depthInstructions = {
+      overview: '• Stay high level: roles, scope and outcomes rather than implementation details',
+      balanced: '• Balance what was done with how it was done and why it mattered',
+      technical: '• Go into technical depth: architectures, tools, implementation choices and trade-offs'
+    };
+
     let prompt = `You are ScottGPT, an AI assistant that answers questions about Scott Lovett's professional experience and background. You have access to Scott's verified work history, projects, skills, and achievements.
 
 CRITICAL INSTRUCTIONS:
 • Answer questions primarily using the information provided in the context below
 • You may synthesize and connect information across different sources in the context
 • If the context provides relevant information but lacks some details, focus on what you can confidently share
-• Provide comprehensive, detailed responses when the context supports it
-• Provide detailed, substantive answers that fully address the question when sufficient context is available
+${lengthInstructions[persona.length]}
+${depthInstructions[persona.depth]}
 • Include specific examples, metrics, and outcomes when they appear in the context
-• Be conversational and engaging, as if you're Scott speaking about his experience
-• Use first person ("I worked on..." not "Scott worked on...")
-• Cite sources naturally like "During my time at [Company]" or "In the [Project] project"
+• Use a ${persona.tone} tone
+${voiceInstructions}
+• After each factual claim, add the bracketed number of the context block that supports it, e.g. "...led a team of 12 engineers [2]." Use several markers like [1][3] when a claim draws on more than one block, and only use numbers that appear in the context
 • Focus on what IS in the context and make meaningful connections between related information
 • If asked for specific metrics or dates not in the context, acknowledge the limitation while providing related information that is available`;
 
+    persona.guidance.forEach(line => {
+      prompt += `\n• ${line}`;
+    });
+
     // Add query-specific guidance
     const queryLower = query.toLowerCase();
     
@@ -184,7 +395,7 @@ CRITICAL INSTRUCTIONS:
       prompt += '\n• Highlight quantified results, metrics, and business impact';
     }
 
-    if (hasQuantitativeResults) {
+    if (persona.emphasizeMetrics && hasQuantitativeResults) {
       prompt += '\n• Include specific numbers, percentages, and measurable outcomes';
     }
 
@@ -201,13 +412,18 @@ CRITICAL INSTRUCTIONS:
    * @param {string} query - User query
    * @param {string} context - Retrieved context
    * @param {Array} conversationHistory - Previous messages
+   * @param {string|null} conversationSummary - Summary of turns older than conversationHistory
    * @returns {Array} - Message array
    */
-  buildMessages(systemPrompt, query, context, conversationHistory = []) {
+  buildMessages(systemPrompt, query, context, conversationHistory = [], conversationSummary = null) {
     const messages = [
       { role: 'system', content: systemPrompt }
     ];
 
+    if (conversationSummary) {
+      messages.push({ role: 'system', content: `Summary of the earlier conversation:\n${conversationSummary}` });
+    }
+
     // Add recent conversation history (limit to last 4 exchanges to manage token usage)
     const recentHistory = conversationHistory.slice(-8); // Last 4 Q&A pairs
     messages.push(...recentHistory);
@@ -220,59 +436,21 @@ IMPORTANT: Only use facts that are explicitly stated in the context below. Do no
 CONTEXT:
 ${context}
 
-Please provide an answer based ONLY on the information above. If the context doesn't contain enough information to fully answer the question, acknowledge what you can't answer based on the available information.`;
+Please provide an answer based ONLY on the information above, citing the supporting context blocks with their [n] markers. If the context doesn't contain enough information to fully answer the question, acknowledge what you can't answer based on the available information.`;
 
     messages.push({ role: 'user', content: userMessage });
 
     return messages;
   }
 
-  /**
-   * Calculate confidence score for the answer
-   * @param {Object} contextResult - Context retrieval result
-   * @param {string} answer - Generated answer
-   * @returns {string} - Confidence level
-   */
-  calculateAnswerConfidence(contextResult, answer) {
-    let score = 0;
-    
-    // Base score from context quality
-    if (contextResult.avgSimilarity >= 0.85) {score += 40;}
-    else if (contextResult.avgSimilarity >= 0.80) {score += 35;}
-    else if (contextResult.avgSimilarity >= 0.75) {score += 30;}
-    else if (contextResult.avgSimilarity >= 0.70) {score += 20;}
-    else {score += 10;}
-    
-    // Number of relevant chunks
-    const chunkCount = contextResult.chunks.length;
-    if (chunkCount >= 6) {score += 25;}
-    else if (chunkCount >= 4) {score += 20;}
-    else if (chunkCount >= 2) {score += 15;}
-    else {score += 5;}
-    
-    // Answer quality indicators
-    if (answer.length > 200) {score += 15;} // Comprehensive answer
-    if (answer.includes('$') || answer.includes('%') || /\d+/.test(answer)) {score += 10;} // Specific metrics
-    if (answer.toLowerCase().includes('i ')) {score += 5;} // First person (good for this use case)
-    
-    // Recent vs historical context
-    const hasRecentContext = contextResult.chunks.some(chunk => chunk.recency_score > 0.7);
-    if (hasRecentContext) {score += 10;}
-    
-    if (score >= 85) {return 'very-high';}
-    if (score >= 70) {return 'high';}
-    if (score >= 55) {return 'medium';}
-    if (score >= 40) {return 'low';}
-    return 'very-low';
-  }
-
   /**
    * Generate reasoning for the answer
    * @param {Object} contextResult - Context retrieval result
    * @param {string} answer - Generated answer
+   * @param {Object} grounding - Claim verification result
    * @returns {string} - Reasoning explanation
    */
-  generateReasoning(contextResult, answer) {
+  generateReasoning(contextResult, answer, grounding) {
     const reasons = [];
     
     reasons.push(`Found ${contextResult.chunks.length} relevant context chunks`);
@@ -293,6 +471,11 @@ Please provide an answer based ONLY on the information above. If the context doe
       reasons.push('including specific metrics and outcomes');
     }
     
+    if (grounding.claims.length > 0) {
+      const supported = grounding.claims.filter(claim => claim.verdict === 'supported').length;
+      reasons.push(`${supported} of ${grounding.claims.length} claims verified against the context`);
+    }
+    
     const timeSpan = this.calculateTimeSpanFromSources(contextResult.sources);
     if (timeSpan) {
       reasons.push(timeSpan);
@@ -316,11 +499,12 @@ Please provide an answer based ONLY on the information above. If the context doe
    * Generate follow-up questions
    * @param {string} query - Original query
    * @param {Object} contextResult - Context retrieval result
+   * @param {Array} askedQuestions - Questions already asked in this conversation
    * @returns {Array} - Suggested follow-up questions
    */
-  generateFollowUpQuestions(query, contextResult) {
+  generateFollowUpQuestions(query, contextResult, askedQuestions = []) {
     const followUps = [];
-    const sources = contextResult.sources;
+    const sources = contextResult.sources || [];
     
     // Suggest drilling into specific companies/projects
     sources.forEach(source => {
@@ -337,7 +521,91 @@ Please provide an answer based ONLY on the information above. If the context doe
       followUps.push(`What experience do you have with ${skill}?`);
     });
     
-    return followUps.slice(0, 3); // Limit to 3 suggestions
+    return this.dedupeQuestions(followUps, [query, ...askedQuestions]).slice(0, 3); // Limit to 3 suggestions
+  }
+
+  /**
+   * Ask the model for follow-up questions grounded in the answer it just gave
+   * @param {string} query - Original query
+   * @param {string} answer - Generated answer
+   * @param {Object} contextResult - Context retrieval result
+   * @returns {Promise<Array>} - Suggested follow-up questions (empty on failure)
+   */
+  async generateLLMFollowUpQuestions(query, answer, contextResult) {
+    try {
+      const sourceList = (contextResult.sources || [])
+        .map(source => `${source.title}${source.org ? ` at ${source.org}` : ''}`)
+        .join('; ');
+
+      const completion = await this.llm.complete('suggestions', [
+        {
+          role: 'system',
+          content: 'Suggest short follow-up questions a recruiter or hiring manager might ask next about Scott Lovett\'s experience. Each question must be answerable from the listed sources and must not repeat the original question. Reply with a JSON array of at most 3 strings.'
+        },
+        {
+          role: 'user',
+          content: `Question: ${query}\n\nAnswer: ${answer.slice(0, 1500)}\n\nSources: ${sourceList || 'none'}`
+        }
+      ]);
+
+      const content = completion.content.trim();
+      const parsed = JSON.parse(content.slice(content.indexOf('['), content.lastIndexOf(']') + 1));
+      return Array.isArray(parsed) ? parsed.filter(item => typeof item === 'string') : [];
+    } catch (error) {
+      console.log(`⚠️  LLM follow-up generation failed: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Build the suggestions returned with an answer
+   * @param {string} query - Original query
+   * @param {string} answer - Generated answer
+   * @param {Object} contextResult - Context retrieval result
+   * @param {Object} options - { askedQuestions, llmSuggestions }
+   * @returns {Promise<Array>} - Up to 4 de-duplicated follow-up questions
+   */
+  async buildSuggestions(query, answer, contextResult, options = {}) {
+    const { askedQuestions = [], llmSuggestions = false } = options;
+
+    const suggestions = this.generateFollowUpQuestions(query, contextResult, askedQuestions);
+
+    if (llmSuggestions) {
+      const generated = await this.generateLLMFollowUpQuestions(query, answer, contextResult);
+      suggestions.unshift(...generated);
+    }
+
+    return this.dedupeQuestions(suggestions, [query, ...askedQuestions]).slice(0, 4);
+  }
+
+  /**
+   * Drop questions that repeat each other or anything already asked
+   * @param {Array} questions - Candidate questions
+   * @param {Array} askedQuestions - Questions to exclude
+   * @returns {Array} - Unique questions, in original order
+   */
+  dedupeQuestions(questions, askedQuestions = []) {
+    const toWords = question => new Set(
+      question.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(word => word.length > 2)
+    );
+    const isSimilar = (a, b) => {
+      const union = new Set([...a, ...b]);
+      const shared = [...a].filter(word => b.has(word)).length;
+      return union.size > 0 && shared / union.size >= 0.8;
+    };
+
+    const seen = askedQuestions.filter(Boolean).map(toWords);
+    const unique = [];
+
+    questions.forEach(question => {
+      const words = toWords(question);
+      if (!seen.some(existing => isSimilar(existing, words))) {
+        seen.push(words);
+        unique.push(question);
+      }
+    });
+
+    return unique;
   }
 
   /**
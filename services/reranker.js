@@ -0,0 +1,210 @@
+import fs from 'fs';
+import { CohereClient } from 'cohere-ai';
+
+const RERANKER_CONFIG_PATH = 'config/reranker.json';
+const DEVELOPMENT_ENVIRONMENTS = ['development', 'test'];
+
+// Words that carry no relevance signal for the lexical backend
+const STOP_WORDS = new Set(['a', 'an', 'and', 'about', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'has', 'have', 'he', 'his', 'how', 'in', 'is', 'it', 'of', 'on', 'or', 'scott', 'that', 'the', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'with']);
+
+class CohereRerankProvider {
+  constructor(settings) {
+    const apiKey = process.env[settings.apiKeyEnv];
+    if (!apiKey) {
+      throw new Error(`${settings.apiKeyEnv} not found in environment variables`);
+    }
+    this.client = new CohereClient({ token: apiKey });
+    this.model = settings.model;
+  }
+
+  async score(query, documents) {
+    const response = await this.client.rerank({
+      model: this.model,
+      query,
+      documents,
+      topN: documents.length
+    });
+
+    const scores = new Array(documents.length).fill(0);
+    response.results.forEach(result => {
+      scores[result.index] = result.relevanceScore;
+    });
+    return scores;
+  }
+}
+
+/**
+ * In-process cross-encoder via transformers.js (ms-marco style models emit one relevance logit per pair)
+ */
+class TransformersRerankProvider {
+  constructor(settings) {
+    this.model = settings.model;
+    this.loaded = null;
+  }
+
+  async load() {
+    if (!this.loaded) {
+      let transformers;
+      try {
+        transformers = await import('@huggingface/transformers');
+      } catch (error) {
+        throw new Error('The local reranker needs the optional @huggingface/transformers package (npm install @huggingface/transformers)');
+      }
+      console.log(`📥 Loading local reranker model ${this.model}...`);
+      this.loaded = Promise.all([
+        transformers.AutoTokenizer.from_pretrained(this.model),
+        transformers.AutoModelForSequenceClassification.from_pretrained(this.model)
+      ]);
+    }
+    return this.loaded;
+  }
+
+  async score(query, documents) {
+    const [tokenizer, model] = await this.load();
+    const inputs = tokenizer(new Array(documents.length).fill(query), {
+      text_pair: documents,
+      padding: true,
+      truncation: true
+    });
+    const { logits } = await model(inputs);
+    return Array.from(logits.data).map(logit => 1 / (1 + Math.exp(-logit)));
+  }
+}
+
+/**
+ * Deterministic offline backend: share of the query's terms (and adjacent term pairs) found in each document
+ */
+class LexicalRerankProvider {
+  constructor(settings) {
+    this.model = settings.model;
+  }
+
+  terms(text) {
+    return (text.toLowerCase().match(/[a-z0-9](?:[a-z0-9+#.-]*[a-z0-9+#])?/g) || [])
+      .filter(term => !STOP_WORDS.has(term));
+  }
+
+  async score(query, documents) {
+    const queryTerms = this.terms(query);
+    const queryPairs = queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`);
+    if (queryTerms.length === 0) {
+      return documents.map(() => 0);
+    }
+
+    return documents.map(document => {
+      const terms = this.terms(document);
+      const termSet = new Set(terms);
+      const pairSet = new Set(terms.slice(1).map((term, i) => `${terms[i]} ${term}`));
+      const termScore = queryTerms.filter(term => termSet.has(term)).length / queryTerms.length;
+      const pairScore = queryPairs.length > 0
+        ? queryPairs.filter(pair => pairSet.has(pair)).length / queryPairs.length
+        : termScore;
+      return termScore * 0.7 + pairScore * 0.3;
+    });
+  }
+}
+
+const PROVIDER_TYPES = {
+  cohere: CohereRerankProvider,
+  transformers: TransformersRerankProvider,
+  lexical: LexicalRerankProvider
+};
+
+class RerankerService {
+  constructor(configPath = RERANKER_CONFIG_PATH) {
+    this.config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    this.providers = new Map();
+  }
+
+  /**
+   * Provider names to try, primary first (RERANK_PROVIDER overrides the configured default).
+   * developmentFallbacks (the lexical mock) are only tried when NODE_ENV is development or test,
+   * so production never silently rescores with them; there a failed rerank keeps retrieval order.
+   * @returns {Array} - Provider names
+   */
+  getProviderChain() {
+    const primary = process.env.RERANK_PROVIDER || this.config.defaultProvider;
+    const fallbacks = [...(this.config.fallbacks || [])];
+    if (DEVELOPMENT_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+      fallbacks.push(...(this.config.developmentFallbacks || []));
+    }
+    return [primary, ...new Set(fallbacks.filter(name => name !== primary))];
+  }
+
+  /**
+   * Get (and cache) a provider instance; created on first use so unused providers need no credentials
+   * @param {string} name - Provider name from config/reranker.json
+   * @returns {Object} - Provider
+   */
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      const settings = this.config.providers[name];
+      if (!settings || !PROVIDER_TYPES[settings.type]) {
+        throw new Error(`Unknown rerank provider: ${name}`);
+      }
+      this.providers.set(name, new PROVIDER_TYPES[settings.type](settings));
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Describe the primary reranker (for health checks and logs)
+   * @returns {Object} - { provider, model }
+   */
+  describe() {
+    const [provider] = this.getProviderChain();
+    return { provider, model: this.config.providers[provider]?.model };
+  }
+
+  /**
+   * Rescore the top candidates with a cross-encoder and reorder them.
+   * Candidates past topN keep their order after the reranked ones.
+   * @param {string} query - Search query
+   * @param {Array} chunks - Candidates, best first, each with fused_score or similarity
+   * @param {Object} options - { topN }
+   * @returns {Promise<Array>} - Chunks with rerank_score and rerank { provider, model, preScore, postScore, preRank, postRank }
+   */
+  async rerank(query, chunks, options = {}) {
+    const { topN = this.config.topN } = options;
+    const candidates = chunks.slice(0, topN);
+    if (candidates.length === 0) {
+      return chunks;
+    }
+
+    const documents = candidates.map(chunk => [chunk.title, chunk.content].filter(Boolean).join('\n'));
+
+    for (const name of this.getProviderChain()) {
+      try {
+        const provider = this.getProvider(name);
+        const startTime = Date.now();
+        const scores = await provider.score(query, documents);
+
+        const reranked = candidates
+          .map((chunk, index) => ({ chunk, index, score: scores[index] }))
+          .sort((a, b) => b.score - a.score)
+          .map(({ chunk, index, score }, position) => ({
+            ...chunk,
+            rerank_score: score,
+            rerank: {
+              provider: name,
+              model: provider.model,
+              preScore: chunk.fused_score ?? chunk.similarity,
+              postScore: score,
+              preRank: index + 1,
+              postRank: position + 1
+            }
+          }));
+
+        console.log(`📈 Reranked ${candidates.length} chunks with ${name}/${provider.model} in ${Date.now() - startTime}ms`);
+        return [...reranked, ...chunks.slice(topN)];
+      } catch (error) {
+        console.log(`⚠️  Rerank via ${name} failed (${error.message})`);
+      }
+    }
+
+    console.log('⚠️  All rerank providers failed, keeping retrieval order');
+    return chunks;
+  }
+}
+
+export default RerankerService;
@@ -0,0 +1,425 @@
+import { db } from '../config/database.js';
+import EmbeddingService from './embeddings.js';
+import CitationService from './citations.js';
+import LLMService from './llm.js';
+
+// Chunks ranked against the target; enough to cover every source in a typical knowledge base
+const CANDIDATE_CHUNKS = 300;
+const MAX_SKILLS = 15;
+
+const SECTION_TITLES = {
+  job: 'Experience',
+  project: 'Projects',
+  cert: 'Certifications',
+  education: 'Education'
+};
+
+// Format a date range the way resumes do, e.g. "Mar 2016 – Jun 2017"
+function formatDateRange(startDate, endDate) {
+  if (!startDate) {
+    return '';
+  }
+
+  const format = date => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', timeZone: 'UTC' });
+  return `${format(startDate)} – ${endDate ? format(endDate) : 'Present'}`;
+}
+
+function escapeHtml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class ResumeService {
+  constructor() {
+    this.embeddings = new EmbeddingService();
+    this.citations = new CitationService();
+    this.llm = new LLMService();
+  }
+
+  /**
+   * Build a resume tailored to a target role or job description
+   * @param {Object} target - { role, jobDescription } (at least one required)
+   * @param {Object} options - { maxJobs, maxProjects, bulletsPerEntry, rewriteHighlights }
+   * @returns {Promise<Object>} - Resume structure; every bullet carries the chunk id it came from
+   */
+  async generateResume(target, options = {}) {
+    const {
+      maxJobs = 5,
+      maxProjects = 3,
+      bulletsPerEntry = 4,
+      rewriteHighlights = true
+    } = options;
+
+    const startTime = Date.now();
+    const targetText = [target.role, target.jobDescription].filter(Boolean).join('\n\n').slice(0, 4000);
+    console.log(`📄 Generating resume for: "${target.role || targetText.slice(0, 80)}"`);
+
+    // Step 1: Rank every chunk against the target and roll scores up to sources
+    const targetEmbedding = await this.embeddings.embedText(targetText, 'search_query');
+    const rankedChunks = await db.searchChunks(targetEmbedding, {
+      threshold: 0,
+      limit: CANDIDATE_CHUNKS,
+      embeddingModel: this.embeddings.modelId
+    });
+    const sources = await db.getResumeSources();
+    const scoredSources = this.scoreSources(sources, rankedChunks);
+
+    // Step 2: Pick the most relevant jobs and projects; keep all certifications and education
+    const selected = {
+      job: this.selectEntries(scoredSources, 'job', maxJobs),
+      project: this.selectEntries(scoredSources, 'project', maxProjects),
+      cert: scoredSources.filter(source => source.type === 'cert'),
+      education: scoredSources.filter(source => source.type === 'education')
+    };
+
+    // Step 3: Write highlights for jobs and projects from their best-matching chunks
+    const sections = [];
+    for (const type of ['job', 'project', 'cert', 'education']) {
+      if (selected[type].length === 0) {
+        continue;
+      }
+
+      const entries = [];
+      for (const source of selected[type]) {
+        const bullets = ['job', 'project'].includes(type)
+          ? await this.buildHighlights(source, targetText, bulletsPerEntry, rewriteHighlights)
+          : [];
+        entries.push(this.buildEntry(source, bullets));
+      }
+
+      sections.push({ type, title: SECTION_TITLES[type], entries });
+    }
+
+    const includedChunks = [...selected.job, ...selected.project].flatMap(source => source.chunks.slice(0, 2));
+    const summary = await this.buildSummary(targetText, includedChunks, rewriteHighlights);
+
+    const resume = {
+      target: {
+        role: target.role || null,
+        fromJobDescription: Boolean(target.jobDescription)
+      },
+      summary,
+      skills: this.selectSkills([...selected.job, ...selected.project], targetText),
+      sections,
+      generatedAt: new Date().toISOString(),
+      processingTime: Date.now() - startTime
+    };
+
+    const bulletCount = sections.reduce((sum, section) =>
+      sum + section.entries.reduce((entrySum, entry) => entrySum + entry.bullets.length, 0), 0);
+    console.log(`✅ Resume generated: ${sections.length} sections, ${bulletCount} bullets in ${resume.processingTime}ms`);
+
+    return resume;
+  }
+
+  /**
+   * Attach ranked chunks to their sources and score each source by its best matches
+   * @param {Array} sources - All source rows
+   * @param {Array} rankedChunks - Chunks with similarity, best first
+   * @returns {Array} - Sources with chunks and relevance
+   */
+  scoreSources(sources, rankedChunks) {
+    const chunksBySource = new Map();
+    rankedChunks.forEach(chunk => {
+      if (!chunksBySource.has(chunk.source_id)) {
+        chunksBySource.set(chunk.source_id, []);
+      }
+      chunksBySource.get(chunk.source_id).push(chunk);
+    });
+
+    return sources.map(source => {
+      const chunks = chunksBySource.get(source.id) || [];
+      const top = chunks.slice(0, 3).map(chunk => chunk.similarity);
+      // Best match dominates; depth of supporting material breaks ties
+      const relevance = top.length > 0
+        ? top[0] * 0.7 + (top.reduce((sum, similarity) => sum + similarity, 0) / top.length) * 0.3
+        : 0;
+
+      return { ...source, chunks, relevance };
+    });
+  }
+
+  /**
+   * Take the most relevant sources of a type, then order them most recent first
+   * @param {Array} sources - Scored sources
+   * @param {string} type - Source type
+   * @param {number} limit - Maximum entries
+   * @returns {Array} - Selected sources
+   */
+  selectEntries(sources, type, limit) {
+    return sources
+      .filter(source => source.type === type && source.chunks.length > 0)
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, limit)
+      .sort((a, b) => new Date(b.date_start || 0) - new Date(a.date_start || 0));
+  }
+
+  /**
+   * Write resume bullets for a source from its best-matching chunks
+   * @param {Object} source - Scored source with chunks
+   * @param {string} targetText - Target role or job description
+   * @param {number} limit - Maximum bullets
+   * @param {boolean} rewrite - Rewrite with the model (false: extract sentences verbatim)
+   * @returns {Promise<Array>} - [{ text, chunkId }]
+   */
+  async buildHighlights(source, targetText, limit, rewrite) {
+    const chunks = source.chunks.slice(0, limit);
+
+    if (rewrite) {
+      try {
+        const bullets = await this.rewriteHighlights(source, chunks, targetText, limit);
+        if (bullets.length > 0) {
+          return bullets;
+        }
+      } catch (error) {
+        console.log(`⚠️  Highlight rewriting failed for ${source.id}, using extracted sentences: ${error.message}`);
+      }
+    }
+
+    return chunks.map(chunk => ({
+      text: this.citations.findSupportingExcerpt(chunk.content, [targetText]),
+      chunkId: chunk.id
+    }));
+  }
+
+  /**
+   * Ask the model for achievement bullets, each tied to the chunk that supports it
+   * @param {Object} source - Source row
+   * @param {Array} chunks - Chunks to draw from
+   * @param {string} targetText - Target role or job description
+   * @param {number} limit - Maximum bullets
+   * @returns {Promise<Array>} - [{ text, chunkId }] with unknown chunk ids dropped
+   */
+  async rewriteHighlights(source, chunks, targetText, limit) {
+    const context = chunks.map(chunk => `(chunk ${chunk.id})\n${chunk.content}`).join('\n\n---\n\n');
+
+    const completion = await this.llm.complete('resume-writing', [
+      {
+        role: 'system',
+        content: `You write resume bullets for Scott Lovett. Each bullet starts with a strong past-tense verb, is one sentence, and keeps any numbers exactly as written. Use only facts from the supplied chunks and favour what matters for the target role. Reply with JSON only: {"bullets": [{"text": string, "chunkId": number}]} where chunkId is the chunk the bullet's facts come from. At most ${limit} bullets.`
+      },
+      {
+        role: 'user',
+        content: `Target:\n${targetText}\n\nRole: ${source.title} at ${source.org}\n\nChunks:\n${context}`
+      }
+    ], { responseFormat: 'json' });
+
+    const chunkIds = new Set(chunks.map(chunk => chunk.id));
+    const parsed = JSON.parse(completion.content);
+
+    return (Array.isArray(parsed.bullets) ? parsed.bullets : [])
+      .filter(bullet => bullet && typeof bullet.text === 'string' && chunkIds.has(Number(bullet.chunkId)))
+      .slice(0, limit)
+      .map(bullet => ({ text: bullet.text.trim(), chunkId: Number(bullet.chunkId) }));
+  }
+
+  /**
+   * Write a short professional summary grounded in the chunks used by the resume
+   * @param {string} targetText - Target role or job description
+   * @param {Array} chunks - Chunks backing the selected entries
+   * @param {boolean} rewrite - Use the model (false: no summary)
+   * @returns {Promise<Object|null>} - { text, chunkIds } or null
+   */
+  async buildSummary(targetText, chunks, rewrite) {
+    if (!rewrite || chunks.length === 0) {
+      return null;
+    }
+
+    try {
+      const completion = await this.llm.complete('resume-writing', [
+        {
+          role: 'system',
+          content: 'Write a 2-3 sentence professional summary for the top of Scott Lovett\'s resume, tailored to the target. Use only facts from the supplied chunks. No first person pronouns, no buzzwords the chunks do not support.'
+        },
+        {
+          role: 'user',
+          content: `Target:\n${targetText}\n\nChunks:\n${chunks.map(chunk => chunk.content).join('\n\n---\n\n')}`
+        }
+      ], { temperature: 0.3, maxTokens: 200 });
+
+      return {
+        text: completion.content.trim(),
+        chunkIds: chunks.map(chunk => chunk.id)
+      };
+    } catch (error) {
+      console.log(`⚠️  Resume summary generation failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Build a resume entry from a source row
+   * @param {Object} source - Source row
+   * @param {Array} bullets - Highlights for the entry
+   * @returns {Object} - Resume entry
+   */
+  buildEntry(source, bullets) {
+    return {
+      sourceId: source.id,
+      title: source.title,
+      organization: source.org,
+      location: source.location || null,
+      dateRange: {
+        start: source.date_start || null,
+        end: source.date_end || null,
+        display: formatDateRange(source.date_start, source.date_end)
+      },
+      bullets
+    };
+  }
+
+  /**
+   * Pick skills from the selected sources, preferring ones the target mentions
+   * @param {Array} sources - Selected jobs and projects
+   * @param {string} targetText - Target role or job description
+   * @returns {Array} - Skills, most relevant first
+   */
+  selectSkills(sources, targetText) {
+    const targetLower = targetText.toLowerCase();
+    const counts = new Map();
+
+    sources.forEach(source => {
+      [...(source.skills || []), ...source.chunks.flatMap(chunk => chunk.skills || [])].forEach(skill => {
+        counts.set(skill, (counts.get(skill) || 0) + 1);
+      });
+    });
+
+    return Array.from(counts.entries())
+      .map(([skill, count]) => ({ skill, score: count + (targetLower.includes(skill.toLowerCase()) ? 100 : 0) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_SKILLS)
+      .map(({ skill }) => skill);
+  }
+
+  /**
+   * Render a resume as Markdown
+   * @param {Object} resume - Resume from generateResume
+   * @returns {string} - Markdown; each bullet ends with an HTML comment naming its chunk
+   */
+  renderMarkdown(resume) {
+    const lines = ['# Scott Lovett', ''];
+
+    if (resume.target.role) {
+      lines.push(`*${resume.target.role}*`, '');
+    }
+    if (resume.summary) {
+      lines.push(resume.summary.text, '');
+    }
+    if (resume.skills.length > 0) {
+      lines.push('## Skills', '', resume.skills.join(' · '), '');
+    }
+
+    resume.sections.forEach(section => {
+      lines.push(`## ${section.title}`, '');
+      section.entries.forEach(entry => {
+        const heading = [entry.title, entry.organization].filter(Boolean).join(' — ');
+        const details = [entry.location, entry.dateRange.display].filter(Boolean).join(' · ');
+        lines.push(`### ${heading}`);
+        if (details) {
+          lines.push(`*${details}*`);
+        }
+        lines.push('');
+        entry.bullets.forEach(bullet => lines.push(`- ${bullet.text} <!-- chunk ${bullet.chunkId} -->`));
+        if (entry.bullets.length > 0) {
+          lines.push('');
+        }
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a resume as a standalone HTML document
+   * @param {Object} resume - Resume from generateResume
+   * @returns {string} - HTML; each bullet carries a data-chunk-id attribute
+   */
+  renderHtml(resume) {
+    const parts = [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>Scott Lovett${resume.target.role ? ` – ${escapeHtml(resume.target.role)}` : ''}</title>`,
+      '<style>body{font-family:Georgia,serif;max-width:800px;margin:2rem auto;line-height:1.4;color:#222}h2{border-bottom:1px solid #ccc;padding-bottom:.2rem}h3{margin-bottom:0}.details{color:#666;font-style:italic;margin:.2rem 0}</style>',
+      '</head>',
+      '<body>',
+      '<h1>Scott Lovett</h1>'
+    ];
+
+    if (resume.target.role) {
+      parts.push(`<p class="target"><em>${escapeHtml(resume.target.role)}</em></p>`);
+    }
+    if (resume.summary) {
+      parts.push(`<p class="summary" data-chunk-ids="${resume.summary.chunkIds.join(',')}">${escapeHtml(resume.summary.text)}</p>`);
+    }
+    if (resume.skills.length > 0) {
+      parts.push('<h2>Skills</h2>', `<p class="skills">${resume.skills.map(escapeHtml).join(' · ')}</p>`);
+    }
+
+    resume.sections.forEach(section => {
+      parts.push(`<h2>${escapeHtml(section.title)}</h2>`);
+      section.entries.forEach(entry => {
+        const heading = [entry.title, entry.organization].filter(Boolean).map(escapeHtml).join(' — ');
+        const details = [entry.location, entry.dateRange.display].filter(Boolean).map(escapeHtml).join(' · ');
+        parts.push(`<section class="entry" data-source-id="${escapeHtml(entry.sourceId)}">`, `<h3>${heading}</h3>`);
+        if (details) {
+          parts.push(`<p class="details">${details}</p>`);
+        }
+        if (entry.bullets.length > 0) {
+          parts.push('<ul>');
+          entry.bullets.forEach(bullet => parts.push(`<li data-chunk-id="${bullet.chunkId}">${escapeHtml(bullet.text)}</li>`));
+          parts.push('</ul>');
+        }
+        parts.push('</section>');
+      });
+    });
+
+    parts.push('</body>', '</html>');
+    return parts.join('\n');
+  }
+
+  /**
+   * Flatten a resume into the paragraph list a DOCX writer (e.g. the docx package) consumes
+   * @param {Object} resume - Resume from generateResume
+   * @returns {Object} - { title, paragraphs: [{ style, text, chunkId? }] }
+   */
+  toDocxStructure(resume) {
+    const paragraphs = [{ style: 'Title', text: 'Scott Lovett' }];
+
+    if (resume.target.role) {
+      paragraphs.push({ style: 'Subtitle', text: resume.target.role });
+    }
+    if (resume.summary) {
+      paragraphs.push({ style: 'Normal', text: resume.summary.text, chunkIds: resume.summary.chunkIds });
+    }
+    if (resume.skills.length > 0) {
+      paragraphs.push({ style: 'Heading1', text: 'Skills' });
+      paragraphs.push({ style: 'Normal', text: resume.skills.join(' · ') });
+    }
+
+    resume.sections.forEach(section => {
+      paragraphs.push({ style: 'Heading1', text: section.title });
+      section.entries.forEach(entry => {
+        paragraphs.push({ style: 'Heading2', text: [entry.title, entry.organization].filter(Boolean).join(' — ') });
+        const details = [entry.location, entry.dateRange.display].filter(Boolean).join(' · ');
+        if (details) {
+          paragraphs.push({ style: 'Caption', text: details });
+        }
+        entry.bullets.forEach(bullet => {
+          paragraphs.push({ style: 'ListBullet', text: bullet.text, chunkId: bullet.chunkId });
+        });
+      });
+    });
+
+    return {
+      title: `Scott Lovett${resume.target.role ? ` – ${resume.target.role}` : ''}`,
+      paragraphs
+    };
+  }
+}
+
+export default ResumeService;
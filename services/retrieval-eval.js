@@ -0,0 +1,218 @@
+import fs from 'fs/promises';
+import path from 'path';
+import RetrievalService from './retrieval.js';
+
+const GOLDEN_DIR = 'eval/golden';
+const BASELINE_DIR = 'eval/baselines';
+const DEFAULT_GOLDEN_SET = 'retrieval-v1';
+const DEFAULT_K = [1, 3, 5, 10];
+// Metric drops smaller than this are noise, not regressions
+const REGRESSION_TOLERANCE = 0.01;
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Golden set names become file names, so keep them to a safe character set
+function goldenSetPath(dir, name) {
+  if (!/^[a-z0-9][a-z0-9._-]*$/i.test(name)) {
+    throw new Error(`Invalid golden set name: ${name}`);
+  }
+  return path.join(dir, `${name}.json`);
+}
+
+class RetrievalEvalService {
+  constructor(retrieval = new RetrievalService()) {
+    this.retrieval = retrieval;
+  }
+
+  /**
+   * Names of the golden sets in eval/golden
+   * @returns {Promise<Array>} - Set names
+   */
+  async listGoldenSets() {
+    const files = await fs.readdir(GOLDEN_DIR);
+    return files.filter(file => file.endsWith('.json')).map(file => file.replace(/\.json$/, '')).sort();
+  }
+
+  /**
+   * Load and validate a golden set
+   * @param {string} name - Set name (file name without .json)
+   * @returns {Promise<Object>} - { name, version, description, questions: [{ id, question, expectedSources }] }
+   */
+  async loadGoldenSet(name = DEFAULT_GOLDEN_SET) {
+    let goldenSet;
+    try {
+      goldenSet = JSON.parse(await fs.readFile(goldenSetPath(GOLDEN_DIR, name), 'utf8'));
+    } catch (error) {
+      throw new Error(error.code === 'ENOENT' ? `Golden set not found: ${name}` : `Could not read golden set ${name}: ${error.message}`);
+    }
+
+    if (!Array.isArray(goldenSet.questions) || goldenSet.questions.length === 0) {
+      throw new Error(`Golden set ${name} has no questions`);
+    }
+    goldenSet.questions.forEach((question, index) => {
+      if (!question.id || !question.question || !Array.isArray(question.expectedSources) || question.expectedSources.length === 0) {
+        throw new Error(`Golden set ${name}, question ${index + 1}: id, question and a non-empty expectedSources are required`);
+      }
+    });
+
+    return { ...goldenSet, name };
+  }
+
+  /**
+   * Run every golden question through retrieveContext and score the ranked sources
+   * @param {Object} options - { goldenSet, k, retrievalOptions }
+   * @returns {Promise<Object>} - Report with per-question results and mean recall@k, MRR and nDCG
+   */
+  async run(options = {}) {
+    const { goldenSet: setName = DEFAULT_GOLDEN_SET, k = DEFAULT_K, retrievalOptions = {} } = options;
+    const goldenSet = await this.loadGoldenSet(setName);
+    const maxK = Math.max(...k);
+    const startTime = Date.now();
+
+    console.log(`🧪 Evaluating retrieval on ${goldenSet.name} v${goldenSet.version} (${goldenSet.questions.length} questions)`);
+
+    const questions = [];
+    for (const item of goldenSet.questions) {
+      try {
+        const result = await this.retrieval.retrieveContext(item.question, { maxResults: maxK, ...retrievalOptions });
+        const rankedSources = [...new Set(result.chunks.map(chunk => chunk.source_id))];
+        questions.push({
+          id: item.id,
+          question: item.question,
+          expectedSources: item.expectedSources,
+          rankedSources,
+          metrics: this.scoreRanking(rankedSources, item.expectedSources, k)
+        });
+      } catch (error) {
+        console.error(`❌ ${item.id}: ${error.message}`);
+        questions.push({ id: item.id, question: item.question, expectedSources: item.expectedSources, error: error.message });
+      }
+    }
+
+    const scored = questions.filter(question => question.metrics);
+    const metricNames = [...k.map(cutoff => `recall@${cutoff}`), 'mrr', `ndcg@${maxK}`];
+    const metrics = Object.fromEntries(metricNames.map(name => [name, round(mean(scored.map(question => question.metrics[name])))]));
+
+    return {
+      goldenSet: goldenSet.name,
+      version: goldenSet.version,
+      ranAt: new Date().toISOString(),
+      durationMs: Date.now() - startTime,
+      config: {
+        k,
+        embeddingModel: this.retrieval.embeddings.modelId,
+        reranker: retrievalOptions.rerankResults === false ? null : this.retrieval.reranker.describe(),
+        retrievalOptions
+      },
+      metrics,
+      errors: questions.length - scored.length,
+      questions
+    };
+  }
+
+  /**
+   * Rank metrics for one question, computed over unique sources in retrieval order
+   * @param {Array} rankedSources - Source ids, best first
+   * @param {Array} expectedSources - Relevant source ids
+   * @param {Array} k - Cutoffs
+   * @returns {Object} - { 'recall@k'..., mrr, 'ndcg@maxK' }
+   */
+  scoreRanking(rankedSources, expectedSources, k) {
+    const expected = new Set(expectedSources);
+    const metrics = {};
+
+    k.forEach(cutoff => {
+      const found = rankedSources.slice(0, cutoff).filter(sourceId => expected.has(sourceId)).length;
+      metrics[`recall@${cutoff}`] = round(found / expected.size);
+    });
+
+    const firstHit = rankedSources.findIndex(sourceId => expected.has(sourceId));
+    metrics.mrr = firstHit === -1 ? 0 : round(1 / (firstHit + 1));
+
+    // Binary relevance: a source is either expected or not
+    const maxK = Math.max(...k);
+    const dcg = rankedSources.slice(0, maxK)
+      .reduce((sum, sourceId, index) => sum + (expected.has(sourceId) ? 1 / Math.log2(index + 2) : 0), 0);
+    const idealDcg = Array.from({ length: Math.min(expected.size, maxK) })
+      .reduce((sum, _, index) => sum + 1 / Math.log2(index + 2), 0);
+    metrics[`ndcg@${maxK}`] = round(idealDcg > 0 ? dcg / idealDcg : 0);
+
+    return metrics;
+  }
+
+  /**
+   * Load the saved baseline report for a golden set
+   * @param {string} name - Golden set name
+   * @returns {Promise<Object|null>} - Baseline report, or null if none was saved
+   */
+  async loadBaseline(name = DEFAULT_GOLDEN_SET) {
+    try {
+      return JSON.parse(await fs.readFile(goldenSetPath(BASELINE_DIR, name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save a report as the new baseline for its golden set
+   * @param {Object} report - Result of run()
+   * @returns {Promise<string>} - Path written
+   */
+  async saveBaseline(report) {
+    const baselinePath = goldenSetPath(BASELINE_DIR, report.goldenSet);
+    await fs.mkdir(BASELINE_DIR, { recursive: true });
+    await fs.writeFile(baselinePath, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`💾 Saved baseline: ${baselinePath}`);
+    return baselinePath;
+  }
+
+  /**
+   * Diff a report against a baseline, metric by metric and question by question
+   * @param {Object} report - Current report
+   * @param {Object} baseline - Baseline report
+   * @returns {Object} - { baselineRanAt, versionChanged, metrics: { name: { baseline, current, delta } }, questions, regressions }
+   */
+  compare(report, baseline) {
+    const diffMetrics = (current, previous) => Object.fromEntries(
+      Object.keys(current)
+        .filter(name => previous?.[name] !== undefined)
+        .map(name => [name, { baseline: previous[name], current: current[name], delta: round(current[name] - previous[name]) }])
+    );
+
+    const baselineQuestions = new Map((baseline.questions || []).map(question => [question.id, question]));
+    const questions = report.questions
+      .filter(question => question.metrics && baselineQuestions.get(question.id)?.metrics)
+      .map(question => {
+        const previous = baselineQuestions.get(question.id);
+        const metrics = diffMetrics(question.metrics, previous.metrics);
+        return {
+          id: question.id,
+          metrics,
+          regressed: Object.values(metrics).some(metric => metric.delta < -REGRESSION_TOLERANCE),
+          improved: Object.values(metrics).some(metric => metric.delta > REGRESSION_TOLERANCE),
+          rankedSources: { baseline: previous.rankedSources, current: question.rankedSources }
+        };
+      })
+      .filter(question => question.regressed || question.improved);
+
+    const metrics = diffMetrics(report.metrics, baseline.metrics);
+    return {
+      baselineRanAt: baseline.ranAt,
+      versionChanged: baseline.version !== report.version,
+      metrics,
+      questions,
+      regressions: Object.entries(metrics).filter(([, metric]) => metric.delta < -REGRESSION_TOLERANCE).map(([name]) => name)
+    };
+  }
+}
+
+export default RetrievalEvalService;
@@ -1,15 +1,33 @@
 import { db } from '../config/database.js';
 import EmbeddingService from './embeddings.js';
+import RerankerService from './reranker.js';
+import QueryFilterService from './query-filters.js';
+
+// Reciprocal rank fusion constant; larger values flatten the advantage of top ranks
+const RRF_K = 60;
+// Relative weight of each ranked list in the fusion; overridable per request
+const DEFAULT_SEARCH_WEIGHTS = { vector: 1, text: 0.8 };
+// MMR trade-off: 1 ranks purely by relevance, 0 purely by novelty
+const DEFAULT_MMR_LAMBDA = 0.7;
+const DEFAULT_MAX_CHUNKS_PER_SOURCE = 3;
+// Chunks sharing this much of their vocabulary with an already selected chunk are dropped outright
+const NEAR_DUPLICATE_SIMILARITY = 0.6;
+// Added to the fused score of chunks from an organization named in the query
+const ORG_MATCH_BOOST = 0.1;
+// Added to the fused score of chunks from a document section the query asks about (e.g. Highlights)
+const SECTION_MATCH_BOOST = 0.05;
 
 class RetrievalService {
   constructor() {
     this.embeddings = new EmbeddingService();
+    this.reranker = new RerankerService();
+    this.queryFilters = new QueryFilterService();
   }
 
   /**
    * Retrieve relevant context chunks for a query
    * @param {string} query - User query
-   * @param {Object} options - Search options
+   * @param {Object} options - Search options (explain: true adds a step-by-step trace of the scoring pipeline)
    * @returns {Promise<Object>} - Retrieved chunks with metadata
    */
   async retrieveContext(query, options = {}) {
@@ -18,59 +36,91 @@ class RetrievalService {
         maxResults = 12,
         minSimilarity = null,
         includeMetadata = true,
-        rerankResults = true
+        rerankResults = true,
+        searchWeights = null,
+        diversify = true,
+        mmrLambda = DEFAULT_MMR_LAMBDA,
+        maxChunksPerSource = DEFAULT_MAX_CHUNKS_PER_SOURCE,
+        explain = false
       } = options;
 
       console.log(`🔍 Retrieving context for: "${query}"`);
+      const startTime = Date.now();
+      const timings = {};
       
-      // Step 1: Expand query with synonyms (with fallback)
-      let expandedQuery;
-      try {
-        expandedQuery = await this.embeddings.expandQuery(query);
-        console.log(`📝 Expanded query: "${expandedQuery}"`);
-      } catch (error) {
-        console.log(`⚠️  Query expansion failed, using original query: ${error.message}`);
-        expandedQuery = query;
-      }
+      // Step 1: Expand query with synonyms
+      const expansion = await this.embeddings.explainQueryExpansion(query);
+      const expandedQuery = expansion.expandedQuery;
+      console.log(`📝 Expanded query: "${expandedQuery}"`);
 
       // Step 2: Generate query embedding
       const queryEmbedding = await this.embeddings.embedText(expandedQuery, 'search_query');
       console.log(`🎯 Generated embedding (${queryEmbedding?.length || 'failed'} dimensions)`);
+      timings.embeddingMs = Date.now() - startTime;
 
       // Step 3: Extract filters from query
-      const filters = this.embeddings.extractFilters(query);
-      console.log('🏷️  Extracted filters:', filters);
+      const filters = await this.queryFilters.extractFilters(query);
+      console.log('🏷️  Extracted filters:', filters.matches.map(match => `${match.kind}:${match.value}`).join(', ') || 'none');
+      if (filters.dateRange) {
+        console.log(`📅 Date range: ${filters.dateRange.start || '…'} to ${filters.dateRange.end || '…'} (${filters.temporal.map(expression => expression.text).join(', ')})`);
+      }
 
       // Step 4: Calculate dynamic similarity threshold
-      const similarityThreshold = minSimilarity || this.embeddings.calculateSimilarityThreshold(query);
-      console.log(`📊 Similarity threshold: ${similarityThreshold}`);
-
-      // Step 5: Search database
-      const searchResults = await db.searchChunks(queryEmbedding, {
+      const { threshold: similarityThreshold, reason: thresholdReason } = minSimilarity
+        ? { threshold: minSimilarity, reason: 'set by the caller (minSimilarity)' }
+        : this.queryFilters.chooseSimilarityThreshold(query, filters);
+      console.log(`📊 Similarity threshold: ${similarityThreshold} (${thresholdReason})`);
+
+      // Step 5: Run vector and full-text search side by side, then fuse the rankings
+      const searchStart = Date.now();
+      const weights = this.normalizeSearchWeights(searchWeights);
+      const candidateLimit = Math.max(maxResults * 2, 20); // Get more results for reranking
+      const vectorOptions = dateRange => ({
         skills: filters.skills,
         tags: filters.tags,
+        dateRange,
         threshold: similarityThreshold,
-        limit: Math.max(maxResults * 2, 20) // Get more results for reranking
+        limit: candidateLimit,
+        embeddingModel: this.embeddings.modelId
       });
-
-      console.log(`💾 Database returned ${searchResults.length} chunks`);
-
-      // FIXED: Only use text search as a last resort when we have NO semantic results
-      // Text search should NOT override good semantic matches
-      if (searchResults.length === 0) {
-        console.log('🔄 No semantic results found, trying text search as fallback...');
-        const textSearchResults = await this.performTextSearch(query, filters, maxResults);
-        if (textSearchResults.length > 0) {
-          console.log(`📝 Text search found ${textSearchResults.length} results as backup`);
-          // Use text results but with lower confidence scores
-          searchResults = textSearchResults.map(result => ({
-            ...result,
-            similarity: result.similarity * 0.7, // Reduce confidence in text matches
-            search_method: 'text_fallback'
-          }));
-        }
+      const runSearches = dateRange => Promise.all([
+        weights.vector > 0 ? db.searchChunks(queryEmbedding, vectorOptions(dateRange)) : [],
+        weights.text > 0 ? db.searchChunksText(query, {
+          limit: candidateLimit,
+          dateRange,
+          queryEmbedding,
+          embeddingModel: this.embeddings.modelId
+        }) : []
+      ]);
+
+      let [vectorResults, textResults] = await runSearches(filters.dateRange);
+      // A misread time expression shouldn't leave the user with nothing
+      let dateRangeRelaxed = false;
+      if (filters.dateRange && vectorResults.length === 0 && textResults.length === 0) {
+        console.log('📅 No chunks in the requested date range, searching all dates');
+        [vectorResults, textResults] = await runSearches(null);
+        dateRangeRelaxed = true;
       }
 
+      // Explaining: look past the threshold and candidate limit to show what they cut
+      const nearMisses = explain && weights.vector > 0
+        ? await db.searchChunks(queryEmbedding, {
+          ...vectorOptions(dateRangeRelaxed ? null : filters.dateRange),
+          threshold: 0,
+          limit: candidateLimit * 2
+        })
+        : [];
+
+      const fused = this.fuseResults({ vector: vectorResults, text: textResults }, weights);
+      const searchResults = this.boostSectionMatches(this.boostOrgMatches(fused, filters.orgs), filters.sections);
+      console.log(`💾 Vector search: ${vectorResults.length}, text search: ${textResults.length}, fused: ${searchResults.length} chunks`);
+      timings.searchMs = Date.now() - searchStart;
+
+      const traceInput = {
+        query, expansion, filters, similarityThreshold, thresholdReason, weights, candidateLimit,
+        vectorResults, textResults, nearMisses, dateRangeRelaxed, timings, startTime
+      };
+
       if (searchResults.length === 0) {
         return {
           chunks: [],
@@ -78,27 +128,42 @@ class RetrievalService {
           query: query,
           expandedQuery: expandedQuery,
           filters: filters,
+          dateRangeRelaxed,
           similarityThreshold,
-          message: 'No relevant information found. Try a more general query or check if data has been uploaded.'
+          searchWeights: weights,
+          message: 'No relevant information found. Try a more general query or check if data has been uploaded.',
+          trace: explain ? this.buildTrace({ ...traceInput, ranked: [], selected: [], dropped: [] }) : undefined
         };
       }
 
-      // Step 6: Rerank and enhance results
-      let processedChunks = searchResults;
-
-      if (rerankResults) {
-        processedChunks = this.rerankChunks(searchResults, query, filters);
-        console.log(`📈 Reranked ${processedChunks.length} chunks`);
+      // Step 6: Rescore the top candidates with a cross-encoder
+      const rerankStart = Date.now();
+      const rankedChunks = rerankResults ? await this.reranker.rerank(query, searchResults) : searchResults;
+      timings.rerankMs = Date.now() - rerankStart;
+      let processedChunks = rankedChunks;
+
+      // Step 7: Pick the final results, diversified so overlapping slices of one source don't crowd out the rest
+      let diversity = null;
+      let dropped;
+      if (diversify) {
+        ({ chunks: processedChunks, dropped, ...diversity } = this.diversifyChunks(processedChunks, {
+          limit: maxResults,
+          lambda: mmrLambda,
+          maxPerSource: maxChunksPerSource
+        }));
+      } else {
+        dropped = processedChunks.slice(maxResults).map(chunk => ({ id: chunk.id, reason: 'limit' }));
+        processedChunks = processedChunks.slice(0, maxResults);
       }
 
-      // Step 7: Limit to final results
-      processedChunks = processedChunks.slice(0, maxResults);
-
       // Step 8: Add metadata and group by source
       const enrichedChunks = await this.enrichChunks(processedChunks, includeMetadata);
 
       // Step 9: Generate context summary
       const contextSummary = this.generateContextSummary(enrichedChunks, query);
+      const reranker = processedChunks[0]?.rerank
+        ? { provider: processedChunks[0].rerank.provider, model: processedChunks[0].rerank.model }
+        : null;
 
       return {
         chunks: enrichedChunks,
@@ -106,10 +171,18 @@ class RetrievalService {
         query: query,
         expandedQuery: expandedQuery,
         filters: filters,
+        dateRangeRelaxed,
         similarityThreshold,
+        searchWeights: weights,
+        searchCounts: { vector: vectorResults.length, text: textResults.length },
+        diversity,
+        reranker,
         contextSummary,
         avgSimilarity: this.calculateAverageSimilarity(enrichedChunks),
-        sources: this.extractUniqueSources(enrichedChunks)
+        sources: this.extractUniqueSources(enrichedChunks),
+        trace: explain
+          ? this.buildTrace({ ...traceInput, ranked: rankedChunks, selected: processedChunks, dropped, reranker, diversity })
+          : undefined
       };
 
     } catch (error) {
@@ -119,55 +192,307 @@ class RetrievalService {
   }
 
   /**
-   * Rerank chunks using multiple signals
-   * @param {Array} chunks - Raw search results
-   * @param {string} query - Original query
-   * @param {Object} filters - Extracted filters
-   * @returns {Array} - Reranked chunks
+   * Fill in missing or invalid per-list weights with the defaults
+   * @param {Object} weights - { vector, text }, each a non-negative number
+   * @returns {Object} - Weights to use
    */
-  rerankChunks(chunks, query, filters) {
-    const queryWords = query.toLowerCase().split(/\s+/);
-    
-    return chunks
+  normalizeSearchWeights(weights) {
+    const normalized = { ...DEFAULT_SEARCH_WEIGHTS };
+    Object.keys(normalized).forEach(method => {
+      const value = weights?.[method];
+      if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+        normalized[method] = value;
+      }
+    });
+
+    return normalized.vector + normalized.text > 0 ? normalized : { ...DEFAULT_SEARCH_WEIGHTS };
+  }
+
+  /**
+   * Merge ranked result lists with weighted reciprocal rank fusion
+   * @param {Object} lists - { vector: [...], text: [...] }, each best first
+   * @param {Object} weights - Weight per list
+   * @returns {Array} - Chunks with rrf_score, fused_score (0-1), search_ranks and search_method, best first
+   */
+  fuseResults(lists, weights) {
+    const fused = new Map();
+
+    Object.entries(lists).forEach(([method, results]) => {
+      results.forEach((chunk, index) => {
+        const previous = fused.get(chunk.id);
+        const rank = index + 1;
+        fused.set(chunk.id, {
+          ...previous,
+          ...chunk,
+          search_ranks: { ...previous?.search_ranks, [method]: rank },
+          rrf_score: (previous?.rrf_score || 0) + weights[method] / (RRF_K + rank)
+        });
+      });
+    });
+
+    // A chunk ranked first in every list scores 1
+    const maxScore = Object.values(weights).reduce((sum, weight) => sum + weight, 0) / (RRF_K + 1);
+
+    return [...fused.values()]
       .map(chunk => {
-        let score = chunk.similarity;
-        
-        // Recency boost (already included in DB query, but we can enhance it)
-        score += chunk.recency_score * 0.1;
-        
-        // Exact keyword matches boost
-        const contentLower = chunk.content.toLowerCase();
-        const keywordMatches = queryWords.filter(word => 
-          word.length > 2 && contentLower.includes(word)
-        ).length;
-        score += (keywordMatches / queryWords.length) * 0.05;
-        
-        // Skills/tags alignment boost
-        const skillMatches = filters.skills.filter(skill => 
-          chunk.skills && chunk.skills.includes(skill)
-        ).length;
-        const tagMatches = filters.tags.filter(tag => 
-          chunk.tags && chunk.tags.includes(tag)
-        ).length;
-        score += (skillMatches + tagMatches) * 0.03;
-        
-        // Source type boost for certain queries
-        if (query.toLowerCase().includes('project') && chunk.source_type === 'project') {
-          score += 0.02;
-        } else if (query.toLowerCase().includes('job') && chunk.source_type === 'job') {
-          score += 0.02;
+        const methods = Object.keys(chunk.search_ranks);
+        return {
+          ...chunk,
+          fused_score: chunk.rrf_score / maxScore,
+          search_method: methods.length > 1 ? 'hybrid' : methods[0]
+        };
+      })
+      .sort((a, b) => b.rrf_score - a.rrf_score);
+  }
+
+  /**
+   * Favor chunks from organizations the query names, as a soft preference
+   * @param {Array} chunks - Fused chunks, best first
+   * @param {Array} orgs - Organization names from the query filters
+   * @returns {Array} - Chunks re-sorted by boosted fused_score
+   */
+  boostOrgMatches(chunks, orgs = []) {
+    if (orgs.length === 0) {
+      return chunks;
+    }
+
+    const wanted = new Set(orgs.map(org => org.toLowerCase()));
+    return chunks
+      .map(chunk => (wanted.has(chunk.sources?.org?.trim().toLowerCase())
+        ? { ...chunk, fused_score: chunk.fused_score + ORG_MATCH_BOOST, org_match: true }
+        : chunk))
+      .sort((a, b) => b.fused_score - a.fused_score);
+  }
+
+  /**
+   * Favor chunks from the document sections the query is about, as a soft preference
+   * @param {Array} chunks - Fused chunks, best first
+   * @param {Array} sections - Section names from the query filters (e.g. 'Highlights')
+   * @returns {Array} - Chunks re-sorted by boosted fused_score
+   */
+  boostSectionMatches(chunks, sections = []) {
+    if (sections.length === 0) {
+      return chunks;
+    }
+
+    const wanted = new Set(sections.map(section => section.toLowerCase()));
+    return chunks
+      .map(chunk => (wanted.has(chunk.section?.toLowerCase())
+        ? { ...chunk, fused_score: chunk.fused_score + SECTION_MATCH_BOOST, section_match: true }
+        : chunk))
+      .sort((a, b) => b.fused_score - a.fused_score);
+  }
+
+  /**
+   * Select chunks by maximal marginal relevance with a per-source cap.
+   * Redundancy is measured as vocabulary overlap between chunks, which catches the
+   * overlapping windows the indexer cuts from one document.
+   * @param {Array} chunks - Ranked candidates, best first
+   * @param {Object} options - { limit, lambda, maxPerSource }
+   * @returns {Object} - { chunks, lambda, maxPerSource, duplicatesSuppressed, nearDuplicates, sourceCapped, dropped: [{ id, reason, duplicateOf }] }
+   */
+  diversifyChunks(chunks, options = {}) {
+    const { limit = 12, lambda = DEFAULT_MMR_LAMBDA, maxPerSource = DEFAULT_MAX_CHUNKS_PER_SOURCE } = options;
+
+    const relevance = this.relevanceScores(chunks);
+    const candidates = chunks.map((chunk, index) => ({
+      chunk,
+      relevance: relevance[index],
+      words: new Set(chunk.content.toLowerCase().split(/\W+/).filter(word => word.length > 2)),
+      sourceId: chunk.sources?.id || chunk.source_id
+    }));
+
+    const selected = [];
+    const dropped = [];
+    const perSource = new Map();
+    let nearDuplicates = 0;
+    let sourceCapped = 0;
+
+    while (selected.length < limit && candidates.length > 0) {
+      let best = null;
+
+      for (let i = candidates.length - 1; i >= 0; i--) {
+        const candidate = candidates[i];
+
+        if ((perSource.get(candidate.sourceId) || 0) >= maxPerSource) {
+          candidates.splice(i, 1);
+          dropped.push({ id: candidate.chunk.id, reason: 'source-cap' });
+          sourceCapped++;
+          continue;
         }
-        
-        // Title relevance boost
-        if (chunk.source_title) {
-          const titleLower = chunk.source_title.toLowerCase();
-          const titleMatches = queryWords.filter(word => titleLower.includes(word)).length;
-          score += (titleMatches / queryWords.length) * 0.02;
+
+        const overlaps = selected.map(item => this.jaccard(candidate.words, item.words));
+        const redundancy = Math.max(0, ...overlaps);
+        if (redundancy >= NEAR_DUPLICATE_SIMILARITY) {
+          candidates.splice(i, 1);
+          dropped.push({ id: candidate.chunk.id, reason: 'near-duplicate', duplicateOf: selected[overlaps.indexOf(redundancy)].chunk.id });
+          nearDuplicates++;
+          continue;
         }
 
-        return { ...chunk, rerank_score: score };
-      })
-      .sort((a, b) => b.rerank_score - a.rerank_score);
+        const score = lambda * candidate.relevance - (1 - lambda) * redundancy;
+        if (!best || score >= best.score) {
+          best = { candidate, score };
+        }
+      }
+
+      if (!best) {
+        break;
+      }
+
+      candidates.splice(candidates.indexOf(best.candidate), 1);
+      selected.push(best.candidate);
+      perSource.set(best.candidate.sourceId, (perSource.get(best.candidate.sourceId) || 0) + 1);
+    }
+
+    const duplicatesSuppressed = nearDuplicates + sourceCapped;
+    if (duplicatesSuppressed > 0) {
+      console.log(`🧹 Diversified context: suppressed ${nearDuplicates} near-duplicates and ${sourceCapped} chunks over the ${maxPerSource}-per-source cap`);
+    }
+
+    return {
+      chunks: selected.map(item => item.chunk),
+      lambda,
+      maxPerSource,
+      duplicatesSuppressed,
+      nearDuplicates,
+      sourceCapped,
+      dropped: [...dropped, ...candidates.map(candidate => ({ id: candidate.chunk.id, reason: 'limit' }))]
+    };
+  }
+
+  /**
+   * Relevance of each chunk from 0 to 1 for diversifyChunks. Rerank and fused scores are on
+   * unrelated scales, so when the top candidates were reranked, the chunks past the rerank
+   * cutoff are scaled to sit at or below the lowest reranked chunk (ties go to the earlier,
+   * reranked chunk) rather than compared with rerank scores.
+   * @param {Array} chunks - Ranked candidates, reranked ones first
+   * @returns {number[]} - Relevance per chunk, in input order
+   */
+  relevanceScores(chunks) {
+    const scale = scores => {
+      const max = Math.max(...scores, 0) || 1;
+      return scores.map(score => score / max);
+    };
+    const isReranked = chunk => typeof chunk.rerank_score === 'number';
+
+    const reranked = scale(chunks.filter(isReranked).map(chunk => chunk.rerank_score));
+    const rest = scale(chunks.filter(chunk => !isReranked(chunk)).map(chunk => chunk.fused_score ?? chunk.similarity ?? 0));
+    const ceiling = reranked.length > 0 ? Math.min(...reranked) : 1;
+
+    let nextReranked = 0;
+    let nextRest = 0;
+    return chunks.map(chunk => (isReranked(chunk) ? reranked[nextReranked++] : rest[nextRest++] * ceiling));
+  }
+
+  /**
+   * Jaccard similarity of two word sets
+   * @param {Set} a - First set
+   * @param {Set} b - Second set
+   * @returns {number} - Overlap from 0 to 1
+   */
+  jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) {return 0;}
+    let shared = 0;
+    a.forEach(word => {
+      if (b.has(word)) {shared++;}
+    });
+    return shared / (a.size + b.size - shared);
+  }
+
+  /**
+   * Structured account of one retrieval: how the query was expanded and filtered, the threshold
+   * and why, every candidate's scores at each stage, and what the threshold and limits cut
+   * @param {Object} input - Intermediate results collected by retrieveContext
+   * @returns {Object} - Trace
+   */
+  buildTrace(input) {
+    const {
+      query, expansion, filters, similarityThreshold, thresholdReason, weights, candidateLimit,
+      vectorResults, textResults, nearMisses, dateRangeRelaxed, timings, startTime,
+      ranked, selected, dropped, reranker = null, diversity = null
+    } = input;
+    const round = value => (typeof value === 'number' ? Math.round(value * 10000) / 10000 : null);
+    const describe = chunk => ({
+      id: chunk.id,
+      sourceId: chunk.sources?.id || chunk.source_id,
+      title: chunk.title,
+      section: chunk.section || null,
+      org: chunk.sources?.org || null
+    });
+
+    const finalRanks = new Map(selected.map((chunk, index) => [chunk.id, index + 1]));
+    const drops = new Map(dropped.map(item => [item.id, item]));
+    const chunks = ranked.map((chunk, index) => ({
+      ...describe(chunk),
+      similarity: round(chunk.similarity),
+      recencyScore: round(chunk.recency_score),
+      filterBoost: round(chunk.filter_boost),
+      combinedScore: round(chunk.combined_score),
+      textRank: round(chunk.text_rank),
+      searchMethod: chunk.search_method,
+      searchRanks: chunk.search_ranks,
+      fusedScore: round(chunk.fused_score),
+      orgMatch: Boolean(chunk.org_match),
+      sectionMatch: Boolean(chunk.section_match),
+      rerankScore: round(chunk.rerank_score),
+      rerankRanks: chunk.rerank ? { before: chunk.rerank.preRank, after: chunk.rerank.postRank } : null,
+      candidateRank: index + 1,
+      finalRank: finalRanks.get(chunk.id) || null,
+      status: finalRanks.has(chunk.id) ? 'selected' : drops.get(chunk.id)?.reason || 'limit',
+      ...(drops.get(chunk.id)?.duplicateOf ? { duplicateOf: drops.get(chunk.id).duplicateOf } : {})
+    }));
+
+    // Nearest chunks that never became candidates (text search may still have surfaced some of them)
+    const candidateIds = new Set(ranked.map(chunk => chunk.id));
+    const cut = nearMisses
+      .filter(chunk => !candidateIds.has(chunk.id))
+      .map(chunk => ({
+        ...describe(chunk),
+        similarity: round(chunk.similarity),
+        recencyScore: round(chunk.recency_score),
+        status: chunk.similarity < similarityThreshold ? 'below-threshold' : 'candidate-limit'
+      }));
+
+    const countBy = (items, status) => items.filter(item => item.status === status).length;
+
+    return {
+      query,
+      expansion,
+      filters: {
+        skills: filters.skills,
+        tags: filters.tags,
+        industries: filters.industries,
+        orgs: filters.orgs,
+        sections: filters.sections,
+        dateRange: filters.dateRange,
+        dateRangeRelaxed,
+        temporal: filters.temporal,
+        matches: filters.matches
+      },
+      threshold: { value: similarityThreshold, reason: thresholdReason },
+      search: {
+        weights,
+        candidateLimit,
+        embeddingModel: this.embeddings.modelId,
+        vectorResults: vectorResults.length,
+        textResults: textResults.length,
+        candidates: ranked.length
+      },
+      reranker,
+      diversity: diversity && { lambda: diversity.lambda, maxPerSource: diversity.maxPerSource },
+      summary: {
+        selected: selected.length,
+        cutByThreshold: countBy(cut, 'below-threshold'),
+        cutByCandidateLimit: countBy(cut, 'candidate-limit'),
+        cutBySourceCap: countBy(chunks, 'source-cap'),
+        cutAsNearDuplicate: countBy(chunks, 'near-duplicate'),
+        cutByResultLimit: countBy(chunks, 'limit')
+      },
+      chunks,
+      cut,
+      timings: { ...timings, totalMs: Date.now() - startTime }
+    };
   }
 
   /**
@@ -199,7 +524,7 @@ class RetrievalService {
    * @returns {string} - Confidence level
    */
   calculateConfidence(chunk) {
-    const score = chunk.rerank_score || chunk.similarity;
+    const score = chunk.similarity;
     
     if (score >= 0.85) {return 'very-high';}
     if (score >= 0.80) {return 'high';}
@@ -406,96 +731,6 @@ class RetrievalService {
     const totalSimilarity = chunks.reduce((sum, chunk) => sum + (chunk.similarity || 0), 0);
     return Math.round((totalSimilarity / chunks.length) * 100) / 100;
   }
-
-  /**
-   * Perform text-based search as backup when semantic search fails
-   * @param {string} query - Original query
-   * @param {Object} filters - Search filters
-   * @param {number} maxResults - Maximum results to return
-   * @returns {Promise<Array>} - Text search results
-   */
-  async performTextSearch(query, filters, maxResults) {
-    try {
-      const { db } = await import('../config/database.js');
-      const queryLower = query.toLowerCase();
-      
-      // Build text search conditions
-      const searchTerms = [];
-      
-      // Add specific keyword searches with proper Supabase syntax
-      if (queryLower.includes('iot') || queryLower.includes('internet of things')) {
-        searchTerms.push('content.ilike.*iot*', 'content.ilike.*internet*', 'skills.cs.{IoT}', 'tags.cs.{IoT}');
-      }
-      
-      if (queryLower.includes('coca-cola') || queryLower.includes('coca cola')) {
-        searchTerms.push('content.ilike.*coca*', 'sources.org.ilike.*coca*');
-      }
-      
-      if (queryLower.includes('mckesson')) {
-        searchTerms.push('content.ilike.*mckesson*', 'sources.org.ilike.*mckesson*');
-      }
-      
-      if (queryLower.includes('oldp') || queryLower.includes('operations leadership') || queryLower.includes('leadership development')) {
-        searchTerms.push('content.ilike.*oldp*', 'content.ilike.*leadership*', 'title.ilike.*leadership*');
-      }
-      
-      if (searchTerms.length === 0) {
-        // Generic text search
-        const words = query.split(/\s+/).filter(word => word.length > 2);
-        words.forEach(word => {
-          searchTerms.push(`content.ilike.*${word}*`);
-        });
-      }
-      
-      if (searchTerms.length === 0) return [];
-      
-      const { data, error } = await db.supabase
-        .from('content_chunks')
-        .select(`
-          id, source_id, title, content, skills, tags,
-          date_start, date_end, token_count,
-          sources (id, type, title, org, location)
-        `)
-        .or(searchTerms.join(','))
-        .limit(maxResults * 2);
-        
-      if (error) {
-        console.error('Text search error:', error);
-        return [];
-      }
-      
-      // Add lower similarity scores for text matches (they're less accurate than semantic)
-      return (data || []).map(chunk => ({
-        ...chunk,
-        similarity: 0.3, // Lower confidence for text matches
-        recency_score: chunk.date_end ? 
-          Math.max(0, 1.0 - (Date.now() - new Date(chunk.date_end).getTime()) / (365 * 24 * 60 * 60 * 1000 * 2)) : 0.5,
-        combined_score: 0.3,
-        search_method: 'text'
-      }));
-      
-    } catch (error) {
-      console.error('Text search error:', error);
-      return [];
-    }
-  }
-
-  /**
-   * Merge semantic and text search results, removing duplicates
-   * @param {Array} semanticResults - Results from semantic search
-   * @param {Array} textResults - Results from text search
-   * @returns {Array} - Merged and deduplicated results
-   */
-  mergeSearchResults(semanticResults, textResults) {
-    const seenIds = new Set(semanticResults.map(r => r.id));
-    const uniqueTextResults = textResults.filter(r => !seenIds.has(r.id));
-    
-    // Combine and sort by score
-    const combined = [...semanticResults, ...uniqueTextResults]
-      .sort((a, b) => (b.similarity || 0) - (a.similarity || 0));
-      
-    return combined;
-  }
 }
 
 export default RetrievalService;
\ No newline at end of file
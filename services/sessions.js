@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import { db } from '../config/database.js';
+import LLMService from './llm.js';
+
+// Unsummarized history sent with each question; older turns are folded into a summary
+const HISTORY_TOKEN_BUDGET = 1500;
+// Most recent messages (2 exchanges) that always stay verbatim
+const KEEP_RECENT_MESSAGES = 4;
+
+// Rough estimate: 1 token ≈ 0.75 words for English text
+function estimateTokens(text) {
+  return Math.ceil(text.split(/\s+/).length / 0.75);
+}
+
+// Only the hash is stored, so reading the table doesn't hand out working tokens
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The token hash never leaves the server
+function publicSession(session) {
+  const fields = { ...session };
+  delete fields.token_hash;
+  return fields;
+}
+
+class SessionService {
+  constructor() {
+    this.llm = new LLMService();
+  }
+
+  /**
+   * Start a new conversation
+   * @param {Object} options - Optional session title
+   * @returns {Promise<Object>} - Session record with the secret `token` that every later request must send
+   */
+  async createSession(options = {}) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const session = await db.createChatSession({ title: options.title, token_hash: hashToken(token) });
+    console.log(`🆕 Created chat session ${session.id}`);
+    return { ...publicSession(session), token };
+  }
+
+  /**
+   * Load a session for a caller that presents its token
+   * @param {string} sessionId - Session id
+   * @param {string} token - Token returned by createSession
+   * @returns {Promise<Object|null>} - Session record, or null if not found or the token doesn't match
+   */
+  async authorize(sessionId, token) {
+    const session = await db.getChatSession(sessionId);
+    if (!session || !session.token_hash || !token) {
+      return null;
+    }
+
+    const expected = Buffer.from(session.token_hash);
+    const supplied = Buffer.from(hashToken(token));
+    return expected.length === supplied.length && crypto.timingSafeEqual(expected, supplied) ? session : null;
+  }
+
+  /**
+   * List recent sessions, most recently active first
+   * @param {number} limit - Maximum sessions to return
+   * @returns {Promise<Array>} - Session records
+   */
+  async listSessions(limit = 50) {
+    return db.listChatSessions(limit);
+  }
+
+  /**
+   * Attach the full message history to an authorized session
+   * @param {Object} session - Session record from authorize()
+   * @returns {Promise<Object>} - Session with messages
+   */
+  async getSession(session) {
+    const messages = await db.getChatMessages(session.id);
+    return { ...publicSession(session), messages };
+  }
+
+  /**
+   * Delete a session and its messages
+   * @param {string} sessionId - Session id
+   * @returns {Promise<boolean>} - Whether a session was deleted
+   */
+  async deleteSession(sessionId) {
+    return db.deleteChatSession(sessionId);
+  }
+
+  /**
+   * Load what the model should see of a session before answering the next question
+   * @param {Object} session - Session record from authorize()
+   * @returns {Promise<Object>} - { session, summary, history, askedQuestions }
+   */
+  async getConversationContext(session) {
+    // Summarized turns are excluded from history but still count as asked for suggestion de-duplication
+    const allMessages = await db.getChatMessages(session.id);
+    const messages = allMessages.filter(message => message.id > (session.summarized_through || 0));
+
+    return {
+      session,
+      summary: session.summary || null,
+      history: messages.map(message => ({ role: message.role, content: message.content })),
+      askedQuestions: allMessages
+        .filter(message => message.role === 'user')
+        .map(message => message.content)
+    };
+  }
+
+  /**
+   * Store a question/answer exchange and summarize older turns if the history grew too large
+   * @param {Object} session - Session record
+   * @param {Object} exchange - { question, answer, chunkIds, metadata }
+   * @returns {Promise<void>}
+   */
+  async recordExchange(session, exchange) {
+    const { question, answer, chunkIds = [], metadata = {} } = exchange;
+
+    await db.insertChatMessage({
+      session_id: session.id,
+      role: 'user',
+      content: question,
+      token_count: estimateTokens(question)
+    });
+
+    await db.insertChatMessage({
+      session_id: session.id,
+      role: 'assistant',
+      content: answer,
+      chunk_ids: chunkIds,
+      token_count: estimateTokens(answer),
+      metadata
+    });
+
+    // Touch the session so it sorts first; name it after its first question
+    await db.updateChatSession(session.id, session.title ? {} : { title: question.slice(0, 80) });
+
+    try {
+      await this.compactHistory(session.id);
+    } catch (error) {
+      // The full history is still stored; the next exchange will retry the summary
+      console.error(`⚠️ Failed to summarize history for session ${session.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Fold the oldest unsummarized turns into the session summary once they exceed the token budget
+   * @param {string} sessionId - Session id
+   * @returns {Promise<boolean>} - Whether a new summary was written
+   */
+  async compactHistory(sessionId) {
+    const session = await db.getChatSession(sessionId);
+    const messages = await db.getChatMessages(sessionId, { afterId: session.summarized_through });
+
+    const totalTokens = messages.reduce((sum, message) =>
+      sum + (message.token_count || estimateTokens(message.content)), 0);
+
+    if (totalTokens <= HISTORY_TOKEN_BUDGET || messages.length <= KEEP_RECENT_MESSAGES) {
+      return false;
+    }
+
+    const toSummarize = messages.slice(0, messages.length - KEEP_RECENT_MESSAGES);
+    const summary = await this.summarizeTurns(session.summary, toSummarize);
+
+    await db.updateChatSession(sessionId, {
+      summary,
+      summarized_through: toSummarize[toSummarize.length - 1].id
+    });
+
+    console.log(`🗜️  Summarized ${toSummarize.length} messages for session ${sessionId} (${totalTokens} tokens over budget)`);
+    return true;
+  }
+
+  /**
+   * Summarize conversation turns, extending any existing summary
+   * @param {string|null} previousSummary - Summary of even older turns
+   * @param {Array} messages - Messages to fold in
+   * @returns {Promise<string>} - Updated summary
+   */
+  async summarizeTurns(previousSummary, messages) {
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'Visitor' : 'ScottGPT'}: ${message.content}`)
+      .join('\n\n');
+
+    const completion = await this.llm.complete('summarization', [
+      {
+        role: 'system',
+        content: 'You condense chat transcripts between a visitor and ScottGPT, an assistant that answers questions about Scott Lovett\'s career. Write a short factual summary (under 150 words) of what the visitor asked about and the key facts given in answers, keeping company names, roles and dates. Do not add anything that is not in the transcript.'
+      },
+      {
+        role: 'user',
+        content: `${previousSummary ? `Existing summary:\n${previousSummary}\n\n` : ''}New turns:\n${transcript}`
+      }
+    ]);
+
+    return completion.content.trim();
+  }
+}
+
+export default SessionService;
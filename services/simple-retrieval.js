@@ -29,7 +29,8 @@ class SimpleRetrievalService {
       const embedding = await this.embeddings.embedText(query, 'search_query');
       const semanticResults = await db.searchChunks(embedding, {
         threshold: 0.1, // Very low threshold
-        limit: maxResults * 2
+        limit: maxResults * 2,
+        embeddingModel: this.embeddings.modelId
       });
       
       console.log(`🧠 Semantic search found: ${semanticResults.length} results`);
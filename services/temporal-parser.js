@@ -0,0 +1,221 @@
+import { db } from '../config/database.js';
+
+// Reload source dates this often so newly indexed roles are picked up
+const TIMELINE_TTL_MS = 5 * 60 * 1000;
+// How far back "recent", "last year" and "past N years" reach
+const RECENT_MONTHS = 24;
+const NUMBER_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, fifteen: 15, twenty: 20 };
+// Corporate suffixes dropped to derive short org names ("Equifax Inc." → "equifax")
+const ORG_SUFFIXES = new Set(['the', 'inc', 'incorporated', 'company', 'co', 'corp', 'corporation', 'llc', 'ltd', 'plc', 'group', 'holdings']);
+// Whose career the query is about: "my first job", "his first job", "Scott's first job"
+const OWNER = String.raw`(?:(?:my|his|your|scott'?s|the)\s+)?`;
+const ROLE = String.raw`(?:job|role|position|gig|employer)`;
+
+const YEAR = String.raw`((?:19|20)\d{2})`;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return isoDate(date);
+}
+
+function monthsAgo(months) {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return isoDate(date);
+}
+
+function orgAliases(org) {
+  const full = org.toLowerCase().replace(/[^a-z0-9&\s-]/g, '').replace(/\s+/g, ' ').trim();
+  const short = full.split(/[\s-]+/).filter(word => !ORG_SUFFIXES.has(word)).join(' ');
+  return [...new Set([full, short, short.replace(/\s+/g, '-')].filter(Boolean))];
+}
+
+class TemporalParser {
+  constructor() {
+    this.timeline = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Dated sources (jobs, projects, education), oldest first, used to resolve expressions like "before Equifax"
+   * @returns {Promise<Array>} - Sources with date_start, date_end, type and org
+   */
+  async loadTimeline() {
+    if (this.timeline && Date.now() - this.loadedAt < TIMELINE_TTL_MS) {
+      return this.timeline;
+    }
+
+    try {
+      const sources = await db.getResumeSources();
+      this.timeline = sources
+        .filter(source => source.date_start)
+        .sort((a, b) => a.date_start.localeCompare(b.date_start));
+    } catch (error) {
+      console.warn(`⚠️ Could not load source dates for temporal parsing: ${error.message}`);
+      this.timeline = [];
+    }
+    this.loadedAt = Date.now();
+    return this.timeline;
+  }
+
+  /**
+   * Resolve the time expressions in a query into one date range.
+   * Several expressions are intersected ("after Equifax and before 2020").
+   * @param {string} query - User query
+   * @returns {Promise<Object>} - { dateRange: { start, end } | null, expressions: [{ text, kind, start, end, source }] }
+   */
+  async parse(query) {
+    const timeline = await this.loadTimeline();
+    const expressions = [];
+    // Matched text is blanked out so "most recent role" isn't read again as "recent"
+    let remaining = ` ${query.toLowerCase().replace(/[“”]/g, '"').replace(/[‘’]/g, '\'')} `;
+    const consume = (pattern, resolve) => {
+      remaining = remaining.replace(pattern, (...match) => {
+        const expression = resolve(match);
+        if (!expression) {
+          return match[0];
+        }
+        expressions.push({ text: match[0].trim(), ...expression });
+        return ' ';
+      });
+    };
+
+    this.parseCareerPositions(consume, timeline);
+    this.parseSourceRelative(consume, timeline);
+    this.parseExplicitDates(consume);
+    this.parseRelative(consume);
+
+    return { dateRange: this.intersect(expressions), expressions };
+  }
+
+  /**
+   * "my first job", "early career", "most recent role", "current position"
+   * @param {Function} consume - Registers a pattern and its resolver
+   * @param {Array} timeline - Dated sources, oldest first
+   */
+  parseCareerPositions(consume, timeline) {
+    const jobs = timeline.filter(source => source.type === 'job');
+    if (jobs.length === 0) {
+      return;
+    }
+    const first = jobs[0];
+    const latest = [...jobs].sort((a, b) => b.date_start.localeCompare(a.date_start))[0];
+
+    consume(new RegExp(String.raw`\b${OWNER}(?:first|earliest|very first)\s+${ROLE}s?\b|\bearly\s+(?:in\s+)?(?:${OWNER})?career\b|\bstart(?:ed)?\s+(?:of\s+)?${OWNER}career\b`, 'g'),
+      () => this.sourceSpan(first));
+    consume(new RegExp(String.raw`\b${OWNER}(?:most recent|latest|current|present|last)\s+${ROLE}s?\b`, 'g'),
+      () => this.sourceSpan(latest));
+  }
+
+  /**
+   * "before Equifax", "after his time at Coca-Cola", "during Equifax", "while at Lockheed"
+   * @param {Function} consume - Registers a pattern and its resolver
+   * @param {Array} timeline - Dated sources, oldest first
+   */
+  parseSourceRelative(consume, timeline) {
+    const byOrg = new Map();
+    timeline.filter(source => source.org).forEach(source => {
+      orgAliases(source.org).forEach(alias => {
+        byOrg.set(alias, [...(byOrg.get(alias) || []), source]);
+      });
+    });
+
+    // Longest aliases first so "coca-cola company" wins over "coca-cola"
+    [...byOrg.keys()].sort((a, b) => b.length - a.length).forEach(alias => {
+      const sources = byOrg.get(alias);
+      const start = sources[0].date_start;
+      const ongoing = sources.some(source => !source.date_end);
+      const end = ongoing ? null : sources.map(source => source.date_end).sort().pop();
+      const org = sources[0].org;
+      const target = String.raw`(?:${OWNER}(?:time|years?|job|role|work|tenure)\s+(?:at|with)\s+|joining\s+)?${escapeRegExp(alias)}\b`;
+
+      consume(new RegExp(String.raw`\b(?:before|prior to|until|preceding|pre-)\s*${target}`, 'g'),
+        () => ({ kind: 'source', start: null, end: addDays(start, -1), source: org }));
+      consume(new RegExp(String.raw`\b(?:after|since|following|post-)\s*(?:leaving\s+)?${target}`, 'g'),
+        match => (ongoing && !/since/.test(match[0])
+          ? null
+          : { kind: 'source', start: /since/.test(match[0]) ? start : addDays(end, 1), end: null, source: org }));
+      consume(new RegExp(String.raw`\b(?:during|while (?:at|with)|when (?:he was |i was )?at)\s+${target}`, 'g'),
+        () => ({ kind: 'source', start, end, source: org }));
+    });
+  }
+
+  /**
+   * "between 2015 and 2018", "2015-2018", "in the 2010s", "before 2012", "since 2019", "in 2016"
+   * @param {Function} consume - Registers a pattern and its resolver
+   */
+  parseExplicitDates(consume) {
+    consume(new RegExp(String.raw`\b(?:between|from)\s+${YEAR}\s+(?:and|to|through|until|-)\s+${YEAR}\b|\b${YEAR}\s*(?:-|–|to)\s*${YEAR}\b`, 'g'), match => {
+      const [from, to] = [match[1] || match[3], match[2] || match[4]].map(Number).sort((a, b) => a - b);
+      return { kind: 'explicit', start: `${from}-01-01`, end: `${to}-12-31` };
+    });
+    consume(/\b(?:(early|mid|late)[\s-]+)?(?:the\s+)?(?:(19|20)(\d)0|'(\d)0)s\b/g, match => {
+      const [, part, century, decade, shortDecade] = match;
+      const startYear = century
+        ? Number(`${century}${decade}0`)
+        : (Number(shortDecade) >= 3 ? 1900 : 2000) + Number(shortDecade) * 10;
+      const [from, to] = { early: [0, 3], mid: [3, 6], late: [6, 9] }[part] || [0, 9];
+      return { kind: 'decade', start: `${startYear + from}-01-01`, end: `${startYear + to}-12-31` };
+    });
+    consume(new RegExp(String.raw`\b(before|prior to|until|pre-?)\s*${YEAR}\b`, 'g'),
+      match => ({ kind: 'explicit', start: null, end: `${Number(match[2]) - (match[1] === 'until' ? 0 : 1)}-12-31` }));
+    consume(new RegExp(String.raw`\b(after|since|from|post-?)\s*${YEAR}\b`, 'g'),
+      match => ({ kind: 'explicit', start: `${Number(match[2]) + (/after|post/.test(match[1]) ? 1 : 0)}-01-01`, end: null }));
+    consume(new RegExp(String.raw`\b(?:in|during|around|circa|back in)\s+${YEAR}\b`, 'g'),
+      match => ({ kind: 'explicit', start: `${match[1]}-01-01`, end: `${match[1]}-12-31` }));
+  }
+
+  /**
+   * "recently", "last year", "past five years"
+   * @param {Function} consume - Registers a pattern and its resolver
+   */
+  parseRelative(consume) {
+    const numbers = Object.keys(NUMBER_WORDS).join('|');
+    consume(new RegExp(String.raw`\b(?:past|last|previous)\s+(\d+|${numbers})\s+years?\b`, 'g'), match => {
+      const years = NUMBER_WORDS[match[1]] || Number(match[1]);
+      return { kind: 'relative', start: monthsAgo(years * 12), end: null };
+    });
+    consume(/\b(?:past|last|previous)\s+year\b/g,
+      () => ({ kind: 'relative', start: monthsAgo(12), end: null }));
+    consume(/\bthis year\b/g,
+      () => ({ kind: 'relative', start: `${new Date().getFullYear()}-01-01`, end: null }));
+    consume(/\b(?:recent|recently|lately|currently|nowadays|these days)\b/g,
+      () => ({ kind: 'relative', start: monthsAgo(RECENT_MONTHS), end: null }));
+  }
+
+  sourceSpan(source) {
+    return { kind: 'career', start: source.date_start, end: source.date_end || null, source: source.org || source.title };
+  }
+
+  /**
+   * Intersect the ranges of all expressions
+   * @param {Array} expressions - Parsed expressions with start/end
+   * @returns {Object|null} - { start, end } or null when there is no (consistent) constraint
+   */
+  intersect(expressions) {
+    if (expressions.length === 0) {
+      return null;
+    }
+
+    const starts = expressions.map(expression => expression.start).filter(Boolean).sort();
+    const ends = expressions.map(expression => expression.end).filter(Boolean).sort();
+    const range = { start: starts.pop() || null, end: ends[0] || null };
+
+    if (range.start && range.end && range.start > range.end) {
+      console.log(`⚠️  Time expressions contradict each other (${expressions.map(expression => expression.text).join(', ')}), ignoring them`);
+      return null;
+    }
+    return range;
+  }
+}
+
+export default TemporalParser;
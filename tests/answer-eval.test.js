@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import AnswerEvalService from '../services/answer-eval.js';
+import RAGService from '../services/rag.js';
+
+const context = {
+  chunks: [
+    { id: 11, title: 'IoT Lead', content: 'Scott led the IoT platform at Coca-Cola.', sources: { id: 'coca-cola-iot', title: 'IoT Lead', org: 'Coca-Cola' } },
+    { id: 12, title: 'PMO Director', content: 'He ran a 40-person PMO at Equifax.', sources: { id: 'equifax-pmo', title: 'PMO Director', org: 'Equifax' } }
+  ],
+  sources: [{ id: 'coca-cola-iot', title: 'IoT Lead' }, { id: 'equifax-pmo', title: 'PMO Director' }],
+  totalFound: 2,
+  avgSimilarity: 0.8
+};
+
+const QUESTION_SET = {
+  version: '1.0',
+  questions: [
+    { id: 'iot', question: 'What did Scott do at Coca-Cola?', persona: 'recruiter', expectedPoints: ['Led the IoT platform at Coca-Cola', 'Shipped it to 40 bottlers'] },
+    { id: 'pmo', question: 'Has Scott run a PMO?' },
+    { id: 'astronaut', question: 'Has Scott been to space?', persona: 'astronaut' }
+  ]
+};
+
+const originalCwd = process.cwd();
+let workDir;
+let evaluator;
+
+const writeJson = async (file, data) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(data));
+};
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  // Provider configs load from the repo; personas, questions and runs from the temp dir
+  const rag = new RAGService();
+  jest.spyOn(rag.queryProcessor, 'expandAcronyms').mockImplementation(async query => query);
+  jest.spyOn(rag.retrieval, 'retrieveContext').mockResolvedValue(context);
+  evaluator = new AnswerEvalService(rag);
+
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'answer-eval-'));
+  process.chdir(workDir);
+  await writeJson('config/personas/default.json', { name: 'Default' });
+  await writeJson('config/personas/recruiter.json', { name: 'Recruiter', voice: 'third', length: 'brief' });
+  await writeJson('eval/questions/answers-test.json', QUESTION_SET);
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  process.chdir(originalCwd);
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+describe('AnswerEvalService.run', () => {
+  it('answers every question, scores it with the LLM judge and stores the run', async () => {
+    const run = await evaluator.run({ questionSet: 'answers-test', judge: 'llm', label: 'baseline' });
+
+    expect(run).toMatchObject({ label: 'baseline', questionSet: 'answers-test', questionSetVersion: '1.0', errors: 1 });
+    expect(run.id).toMatch(/-baseline$/);
+    expect(run.judge).toMatchObject({ type: 'llm', provider: 'mock' });
+    expect(run.promptVersion).toMatch(/^[0-9a-f]{12}$/);
+
+    const [iot, pmo, astronaut] = run.questions;
+    expect(iot).toMatchObject({ persona: 'recruiter', sources: ['coca-cola-iot', 'equifax-pmo'] });
+    expect(iot.answer).toBe('Scott led the IoT platform at Coca-Cola [1]. He ran a 40-person PMO at Equifax [2].');
+    expect(iot.scores.faithfulness.score).toBe(5);
+    expect(iot.scores.completeness).toEqual({ score: 3, reason: '50% of expected point terms appear in the answer' });
+    expect(pmo.persona).toBe('default');
+    expect(astronaut).toEqual({ id: 'astronaut', question: 'Has Scott been to space?', persona: 'astronaut', error: 'Unknown persona: astronaut' });
+    expect(run.scores.faithfulness).toBe(5);
+
+    expect(await evaluator.loadRun(run.id)).toEqual(run);
+  });
+
+  it('scores voice, length and expected points offline with the mock judge', async () => {
+    const run = await evaluator.run({ questionSet: 'answers-test', judge: 'mock' });
+    const [iot, pmo] = run.questions;
+
+    expect(run.judge).toEqual({ type: 'mock', provider: 'heuristic', model: 'heuristic-v1' });
+    expect(iot.scores.completeness).toEqual({ score: 3, reason: 'Missing: Shipped it to 40 bottlers' });
+    expect(iot.scores.personaAdherence).toEqual({ score: 5, reason: 'third-person voice, 16 words fits "brief"' });
+    expect(pmo.scores.personaAdherence.reason).toBe('expected first-person voice, 16 words is outside "detailed" (40-Infinity)');
+    expect(pmo.scores.personaAdherence.score).toBe(1);
+    expect(pmo.scores.completeness.score).toBe(3);
+  });
+
+  it('records a judge reply without valid scores as an error for that question', async () => {
+    jest.spyOn(evaluator.llm, 'complete').mockResolvedValue({ content: '{"faithfulness": {"score": 9}}' });
+
+    const run = await evaluator.run({ questionSet: 'answers-test', judge: 'llm' });
+
+    expect(run.questions[0].error).toBe('Judge returned no valid faithfulness score');
+    expect(run.errors).toBe(3);
+  });
+
+  it('rejects unknown judges, missing sets and unsafe names', async () => {
+    await expect(evaluator.run({ questionSet: 'answers-test', judge: 'human' })).rejects.toThrow('Unknown judge: human (use llm or mock)');
+    await expect(evaluator.run({ questionSet: 'missing', judge: 'mock' })).rejects.toThrow('Question set not found: missing');
+    await expect(evaluator.loadRun('../secrets')).rejects.toThrow('Invalid name: ../secrets');
+  });
+});
+
+describe('AnswerEvalService runs', () => {
+  it('lists stored runs newest first', async () => {
+    await writeJson('eval/runs/older.json', { id: 'older', ranAt: '2026-01-01T00:00:00.000Z', scores: {}, questions: [] });
+    await writeJson('eval/runs/newer.json', { id: 'newer', ranAt: '2026-02-01T00:00:00.000Z', scores: {}, questions: [] });
+
+    expect((await evaluator.listRuns()).map(run => run.id)).toEqual(['newer', 'older']);
+    await expect(evaluator.loadRun('gone')).rejects.toThrow('Run not found: gone');
+  });
+
+  it('compares two runs side by side and flags a judge change', () => {
+    const run = (id, judgeModel, score, answer) => ({
+      id,
+      label: null,
+      ranAt: '2026-01-01T00:00:00.000Z',
+      questionSet: 'answers-test',
+      questionSetVersion: '1.0',
+      promptVersion: 'abc',
+      answering: { provider: 'mock', model: 'mock-chat' },
+      judge: { provider: 'mock', model: judgeModel },
+      scores: { faithfulness: score, completeness: 3, personaAdherence: 3 },
+      questions: [{
+        id: 'iot',
+        question: 'What did Scott do?',
+        persona: 'default',
+        answer,
+        scores: { faithfulness: { score }, completeness: { score: 3 }, personaAdherence: { score: 3 } }
+      }]
+    });
+
+    const comparison = evaluator.compareRuns(run('base', 'judge-a', 3, 'Led IoT'), run('candidate', 'judge-b', 4.5, 'Led IoT | PMO'));
+
+    expect(comparison.setupChanges).toEqual(['judge']);
+    expect(comparison.warnings).toEqual(['Runs were scored by different judges; score deltas mix answer and judge changes']);
+    expect(comparison.scores.faithfulness).toEqual({ base: 3, candidate: 4.5, delta: 1.5 });
+    expect(comparison.questions[0].delta.faithfulness.delta).toBe(1.5);
+
+    const markdown = evaluator.renderComparison(comparison);
+    expect(markdown).toContain('| faithfulness | 3 | 4.5 | +1.5 |');
+    expect(markdown).toContain('| Led IoT | Led IoT \\| PMO |');
+  });
+});
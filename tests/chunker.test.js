@@ -0,0 +1,83 @@
+import Chunker, { countTokens } from '../services/chunker.js';
+
+const HEADER = 'Coca-Cola • IoT Subject Matter Expert • 2015-03-01–2017-06-30';
+
+const bullets = count => Array.from({ length: count }, (_, i) =>
+  `- Delivered milestone ${i + 1} of the connected cooler rollout with the bottling partners`).join('\n');
+
+describe('countTokens', () => {
+  it('counts tokens and treats empty text as 0', () => {
+    expect(countTokens('hello world')).toBe(2);
+    expect(countTokens('')).toBe(0);
+    expect(countTokens(undefined)).toBe(0);
+  });
+});
+
+describe('Chunker.chunk', () => {
+  it('keeps a short document in one chunk per section, headed by the header and heading', () => {
+    const chunks = new Chunker().chunk('Intro paragraph.\n\n## Highlights\n- Led the IoT platform\n\n## Skills\nIoT, PMO', HEADER);
+
+    expect(chunks.map(chunk => chunk.section)).toEqual([null, 'Highlights', 'Skills']);
+    expect(chunks[0].content).toBe(`${HEADER}\n\nIntro paragraph.`);
+    expect(chunks[1].content).toBe(`${HEADER}\n\n## Highlights\n\n- Led the IoT platform`);
+    expect(chunks.every(chunk => chunk.part === 1 && chunk.parts === 1)).toBe(true);
+  });
+
+  it('keeps sub-headings inside their section', () => {
+    const chunks = new Chunker().chunk('## Highlights\n### 2016\n- Shipped the pilot');
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].content).toBe('## Highlights\n\n### 2016\n- Shipped the pilot');
+  });
+
+  it('keeps every chunk within the token budget', () => {
+    const chunker = new Chunker({ maxTokens: 80, overlapTokens: 20 });
+    const chunks = chunker.chunk(`## Highlights\n${bullets(12)}`, HEADER);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk.tokenCount).toBe(countTokens(chunk.content));
+      expect(chunk.tokenCount).toBeLessThanOrEqual(80);
+      expect(chunk.content.startsWith(`${HEADER}\n\n## Highlights\n\n`)).toBe(true);
+    });
+    expect(chunks.map(chunk => chunk.part)).toEqual(chunks.map((_, i) => i + 1));
+    expect(chunks.every(chunk => chunk.parts === chunks.length)).toBe(true);
+  });
+
+  it('repeats trailing bullets at the start of the next chunk', () => {
+    const chunks = new Chunker({ maxTokens: 80, overlapTokens: 20 }).chunk(bullets(8));
+    const lines = chunks.map(chunk => chunk.content.split('\n'));
+
+    expect(lines[1][0]).toBe(lines[0][lines[0].length - 1]);
+  });
+
+  it('does not repeat anything without overlap', () => {
+    const chunks = new Chunker({ maxTokens: 80, overlapTokens: 0 }).chunk(bullets(8));
+    const lines = chunks.flatMap(chunk => chunk.content.split('\n'));
+
+    expect(lines).toEqual(bullets(8).split('\n'));
+  });
+
+  it('splits a block too big for one chunk at sentence boundaries', () => {
+    const paragraph = Array.from({ length: 20 }, (_, i) => `Sentence number ${i + 1} describes the program.`).join(' ');
+    const chunks = new Chunker({ maxTokens: 50, overlapTokens: 0 }).chunk(paragraph);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk.tokenCount).toBeLessThanOrEqual(50);
+      expect(chunk.content).toMatch(/^Sentence number \d+.*\.$/s);
+    });
+  });
+
+  it('cuts a single sentence longer than the budget into token windows', () => {
+    const sentence = Array.from({ length: 120 }, (_, i) => `word${i}`).join(' ');
+    const chunks = new Chunker({ maxTokens: 40, overlapTokens: 0 }).chunk(sentence);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.tokenCount).toBeLessThanOrEqual(40));
+  });
+
+  it('rejects a header that leaves no room for text', () => {
+    expect(() => new Chunker({ maxTokens: 5 }).chunk('Body text.', HEADER)).toThrow('exceeds the 5-token budget');
+  });
+});
@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals';
+import CitationService from '../services/citations.js';
+
+const citations = new CitationService();
+
+const chunks = [
+  {
+    id: 11,
+    source_id: 'coca-cola-iot',
+    content: 'Coca-Cola • IoT Subject Matter Expert • 2015-03-01–2017-06-30\n\n- Led the connected cooler program across 40 bottlers.\n- Cut cooler downtime by 25% with remote telemetry.',
+    date_start: '2015-03-01',
+    date_end: '2017-06-30',
+    sources: { id: 'coca-cola-iot', title: 'IoT Subject Matter Expert', org: 'Coca-Cola', type: 'job' }
+  },
+  {
+    id: 12,
+    source_id: 'equifax-pmo',
+    title: 'PMO Director',
+    content: 'Equifax • PMO Director • 2018-01-01–present\n\nRan the cloud migration PMO.',
+    date_start: '2018-01-01',
+    date_end: null
+  }
+];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CitationService.resolveCitations', () => {
+  it('maps each marker to its chunk with source, dates and the best supporting sentence', () => {
+    const result = citations.resolveCitations('Scott cut cooler downtime by 25% [1]. He later ran a PMO [2].', chunks);
+
+    expect(result.answer).toBe('Scott cut cooler downtime by 25% [1]. He later ran a PMO [2].');
+    expect(result.citations).toEqual([
+      {
+        marker: 1,
+        chunkId: 11,
+        source: { id: 'coca-cola-iot', title: 'IoT Subject Matter Expert', organization: 'Coca-Cola', type: 'job' },
+        dateRange: { start: '2015-03-01', end: '2017-06-30', display: null },
+        excerpt: 'Cut cooler downtime by 25% with remote telemetry.'
+      },
+      {
+        marker: 2,
+        chunkId: 12,
+        source: { id: 'equifax-pmo', title: 'PMO Director', organization: undefined, type: undefined },
+        dateRange: { start: '2018-01-01', end: null, display: null },
+        excerpt: 'Ran the cloud migration PMO.'
+      }
+    ]);
+  });
+
+  it('splits grouped markers and lists each chunk once, in marker order', () => {
+    const result = citations.resolveCitations('He led IoT and PMO work [2, 1]. IoT again [1].', chunks);
+
+    expect(result.answer).toBe('He led IoT and PMO work [2][1]. IoT again [1].');
+    expect(result.citations.map(citation => citation.marker)).toEqual([1, 2]);
+  });
+
+  it('strips markers that point past the supplied context and tidies the gap', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const result = citations.resolveCitations('Scott led the cooler program [3]. He ran a PMO [0, 2].', chunks);
+
+    expect(result.answer).toBe('Scott led the cooler program. He ran a PMO [2].');
+    expect(result.citations.map(citation => citation.chunkId)).toEqual([12]);
+    expect(console.log).toHaveBeenCalledWith('✂️  Stripped 2 citation marker(s) pointing at unknown context');
+  });
+
+  it('returns no citations for an answer without markers', () => {
+    expect(citations.resolveCitations('I do not have that information.', chunks))
+      .toEqual({ answer: 'I do not have that information.', citations: [] });
+  });
+});
+
+describe('CitationService.findSupportingExcerpt', () => {
+  it('skips the chunk header and truncates long sentences', () => {
+    const long = `Header line\n${'word '.repeat(100)}end.`;
+
+    const excerpt = citations.findSupportingExcerpt(long, ['word']);
+
+    expect(excerpt).toBe(`${'word '.repeat(60).trim()}...`);
+  });
+});
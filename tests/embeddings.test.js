@@ -0,0 +1,55 @@
+import { jest } from '@jest/globals';
+import EmbeddingService from '../services/embeddings.js';
+
+const embeddings = new EmbeddingService();
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('hash embedding provider', () => {
+  it('is selected by EMBEDDING_PROVIDER=mock and tags vectors with its model', () => {
+    expect(embeddings.describe()).toEqual({ provider: 'mock', model: 'hash/hash-v1', dimensions: 1024 });
+  });
+
+  it('returns the same unit vector for the same text', async () => {
+    const first = await embeddings.embedText('Led the IoT platform at Coca-Cola');
+    const second = await embeddings.embedText('Led the IoT platform at Coca-Cola');
+
+    expect(first).toHaveLength(1024);
+    expect(second).toEqual(first);
+    expect(cosine(first, first)).toBeCloseTo(1, 10);
+  });
+
+  it('places texts that share words closer than unrelated ones', async () => {
+    const [query, related, unrelated] = await embeddings.embedTexts([
+      'IoT platform at Coca-Cola',
+      'Scott led the IoT platform program at Coca-Cola',
+      'Completed a degree in mechanical engineering'
+    ]);
+
+    expect(cosine(query, related)).toBeGreaterThan(cosine(query, unrelated));
+  });
+
+  it('embeds batches in input order and reports each batch', async () => {
+    const texts = ['alpha', 'beta', 'gamma'];
+    const batches = [];
+    const vectors = await embeddings.embedTexts(texts, 'search_document', {
+      onBatch: (start, count) => batches.push([start, count])
+    });
+
+    expect(vectors).toEqual(await Promise.all(texts.map(text => embeddings.embedText(text))));
+    expect(batches).toEqual([[0, 3]]);
+  });
+
+  it('rejects empty input', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(embeddings.embedText('  ')).rejects.toThrow('non-empty string');
+    console.error.mockRestore();
+  });
+
+  it('rejects a batch with an empty text instead of returning fewer vectors', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(embeddings.embedTexts(['alpha', ' ', 'gamma'])).rejects.toThrow('Text at index 1 is empty');
+    await expect(embeddings.embedTexts(['alpha', null])).rejects.toThrow('Text at index 1 is empty');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,88 @@
+import GroundingService from '../services/grounding.js';
+
+const grounding = new GroundingService();
+
+const chunks = [
+  {
+    id: 11,
+    title: 'IoT Subject Matter Expert',
+    content: 'Led the IoT platform program for 3,000 connected coolers, cutting service costs by 25%.',
+    date_start: '2015-03-01',
+    date_end: '2017-06-30',
+    sources: { title: 'IoT Subject Matter Expert', org: 'Coca-Cola' }
+  },
+  {
+    id: 12,
+    title: 'Director of Program Management',
+    content: 'Ran a 40-person PMO delivering cloud migration programs.',
+    date_start: '2018-01-01',
+    date_end: null,
+    sources: { title: 'Director of Program Management', org: 'Equifax' }
+  }
+];
+const context = chunks.map(chunk => grounding.buildChunkEvidence(chunk));
+
+describe('GroundingService.verifyClaim', () => {
+  it('supports a claim whose numbers and organization appear in the cited chunk', () => {
+    const result = grounding.verifyClaim('Scott led the IoT platform for 3000 connected coolers at Coca-Cola [1].', context);
+
+    expect(result.verdict).toBe('supported');
+    expect(result.markers).toEqual([1]);
+    expect(result.checks).toEqual([
+      { type: 'number', value: '3000', supported: true, chunkId: 11 },
+      { type: 'organization', value: 'Coca-Cola', supported: true, chunkId: 11 }
+    ]);
+    expect(result.supportingChunkIds).toEqual([11]);
+  });
+
+  it('flags a number the context does not contain', () => {
+    const result = grounding.verifyClaim('He cut service costs by 60% on the IoT platform [1].', context);
+
+    expect(result.verdict).toBe('unsupported');
+    expect(result.checks).toContainEqual({ type: 'number', value: '60%', supported: false, chunkId: null });
+  });
+
+  it('flags an organization the context does not name', () => {
+    const result = grounding.verifyClaim('He ran a 40-person PMO at Microsoft.', context);
+
+    expect(result.verdict).toBe('unsupported');
+    expect(result.checks.find(check => check.type === 'organization')).toMatchObject({ value: 'Microsoft', supported: false });
+  });
+
+  it('accepts a year inside a chunk\'s date range', () => {
+    const result = grounding.verifyClaim('In 2016 he led the IoT platform program [1].', context);
+
+    expect(result.checks).toContainEqual({ type: 'date', value: '2016', supported: true, chunkId: 11 });
+    expect(result.verdict).toBe('supported');
+  });
+
+  it('checks uncited claims against the whole context', () => {
+    const result = grounding.verifyClaim('He ran a 40-person PMO delivering cloud migration programs.', context);
+
+    expect(result.markers).toEqual([]);
+    expect(result.verdict).toBe('supported');
+    expect(result.supportingChunkIds).toEqual([12]);
+  });
+
+  it('calls a claim with no facts and little word overlap unsupported', () => {
+    const result = grounding.verifyClaim('He enjoys sailing and painting watercolors on weekends.', context);
+
+    expect(result.checks).toEqual([]);
+    expect(result.verdict).toBe('unsupported');
+  });
+});
+
+describe('GroundingService.verifyAnswer', () => {
+  it('removes unsupported sentences in remove mode', () => {
+    const result = grounding.verifyAnswer(
+      'Scott led the IoT platform at Coca-Cola [1]. He also founded a biotech startup in 2009.',
+      chunks,
+      { mode: 'remove' }
+    );
+
+    expect(result.answer).toBe('Scott led the IoT platform at Coca-Cola [1].');
+    expect(result.unsupportedCount).toBe(1);
+    expect(result.removedCount).toBe(1);
+    expect(result.score).toBe(0.5);
+  });
+});
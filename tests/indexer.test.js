@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { db } from '../config/database.js';
+import { planFile, planRemovals } from '../scripts/indexer.js';
+
+const MODEL = 'cohere/embed-english-v3.0';
+const RESUME = `---
+id: acme-director
+type: job
+title: Director
+org: Acme
+date_start: '2019-01-01'
+---
+## Highlights
+- Led the platform team
+`;
+const HASH = crypto.createHash('sha1').update(RESUME).digest('hex');
+
+const notDone = { isDone: () => false };
+// Chunks stored per file hash, as db.getChunkVersions reports them
+let stored;
+
+const originalCwd = process.cwd();
+let workDir;
+
+const writeSource = async (relPath, text = RESUME) => {
+  await fs.mkdir(path.dirname(path.join('sources', relPath)), { recursive: true });
+  await fs.writeFile(path.join('sources', relPath), text);
+  return { dir: path.dirname(relPath), filePath: path.join('sources', relPath), relPath };
+};
+
+beforeEach(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'indexer-'));
+  process.chdir(workDir);
+  stored = {};
+  jest.spyOn(db, 'getChunkVersions').mockImplementation(async sourceId => stored[sourceId] || {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  process.chdir(originalCwd);
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+describe('planFile', () => {
+  it('adds a source with no stored chunks', async () => {
+    const plan = await planFile(await writeSource('jobs/acme.md'), { checkpoint: notDone, modelId: MODEL });
+
+    expect(plan).toMatchObject({ action: 'add', sourceId: 'acme-director', fileHash: HASH, storedChunks: 0 });
+    expect(plan.chunks[0].content).toBe('Acme • Director • 2019-01-01–present\n\n## Highlights\n\n- Led the platform team');
+  });
+
+  it('leaves a source alone when this version is fully stored by the active model', async () => {
+    const file = await writeSource('jobs/acme.md');
+    stored['acme-director'] = { [HASH]: { chunks: 1, models: [MODEL] } };
+
+    expect((await planFile(file, { checkpoint: notDone, modelId: MODEL })).action).toBe('unchanged');
+  });
+
+  it('replaces an earlier version, a partly stored one and one from another model', async () => {
+    const file = await writeSource('jobs/acme.md');
+
+    stored['acme-director'] = { oldhash: { chunks: 3, models: [MODEL] } };
+    expect(await planFile(file, { checkpoint: notDone, modelId: MODEL })).toMatchObject({ action: 'replace', storedChunks: 3 });
+
+    stored['acme-director'] = { [HASH]: { chunks: 1, models: [MODEL] }, oldhash: { chunks: 1, models: [MODEL] } };
+    expect((await planFile(file, { checkpoint: notDone, modelId: MODEL })).action).toBe('replace');
+
+    stored['acme-director'] = { [HASH]: { chunks: 1, models: ['openai/text-embedding-3-small'] } };
+    expect((await planFile(file, { checkpoint: notDone, modelId: MODEL })).action).toBe('replace');
+  });
+
+  it('trusts the checkpoint without asking the database', async () => {
+    const file = await writeSource('jobs/acme.md');
+    const checkpoint = { isDone: (filePath, hash) => filePath === file.filePath && hash === HASH };
+
+    expect(await planFile(file, { checkpoint, modelId: MODEL })).toMatchObject({ action: 'unchanged', reason: 'checkpoint' });
+    expect(db.getChunkVersions).not.toHaveBeenCalled();
+  });
+
+  it('rejects a file without an id', async () => {
+    const file = await writeSource('jobs/untitled.md', '---\ntitle: Untitled\n---\nText\n');
+
+    await expect(planFile(file, { checkpoint: notDone, modelId: MODEL })).rejects.toThrow('No id in frontmatter');
+  });
+});
+
+describe('planRemovals', () => {
+  const plan = (relPath, sourceId) => ({ relPath, sourceId, action: 'unchanged' });
+  const source = (id, filePath) => ({ id, title: id, file_path: filePath });
+
+  it('removes a source whose file is in neither sources/ nor archives/', async () => {
+    stored.gone = { abc: { chunks: 2, models: [MODEL] }, none: { chunks: 1, models: [MODEL] } };
+
+    const removals = await planRemovals([], [source('gone', 'jobs/gone.md')]);
+
+    expect(removals).toEqual([{ sourceId: 'gone', title: 'gone', relPath: 'jobs/gone.md', chunks: 3 }]);
+  });
+
+  it('keeps a source whose file was archived or moved', async () => {
+    await fs.mkdir(path.join('archives', 'jobs'), { recursive: true });
+    await fs.writeFile(path.join('archives', 'jobs', 'old.md'), RESUME);
+    const plans = [plan('projects/acme.md', 'moved')];
+
+    const removals = await planRemovals(plans, [source('archived', 'jobs/old.md'), source('moved', 'jobs/acme.md')]);
+
+    expect(removals).toEqual([]);
+  });
+
+  it('removes a source whose file now declares another id', async () => {
+    const plans = [plan('jobs/acme.md', 'acme-director')];
+
+    const removals = await planRemovals(plans, [source('acme-manager', 'jobs/acme.md')]);
+
+    expect(removals.map(removal => removal.sourceId)).toEqual(['acme-manager']);
+  });
+
+  it('ignores files that failed to plan', async () => {
+    const plans = [{ relPath: 'jobs/acme.md', sourceId: 'acme-director', action: 'error', error: 'Duplicate source id' }];
+
+    const removals = await planRemovals(plans, [source('acme-director', 'jobs/acme.md')]);
+
+    expect(removals.map(removal => removal.sourceId)).toEqual(['acme-director']);
+  });
+});
+
+describe('Database source versioning functions', () => {
+  let rpc;
+
+  beforeEach(() => {
+    rpc = jest.fn(async () => ({ data: { removed: 2, version: 3 }, error: null }));
+    db.admin = { rpc };
+  });
+
+  afterEach(() => {
+    db.admin = null;
+  });
+
+  it('sends the source row with its chunks to replace_source_chunks', async () => {
+    const source = { id: 'acme-director', title: 'Director', org: 'Acme', file_path: 'jobs/acme.md', skills: ['IoT'] };
+
+    await expect(db.replaceSourceChunks(source, HASH, [{ title: 'Director - Highlights', content: 'Led' }]))
+      .resolves.toEqual({ removed: 2, version: 3 });
+
+    const [name, params] = rpc.mock.calls[0];
+    expect(name).toBe('replace_source_chunks');
+    expect(params.p_source).toMatchObject({ id: 'acme-director', title: 'Director', org: 'Acme', file_path: 'jobs/acme.md' });
+    expect(params.p_source).not.toHaveProperty('skills');
+    expect(params.p_file_hash).toBe(HASH);
+    expect(params.p_chunks[0]).toMatchObject({ source_id: 'acme-director', file_hash: HASH, content: 'Led' });
+  });
+
+  it('deletes a source through delete_source', async () => {
+    rpc.mockResolvedValue({ data: 4, error: null });
+
+    await expect(db.deleteSource('gone')).resolves.toBe(4);
+    expect(rpc).toHaveBeenCalledWith('delete_source', { p_source_id: 'gone' });
+  });
+
+  it('names the migration when the function is missing, and needs the service role', async () => {
+    rpc.mockResolvedValue({ data: null, error: { code: 'PGRST202', message: 'not found' } });
+    await expect(db.deleteSource('gone')).rejects.toThrow('delete_source function not found - run migrations/add-source-versioning.sql');
+
+    db.admin = null;
+    await expect(db.deleteSource('gone')).rejects.toThrow('SUPABASE_SERVICE_ROLE_KEY is required to delete sources');
+  });
+});
@@ -0,0 +1,338 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import express from 'express';
+
+// Stand-ins for the five stage scripts: each writes one Markdown file where the real stage would,
+// unless a test gives it other behaviour
+const behaviour = {};
+const calls = [];
+const fakeStage = (name, outputDir) => ({
+  default: async options => {
+    calls.push(name);
+    if (behaviour[name]) {
+      return behaviour[name](options);
+    }
+    if (outputDir) {
+      await fs.mkdir(outputDir, { recursive: true });
+      await fs.writeFile(path.join(outputDir, `${name}.md`), `# ${name}\n`);
+    }
+    return { stage: name };
+  }
+});
+
+jest.unstable_mockModule('../scripts/normalize.js', () => fakeStage('normalize', '.work/normalized'));
+jest.unstable_mockModule('../scripts/extract.js', () => fakeStage('extract', '.work/extracted'));
+jest.unstable_mockModule('../scripts/validate.js', () => fakeStage('validate', '.work/validated'));
+jest.unstable_mockModule('../scripts/write.js', () => fakeStage('write', 'sources/jobs'));
+jest.unstable_mockModule('../scripts/indexer.js', () => fakeStage('index', null));
+
+const { default: IngestionJobService, ingestionJobs } = await import('../services/ingestion-jobs.js');
+const { default: jobRoutes } = await import('../routes/jobs.js');
+
+const LOCK_PATH = path.join('logs', 'jobs', 'ingest.lock');
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+// A pid that no longer belongs to any process
+const deadPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+const finished = (service, id) => new Promise(resolve => {
+  const listener = job => {
+    if (job.id === id && FINISHED.includes(job.status)) {
+      service.off('job', listener);
+      resolve(job);
+    }
+  };
+  service.on('job', listener);
+});
+
+const writeLock = holder => fs.writeFile(LOCK_PATH, JSON.stringify(holder));
+const readLock = async () => JSON.parse(await fs.readFile(LOCK_PATH, 'utf8'));
+
+const originalCwd = process.cwd();
+let workDir;
+
+beforeEach(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ingestion-jobs-'));
+  process.chdir(workDir);
+  await fs.mkdir('incoming');
+  await fs.writeFile(path.join('incoming', 'resume.md'), '# Resume\n');
+  await fs.mkdir(path.dirname(LOCK_PATH), { recursive: true });
+  calls.length = 0;
+  Object.keys(behaviour).forEach(name => delete behaviour[name]);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  process.chdir(originalCwd);
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+describe('IngestionJobService lock', () => {
+  const job = id => ({ id });
+
+  it('creates the lock when there is none and releases only its own', async () => {
+    const service = new IngestionJobService();
+    await service.acquireLock(job('a'));
+
+    expect(await readLock()).toMatchObject({ pid: process.pid, jobId: 'a' });
+    await service.releaseLock(job('b'));
+    expect(await readLock()).toMatchObject({ jobId: 'a' });
+    await service.releaseLock(job('a'));
+    expect(await service.readLock()).toBeNull();
+  });
+
+  it('refuses a lock held by another live process', async () => {
+    await writeLock({ pid: process.ppid, jobId: 'cli', acquiredAt: '2025-01-01T00:00:00.000Z' });
+
+    await expect(new IngestionJobService().acquireLock(job('a')))
+      .rejects.toThrow(`Another ingestion is running (job cli, pid ${process.ppid})`);
+    expect(await readLock()).toMatchObject({ jobId: 'cli' });
+  });
+
+  it('takes over a lock whose holder is gone', async () => {
+    await writeLock({ pid: deadPid(), jobId: 'crashed', acquiredAt: '2025-01-01T00:00:00.000Z' });
+
+    await new IngestionJobService().acquireLock(job('a'));
+
+    expect(await readLock()).toMatchObject({ pid: process.pid, jobId: 'a' });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Removed stale ingestion lock left by job crashed'));
+  });
+
+  it('lets only one of two services take over the same stale lock', async () => {
+    await writeLock({ pid: deadPid(), jobId: 'crashed', acquiredAt: '2025-01-01T00:00:00.000Z' });
+
+    const results = await Promise.allSettled([
+      new IngestionJobService().acquireLock(job('a')),
+      new IngestionJobService().acquireLock(job('b'))
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.message).toMatch(/^Another ingestion/);
+    expect(['a', 'b']).toContain((await readLock()).jobId);
+    expect((await fs.readdir(path.dirname(LOCK_PATH))).filter(file => file.includes('stale'))).toEqual([]);
+  });
+
+  it('puts back a lock that replaced the stale one before it could be moved', async () => {
+    const stale = { pid: deadPid(), jobId: 'crashed', acquiredAt: '2025-01-01T00:00:00.000Z' };
+    await writeLock({ pid: process.ppid, jobId: 'newer', acquiredAt: '2025-01-01T00:00:01.000Z' });
+
+    await expect(new IngestionJobService().removeStaleLock(stale)).rejects.toThrow('Another ingestion took the ingestion lock first');
+    expect(await readLock()).toMatchObject({ jobId: 'newer' });
+  });
+
+  it('leaves persisted jobs alone while another live process holds the lock', async () => {
+    const running = { id: 'other', status: 'running', createdAt: '2025-01-01T00:00:00.000Z', files: [], stages: [] };
+    await fs.writeFile(path.join('logs', 'jobs', 'other.json'), JSON.stringify(running));
+    await writeLock({ pid: process.ppid, jobId: 'other', acquiredAt: running.createdAt });
+
+    const service = new IngestionJobService();
+    await service.init();
+
+    expect((await service.getJob('other')).status).toBe('running');
+  });
+
+  it('marks jobs interrupted by a restart failed when no live process holds the lock', async () => {
+    const running = { id: 'other', status: 'running', createdAt: '2025-01-01T00:00:00.000Z', files: [], stages: [{ name: 'extract', status: 'running' }] };
+    await fs.writeFile(path.join('logs', 'jobs', 'other.json'), JSON.stringify(running));
+    await writeLock({ pid: deadPid(), jobId: 'other', acquiredAt: running.createdAt });
+
+    const service = new IngestionJobService();
+    await service.init();
+
+    expect(await service.getJob('other')).toMatchObject({ status: 'failed', error: 'Interrupted by a server restart' });
+  });
+});
+
+describe('IngestionJobService jobs', () => {
+  it('runs every stage, passes its logger to them and releases the lock', async () => {
+    behaviour.validate = async ({ logger }) => {
+      logger.warn('⚠️ skipped a block');
+      await fs.mkdir('.work/validated', { recursive: true });
+      await fs.writeFile('.work/validated/a.md', '# a\n');
+    };
+    const service = new IngestionJobService();
+    const job = await service.createJob();
+    const done = await finished(service, job.id);
+
+    expect(done.status).toBe('completed');
+    expect(calls).toEqual(['normalize', 'extract', 'validate', 'write', 'index']);
+    expect(done.stages.map(stage => stage.status)).toEqual(['completed', 'completed', 'completed', 'completed', 'completed']);
+    expect(await service.getLog(job.id)).toContainEqual(expect.stringMatching(/ WARN ⚠️ skipped a block$/));
+    expect(await service.getEvents(job.id)).toContainEqual(expect.objectContaining({
+      type: 'warning',
+      data: expect.objectContaining({ stage: 'validate', level: 'warn', message: '⚠️ skipped a block' })
+    }));
+    expect(await service.readLock()).toBeNull();
+  });
+
+  it('fails a stage that produces no files', async () => {
+    behaviour.extract = async () => ({ blocks: 0 });
+    const service = new IngestionJobService();
+    const job = await service.createJob();
+    const done = await finished(service, job.id);
+
+    expect(done.status).toBe('failed');
+    expect(done.error).toBe('Extracting structured data produced 0 files (expected at least 1)');
+    expect(calls).toEqual(['normalize', 'extract']);
+  });
+
+  it('cancels a running job at the stage\'s next check and a queued job at once', async () => {
+    let started;
+    const extractStarted = new Promise(resolve => {
+      started = resolve;
+    });
+    behaviour.extract = ({ signal }) => new Promise((resolve, reject) => {
+      started();
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+    const service = new IngestionJobService();
+    const running = await service.createJob();
+    const queued = await service.createJob();
+    await extractStarted;
+
+    expect((await service.cancelJob(queued.id)).status).toBe('cancelled');
+    await service.cancelJob(running.id);
+    const done = await finished(service, running.id);
+
+    expect(done.status).toBe('cancelled');
+    expect(done.stages.map(stage => stage.status)).toEqual(['completed', 'cancelled', 'cancelled', 'cancelled', 'cancelled']);
+    expect(calls).toEqual(['normalize', 'extract']);
+    await expect(service.cancelJob(running.id)).rejects.toThrow('has already finished (cancelled)');
+  });
+
+  it('retries a failed job from the stage that did not complete', async () => {
+    behaviour.validate = async () => {
+      throw new Error('validator crashed');
+    };
+    const service = new IngestionJobService();
+    const failed = await finished(service, (await service.createJob()).id);
+    expect(failed.status).toBe('failed');
+
+    delete behaviour.validate;
+    calls.length = 0;
+    const retry = await service.retryJob(failed.id);
+    const done = await finished(service, retry.id);
+
+    expect(retry).toMatchObject({ retryOf: failed.id, startStage: 'validate' });
+    expect(done.status).toBe('completed');
+    expect(done.stages.map(stage => stage.status)).toEqual(['skipped', 'skipped', 'completed', 'completed', 'completed']);
+    expect(calls).toEqual(['validate', 'write', 'index']);
+  });
+
+  it('only retries the latest job, and only when it failed or was cancelled', async () => {
+    behaviour.normalize = async () => {
+      throw new Error('pandoc missing');
+    };
+    const service = new IngestionJobService();
+    const first = await finished(service, (await service.createJob()).id);
+    const second = await finished(service, (await service.createJob()).id);
+
+    await expect(service.retryJob(first.id)).rejects.toThrow(`Job ${second.id} has run since ${first.id}`);
+
+    delete behaviour.normalize;
+    const completed = await finished(service, (await service.retryJob(second.id)).id);
+    await expect(service.retryJob(completed.id)).rejects.toThrow('Only failed or cancelled jobs can be retried');
+  });
+});
+
+describe('IngestionJobService events', () => {
+  it('records typed stage events in order, tagging stage reports with their stage', async () => {
+    behaviour.extract = async ({ onEvent }) => {
+      onEvent('file-progress', { file: 'resume.md', index: 1, total: 1, status: 'completed' });
+      onEvent('not-a-progress-event', {});
+      await fs.mkdir('.work/extracted', { recursive: true });
+      await fs.writeFile('.work/extracted/resume.md', '# resume\n');
+    };
+    behaviour.index = async ({ onEvent }) => {
+      onEvent('chunk-embedded', { file: 'sources/jobs/write.md', chunk: 1, totalChunks: 1 });
+    };
+    const service = new IngestionJobService();
+    const job = await service.createJob();
+    await finished(service, job.id);
+
+    const events = await service.getEvents(job.id);
+
+    expect(events.map(event => event.id)).toEqual(events.map((event, index) => index + 1));
+    expect(events.filter(event => event.data.stage === 'extract').map(event => event.type)).toEqual(['stage-start', 'file-progress', 'stage-complete']);
+    expect(events.find(event => event.type === 'file-progress').data).toMatchObject({ stage: 'extract', file: 'resume.md', status: 'completed' });
+    expect(events.find(event => event.type === 'chunk-embedded').data).toMatchObject({ stage: 'index', chunk: 1 });
+    expect(events[0].data).toMatchObject({ stage: 'normalize', step: 1, totalSteps: 5 });
+    expect(events.at(-1)).toMatchObject({ type: 'done', data: { status: 'completed', stages: expect.any(Array) } });
+    expect(events.filter(event => event.type === 'stage-complete').map(event => event.data.status)).toEqual(Array(5).fill('completed'));
+  });
+
+  it('replays events after the last one a subscriber saw, then streams the rest without gaps', async () => {
+    let release;
+    const released = new Promise(resolve => {
+      release = resolve;
+    });
+    behaviour.validate = async ({ onEvent }) => {
+      await released;
+      onEvent('file-progress', { file: 'resume.md', status: 'completed' });
+      await fs.mkdir('.work/validated', { recursive: true });
+      await fs.writeFile('.work/validated/resume.md', '# resume\n');
+    };
+    const service = new IngestionJobService();
+    const job = await service.createJob();
+    const done = finished(service, job.id);
+    while ((await service.getEvents(job.id)).length < 5) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const received = [];
+    const unsubscribe = await service.subscribe(job.id, 2, event => received.push(event));
+    release();
+    await done;
+    unsubscribe();
+
+    expect(received[0].id).toBe(3);
+    expect(received.map(event => event.id)).toEqual(received.map((event, index) => index + 3));
+    expect(received.at(-1).type).toBe('done');
+  });
+});
+
+describe('GET /api/jobs/:id/events', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/jobs', jobRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/jobs`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('streams a finished job\'s events after Last-Event-ID as text/event-stream', async () => {
+    const job = await ingestionJobs.createJob();
+    await finished(ingestionJobs, job.id);
+    const total = (await ingestionJobs.getEvents(job.id)).length;
+
+    const response = await fetch(`${baseUrl}/${job.id}/events`, { headers: { 'Last-Event-ID': '3' } });
+    const body = await response.text();
+
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+    expect(response.headers.get('x-job-id')).toBe(job.id);
+    const ids = [...body.matchAll(/^id: (\d+)$/gm)].map(([, id]) => Number(id));
+    expect(ids).toEqual(Array.from({ length: total - 3 }, (value, index) => index + 4));
+    expect(body).toMatch(/event: done\ndata: \{"status":"completed"/);
+  });
+
+  it('rejects a malformed Last-Event-ID and unknown jobs', async () => {
+    expect((await fetch(`${baseUrl}/some-job/events`)).status).toBe(404);
+    const job = await ingestionJobs.createJob();
+    await finished(ingestionJobs, job.id);
+
+    expect((await fetch(`${baseUrl}/${job.id}/events`, { headers: { 'Last-Event-ID': 'abc' } })).status).toBe(400);
+  });
+});
@@ -0,0 +1,167 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import JobMatchService from '../services/job-match.js';
+import matchRoutes from '../routes/match.js';
+
+const JOB_DESCRIPTION = `Director of Engineering
+Join our team at Acme Corp.
+- 10+ years leading Cloud teams on AWS
+- Experience with IoT
+- MBA is a plus`;
+
+const chunk = (id, content, similarity, skills = []) => ({
+  id,
+  content,
+  similarity,
+  skills,
+  date_start: '2015-03-01',
+  displayDateRange: 'Mar 2015 - Jun 2017',
+  sources: { id: `source-${id}`, title: 'IoT Lead', org: 'Coca-Cola', type: 'job' }
+});
+
+let jobMatch;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jobMatch = new JobMatchService();
+  // AWS is strongly covered, IoT weakly, and nothing mentions an MBA
+  jest.spyOn(jobMatch.retrieval, 'retrieveContext').mockImplementation(async query => {
+    if (query.includes('AWS')) {
+      return { chunks: [chunk(1, 'Led cloud teams on AWS.', 0.65, ['AWS'])] };
+    }
+    if (query.includes('IoT')) {
+      return { chunks: [chunk(2, 'Built connected cooler telemetry.', 0.45)] };
+    }
+    return { chunks: [] };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('JobMatchService.analyzeJobDescription', () => {
+  it('scores each requirement from its evidence and weights required ones double', async () => {
+    const report = await jobMatch.analyzeJobDescription(JOB_DESCRIPTION, { evidencePerRequirement: 2 });
+
+    expect(report.role).toEqual({ title: 'Director of Engineering', company: 'Acme Corp' });
+    expect(report.requirements.map(({ requirement, type, score, match }) => ({ requirement, type, score, match }))).toEqual([
+      { requirement: '10+ years leading Cloud teams on AWS', type: 'required', score: 100, match: 'strong' },
+      { requirement: 'Experience with IoT', type: 'required', score: 43, match: 'partial' },
+      { requirement: 'MBA is a plus', type: 'preferred', score: 0, match: 'gap' }
+    ]);
+    expect(report.overallScore).toBe(57);
+    expect(report.fit).toBe('good');
+    expect(report.counts).toEqual({ strong: 1, partial: 1, gap: 1 });
+    expect(report.gaps).toEqual([{ requirement: 'MBA is a plus', type: 'preferred', skills: ['MBA'] }]);
+    expect(jobMatch.retrieval.retrieveContext).toHaveBeenCalledWith('Experience with IoT (IoT)', expect.objectContaining({ maxResults: 2 }));
+  });
+
+  it('traces each piece of evidence to its chunk and source', async () => {
+    const report = await jobMatch.analyzeJobDescription(JOB_DESCRIPTION);
+
+    expect(report.requirements[0].matchedSkills).toEqual(['Cloud', 'AWS']);
+    expect(report.requirements[0].evidence).toEqual([{
+      chunkId: 1,
+      source: { id: 'source-1', title: 'IoT Lead', organization: 'Coca-Cola', type: 'job' },
+      dateRange: { start: '2015-03-01', end: null, display: 'Mar 2015 - Jun 2017' },
+      excerpt: 'Led cloud teams on AWS.',
+      similarity: 0.65
+    }]);
+  });
+
+  it('rejects a job description with no qualifications', async () => {
+    jest.spyOn(jobMatch.llm, 'complete').mockResolvedValue({ content: '{"title": "Engineer", "requirements": []}' });
+
+    await expect(jobMatch.analyzeJobDescription('We offer great benefits.')).rejects.toThrow('No requirements could be extracted from the job description');
+  });
+});
+
+describe('JobMatchService.summarizeFit', () => {
+  it('falls back to a counts summary when the model fails', async () => {
+    jest.spyOn(jobMatch.llm, 'complete').mockRejectedValue(new Error('timeout'));
+
+    const summary = await jobMatch.summarizeFit({
+      role: { title: 'Director' },
+      overallScore: 57,
+      fit: 'good',
+      requirements: [],
+      counts: { strong: 1, partial: 1, gap: 1 }
+    });
+
+    expect(summary).toBe('Good fit (57/100): 1 requirements strongly matched, 1 partially matched and 1 without supporting experience.');
+  });
+});
+
+describe('JobMatchService.renderMarkdown', () => {
+  it('lists requirements with their evidence and the gaps', async () => {
+    const markdown = jobMatch.renderMarkdown(await jobMatch.analyzeJobDescription(JOB_DESCRIPTION));
+
+    expect(markdown).toContain('# Fit Report: Director of Engineering at Acme Corp');
+    expect(markdown).toContain('**Overall fit:** good (57/100)');
+    expect(markdown).toContain('Skills: **Cloud** ✓, **AWS** ✓');
+    expect(markdown).toContain('- IoT Lead, Coca-Cola (Mar 2015 - Jun 2017): "Led cloud teams on AWS." — chunk 1');
+    expect(markdown).toContain('_No supporting experience found._');
+    expect(markdown).toContain('## Gaps\n\n- MBA is a plus (preferred)');
+  });
+});
+
+describe('POST /api/match', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/match', matchRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/match`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const post = (body, query = '') => fetch(`${baseUrl}${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  it('rejects missing and too-short job descriptions', async () => {
+    expect((await post({})).status).toBe(400);
+    expect(await (await post({ jobDescription: 'Engineer' })).json()).toEqual({
+      error: 'Job description is too short. Please paste at least 50 characters.'
+    });
+  });
+
+  it('clamps evidencePerRequirement to 1-5', async () => {
+    const analyze = jest.spyOn(JobMatchService.prototype, 'analyzeJobDescription').mockRejectedValue(new Error('stop'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await post({ jobDescription: JOB_DESCRIPTION, options: { evidencePerRequirement: 50 } });
+    await post({ jobDescription: JOB_DESCRIPTION, options: { evidencePerRequirement: -2 } });
+    await post({ jobDescription: JOB_DESCRIPTION });
+
+    expect(analyze.mock.calls.map(([, options]) => options.evidencePerRequirement)).toEqual([5, 1, 3]);
+  });
+
+  it('serves the report as a Markdown download on request', async () => {
+    jest.spyOn(JobMatchService.prototype, 'analyzeJobDescription').mockResolvedValue({
+      role: { title: 'Senior Program Manager', company: 'Acme' },
+      overallScore: 80,
+      fit: 'strong',
+      summary: 'Strong fit.',
+      requirements: [],
+      gaps: [],
+      counts: { strong: 0, partial: 0, gap: 0 }
+    });
+
+    const response = await post({ jobDescription: JOB_DESCRIPTION }, '?format=markdown');
+
+    expect(response.headers.get('content-type')).toBe('text/markdown; charset=utf-8');
+    expect(response.headers.get('content-disposition')).toBe('attachment; filename="fit-report-senior-program-manager-acme.md"');
+    expect(await response.text()).toContain('# Fit Report: Senior Program Manager at Acme');
+  });
+});
@@ -0,0 +1,72 @@
+import LLMService from '../services/llm.js';
+
+const llm = new LLMService();
+
+const complete = async (useCase, system, user) => {
+  const result = await llm.complete(useCase, [
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ], { responseFormat: 'json' });
+  return JSON.parse(result.content);
+};
+
+describe('mock LLM provider', () => {
+  it('runs every use case on the mock provider when LLM_PROVIDER=mock', () => {
+    expect(llm.describe('answering').provider).toBe('mock');
+  });
+
+  it('answers from the numbered context blocks with citations', async () => {
+    const { content } = await llm.complete('answering', [{
+      role: 'user',
+      content: 'CONTEXT:\n[1] IoT Lead\nScott led the IoT platform at Coca-Cola. It shipped in 2016.\n\n[2] Director\nHe ran a 40-person PMO.\n\nQUESTION: What did Scott do?'
+    }]);
+
+    expect(content).toBe('Scott led the IoT platform at Coca-Cola [1]. He ran a 40-person PMO [2].');
+  });
+
+  it('is deterministic', async () => {
+    const messages = [{ role: 'user', content: 'Latest question: what about his time at Equifax?' }];
+    const first = await llm.complete('query-rewriting', messages);
+    const second = await llm.complete('query-rewriting', messages);
+
+    expect(first.content).toBe('what about his time at Equifax?');
+    expect(second.content).toBe(first.content);
+  });
+
+  it('extracts requirements from job description bullets', async () => {
+    const parsed = await complete('requirement-extraction', 'Extract the qualifications.',
+      'Director of Engineering\nJoin our team at Acme Corp.\n- 10+ years leading Cloud teams on AWS\n- Experience with IoT\n- MBA is a plus');
+
+    expect(parsed.title).toBe('Director of Engineering');
+    expect(parsed.company).toBe('Acme Corp');
+    expect(parsed.requirements).toEqual([
+      { requirement: '10+ years leading Cloud teams on AWS', type: 'required', skills: ['Cloud', 'AWS'] },
+      { requirement: 'Experience with IoT', type: 'required', skills: ['IoT'] },
+      { requirement: 'MBA is a plus', type: 'preferred', skills: ['MBA'] }
+    ]);
+  });
+
+  it('writes one resume bullet per chunk, cited to that chunk', async () => {
+    const parsed = await complete('resume-writing', 'Reply with JSON only. At most 1 bullets.',
+      'Target:\nCTO\n\nRole: Director at Acme\n\nChunks:\n(chunk 4)\nAcme • Director • 2019-01-01–2021-06-30\n\n## Highlights\n- Led 40 engineers across three sites. Shipped the platform.\n\n---\n\n(chunk 9)\nBuilt the IoT platform.');
+
+    expect(parsed.bullets).toEqual([{ text: 'Led 40 engineers across three sites.', chunkId: 4 }]);
+  });
+
+  it('scores answers in the judge schema', async () => {
+    const verdict = await complete('judge', 'Grade the answer.',
+      'QUESTION: What IoT work?\n\nPERSONA: Recruiter\n\nEXPECTED POINTS:\n- Led the IoT platform\n\nCONTEXT:\n[1] IoT Lead\nScott led the IoT platform at Coca-Cola.\n\nANSWER:\nScott led the IoT platform at Coca-Cola.');
+
+    expect(verdict.faithfulness.score).toBe(5);
+    expect(verdict.completeness.score).toBe(5);
+    expect(verdict.personaAdherence.score).toBe(3);
+  });
+
+  it('scores unsupported answers low', async () => {
+    const verdict = await complete('judge', 'Grade the answer.',
+      'QUESTION: What IoT work?\n\nPERSONA: Recruiter\n\nEXPECTED POINTS:\n- Led the IoT platform\n\nCONTEXT:\n[1] IoT Lead\nScott led the IoT platform.\n\nANSWER:\nHe founded several biotech startups overseas.');
+
+    expect(verdict.faithfulness.score).toBe(1);
+    expect(verdict.completeness.score).toBe(1);
+  });
+});
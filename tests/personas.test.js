@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import PersonaService from '../services/personas.js';
+import RAGService from '../services/rag.js';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PersonaService', () => {
+  it('loads the shipped personas and lists the default first', async () => {
+    const personas = await new PersonaService().listPersonas();
+
+    expect(personas[0].id).toBe('default');
+    expect(personas.map(persona => persona.id).sort()).toEqual(['default', 'engineer', 'hiring-manager', 'recruiter']);
+    personas.forEach(persona => expect(Object.keys(persona)).toEqual(['id', 'name', 'description']));
+  });
+
+  it('looks personas up by id, with the default for no id and null for an unknown one', async () => {
+    const service = new PersonaService();
+
+    expect(await service.getPersona('recruiter')).toMatchObject({ voice: 'third', length: 'brief', maxTokens: 500 });
+    expect((await service.getPersona()).id).toBe('default');
+    expect(await service.getPersona('astronaut')).toBeNull();
+  });
+
+  it('fills in defaults from the file name', () => {
+    expect(new PersonaService().normalizePersona({}, 'plain')).toEqual({
+      id: 'plain',
+      name: 'plain',
+      description: '',
+      tone: 'conversational and engaging',
+      depth: 'balanced',
+      length: 'detailed',
+      maxTokens: 1200,
+      emphasizeMetrics: true,
+      voice: 'first',
+      guidance: []
+    });
+  });
+
+  it('rejects unknown voices, lengths and depths', () => {
+    const service = new PersonaService();
+
+    expect(() => service.normalizePersona({ voice: 'second' }, 'x')).toThrow('voice must be one of first, third');
+    expect(() => service.normalizePersona({ length: 'epic' }, 'x')).toThrow('length must be one of brief, standard, detailed');
+    expect(() => service.normalizePersona({ depth: 'deep' }, 'x')).toThrow('depth must be one of overview, balanced, technical');
+  });
+
+  describe('with a custom persona directory', () => {
+    const originalCwd = process.cwd();
+    let workDir;
+
+    const writePersona = (file, content) => fs.writeFile(path.join('config', 'personas', file), content);
+
+    beforeEach(async () => {
+      workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'personas-'));
+      process.chdir(workDir);
+      await fs.mkdir(path.join('config', 'personas'), { recursive: true });
+    });
+
+    afterEach(async () => {
+      process.chdir(originalCwd);
+      await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    it('skips invalid profiles and keeps the rest', async () => {
+      await writePersona('default.json', '{}');
+      await writePersona('broken.json', '{ not json');
+      await writePersona('loud.json', JSON.stringify({ voice: 'shouting' }));
+      await writePersona('notes.txt', 'ignored');
+
+      const personas = await new PersonaService().loadPersonas();
+
+      expect([...personas.keys()]).toEqual(['default']);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipping persona broken.json'));
+      expect(console.warn).toHaveBeenCalledWith('⚠️ Skipping persona loud.json: voice must be one of first, third');
+    });
+
+    it('requires a default persona', async () => {
+      await writePersona('recruiter.json', '{}');
+
+      await expect(new PersonaService().loadPersonas()).rejects.toThrow('Persona configuration is missing config/personas/default.json');
+    });
+  });
+});
+
+describe('RAGService.buildSystemPrompt', () => {
+  const rag = new RAGService();
+  const context = { chunks: [{ content: 'Cut cloud spend by 30%', recency_score: 0.2 }] };
+
+  it('follows the persona\'s voice, length, depth, tone and guidance', async () => {
+    const recruiter = await rag.personas.getPersona('recruiter');
+    const prompt = rag.buildSystemPrompt('What did Scott do?', context, recruiter);
+
+    expect(prompt).toContain('Write about Scott in the third person');
+    expect(prompt).toContain('Keep answers short');
+    expect(prompt).toContain('Stay high level');
+    expect(prompt).toContain('Use a professional and upbeat tone');
+    expect(prompt).toContain('• Lead with job titles, companies and dates');
+    expect(prompt).toContain('Include specific numbers, percentages, and measurable outcomes');
+  });
+
+  it('speaks in the first person and skips the metrics line when the persona says so', () => {
+    const persona = new PersonaService().normalizePersona({ emphasizeMetrics: false }, 'plain');
+    const prompt = rag.buildSystemPrompt('What did you do?', context, persona);
+
+    expect(prompt).toContain('Use first person');
+    expect(prompt).not.toContain('Include specific numbers, percentages, and measurable outcomes');
+  });
+});
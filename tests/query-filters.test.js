@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+import { db } from '../config/database.js';
+import QueryFilterService from '../services/query-filters.js';
+
+let filters;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(db, 'getUniqueSkills').mockResolvedValue(['Kubernetes', 'AWS', 'Machine Learning', 'Program Management']);
+  jest.spyOn(db, 'getUniqueTags').mockResolvedValue(['IoT']);
+  jest.spyOn(db, 'getUniqueIndustryTags').mockResolvedValue(['Beverage']);
+  jest.spyOn(db, 'getUniqueOrgs').mockResolvedValue(['The Coca-Cola Company', 'Equifax Inc.']);
+  jest.spyOn(db, 'getAllSynonyms').mockResolvedValue([{ term: 'Machine Learning', aliases: ['ML'] }]);
+
+  filters = new QueryFilterService();
+  // No source dates, so the temporal parser never queries the database
+  filters.temporalParser.timeline = [];
+  filters.temporalParser.loadedAt = Date.now();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('QueryFilterService.extractFilters', () => {
+  it('matches vocabulary from the database and config synonyms exactly', async () => {
+    const result = await filters.extractFilters('Has Scott run a PMO or used Kubernetes on AWS?');
+
+    expect(result.skills).toEqual(expect.arrayContaining(['Kubernetes', 'AWS', 'Program Management']));
+    expect(result.matches).toContainEqual(expect.objectContaining({
+      kind: 'skill', value: 'Program Management', alias: 'pmo', via: 'synonym', origin: 'config/skills.json', fuzzy: false
+    }));
+  });
+
+  it('tolerates small misspellings of longer terms', async () => {
+    const result = await filters.extractFilters('any kubernetis experience?');
+
+    expect(result.skills).toEqual(['Kubernetes']);
+    expect(result.matches[0]).toMatchObject({ matched: 'kubernetis', fuzzy: true, score: 0.9 });
+  });
+
+  it('never fuzzy-matches short acronyms', async () => {
+    const result = await filters.extractFilters('work with AWZ or IOU');
+
+    expect(result.skills).toEqual([]);
+    expect(result.tags).toEqual([]);
+  });
+
+  it('matches orgs by their short name and terms from the synonyms table', async () => {
+    const result = await filters.extractFilters('ML projects at Coca-Cola in beverage');
+
+    expect(result.orgs).toEqual(['The Coca-Cola Company']);
+    expect(result.skills).toEqual(['Machine Learning']);
+    expect(result.industries).toEqual(['Beverage']);
+    expect(result.matches).toContainEqual(expect.objectContaining({ value: 'The Coca-Cola Company', via: 'short name' }));
+    expect(result.matches).toContainEqual(expect.objectContaining({ value: 'Machine Learning', origin: 'synonyms table' }));
+  });
+
+  it('asks for achievement sections only for questions about results', async () => {
+    expect((await filters.extractFilters('What did Scott accomplish at Equifax?')).sections).toEqual(['Highlights', 'Key Accomplishments']);
+    expect((await filters.extractFilters('Where did Scott work?')).sections).toEqual([]);
+  });
+
+  it('keeps filtering when one vocabulary source is unavailable', async () => {
+    db.getAllSynonyms.mockRejectedValue(new Error('relation "synonyms" does not exist'));
+
+    const result = await filters.extractFilters('Kubernetes work');
+
+    expect(result.skills).toEqual(['Kubernetes']);
+    expect(console.warn).toHaveBeenCalledWith('⚠️ Could not load synonyms table for query filters: relation "synonyms" does not exist');
+  });
+});
+
+describe('QueryFilterService.chooseSimilarityThreshold', () => {
+  it('raises the bar for longer queries and lowers it for matched terms', () => {
+    expect(filters.chooseSimilarityThreshold('IoT')).toEqual({ threshold: 0.2, reason: '1-word query → 0.20' });
+    expect(filters.chooseSimilarityThreshold('tell me about his IoT work at Coca-Cola please', { matches: [{}, {}] })).toEqual({
+      threshold: 0.3,
+      reason: '9-word query → 0.35; lowered to 0.30 because 2 known terms matched'
+    });
+    expect(filters.chooseSimilarityThreshold('IoT', { matches: [{}] }).reason).toBe('1-word query → 0.20; kept at the 0.20 floor despite matched terms');
+  });
+});
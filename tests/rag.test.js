@@ -0,0 +1,184 @@
+import { jest } from '@jest/globals';
+import RAGService from '../services/rag.js';
+
+const chunks = [
+  {
+    id: 11,
+    content: 'Scott led the IoT platform at Coca-Cola.',
+    similarity: 0.8,
+    skills: ['IoT', 'AWS'],
+    sources: { id: 'coca-cola-iot', title: 'IoT Lead', org: 'Coca-Cola', type: 'job' }
+  },
+  {
+    id: 12,
+    content: 'He ran a 40-person PMO at Equifax.',
+    similarity: 0.7,
+    skills: ['AWS'],
+    sources: { id: 'equifax-pmo', title: 'PMO Director', org: 'Equifax', type: 'job' }
+  }
+];
+const sources = chunks.map(chunk => chunk.sources);
+const context = { chunks, sources, totalFound: 2, avgSimilarity: 0.75 };
+
+let rag;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  rag = new RAGService();
+  jest.spyOn(rag.queryProcessor, 'expandAcronyms').mockImplementation(async query => query);
+  jest.spyOn(rag.retrieval, 'retrieveContext').mockResolvedValue(context);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('RAGService.streamAnswer', () => {
+  it('emits retrieval metadata, then the answer token by token', async () => {
+    const events = [];
+
+    const result = await rag.streamAnswer('What did Scott do?', {}, (event, data) => events.push({ event, data }));
+
+    expect(events[0]).toMatchObject({ event: 'metadata', data: { sources, totalChunksFound: 2, avgSimilarity: 0.75, rewrittenQuery: null } });
+    const tokens = events.slice(1);
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.every(({ event }) => event === 'token')).toBe(true);
+    expect(tokens.map(({ data }) => data.text).join('')).toBe('Scott led the IoT platform at Coca-Cola [1]. He ran a 40-person PMO at Equifax [2].');
+    expect(result.answer).toBe('Scott led the IoT platform at Coca-Cola [1]. He ran a 40-person PMO at Equifax [2].');
+  });
+
+  it('returns the same result shape as answerQuestion', async () => {
+    const streamed = await rag.streamAnswer('What did Scott do?');
+    const answered = await rag.answerQuestion('What did Scott do?');
+
+    expect(Object.keys(streamed).sort()).toEqual(Object.keys(answered).sort());
+    expect(streamed.citations).toEqual(answered.citations);
+    expect(streamed.chunkIds).toEqual([11, 12]);
+  });
+
+  it('sends the no-context answer as a single token', async () => {
+    rag.retrieval.retrieveContext.mockResolvedValue({ chunks: [], sources: [] });
+    const events = [];
+
+    const result = await rag.streamAnswer('What about underwater basket weaving?', {}, (event, data) => events.push({ event, data }));
+
+    expect(events.map(({ event }) => event)).toEqual(['metadata', 'token']);
+    expect(events[1].data.text).toBe(result.answer);
+    expect(result.confidence).toBe('low');
+  });
+});
+
+describe('RAGService.condenseQuery', () => {
+  const history = [
+    { role: 'user', content: 'What did Scott do at Coca-Cola?' },
+    { role: 'assistant', content: 'He led the IoT platform [1].' }
+  ];
+
+  it('leaves a question alone when there is no conversation yet', async () => {
+    jest.spyOn(rag.llm, 'complete');
+
+    expect(await rag.condenseQuery('What tools did he use there?')).toBe('What tools did he use there?');
+    expect(rag.llm.complete).not.toHaveBeenCalled();
+  });
+
+  it('rewrites a follow-up with the recent turns and the summary', async () => {
+    jest.spyOn(rag.llm, 'complete').mockResolvedValue({ content: '"What tools did Scott use at Coca-Cola?"' });
+
+    const rewritten = await rag.condenseQuery('What tools did he use there?', history, 'Asked about IoT work.');
+
+    expect(rewritten).toBe('What tools did Scott use at Coca-Cola?');
+    const [useCase, messages] = rag.llm.complete.mock.calls[0];
+    expect(useCase).toBe('query-rewriting');
+    expect(messages[1].content).toBe('Earlier conversation summary:\nAsked about IoT work.\n\nRecent conversation:\nVisitor: What did Scott do at Coca-Cola?\nScottGPT: He led the IoT platform [1].\n\nLatest question: What tools did he use there?');
+  });
+
+  it('falls back to the original question when rewriting fails or comes back empty', async () => {
+    jest.spyOn(rag.llm, 'complete').mockRejectedValueOnce(new Error('timeout')).mockResolvedValueOnce({ content: '  ' });
+
+    expect(await rag.condenseQuery('And there?', history)).toBe('And there?');
+    expect(await rag.condenseQuery('And there?', history)).toBe('And there?');
+    expect(console.log).toHaveBeenCalledWith('⚠️  Query rewriting failed, using original query: timeout');
+  });
+
+  it('retrieves with the rewritten question and reports it', async () => {
+    jest.spyOn(rag, 'condenseQuery').mockResolvedValue('What tools did Scott use at Coca-Cola?');
+
+    const result = await rag.answerQuestion('What tools did he use there?', { conversationHistory: history });
+
+    expect(rag.retrieval.retrieveContext).toHaveBeenCalledWith('What tools did Scott use at Coca-Cola?', expect.any(Object));
+    expect(result.rewrittenQuery).toBe('What tools did Scott use at Coca-Cola?');
+  });
+
+  it('skips rewriting when the caller turns it off', async () => {
+    jest.spyOn(rag, 'condenseQuery');
+
+    const result = await rag.answerQuestion('What tools did he use there?', { conversationHistory: history, rewriteQuery: false });
+
+    expect(rag.condenseQuery).not.toHaveBeenCalled();
+    expect(result.rewrittenQuery).toBeNull();
+  });
+});
+
+describe('RAGService suggestions', () => {
+  it('suggests companies, projects and top skills, skipping questions already asked', () => {
+    const withProject = { ...context, sources: [...sources, { title: 'ScottGPT', type: 'project' }] };
+
+    expect(rag.generateFollowUpQuestions('What did Scott do?', withProject)).toEqual([
+      'Tell me more about your work at Coca-Cola',
+      'Tell me more about your work at Equifax',
+      'What were the key outcomes of ScottGPT?'
+    ]);
+    expect(rag.generateFollowUpQuestions('What did Scott do?', context, ['tell me more about your work at Coca-Cola?'])).toEqual([
+      'Tell me more about your work at Equifax',
+      'What experience do you have with AWS?',
+      'What experience do you have with IoT?'
+    ]);
+  });
+
+  it('treats questions sharing most of their words as duplicates', () => {
+    const questions = [
+      'What experience do you have with AWS?',
+      'What experience do you have with AWS and IoT?',
+      'what EXPERIENCE do you have with aws',
+      'What were the outcomes at Equifax?'
+    ];
+
+    expect(rag.dedupeQuestions(questions, ['What were the key outcomes at Equifax?'])).toEqual([
+      'What experience do you have with AWS?',
+      'What experience do you have with AWS and IoT?'
+    ]);
+  });
+
+  it('puts model suggestions first and caps the list at four', async () => {
+    jest.spyOn(rag.llm, 'complete').mockResolvedValue({
+      content: 'Sure: ["Which cloud platforms did Scott use at Equifax?", "Tell me more about your work at Coca-Cola!", 42]'
+    });
+
+    const suggestions = await rag.buildSuggestions('What did Scott do?', 'He led IoT [1].', context, { llmSuggestions: true });
+
+    expect(rag.llm.complete).toHaveBeenCalledWith('suggestions', expect.any(Array));
+    expect(suggestions).toEqual([
+      'Which cloud platforms did Scott use at Equifax?',
+      'Tell me more about your work at Coca-Cola!',
+      'Tell me more about your work at Equifax',
+      'What experience do you have with AWS?'
+    ]);
+  });
+
+  it('keeps the template suggestions when the model reply is unusable', async () => {
+    jest.spyOn(rag.llm, 'complete').mockResolvedValue({ content: 'No suggestions today.' });
+
+    const suggestions = await rag.buildSuggestions('What did Scott do?', 'He led IoT [1].', context, { llmSuggestions: true });
+
+    expect(suggestions).toEqual(rag.generateFollowUpQuestions('What did Scott do?', context));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('LLM follow-up generation failed'));
+  });
+
+  it('only asks the model when llmSuggestions is set', async () => {
+    jest.spyOn(rag.llm, 'complete');
+
+    await rag.buildSuggestions('What did Scott do?', 'He led IoT [1].', context);
+
+    expect(rag.llm.complete).not.toHaveBeenCalled();
+  });
+});
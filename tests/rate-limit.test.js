@@ -0,0 +1,154 @@
+import { setTimeout as delay } from 'timers/promises';
+import { RateLimiter, mapWithConcurrency } from '../utils/rate-limit.js';
+
+// Resolves or fails only when the test says so, to hold a call in flight
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+// An async call that records how many calls overlap it
+const tracked = (stats, ms = 5) => async value => {
+  stats.active++;
+  stats.peak = Math.max(stats.peak, stats.active);
+  await delay(ms);
+  stats.active--;
+  return value;
+};
+
+describe('RateLimiter', () => {
+  it('runs at most `concurrency` calls at once and returns their results', async () => {
+    const limiter = new RateLimiter({ concurrency: 2 });
+    const stats = { active: 0, peak: 0 };
+    const call = tracked(stats);
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(value => limiter.run(() => call(value))));
+
+    expect(results).toEqual([1, 2, 3, 4, 5]);
+    expect(stats.peak).toBe(2);
+    expect(limiter.active).toBe(0);
+  });
+
+  it('releases the slot when a call fails', async () => {
+    const limiter = new RateLimiter({ concurrency: 1 });
+
+    await expect(limiter.run(async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    await expect(limiter.run(async () => 'next')).resolves.toBe('next');
+    expect(limiter.active).toBe(0);
+  });
+
+  it('paces calls once the burst is spent', async () => {
+    // One token every 10ms
+    const limiter = new RateLimiter({ requestsPerMinute: 6000, concurrency: 4, burst: 1 });
+    const startTime = Date.now();
+
+    await Promise.all([1, 2, 3, 4].map(() => limiter.run(async () => Date.now())));
+
+    expect(Date.now() - startTime).toBeGreaterThanOrEqual(25);
+  });
+
+  it('lets a burst start back to back', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 60, concurrency: 3, burst: 3 });
+    const startTime = Date.now();
+
+    await Promise.all([1, 2, 3].map(() => limiter.run(async () => null)));
+
+    expect(Date.now() - startTime).toBeLessThan(500);
+  });
+
+  it('stops waiting for a slot when the signal aborts', async () => {
+    const limiter = new RateLimiter({ concurrency: 1 });
+    const holder = deferred();
+    const running = limiter.run(() => holder.promise);
+    const controller = new AbortController();
+    let called = false;
+
+    const queued = limiter.run(async () => {
+      called = true;
+    }, controller.signal);
+    controller.abort(new Error('cancelled'));
+
+    await expect(queued).rejects.toThrow('cancelled');
+    holder.resolve('done');
+    await expect(running).resolves.toBe('done');
+    expect(called).toBe(false);
+    expect(limiter.waiting).toHaveLength(0);
+    expect(limiter.active).toBe(0);
+  });
+
+  it('rejects at once when the signal is already aborted', async () => {
+    const limiter = new RateLimiter();
+    const controller = new AbortController();
+    controller.abort(new Error('cancelled'));
+
+    await expect(limiter.run(async () => null, controller.signal)).rejects.toThrow('cancelled');
+    expect(limiter.active).toBe(0);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('returns results in input order', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, index) => {
+      await delay(ms);
+      return `${index}:${ms}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:10', '2:20']);
+  });
+
+  it('keeps at most `limit` calls in flight', async () => {
+    const stats = { active: 0, peak: 0 };
+
+    await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, tracked(stats));
+
+    expect(stats.peak).toBe(3);
+  });
+
+  it('handles an empty list and a limit below 1', async () => {
+    await expect(mapWithConcurrency([], 4, async value => value)).resolves.toEqual([]);
+    await expect(mapWithConcurrency([1, 2], 0, async value => value * 2)).resolves.toEqual([2, 4]);
+  });
+
+  it('waits for calls in flight, starts no new ones, and rejects with the first error', async () => {
+    const started = [];
+    const finished = [];
+
+    const result = mapWithConcurrency([1, 2, 3, 4, 5], 2, async value => {
+      started.push(value);
+      if (value === 1) {
+        throw new Error(`failed ${value}`);
+      }
+      await delay(20);
+      if (value === 2) {
+        throw new Error(`failed ${value}`);
+      }
+      finished.push(value);
+      return value;
+    });
+
+    await expect(result).rejects.toThrow('failed 1');
+    expect(started).toEqual([1, 2]);
+    expect(finished).toEqual([]);
+  });
+
+  it('lets slower calls finish before rejecting', async () => {
+    const finished = [];
+
+    const result = mapWithConcurrency([1, 2], 2, async value => {
+      if (value === 1) {
+        throw new Error('failed');
+      }
+      await delay(20);
+      finished.push(value);
+      return value;
+    });
+
+    await expect(result).rejects.toThrow('failed');
+    expect(finished).toEqual([2]);
+  });
+});
@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RerankerService from '../services/reranker.js';
+
+// Cohere without its key fails on first use, like a provider that is down
+const CONFIG = {
+  defaultProvider: 'cohere',
+  topN: 2,
+  fallbacks: [],
+  developmentFallbacks: ['mock'],
+  providers: {
+    cohere: { type: 'cohere', model: 'rerank-english-v3.0', apiKeyEnv: 'RERANK_TEST_MISSING_KEY' },
+    mock: { type: 'lexical', model: 'term-overlap' }
+  }
+};
+
+const chunk = (id, content, score) => ({ id, title: `Chunk ${id}`, content, fused_score: score });
+const chunks = [
+  chunk(1, 'Ran quarterly budget reviews', 0.9),
+  chunk(2, 'Led the IoT platform for connected coolers', 0.8),
+  chunk(3, 'IoT telemetry dashboards', 0.7)
+];
+
+const saved = { RERANK_PROVIDER: process.env.RERANK_PROVIDER, NODE_ENV: process.env.NODE_ENV };
+let configDir;
+
+const reranker = (overrides = {}) => {
+  const configPath = path.join(configDir, 'reranker.json');
+  fs.writeFileSync(configPath, JSON.stringify({ ...CONFIG, ...overrides }));
+  return new RerankerService(configPath);
+};
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reranker-'));
+  delete process.env.RERANK_PROVIDER;
+  process.env.NODE_ENV = 'test';
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(configDir, { recursive: true, force: true });
+  Object.entries(saved).forEach(([name, value]) => {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  });
+});
+
+describe('RerankerService.getProviderChain', () => {
+  it('tries the mock only in development and test', () => {
+    expect(reranker().getProviderChain()).toEqual(['cohere', 'mock']);
+
+    process.env.NODE_ENV = 'development';
+    expect(reranker().getProviderChain()).toEqual(['cohere', 'mock']);
+
+    process.env.NODE_ENV = 'production';
+    expect(reranker().getProviderChain()).toEqual(['cohere']);
+
+    delete process.env.NODE_ENV;
+    expect(reranker().getProviderChain()).toEqual(['cohere']);
+  });
+
+  it('puts RERANK_PROVIDER first and lists each provider once', () => {
+    process.env.RERANK_PROVIDER = 'mock';
+
+    expect(reranker({ fallbacks: ['cohere'] }).getProviderChain()).toEqual(['mock', 'cohere']);
+  });
+});
+
+describe('RerankerService.rerank', () => {
+  it('falls back to the next provider and reorders the top candidates', async () => {
+    const ranked = await reranker().rerank('IoT platform', chunks);
+
+    expect(ranked.map(item => item.id)).toEqual([2, 1, 3]);
+    expect(ranked[0].rerank).toMatchObject({ provider: 'mock', model: 'term-overlap', preScore: 0.8, preRank: 2, postRank: 1 });
+    expect(ranked[2]).not.toHaveProperty('rerank_score');
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Rerank via cohere failed (RERANK_TEST_MISSING_KEY not found'));
+  });
+
+  it('keeps the retrieval order when every provider fails', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const ranked = await reranker().rerank('IoT platform', chunks);
+
+    expect(ranked).toBe(chunks);
+    expect(console.log).toHaveBeenCalledWith('⚠️  All rerank providers failed, keeping retrieval order');
+  });
+
+  it('rejects an unknown provider and moves on', async () => {
+    process.env.RERANK_PROVIDER = 'missing';
+
+    const ranked = await reranker().rerank('IoT platform', chunks, { topN: 3 });
+
+    expect(ranked.map(item => item.id)).toEqual([2, 3, 1]);
+    expect(console.log).toHaveBeenCalledWith('⚠️  Rerank via missing failed (Unknown rerank provider: missing)');
+  });
+});
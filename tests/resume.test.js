@@ -0,0 +1,160 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import { db } from '../config/database.js';
+import ResumeService from '../services/resume.js';
+import resumeRoutes from '../routes/resume.js';
+
+const sources = [
+  { id: 'acme', type: 'job', title: 'Director', org: 'Acme', date_start: '2019-01-01', date_end: null, skills: ['Leadership'] },
+  { id: 'coca-cola', type: 'job', title: 'IoT Lead', org: 'Coca-Cola', location: 'Atlanta, GA', date_start: '2015-03-01', date_end: '2017-06-30' },
+  { id: 'unmatched', type: 'job', title: 'Analyst', org: 'Initech', date_start: '2005-01-01' },
+  { id: 'scottgpt', type: 'project', title: 'ScottGPT', org: null, date_start: '2024-01-01' },
+  { id: 'aws-sa', type: 'cert', title: 'AWS Solutions Architect', org: 'Amazon', date_start: '2020-05-01' }
+];
+
+const rankedChunks = [
+  { id: 1, source_id: 'coca-cola', similarity: 0.8, skills: ['IoT', 'AWS'], content: 'Coca-Cola • IoT Lead • 2015-03-01–2017-06-30\n\n- Led the connected cooler program across 40 bottlers.' },
+  { id: 2, source_id: 'acme', similarity: 0.6, skills: ['AWS'], content: '- Cut cloud spend by 30% on AWS.' },
+  { id: 3, source_id: 'scottgpt', similarity: 0.5, skills: ['RAG'], content: 'Built a RAG assistant <br> for recruiters.' }
+];
+
+const TARGET = { role: 'Cloud Director', jobDescription: 'Lead our AWS cloud teams.' };
+
+let resumes;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(db, 'searchChunks').mockResolvedValue(rankedChunks);
+  jest.spyOn(db, 'getResumeSources').mockResolvedValue(sources);
+  resumes = new ResumeService();
+  jest.spyOn(resumes.embeddings, 'embedText').mockResolvedValue([0.1, 0.2]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ResumeService.generateResume', () => {
+  it('picks the most relevant jobs, lists them newest first and keeps every certification', async () => {
+    const resume = await resumes.generateResume(TARGET);
+
+    expect(resume.sections.map(section => [section.title, section.entries.map(entry => entry.sourceId)])).toEqual([
+      ['Experience', ['acme', 'coca-cola']],
+      ['Projects', ['scottgpt']],
+      ['Certifications', ['aws-sa']]
+    ]);
+    expect(resume.sections[0].entries[1]).toMatchObject({
+      organization: 'Coca-Cola',
+      location: 'Atlanta, GA',
+      dateRange: { start: '2015-03-01', end: '2017-06-30', display: 'Mar 2015 – Jun 2017' }
+    });
+    expect(resume.sections[0].entries[0].dateRange.display).toBe('Jan 2019 – Present');
+    expect(resume.sections[2].entries[0].bullets).toEqual([]);
+
+    const narrowed = await resumes.generateResume(TARGET, { maxJobs: 1 });
+    expect(narrowed.sections[0].entries.map(entry => entry.sourceId)).toEqual(['coca-cola']);
+  });
+
+  it('ties every bullet and the summary to the chunks they came from', async () => {
+    const resume = await resumes.generateResume(TARGET);
+
+    expect(resume.sections[0].entries[1].bullets).toEqual([{ text: 'Led the connected cooler program across 40 bottlers.', chunkId: 1 }]);
+    expect(resume.sections[0].entries[0].bullets).toEqual([{ text: 'Cut cloud spend by 30% on AWS.', chunkId: 2 }]);
+    expect(resume.summary.chunkIds).toEqual([2, 1, 3]);
+    expect(resume.target).toEqual({ role: 'Cloud Director', fromJobDescription: true });
+  });
+
+  it('puts skills the target mentions first', async () => {
+    const resume = await resumes.generateResume(TARGET);
+
+    expect(resume.skills[0]).toBe('AWS');
+    expect(resume.skills).toEqual(expect.arrayContaining(['Leadership', 'IoT', 'RAG']));
+  });
+
+  it('extracts sentences verbatim, without a summary, when rewriting is off', async () => {
+    jest.spyOn(resumes.llm, 'complete');
+
+    const resume = await resumes.generateResume(TARGET, { rewriteHighlights: false });
+
+    expect(resumes.llm.complete).not.toHaveBeenCalled();
+    expect(resume.summary).toBeNull();
+    expect(resume.sections[0].entries[1].bullets).toEqual([{ text: 'Led the connected cooler program across 40 bottlers.', chunkId: 1 }]);
+  });
+});
+
+describe('ResumeService.buildHighlights', () => {
+  it('drops bullets citing chunks it was not given, then falls back to extracted sentences', async () => {
+    const [source] = resumes.scoreSources([sources[1]], rankedChunks);
+    jest.spyOn(resumes.llm, 'complete').mockResolvedValue({ content: '{"bullets": [{"text": "Invented the cloud.", "chunkId": 99}]}' });
+
+    const bullets = await resumes.buildHighlights(source, 'IoT', 4, true);
+
+    expect(bullets).toEqual([{ text: 'Led the connected cooler program across 40 bottlers.', chunkId: 1 }]);
+  });
+});
+
+describe('ResumeService renderers', () => {
+  it('keeps chunk ids in every format and escapes HTML', async () => {
+    const resume = await resumes.generateResume(TARGET, { rewriteHighlights: false });
+
+    const markdown = resumes.renderMarkdown(resume);
+    expect(markdown).toContain('### IoT Lead — Coca-Cola\n*Atlanta, GA · Mar 2015 – Jun 2017*');
+    expect(markdown).toContain('- Led the connected cooler program across 40 bottlers. <!-- chunk 1 -->');
+
+    const html = resumes.renderHtml(resume);
+    expect(html).toContain('<li data-chunk-id="1">Led the connected cooler program across 40 bottlers.</li>');
+    expect(html).toContain('<li data-chunk-id="3">Built a RAG assistant &lt;br&gt; for recruiters.</li>');
+
+    const docx = resumes.toDocxStructure(resume);
+    expect(docx.title).toBe('Scott Lovett – Cloud Director');
+    expect(docx.paragraphs).toContainEqual({ style: 'ListBullet', text: 'Cut cloud spend by 30% on AWS.', chunkId: 2 });
+  });
+});
+
+describe('POST /api/resume/generate', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/resume', resumeRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/resume/generate`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const post = (body, query = '') => fetch(`${baseUrl}${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  it('needs a role or a job description, as strings', async () => {
+    expect(await (await post({})).json()).toEqual({ error: 'Provide a target role, a job description, or both' });
+    expect((await post({ role: 42 })).status).toBe(400);
+  });
+
+  it('clamps the size options', async () => {
+    const generate = jest.spyOn(ResumeService.prototype, 'generateResume').mockRejectedValue(new Error('stop'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await post({ role: ' Cloud Director ', options: { maxJobs: 50, maxProjects: -1, bulletsPerEntry: 'many', rewriteHighlights: false } });
+
+    expect(generate).toHaveBeenCalledWith(
+      { role: 'Cloud Director', jobDescription: undefined },
+      { maxJobs: 10, maxProjects: 0, bulletsPerEntry: 4, rewriteHighlights: false }
+    );
+  });
+
+  it('serves HTML as a download on request', async () => {
+    const response = await post({ role: 'Cloud Director', options: { rewriteHighlights: false } }, '?format=html');
+
+    expect(response.headers.get('content-disposition')).toBe('attachment; filename="scott-lovett-resume.html"');
+    expect(await response.text()).toContain('<title>Scott Lovett – Cloud Director</title>');
+  });
+});
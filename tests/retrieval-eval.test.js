@@ -0,0 +1,43 @@
+import RetrievalEvalService from '../services/retrieval-eval.js';
+
+const evaluator = new RetrievalEvalService();
+
+describe('RetrievalEvalService.scoreRanking', () => {
+  it('computes recall at each cutoff, MRR and nDCG at the largest cutoff', () => {
+    const metrics = evaluator.scoreRanking(['x', 'a', 'y', 'b'], ['a', 'b'], [1, 3, 5]);
+
+    expect(metrics).toEqual({
+      'recall@1': 0,
+      'recall@3': 0.5,
+      'recall@5': 1,
+      mrr: 0.5,
+      'ndcg@5': 0.651
+    });
+  });
+
+  it('scores a perfect ranking as 1 everywhere except recall below the number of expected sources', () => {
+    const metrics = evaluator.scoreRanking(['a', 'b', 'x'], ['a', 'b'], [1, 3]);
+
+    expect(metrics).toEqual({ 'recall@1': 0.5, 'recall@3': 1, mrr: 1, 'ndcg@3': 1 });
+  });
+
+  it('scores a ranking without any expected source as 0', () => {
+    const metrics = evaluator.scoreRanking(['x', 'y'], ['a'], [1, 5]);
+
+    expect(metrics).toEqual({ 'recall@1': 0, 'recall@5': 0, mrr: 0, 'ndcg@5': 0 });
+  });
+
+  it('caps the ideal DCG at the largest cutoff', () => {
+    const metrics = evaluator.scoreRanking(['a', 'b', 'c'], ['a', 'b', 'c', 'd', 'e'], [2]);
+
+    expect(metrics['recall@2']).toBe(0.4);
+    expect(metrics['ndcg@2']).toBe(1);
+  });
+
+  it('rounds metrics to three decimals', () => {
+    const metrics = evaluator.scoreRanking(['x', 'y', 'a'], ['a'], [3]);
+
+    expect(metrics.mrr).toBe(0.333);
+    expect(metrics['ndcg@3']).toBe(0.5);
+  });
+});
@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import { db } from '../config/database.js';
+import RetrievalService from '../services/retrieval.js';
+import QueryProcessor from '../services/query-processor.js';
+import retrievalRoutes from '../routes/retrieval.js';
+import { requireAdmin } from '../utils/admin-auth.js';
+
+const NO_FILTERS = { skills: [], tags: [], industries: [], orgs: [], sections: [], dateRange: null, temporal: [], matches: [] };
+
+const chunk = (id, similarity, content) => ({
+  id,
+  source_id: `source-${id}`,
+  title: `Chunk ${id}`,
+  content,
+  similarity,
+  recency_score: 0.5,
+  combined_score: similarity,
+  sources: { id: `source-${id}`, org: 'Acme' }
+});
+
+const chunks = [
+  chunk(1, 0.8, 'Led the IoT platform for connected coolers'),
+  chunk(2, 0.6, 'Ran a PMO delivering cloud migrations'),
+  chunk(3, 0.1, 'Organized the company picnic')
+];
+
+let retrieval;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(db, 'getSynonyms').mockResolvedValue([]);
+  jest.spyOn(db, 'searchChunksText').mockResolvedValue([]);
+  // Candidates pass the threshold; the explain pass also sees the chunk below it
+  jest.spyOn(db, 'searchChunks').mockImplementation(async (embedding, options) =>
+    chunks.filter(item => item.similarity >= options.threshold));
+
+  retrieval = new RetrievalService();
+  jest.spyOn(retrieval.queryFilters, 'extractFilters').mockResolvedValue(NO_FILTERS);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('RetrievalService.retrieveContext with explain', () => {
+  it('traces every candidate and the chunks the threshold cut', async () => {
+    const { trace } = await retrieval.retrieveContext('IoT platform', { maxResults: 1, rerankResults: false, explain: true });
+
+    expect(trace.threshold).toEqual({ value: 0.2, reason: '2-word query → 0.20' });
+    expect(trace.search).toMatchObject({ weights: { vector: 1, text: 0.8 }, vectorResults: 2, textResults: 0, candidates: 2 });
+    expect(trace.chunks.map(({ id, candidateRank, finalRank, status }) => ({ id, candidateRank, finalRank, status }))).toEqual([
+      { id: 1, candidateRank: 1, finalRank: 1, status: 'selected' },
+      { id: 2, candidateRank: 2, finalRank: null, status: 'limit' }
+    ]);
+    expect(trace.chunks[0]).toMatchObject({ sourceId: 'source-1', org: 'Acme', similarity: 0.8, searchMethod: 'vector', searchRanks: { vector: 1 } });
+    expect(trace.cut).toEqual([{ id: 3, sourceId: 'source-3', title: 'Chunk 3', section: null, org: 'Acme', similarity: 0.1, recencyScore: 0.5, status: 'below-threshold' }]);
+    expect(trace.summary).toEqual({
+      selected: 1,
+      cutByThreshold: 1,
+      cutByCandidateLimit: 0,
+      cutBySourceCap: 0,
+      cutAsNearDuplicate: 0,
+      cutByResultLimit: 1
+    });
+  });
+
+  it('adds no trace or extra search unless asked', async () => {
+    const result = await retrieval.retrieveContext('IoT platform', { maxResults: 1, rerankResults: false });
+
+    expect(result.trace).toBeUndefined();
+    expect(db.searchChunks).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('GET /api/retrieval/explain', () => {
+  let server;
+  let baseUrl;
+  const savedToken = process.env.ADMIN_TOKEN;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/retrieval', requireAdmin, retrievalRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/retrieval/explain`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.ADMIN_TOKEN = 'admin-secret';
+  });
+
+  afterEach(() => {
+    if (savedToken === undefined) {
+      delete process.env.ADMIN_TOKEN;
+    } else {
+      process.env.ADMIN_TOKEN = savedToken;
+    }
+  });
+
+  const get = (query, token = 'admin-secret') => fetch(`${baseUrl}${query}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  it('is only served to admins', async () => {
+    expect((await get('?q=IoT', null)).status).toBe(401);
+    expect((await get('?q=IoT', 'guess')).status).toBe(401);
+
+    delete process.env.ADMIN_TOKEN;
+    expect(await (await get('?q=IoT')).json()).toEqual({ error: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.' });
+  });
+
+  it('validates the query and result limit', async () => {
+    expect(await (await get('')).json()).toEqual({ error: 'Query parameter q is required' });
+    expect((await get('?q=IoT&maxResults=51')).status).toBe(400);
+    expect((await get('?q=IoT&maxResults=2.5')).status).toBe(400);
+  });
+
+  it('expands acronyms like chat does and returns the trace', async () => {
+    jest.spyOn(QueryProcessor.prototype, 'explainAcronyms').mockResolvedValue({
+      query: 'Program Management Office work',
+      expansions: [{ acronym: 'PMO', expansion: 'Program Management Office', cached: false }]
+    });
+    const retrieve = jest.spyOn(RetrievalService.prototype, 'retrieveContext').mockResolvedValue({ trace: { summary: { selected: 0 } } });
+
+    const body = await (await get('?q=PMO%20work&maxResults=5&rerank=false')).json();
+
+    expect(retrieve).toHaveBeenCalledWith('Program Management Office work', { maxResults: 5, rerankResults: false, explain: true });
+    expect(body).toEqual({
+      success: true,
+      query: 'PMO work',
+      acronyms: { query: 'Program Management Office work', expansions: [{ acronym: 'PMO', expansion: 'Program Management Office', cached: false }] },
+      trace: { summary: { selected: 0 } }
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import RetrievalService from '../services/retrieval.js';
+
+const retrieval = new RetrievalService();
+
+const chunk = (id, extra = {}) => ({ id, content: `chunk ${id}`, source_id: `source-${id}`, ...extra });
+
+describe('RetrievalService.fuseResults', () => {
+  const weights = { vector: 1, text: 0.8 };
+
+  it('adds weighted reciprocal ranks across lists', () => {
+    const fused = retrieval.fuseResults({
+      vector: [chunk(1), chunk(2)],
+      text: [chunk(2), chunk(3)]
+    }, weights);
+
+    expect(fused.map(item => item.id)).toEqual([2, 1, 3]);
+    expect(fused[0].rrf_score).toBeCloseTo(1 / 62 + 0.8 / 61, 10);
+    expect(fused[0].search_ranks).toEqual({ vector: 2, text: 1 });
+    expect(fused[0].search_method).toBe('hybrid');
+    expect(fused[1].search_method).toBe('vector');
+    expect(fused[2].search_method).toBe('text');
+  });
+
+  it('scores a chunk ranked first in every list as 1', () => {
+    const [top] = retrieval.fuseResults({ vector: [chunk(1)], text: [chunk(1)] }, weights);
+
+    expect(top.fused_score).toBeCloseTo(1, 10);
+  });
+
+  it('ignores a list whose weight is 0', () => {
+    const fused = retrieval.fuseResults({
+      vector: [chunk(1), chunk(2)],
+      text: [chunk(2)]
+    }, { vector: 1, text: 0 });
+
+    expect(fused.map(item => item.id)).toEqual([1, 2]);
+  });
+
+  it('falls back to the default weights when every weight is 0 or invalid', () => {
+    expect(retrieval.normalizeSearchWeights({ vector: 0, text: 0 })).toEqual(weights);
+    expect(retrieval.normalizeSearchWeights({ vector: -1, text: 'high' })).toEqual(weights);
+    expect(retrieval.normalizeSearchWeights({ text: 0 })).toEqual({ vector: 1, text: 0 });
+  });
+});
+
+describe('RetrievalService.diversifyChunks', () => {
+  const scored = (id, sourceId, content, score) => ({ id, source_id: sourceId, content, fused_score: score });
+
+  it('drops near-duplicates of a selected chunk', () => {
+    const result = retrieval.diversifyChunks([
+      scored(1, 'a', 'Led the IoT platform program for connected coolers at Coca-Cola', 1),
+      scored(2, 'b', 'Led the IoT platform program for connected coolers at Coca-Cola worldwide', 0.9),
+      scored(3, 'c', 'Ran a PMO delivering cloud migration programs at Equifax', 0.8)
+    ], { limit: 3 });
+
+    expect(result.chunks.map(item => item.id)).toEqual([1, 3]);
+    expect(result.nearDuplicates).toBe(1);
+    expect(result.dropped).toContainEqual({ id: 2, reason: 'near-duplicate', duplicateOf: 1 });
+  });
+
+  it('caps the chunks taken from one source', () => {
+    const result = retrieval.diversifyChunks([
+      scored(1, 'a', 'cloud migration strategy', 1),
+      scored(2, 'a', 'vendor management office', 0.9),
+      scored(3, 'a', 'quarterly budget reviews', 0.8),
+      scored(4, 'b', 'mobile payments launch', 0.5)
+    ], { limit: 4, maxPerSource: 2 });
+
+    expect(result.chunks.map(item => item.id)).toEqual([1, 2, 4]);
+    expect(result.sourceCapped).toBe(1);
+    expect(result.duplicatesSuppressed).toBe(1);
+  });
+
+  it('trades relevance for novelty by lambda', () => {
+    const candidates = [
+      scored(1, 'a', 'iot platform coolers telemetry', 1),
+      scored(2, 'b', 'iot platform sensors dashboards', 0.95),
+      scored(3, 'c', 'hiring engineering managers', 0.7)
+    ];
+
+    expect(retrieval.diversifyChunks(candidates, { limit: 2, lambda: 1 }).chunks.map(item => item.id)).toEqual([1, 2]);
+    expect(retrieval.diversifyChunks(candidates, { limit: 2, lambda: 0.5 }).chunks.map(item => item.id)).toEqual([1, 3]);
+  });
+
+  it('keeps chunks past the rerank cutoff below the reranked ones', () => {
+    const result = retrieval.diversifyChunks([
+      { ...scored(1, 'a', 'connected cooler telemetry', 0.02), rerank_score: 0.2 },
+      { ...scored(2, 'b', 'bottler partner onboarding', 0.03), rerank_score: 0.1 },
+      scored(3, 'c', 'quarterly budget reviews', 0.9)
+    ], { limit: 3, lambda: 1 });
+
+    expect(result.chunks.map(item => item.id)).toEqual([1, 2, 3]);
+  });
+
+  it('reports candidates beyond the limit as dropped', () => {
+    const result = retrieval.diversifyChunks([
+      scored(1, 'a', 'alpha work', 1),
+      scored(2, 'b', 'beta work', 0.5)
+    ], { limit: 1 });
+
+    expect(result.chunks.map(item => item.id)).toEqual([1]);
+    expect(result.dropped).toEqual([{ id: 2, reason: 'limit' }]);
+  });
+});
+
+describe('RetrievalService.jaccard', () => {
+  it('measures word-set overlap', () => {
+    expect(retrieval.jaccard(new Set(['a', 'b']), new Set(['b', 'c']))).toBeCloseTo(1 / 3, 10);
+    expect(retrieval.jaccard(new Set(), new Set(['a']))).toBe(0);
+  });
+});
@@ -0,0 +1,187 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import express from 'express';
+import { db } from '../config/database.js';
+import SessionService from '../services/sessions.js';
+import chatRoutes from '../routes/chat.js';
+
+// In-memory stand-ins for the chat_sessions and chat_messages tables
+let tables;
+
+beforeEach(() => {
+  tables = { sessions: new Map(), messages: [] };
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  jest.spyOn(db, 'createChatSession').mockImplementation(async data => {
+    const session = { id: crypto.randomUUID(), title: data.title || null, token_hash: data.token_hash, summary: null, summarized_through: 0 };
+    tables.sessions.set(session.id, session);
+    return { ...session };
+  });
+  jest.spyOn(db, 'getChatSession').mockImplementation(async id => {
+    const session = tables.sessions.get(id);
+    return session ? { ...session } : null;
+  });
+  jest.spyOn(db, 'listChatSessions').mockImplementation(async () =>
+    [...tables.sessions.values()].map(({ id, title }) => ({ id, title })));
+  jest.spyOn(db, 'updateChatSession').mockImplementation(async (id, fields) => {
+    Object.assign(tables.sessions.get(id), fields);
+  });
+  jest.spyOn(db, 'deleteChatSession').mockImplementation(async id => tables.sessions.delete(id));
+  jest.spyOn(db, 'insertChatMessage').mockImplementation(async message => {
+    const row = { id: tables.messages.length + 1, ...message };
+    tables.messages.push(row);
+    return { id: row.id };
+  });
+  jest.spyOn(db, 'getChatMessages').mockImplementation(async (sessionId, { afterId = 0 } = {}) =>
+    tables.messages.filter(message => message.session_id === sessionId && message.id > afterId));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SessionService tokens', () => {
+  const sessions = new SessionService();
+
+  it('returns a token once and stores only its hash', async () => {
+    const session = await sessions.createSession({ title: 'IoT work' });
+    const stored = tables.sessions.get(session.id);
+
+    expect(session.token).toMatch(/^[\w-]{43}$/);
+    expect(session).not.toHaveProperty('token_hash');
+    expect(stored.token_hash).toHaveLength(64);
+    expect(stored.token_hash).not.toContain(session.token);
+  });
+
+  it('authorizes a session only with its own token', async () => {
+    const first = await sessions.createSession();
+    const second = await sessions.createSession();
+
+    expect((await sessions.authorize(first.id, first.token)).id).toBe(first.id);
+    expect(await sessions.authorize(first.id, second.token)).toBeNull();
+    expect(await sessions.authorize(first.id, '')).toBeNull();
+    expect(await sessions.authorize(crypto.randomUUID(), first.token)).toBeNull();
+  });
+
+  it('leaves the token hash out of the session history', async () => {
+    const session = await sessions.createSession();
+    const history = await sessions.getSession(await sessions.authorize(session.id, session.token));
+
+    expect(history).not.toHaveProperty('token_hash');
+    expect(history.messages).toEqual([]);
+  });
+});
+
+describe('chat session routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/chat', chatRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/chat`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.ADMIN_TOKEN;
+  });
+
+  const request = (path, { method = 'GET', token, headers = {} } = {}) =>
+    fetch(`${baseUrl}${path}`, { method, headers: token ? { ...headers, 'X-Session-Token': token } : headers });
+
+  it('requires the session token on every /sessions/:id route', async () => {
+    const { session } = await (await request('/sessions', { method: 'POST' })).json();
+
+    expect((await request(`/sessions/${session.id}`)).status).toBe(401);
+    expect((await request(`/sessions/${session.id}`, { method: 'DELETE' })).status).toBe(401);
+    expect((await request(`/sessions/${session.id}/messages`, { method: 'POST' })).status).toBe(401);
+    expect((await request(`/sessions/${session.id}`, { token: 'guess' })).status).toBe(404);
+    expect((await request('/sessions/not-a-uuid', { token: session.token })).status).toBe(404);
+
+    const response = await request(`/sessions/${session.id}`, { token: session.token });
+    expect(response.status).toBe(200);
+    expect((await response.json()).session.id).toBe(session.id);
+  });
+
+  it('deletes a session only for its token holder', async () => {
+    const { session } = await (await request('/sessions', { method: 'POST' })).json();
+
+    expect((await request(`/sessions/${session.id}`, { method: 'DELETE', token: 'guess' })).status).toBe(404);
+    expect((await request(`/sessions/${session.id}`, { method: 'DELETE', token: session.token })).status).toBe(200);
+    expect(tables.sessions.has(session.id)).toBe(false);
+  });
+
+  it('lists sessions only for the admin token', async () => {
+    process.env.ADMIN_TOKEN = 'admin-secret';
+
+    expect((await request('/sessions')).status).toBe(401);
+    const response = await request('/sessions', { headers: { Authorization: 'Bearer admin-secret' } });
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('SessionService history compaction', () => {
+  const sessions = new SessionService();
+  // About 530 estimated tokens, so three answers pass the 1,500-token history budget
+  const longAnswer = Array.from({ length: 400 }, (_, i) => `word${i}`).join(' ');
+
+  const ask = async (session, question, answer = 'Short answer.') => {
+    await sessions.recordExchange(tables.sessions.get(session.id), { question, answer, chunkIds: [7] });
+  };
+
+  it('stores both sides of an exchange and names the session after its first question', async () => {
+    const session = await sessions.createSession();
+    await ask(session, 'What IoT work has Scott done?');
+    await ask(session, 'And at Equifax?');
+
+    expect(tables.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+    expect(tables.messages[1].chunk_ids).toEqual([7]);
+    expect(tables.sessions.get(session.id).title).toBe('What IoT work has Scott done?');
+    expect(tables.sessions.get(session.id).summary).toBeNull();
+  });
+
+  it('folds all but the four most recent messages into a summary once over budget', async () => {
+    const session = await sessions.createSession();
+    await ask(session, 'First question?', longAnswer);
+    await ask(session, 'Second question?', longAnswer);
+    expect(tables.sessions.get(session.id).summarized_through).toBe(0);
+
+    await ask(session, 'Third question?', longAnswer);
+    const stored = tables.sessions.get(session.id);
+    expect(stored.summarized_through).toBe(2);
+    expect(stored.summary).toMatch(/^New turns: Visitor: First question\? ScottGPT: word0/);
+
+    const context = await sessions.getConversationContext(stored);
+    expect(context.summary).toBe(stored.summary);
+    expect(context.history.map(message => message.content)).toEqual(['Second question?', longAnswer, 'Third question?', longAnswer]);
+    expect(context.askedQuestions).toEqual(['First question?', 'Second question?', 'Third question?']);
+  });
+
+  it('extends the existing summary on the next compaction', async () => {
+    const session = await sessions.createSession();
+    for (const question of ['One?', 'Two?', 'Three?', 'Four?']) {
+      await ask(session, question, longAnswer);
+    }
+
+    const stored = tables.sessions.get(session.id);
+    expect(stored.summarized_through).toBe(4);
+    expect(stored.summary).toMatch(/^Existing summary: New turns: Visitor: One\?/);
+  });
+
+  it('keeps the exchange when summarizing fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(sessions.llm, 'complete').mockRejectedValue(new Error('provider down'));
+    const session = await sessions.createSession();
+    for (const question of ['One?', 'Two?', 'Three?']) {
+      await ask(session, question, longAnswer);
+    }
+
+    expect(tables.messages).toHaveLength(6);
+    expect(tables.sessions.get(session.id).summarized_through).toBe(0);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to summarize history'), 'provider down');
+  });
+});
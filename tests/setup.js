@@ -0,0 +1,6 @@
+// Unit tests run offline: deterministic providers, and a Supabase client that is never called
+process.env.EMBEDDING_PROVIDER = 'mock';
+process.env.LLM_PROVIDER = 'mock';
+process.env.RERANK_PROVIDER = 'mock';
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
@@ -0,0 +1,69 @@
+import { jest } from '@jest/globals';
+import TemporalParser from '../services/temporal-parser.js';
+
+const parser = new TemporalParser();
+parser.timeline = [
+  { type: 'job', org: 'Lockheed Martin', title: 'Systems Engineer', date_start: '2008-06-01', date_end: '2014-12-31' },
+  { type: 'job', org: 'Coca-Cola', title: 'IoT Subject Matter Expert', date_start: '2015-03-01', date_end: '2017-06-30' },
+  { type: 'job', org: 'Equifax Inc.', title: 'Director of Program Management', date_start: '2018-01-01', date_end: null }
+];
+parser.loadedAt = Date.now();
+
+const rangeOf = async query => (await parser.parse(query)).dateRange;
+
+describe('TemporalParser.parse', () => {
+  it('returns no range for a query without time expressions', async () => {
+    expect(await parser.parse('What IoT work has Scott done?')).toEqual({ dateRange: null, expressions: [] });
+  });
+
+  it('resolves explicit year ranges', async () => {
+    expect(await rangeOf('projects between 2015 and 2018')).toEqual({ start: '2015-01-01', end: '2018-12-31' });
+    expect(await rangeOf('work from 2018 to 2015')).toEqual({ start: '2015-01-01', end: '2018-12-31' });
+  });
+
+  it('resolves decades and parts of decades', async () => {
+    expect(await rangeOf('what did he do in the 2010s')).toEqual({ start: '2010-01-01', end: '2019-12-31' });
+    expect(await rangeOf('roles in the late 2000s')).toEqual({ start: '2006-01-01', end: '2009-12-31' });
+  });
+
+  it('resolves open-ended year bounds', async () => {
+    expect(await rangeOf('jobs before 2012')).toEqual({ start: null, end: '2011-12-31' });
+    expect(await rangeOf('work since 2019')).toEqual({ start: '2019-01-01', end: null });
+    expect(await rangeOf('work after 2019')).toEqual({ start: '2020-01-01', end: null });
+  });
+
+  it('resolves expressions relative to a source by organization', async () => {
+    const result = await parser.parse('What did he do before Equifax?');
+
+    expect(result.dateRange).toEqual({ start: null, end: '2017-12-31' });
+    expect(result.expressions).toEqual([
+      { text: 'before equifax', kind: 'source', start: null, end: '2017-12-31', source: 'Equifax Inc.' }
+    ]);
+    expect(await rangeOf('after his time at Coca-Cola')).toEqual({ start: '2017-07-01', end: null });
+    expect(await rangeOf('during Coca-Cola')).toEqual({ start: '2015-03-01', end: '2017-06-30' });
+  });
+
+  it('resolves career positions to the first and latest jobs', async () => {
+    expect(await rangeOf('tell me about his first job')).toEqual({ start: '2008-06-01', end: '2014-12-31' });
+    expect(await rangeOf('Scott\'s most recent role')).toEqual({ start: '2018-01-01', end: null });
+  });
+
+  it('does not read "most recent role" again as "recent"', async () => {
+    const { expressions } = await parser.parse('his most recent role');
+
+    expect(expressions.map(expression => expression.kind)).toEqual(['career']);
+  });
+
+  it('intersects several expressions', async () => {
+    expect(await rangeOf('after Coca-Cola and before 2020')).toEqual({ start: '2017-07-01', end: '2019-12-31' });
+  });
+
+  it('ignores expressions that contradict each other', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const result = await parser.parse('since 2019 but before Coca-Cola');
+    console.log.mockRestore();
+
+    expect(result.expressions).toHaveLength(2);
+    expect(result.dateRange).toBeNull();
+  });
+});
@@ -0,0 +1,136 @@
+import { jest } from '@jest/globals';
+import { db } from '../config/database.js';
+
+const MODEL = 'cohere/embed-english-v3.0';
+
+// Stand-in for a Supabase query: records each builder call and resolves to `result`
+function fakeQuery(result) {
+  const calls = [];
+  const query = new Proxy({}, {
+    get(target, name) {
+      if (name === 'then') {
+        return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+      }
+      return (...args) => {
+        calls.push([name, ...args]);
+        return query;
+      };
+    }
+  });
+  return { query, calls };
+}
+
+const storedChunk = (id, embedding, extra = {}) => ({
+  id,
+  title: `Chunk ${id}`,
+  content: `Content ${id}`,
+  embedding: JSON.stringify(embedding),
+  embedding_model: MODEL,
+  sources: { org: 'Acme' },
+  ...extra
+});
+
+const original = { supabase: db.supabase, vectorSearch: db.vectorSearch };
+let rpc;
+let table;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  rpc = jest.fn();
+  table = fakeQuery({ data: [], error: null });
+  db.supabase = { rpc, from: jest.fn(() => table.query) };
+  db.vectorSearch = 'rpc';
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  db.supabase = original.supabase;
+  db.vectorSearch = original.vectorSearch;
+});
+
+describe('Database.searchChunks via search_chunks', () => {
+  it('passes filters to the function and flattens each chunk next to its scores', async () => {
+    rpc.mockResolvedValue({
+      data: [{ chunk: { id: 7, content: 'Led IoT', sources: { org: 'Coca-Cola' } }, similarity: 0.82, combined_score: 0.7, matches_filters: true }],
+      error: null
+    });
+
+    const results = await db.searchChunks([0.1, 0.2], {
+      limit: 5,
+      threshold: 0.3,
+      skills: ['IoT'],
+      dateRange: { start: '2016-01-01', end: '2017-12-31' },
+      embeddingModel: MODEL
+    });
+
+    expect(rpc).toHaveBeenCalledWith('search_chunks', {
+      query_embedding: [0.1, 0.2],
+      query_embedding_model: MODEL,
+      similarity_threshold: 0.3,
+      max_results: 5,
+      filter_skills: ['IoT'],
+      filter_tags: [],
+      date_after: '2016-01-01',
+      date_before: '2017-12-31'
+    });
+    expect(results).toEqual([{ id: 7, content: 'Led IoT', sources: { org: 'Coca-Cola' }, similarity: 0.82, combined_score: 0.7, matches_filters: true }]);
+  });
+
+  it('refuses to compare a query embedding without its model', async () => {
+    await expect(db.searchChunks([0.1, 0.2])).rejects.toThrow('searchChunks needs options.embeddingModel to compare a query embedding');
+    expect(rpc).not.toHaveBeenCalled();
+  });
+
+  it('reports a model mismatch instead of returning nothing', async () => {
+    rpc.mockResolvedValue({ data: [], error: null });
+    table = fakeQuery({ data: [{ embedding_model: 'openai/text-embedding-3-small' }], error: null });
+
+    await expect(db.searchChunks([0.1, 0.2], { embeddingModel: MODEL }))
+      .rejects.toThrow(`No chunks have embeddings from ${MODEL} (stored embedding models: openai/text-embedding-3-small)`);
+  });
+});
+
+describe('Database.searchChunks in Node', () => {
+  it('falls back when search_chunks is missing and stays on the fallback', async () => {
+    rpc.mockResolvedValue({ data: null, error: { code: 'PGRST202', message: 'not found' } });
+    table = fakeQuery({ data: [storedChunk(1, [1, 0]), storedChunk(2, [0, 1])], error: null });
+
+    const results = await db.searchChunks([1, 0], { threshold: 0.5, embeddingModel: MODEL });
+    await db.searchChunks([1, 0], { threshold: 0.5, embeddingModel: MODEL });
+
+    expect(results.map(chunk => [chunk.id, chunk.similarity])).toEqual([[1, 1]]);
+    expect(rpc).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith('⚠️ search_chunks function not found - apply migrations/add-vector-search.sql. Falling back to in-memory search.');
+  });
+
+  it('keeps chunks whose dates overlap the range, including ongoing ones', async () => {
+    db.vectorSearch = 'js';
+    table = fakeQuery({ data: [storedChunk(1, [1, 0])], error: null });
+
+    await db.searchChunks([1, 0], { dateRange: { start: '2016-01-01', end: '2017-12-31' }, embeddingModel: MODEL });
+
+    expect(table.calls).toEqual(expect.arrayContaining([
+      ['not', 'date_start', 'is', null],
+      ['or', 'date_end.gte.2016-01-01,date_end.is.null'],
+      ['lte', 'date_start', '2017-12-31']
+    ]));
+  });
+
+  it('ranks by cosine similarity and skips chunks from other embedding models', async () => {
+    db.vectorSearch = 'js';
+    table = fakeQuery({
+      data: [
+        storedChunk(1, [1, 0]),
+        storedChunk(2, [0.8, 0.6]),
+        storedChunk(3, [1, 0], { embedding_model: 'openai/text-embedding-3-small' })
+      ],
+      error: null
+    });
+
+    const results = await db.searchChunks([1, 0], { threshold: 0.5, embeddingModel: MODEL });
+
+    expect(results.map(chunk => [chunk.id, chunk.similarity])).toEqual([[1, 1], [2, 0.8]]);
+    expect(console.warn).toHaveBeenCalledWith(`⚠️ Skipping 1 chunks embedded with openai/text-embedding-3-small; query uses ${MODEL}. Re-index to include them.`);
+  });
+});
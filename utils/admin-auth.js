@@ -0,0 +1,26 @@
+import crypto from 'crypto';
+
+/**
+ * Express middleware for admin endpoints: the request must carry ADMIN_TOKEN as
+ * `Authorization: Bearer <token>`. Without ADMIN_TOKEN set the endpoints are disabled.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.' });
+  }
+
+  const supplied = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  // Compare digests so the check takes the same time whatever the supplied length
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!supplied || !crypto.timingSafeEqual(digest(supplied), digest(expected))) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+
+  next();
+}
+
+export { requireAdmin };
@@ -0,0 +1,114 @@
+import { setTimeout as delay } from 'timers/promises';
+
+/**
+ * Token bucket plus a cap on calls in flight, for APIs that limit both request rate and parallelism.
+ * Tokens refill continuously at requestsPerMinute; up to `burst` calls can start back to back.
+ */
+class RateLimiter {
+  constructor({ requestsPerMinute = null, concurrency = 1, burst = null } = {}) {
+    this.refillPerMs = requestsPerMinute ? requestsPerMinute / 60000 : null;
+    this.capacity = burst || Math.max(1, concurrency);
+    this.tokens = this.capacity;
+    this.refilledAt = Date.now();
+    this.concurrency = Math.max(1, concurrency);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Run fn once a concurrency slot and a token are free
+   * @param {Function} fn - Async call to make
+   * @param {AbortSignal} signal - Stops waiting when aborted
+   * @returns {Promise<*>} - fn's result
+   */
+  async run(fn, signal) {
+    await this.acquireSlot(signal);
+    try {
+      await this.takeToken(signal);
+      return await fn();
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  async acquireSlot(signal) {
+    signal?.throwIfAborted();
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      const waiter = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      const onAbort = () => {
+        this.waiting = this.waiting.filter(item => item !== waiter);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiting.push(waiter);
+    });
+  }
+
+  // The slot passes straight to the next waiter, so `active` only drops when nobody is queued
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  async takeToken(signal) {
+    if (!this.refillPerMs) {
+      return;
+    }
+
+    for (;;) {
+      const now = Date.now();
+      this.tokens = Math.min(this.capacity, this.tokens + (now - this.refilledAt) * this.refillPerMs);
+      this.refilledAt = now;
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await delay(Math.ceil((1 - this.tokens) / this.refillPerMs), undefined, { signal });
+    }
+  }
+}
+
+/**
+ * Map over items with at most `limit` calls running at once. Every call settles before
+ * this returns, so no work is left running when one of them fails.
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum calls in flight
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order; rejects with the first error
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let firstError = null;
+
+  const worker = async () => {
+    while (next < items.length && !firstError) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  if (firstError) {
+    throw firstError;
+  }
+  return results;
+}
+
+export { RateLimiter, mapWithConcurrency };
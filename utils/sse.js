@@ -0,0 +1,71 @@
+import { ingestionJobs } from '../services/ingestion-jobs.js';
+
+// Proxies drop idle connections, so quiet streams send a comment line this often
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Start a Server-Sent Events response
+ * @param {Object} res - Express response
+ * @param {Object} headers - Extra response headers
+ * @returns {Object} - { send(event, data, id), close() }
+ */
+function openEventStream(res, headers = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+    ...headers
+  });
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  res.on('close', () => clearInterval(heartbeat));
+
+  return {
+    send(event, data, id) {
+      if (!res.writableEnded) {
+        res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+}
+
+/**
+ * Stream an ingestion job's progress events, replaying those after lastEventId first, until its done event
+ * @param {Object} req - Express request (the stream stops when the client disconnects)
+ * @param {Object} res - Express response
+ * @param {Object} job - Job record
+ * @param {number} lastEventId - Last event id the client saw (0 for all)
+ */
+async function streamJobEvents(req, res, job, lastEventId = 0) {
+  const stream = openEventStream(res, { 'X-Job-Id': job.id });
+  let done = false;
+  let unsubscribe = null;
+  const finish = () => {
+    done = true;
+    unsubscribe?.();
+    stream.close();
+  };
+  req.on('close', finish);
+
+  unsubscribe = await ingestionJobs.subscribe(job.id, lastEventId, event => {
+    stream.send(event.type, event.data, event.id);
+    if (event.type === 'done') {
+      finish();
+    }
+  });
+
+  // Jobs interrupted by a restart never recorded a done event
+  const current = await ingestionJobs.getJob(job.id);
+  if (done || !['queued', 'running'].includes(current.status)) {
+    finish();
+  }
+}
+
+export { openEventStream, streamJobEvents };